@@ -1,9 +1,11 @@
 import { Routes, Route, Navigate } from 'react-router-dom';
 import Dashboard from './pages/Dashboard';
 import Jobs from './pages/Jobs';
+import Batches from './pages/Batches';
 import JobDetail from './pages/JobDetail';
 import Settings from './pages/Settings';
 import BackgroundTemplates from './pages/BackgroundTemplates';
+import Themes from './pages/Themes';
 import WebhookSimulator from './pages/WebhookSimulator';
 import ShopifyIntegration from './pages/ShopifyIntegration';
 import Enhance from './pages/Enhance';
@@ -27,7 +29,9 @@ function App() {
             <Route path="/" element={<Dashboard />} />
             <Route path="/jobs" element={<Jobs />} />
             <Route path="/jobs/:id" element={<JobDetail />} />
+            <Route path="/batches" element={<Batches />} />
             <Route path="/templates" element={<BackgroundTemplates />} />
+            <Route path="/themes" element={<Themes />} />
             <Route path="/webhook" element={<WebhookSimulator />} />
             <Route path="/shopify" element={<ShopifyIntegration />} />
             <Route path="/enhance" element={<Enhance />} />
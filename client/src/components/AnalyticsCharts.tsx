@@ -0,0 +1,223 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { useAnalytics } from '../hooks';
+import { Card, CardContent, CardHeader, CardTitle, Select } from './ui';
+import { formatCurrency, formatDuration } from '../lib/utils';
+import type { Analytics, AnalyticsBucket, StepTimingColumn } from '../lib/api-client';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGE_OPTIONS = [7, 30, 90, 365];
+
+// Series colors, assigned to providers in order
+const PROVIDER_COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#9333ea', '#dc2626', '#0891b2'];
+
+const STEP_LABELS: Record<StepTimingColumn, string> = {
+  download_ms: 'Download',
+  segmentation_ms: 'Segmentation',
+  backgrounds_ms: 'Backgrounds',
+  compositing_ms: 'Compositing',
+  derivatives_ms: 'Derivatives',
+  manifest_ms: 'Manifest',
+};
+
+type CostGrouping = 'provider' | 'workflow' | 'theme' | 'template';
+
+/**
+ * Cost breakdown rows as { name, costUsd } for the selected grouping
+ */
+const getCostRows = (cost: Analytics['cost'], grouping: CostGrouping) => {
+  switch (grouping) {
+    case 'workflow':
+      return cost.byWorkflow.map(row => ({ name: row.workflow || 'unknown', costUsd: row.costUsd }));
+    case 'theme':
+      return cost.byTheme.map(row => ({ name: row.theme, costUsd: row.costUsd }));
+    case 'template':
+      return cost.byTemplate.map(row => ({ name: row.name || row.templateId, costUsd: row.costUsd }));
+    default:
+      return cost.byProvider.map(row => ({ name: row.provider, costUsd: row.costUsd }));
+  }
+};
+
+const formatUsd = (value: unknown) => formatCurrency(Number(value));
+
+/**
+ * Throughput (with cache hits), spend, cost breakdown and step timing charts for the Dashboard
+ */
+export const AnalyticsCharts: React.FC = () => {
+  const [rangeDays, setRangeDays] = useState(30);
+  const [bucket, setBucket] = useState<AnalyticsBucket>('day');
+  const [costGrouping, setCostGrouping] = useState<CostGrouping>('provider');
+
+  // Start of the range is fixed per selection so the query key stays stable between renders
+  const from = useMemo(() => new Date(Date.now() - rangeDays * DAY_MS).toISOString(), [rangeDays]);
+  const { data: analytics, isLoading } = useAnalytics({ from, bucket });
+
+  const providers = useMemo(
+    () => [...new Set(analytics?.series.flatMap(point => Object.keys(point.costByProvider)) ?? [])],
+    [analytics]
+  );
+
+  const spendData = useMemo(
+    () => analytics?.series.map(point => ({ bucket: point.bucket, ...point.costByProvider })) ?? [],
+    [analytics]
+  );
+
+  const timingData = useMemo(
+    () => analytics
+      ? (Object.keys(STEP_LABELS) as StepTimingColumn[]).map(column => ({
+          step: STEP_LABELS[column],
+          p50: analytics.stepTimings[column].p50,
+          p95: analytics.stepTimings[column].p95,
+        }))
+      : [],
+    [analytics]
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold">Analytics</h2>
+        <div className="flex items-center gap-2">
+          <Select
+            value={rangeDays}
+            onChange={(e) => setRangeDays(Number(e.target.value))}
+            className="w-36 h-9"
+          >
+            {RANGE_OPTIONS.map(days => (
+              <option key={days} value={days}>Last {days} days</option>
+            ))}
+          </Select>
+          <Select
+            value={bucket}
+            onChange={(e) => setBucket(e.target.value as AnalyticsBucket)}
+            className="w-28 h-9"
+          >
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+          </Select>
+        </div>
+      </div>
+
+      {isLoading || !analytics ? (
+        <p className="text-muted-foreground text-center py-8">Loading...</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {/* Throughput */}
+          <Card>
+            <CardHeader>
+              <CardTitle>Jobs</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <ResponsiveContainer width="100%" height={260}>
+                <LineChart data={analytics.series}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="bucket" fontSize={12} />
+                  <YAxis allowDecimals={false} fontSize={12} />
+                  <Tooltip />
+                  <Legend />
+                  <Line type="monotone" dataKey="created" name="Created" stroke="#2563eb" dot={false} />
+                  <Line type="monotone" dataKey="completed" name="Completed" stroke="#16a34a" dot={false} />
+                  <Line type="monotone" dataKey="failed" name="Failed" stroke="#dc2626" dot={false} />
+                  <Line type="monotone" dataKey="cacheHits" name="Cache hits" stroke="#9333ea" strokeDasharray="4 2" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </CardContent>
+          </Card>
+
+          {/* Spend by provider over time */}
+          <Card>
+            <CardHeader>
+              <CardTitle>Spend ({formatCurrency(analytics.cost.totalUsd)})</CardTitle>
+              {analytics.cache.hits > 0 && (
+                <p className="text-xs text-muted-foreground">
+                  {analytics.cache.hits} cached provider calls saved {formatCurrency(analytics.cache.savedUsd)}
+                </p>
+              )}
+            </CardHeader>
+            <CardContent>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={spendData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="bucket" fontSize={12} />
+                  <YAxis tickFormatter={(value) => `$${value}`} fontSize={12} />
+                  <Tooltip formatter={formatUsd} />
+                  <Legend />
+                  {providers.map((provider, index) => (
+                    <Bar
+                      key={provider}
+                      dataKey={provider}
+                      stackId="spend"
+                      fill={PROVIDER_COLORS[index % PROVIDER_COLORS.length]}
+                    />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </CardContent>
+          </Card>
+
+          {/* Cost breakdown */}
+          <Card>
+            <CardHeader className="flex flex-row justify-between items-center">
+              <CardTitle>Cost Breakdown</CardTitle>
+              <Select
+                value={costGrouping}
+                onChange={(e) => setCostGrouping(e.target.value as CostGrouping)}
+                className="w-36 h-8 text-xs"
+              >
+                <option value="provider">By provider</option>
+                <option value="workflow">By workflow</option>
+                <option value="theme">By theme</option>
+                <option value="template">By template</option>
+              </Select>
+            </CardHeader>
+            <CardContent>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={getCostRows(analytics.cost, costGrouping)} layout="vertical">
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis type="number" tickFormatter={(value) => `$${value}`} fontSize={12} />
+                  <YAxis type="category" dataKey="name" width={120} fontSize={12} />
+                  <Tooltip formatter={formatUsd} />
+                  <Bar dataKey="costUsd" name="Cost" fill="#2563eb" />
+                </BarChart>
+              </ResponsiveContainer>
+            </CardContent>
+          </Card>
+
+          {/* Step timings */}
+          <Card>
+            <CardHeader>
+              <CardTitle>Step Timings</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={timingData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="step" fontSize={12} />
+                  <YAxis tickFormatter={(value) => formatDuration(Number(value))} fontSize={12} />
+                  <Tooltip formatter={(value) => formatDuration(Number(value))} />
+                  <Legend />
+                  <Bar dataKey="p50" name="p50" fill="#2563eb" />
+                  <Bar dataKey="p95" name="p95" fill="#f59e0b" />
+                </BarChart>
+              </ResponsiveContainer>
+            </CardContent>
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsCharts;
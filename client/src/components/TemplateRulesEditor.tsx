@@ -0,0 +1,323 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, Pencil, Plus, Search, Trash2 } from 'lucide-react';
+import {
+  useBackgroundTemplates,
+  useTemplateRules,
+  useSaveTemplateRule,
+  useToggleTemplateRule,
+  useReorderTemplateRules,
+  useDeleteTemplateRule,
+  useMatchTemplateRule,
+} from '../hooks';
+import { Badge, Button, Card, CardContent, CardDescription, CardHeader, CardTitle, Input, Select, Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui';
+import type { TemplateRule } from '../lib/api-client';
+
+// Form inputs are strings; empty conditions match any value
+const EMPTY_RULE_FORM = {
+  name: '',
+  category: '',
+  subcategory: '',
+  brand: '',
+  size: '',
+  skuPattern: '',
+  templateId: '',
+  variants: '', // Comma-separated variant numbers
+};
+
+type RuleForm = typeof EMPTY_RULE_FORM;
+
+const CONDITION_FIELDS = [
+  { field: 'category', label: 'Category', placeholder: 'e.g. Wine|Sparkling' },
+  { field: 'subcategory', label: 'Subcategory', placeholder: 'e.g. Rosé' },
+  { field: 'brand', label: 'Brand', placeholder: 'Any' },
+  { field: 'size', label: 'Size', placeholder: 'e.g. 750ml' },
+  { field: 'skuPattern', label: 'SKU Pattern', placeholder: 'e.g. WINE-*' },
+] as const;
+
+const toRuleForm = (rule: TemplateRule): RuleForm => ({
+  name: rule.name,
+  category: rule.category || '',
+  subcategory: rule.subcategory || '',
+  brand: rule.brand || '',
+  size: rule.size || '',
+  skuPattern: rule.sku_pattern || '',
+  templateId: rule.template_id,
+  variants: rule.variants?.join(', ') || '',
+});
+
+/**
+ * Rule conditions as one line ("category = Wine, SKU ~ WINE-*")
+ */
+const describeConditions = (rule: TemplateRule) => {
+  const conditions = [
+    rule.category && `category = ${rule.category}`,
+    rule.subcategory && `subcategory = ${rule.subcategory}`,
+    rule.brand && `brand = ${rule.brand}`,
+    rule.size && `size = ${rule.size}`,
+    rule.sku_pattern && `SKU ~ ${rule.sku_pattern}`,
+  ].filter(Boolean);
+
+  return conditions.length > 0 ? conditions.join(', ') : 'Every job';
+};
+
+/**
+ * Ordered rules that route jobs to a background template by catalog item or SKU
+ * The first enabled match wins; jobs no rule matches use the active template.
+ */
+export const TemplateRulesEditor: React.FC = () => {
+  const { data, isLoading } = useTemplateRules();
+  const { data: templatesData } = useBackgroundTemplates();
+  const saveRule = useSaveTemplateRule();
+  const toggleRule = useToggleTemplateRule();
+  const reorderRules = useReorderTemplateRules();
+  const deleteRule = useDeleteTemplateRule();
+  const matchRule = useMatchTemplateRule();
+  const [form, setForm] = useState<RuleForm | null>(null);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [testSku, setTestSku] = useState('');
+
+  const rules = data?.rules || [];
+
+  const openForm = (rule: TemplateRule | null) => {
+    saveRule.reset();
+    setEditingId(rule?.id || null);
+    setForm(rule ? toRuleForm(rule) : EMPTY_RULE_FORM);
+  };
+
+  const handleSave = () => {
+    if (!form) return;
+
+    const variants = form.variants
+      .split(',')
+      .map(value => parseInt(value.trim(), 10))
+      .filter(value => !isNaN(value));
+
+    saveRule.mutate(
+      {
+        id: editingId || undefined,
+        rule: {
+          name: form.name.trim(),
+          category: form.category.trim() || null,
+          subcategory: form.subcategory.trim() || null,
+          brand: form.brand.trim() || null,
+          size: form.size.trim() || null,
+          skuPattern: form.skuPattern.trim() || null,
+          templateId: form.templateId,
+          variants: variants.length > 0 ? variants : null,
+        },
+      },
+      { onSuccess: () => setForm(null) }
+    );
+  };
+
+  const handleMove = (index: number, offset: number) => {
+    const ids = rules.map(rule => rule.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    reorderRules.mutate(ids);
+  };
+
+  const handleDelete = (rule: TemplateRule) => {
+    if (!confirm(`Delete rule "${rule.name}"?`)) return;
+    deleteRule.mutate(rule.id);
+  };
+
+  const mutationError = toggleRule.error || reorderRules.error || deleteRule.error;
+
+  return (
+    <Card className="mt-8">
+      <CardHeader>
+        <div className="flex justify-between items-start">
+          <div>
+            <CardTitle>Template Routing Rules</CardTitle>
+            <CardDescription>
+              Pick a template by the item's catalog category, subcategory, brand, size or SKU. Rules are checked in
+              order and the first match wins; a job's theme template or an explicit template comes first, and jobs no
+              rule matches use the active template.
+            </CardDescription>
+          </div>
+          <Button onClick={() => openForm(null)}>
+            <Plus className="w-4 h-4 mr-2" />
+            New Rule
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {/* Create / Edit Form */}
+        {form && (
+          <div className="rounded-md border border-border p-4 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="text-sm font-medium mb-2 block">Name</label>
+                <Input placeholder="e.g. Wines" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+              </div>
+              <div>
+                <label className="text-sm font-medium mb-2 block">Template</label>
+                <Select value={form.templateId} onChange={e => setForm({ ...form, templateId: e.target.value })}>
+                  <option value="">Select a template</option>
+                  {templatesData?.templates.map(template => (
+                    <option key={template.id} value={template.id}>
+                      {template.name}
+                    </option>
+                  ))}
+                </Select>
+              </div>
+              <div>
+                <label className="text-sm font-medium mb-2 block">Variants</label>
+                <Input
+                  placeholder="Selected variants"
+                  value={form.variants}
+                  onChange={e => setForm({ ...form, variants: e.target.value })}
+                />
+                <p className="text-xs text-muted-foreground mt-1">e.g. 1, 3 - empty uses the template's selection</p>
+              </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+              {CONDITION_FIELDS.map(({ field, label, placeholder }) => (
+                <div key={field}>
+                  <label className="text-sm font-medium mb-2 block">{label}</label>
+                  <Input
+                    placeholder={placeholder}
+                    value={form[field]}
+                    onChange={e => setForm({ ...form, [field]: e.target.value })}
+                  />
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Empty conditions match anything; <span className="font-mono">A|B</span> matches either value (case-insensitive),
+              and SKU patterns accept <span className="font-mono">*</span> and <span className="font-mono">?</span>
+            </p>
+            {saveRule.isError && (
+              <p className="text-sm text-red-600">{saveRule.error.message}</p>
+            )}
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => setForm(null)}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={saveRule.isPending || !form.name.trim() || !form.templateId}>
+                {saveRule.isPending ? 'Saving...' : 'Save Rule'}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {mutationError && (
+          <p className="text-sm text-red-600">{mutationError.message}</p>
+        )}
+
+        {/* Rules Table */}
+        {isLoading ? (
+          <p className="text-muted-foreground text-center py-8">Loading rules...</p>
+        ) : rules.length > 0 ? (
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>#</TableHead>
+                  <TableHead>Rule</TableHead>
+                  <TableHead>Matches</TableHead>
+                  <TableHead>Template</TableHead>
+                  <TableHead>Variants</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rules.map((rule, index) => (
+                  <TableRow key={rule.id} className={rule.enabled ? undefined : 'opacity-60'}>
+                    <TableCell className="text-muted-foreground">{index + 1}</TableCell>
+                    <TableCell className="font-medium">{rule.name}</TableCell>
+                    <TableCell className="text-xs">{describeConditions(rule)}</TableCell>
+                    <TableCell className="text-sm">
+                      {rule.template_name || rule.template_id}
+                      {rule.template_status !== 'active' && (
+                        <Badge variant="destructive" className="ml-2 text-[10px]">{rule.template_status || 'missing'}</Badge>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm">{rule.variants?.join(', ') || 'Selected'}</TableCell>
+                    <TableCell>
+                      <button
+                        onClick={() => toggleRule.mutate({ id: rule.id, enabled: !rule.enabled })}
+                        disabled={toggleRule.isPending}
+                        title={rule.enabled ? 'Disable' : 'Enable'}
+                      >
+                        <Badge variant={rule.enabled ? 'default' : 'secondary'}>
+                          {rule.enabled ? 'Enabled' : 'Disabled'}
+                        </Badge>
+                      </button>
+                    </TableCell>
+                    <TableCell className="text-right whitespace-nowrap">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleMove(index, -1)}
+                        disabled={index === 0 || reorderRules.isPending}
+                        title="Move up"
+                      >
+                        <ArrowUp className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleMove(index, 1)}
+                        disabled={index === rules.length - 1 || reorderRules.isPending}
+                        title="Move down"
+                      >
+                        <ArrowDown className="w-4 h-4" />
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => openForm(rule)} title="Edit">
+                        <Pencil className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleDelete(rule)}
+                        disabled={deleteRule.isPending}
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        ) : (
+          <p className="text-muted-foreground text-center py-8">No rules - every job uses the active template</p>
+        )}
+
+        {/* Test a SKU */}
+        <div className="flex gap-2 items-center">
+          <Input
+            placeholder="Test a SKU"
+            value={testSku}
+            onChange={e => setTestSku(e.target.value)}
+            className="max-w-xs"
+          />
+          <Button
+            variant="outline"
+            onClick={() => matchRule.mutate(testSku.trim())}
+            disabled={matchRule.isPending || !testSku.trim()}
+          >
+            <Search className="w-4 h-4 mr-2" />
+            Match
+          </Button>
+          {matchRule.data && (
+            <p className="text-sm">
+              {matchRule.data.rule
+                ? `${matchRule.data.sku} → rule "${matchRule.data.rule.name}"`
+                : `${matchRule.data.sku}: no rule matches, the active template applies`}
+              {!matchRule.data.item && <span className="text-muted-foreground"> (not in the catalog)</span>}
+            </p>
+          )}
+          {matchRule.isError && (
+            <p className="text-sm text-red-600">{matchRule.error.message}</p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TemplateRulesEditor;
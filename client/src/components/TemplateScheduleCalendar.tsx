@@ -0,0 +1,346 @@
+import React, { useState } from 'react';
+import { CalendarDays, ChevronLeft, ChevronRight, Pencil, Plus, Trash2 } from 'lucide-react';
+import {
+  useBackgroundTemplates,
+  useTemplateSchedules,
+  useSaveTemplateSchedule,
+  useDeleteTemplateSchedule,
+  useTemplateSchedulePreview,
+} from '../hooks';
+import { Badge, Button, Card, CardContent, CardDescription, CardHeader, CardTitle, Input, Select } from './ui';
+import type { TemplateSchedule, TemplateSchedulePreview } from '../lib/api-client';
+import { toDateTimeLocal } from '../lib/utils';
+
+const EMPTY_SCHEDULE_FORM = {
+  name: '',
+  templateId: '',
+  startsAt: '', // datetime-local value
+  endsAt: '',
+  category: '',
+};
+
+type ScheduleForm = typeof EMPTY_SCHEDULE_FORM;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Entry colors, by position in the month's list
+const ENTRY_COLORS = [
+  'bg-orange-100 text-orange-800',
+  'bg-green-100 text-green-800',
+  'bg-blue-100 text-blue-800',
+  'bg-purple-100 text-purple-800',
+  'bg-pink-100 text-pink-800',
+];
+
+const PREVIEW_SOURCE_LABELS: Record<TemplateSchedulePreview['source'], string> = {
+  theme: "theme's default template",
+  schedule: 'schedule',
+  rule: 'routing rule',
+  settings: 'active template in Settings',
+};
+
+const toScheduleForm = (schedule: TemplateSchedule): ScheduleForm => ({
+  name: schedule.name,
+  templateId: schedule.template_id,
+  startsAt: toDateTimeLocal(schedule.starts_at),
+  endsAt: toDateTimeLocal(schedule.ends_at),
+  category: schedule.category || '',
+});
+
+const isSameDay = (a: Date, b: Date) => a.toDateString() === b.toDateString();
+
+/**
+ * Month calendar of seasonal template schedule entries
+ * Entries use their template for their window (optionally only for some
+ * categories); clicking a day previews which template a job would get then.
+ */
+export const TemplateScheduleCalendar: React.FC = () => {
+  const today = new Date();
+  const [month, setMonth] = useState(() => new Date(today.getFullYear(), today.getMonth(), 1));
+  const [selectedDay, setSelectedDay] = useState(() => new Date(today.getFullYear(), today.getMonth(), today.getDate()));
+  const [previewSku, setPreviewSku] = useState('');
+  const [form, setForm] = useState<ScheduleForm | null>(null);
+  const [editingId, setEditingId] = useState<string | null>(null);
+
+  const monthEnd = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+  const { data, isLoading } = useTemplateSchedules({ from: month.toISOString(), to: monthEnd.toISOString() });
+  const { data: templatesData } = useBackgroundTemplates();
+  const saveSchedule = useSaveTemplateSchedule();
+  const deleteSchedule = useDeleteTemplateSchedule();
+
+  // Preview at noon on the selected day
+  const previewDate = new Date(selectedDay.getFullYear(), selectedDay.getMonth(), selectedDay.getDate(), 12);
+  const preview = useTemplateSchedulePreview({ date: previewDate.toISOString(), sku: previewSku.trim() || undefined });
+
+  const schedules = data?.schedules || [];
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const days = Array.from({ length: daysInMonth }, (_, index) => new Date(month.getFullYear(), month.getMonth(), index + 1));
+
+  const entriesOn = (day: Date) => {
+    const start = day.toISOString();
+    const end = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).toISOString();
+    return schedules.filter(schedule => schedule.starts_at < end && schedule.ends_at > start);
+  };
+
+  const openForm = (schedule: TemplateSchedule | null) => {
+    saveSchedule.reset();
+    setEditingId(schedule?.id || null);
+    setForm(schedule ? toScheduleForm(schedule) : {
+      ...EMPTY_SCHEDULE_FORM,
+      startsAt: toDateTimeLocal(selectedDay.toISOString()),
+    });
+  };
+
+  const handleSave = () => {
+    if (!form) return;
+
+    saveSchedule.mutate(
+      {
+        id: editingId || undefined,
+        schedule: {
+          name: form.name.trim(),
+          templateId: form.templateId,
+          startsAt: new Date(form.startsAt).toISOString(),
+          endsAt: new Date(form.endsAt).toISOString(),
+          category: form.category.trim() || null,
+        },
+      },
+      { onSuccess: () => setForm(null) }
+    );
+  };
+
+  const handleDelete = (schedule: TemplateSchedule) => {
+    if (!confirm(`Delete schedule entry "${schedule.name}"?`)) return;
+    deleteSchedule.mutate(schedule.id);
+  };
+
+  return (
+    <Card className="mt-8">
+      <CardHeader>
+        <div className="flex justify-between items-start">
+          <div>
+            <CardTitle>Seasonal Schedule</CardTitle>
+            <CardDescription>
+              Use a template for a time window, e.g. a Halloween backdrop through October. A job gets the entry covering
+              the time it's processed, ahead of routing rules and the active template; a theme's default
+              template or an explicit template still comes first.
+            </CardDescription>
+          </div>
+          <Button onClick={() => openForm(null)}>
+            <Plus className="w-4 h-4 mr-2" />
+            Schedule Template
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {/* Create / Edit Form */}
+        {form && (
+          <div className="rounded-md border border-border p-4 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+              <div>
+                <label className="text-sm font-medium mb-2 block">Name</label>
+                <Input placeholder="e.g. Halloween 2026" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+              </div>
+              <div>
+                <label className="text-sm font-medium mb-2 block">Template</label>
+                <Select value={form.templateId} onChange={e => setForm({ ...form, templateId: e.target.value })}>
+                  <option value="">Select a template</option>
+                  {templatesData?.templates.map(template => (
+                    <option key={template.id} value={template.id}>
+                      {template.name}
+                    </option>
+                  ))}
+                </Select>
+              </div>
+              <div>
+                <label className="text-sm font-medium mb-2 block">Starts</label>
+                <Input
+                  type="datetime-local"
+                  value={form.startsAt}
+                  onChange={e => setForm({ ...form, startsAt: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="text-sm font-medium mb-2 block">Ends</label>
+                <Input
+                  type="datetime-local"
+                  value={form.endsAt}
+                  onChange={e => setForm({ ...form, endsAt: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="text-sm font-medium mb-2 block">Category</label>
+                <Input
+                  placeholder="Every job"
+                  value={form.category}
+                  onChange={e => setForm({ ...form, category: e.target.value })}
+                />
+                <p className="text-xs text-muted-foreground mt-1">e.g. Wine|Spirits</p>
+              </div>
+            </div>
+            {saveSchedule.isError && (
+              <p className="text-sm text-red-600">{saveSchedule.error.message}</p>
+            )}
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => setForm(null)}>
+                Cancel
+              </Button>
+              <Button
+                onClick={handleSave}
+                disabled={saveSchedule.isPending || !form.name.trim() || !form.templateId || !form.startsAt || !form.endsAt}
+              >
+                {saveSchedule.isPending ? 'Saving...' : 'Save Entry'}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {/* Month Navigation */}
+        <div className="flex items-center justify-between">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => setMonth(new Date(month.getFullYear(), month.getMonth() - 1, 1))}
+            title="Previous month"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </Button>
+          <p className="font-semibold">
+            {month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+          </p>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => setMonth(new Date(month.getFullYear(), month.getMonth() + 1, 1))}
+            title="Next month"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </Button>
+        </div>
+
+        {/* Calendar Grid */}
+        <div className="grid grid-cols-7 gap-1">
+          {WEEKDAYS.map(weekday => (
+            <div key={weekday} className="text-xs font-medium text-muted-foreground text-center py-1">
+              {weekday}
+            </div>
+          ))}
+          {Array.from({ length: month.getDay() }, (_, index) => (
+            <div key={`blank-${index}`} />
+          ))}
+          {days.map(day => (
+            <button
+              key={day.toISOString()}
+              onClick={() => setSelectedDay(day)}
+              className={`min-h-20 rounded-md border p-1 text-left align-top ${
+                isSameDay(day, selectedDay) ? 'border-blue-600 ring-1 ring-blue-600' : 'border-border'
+              } ${isSameDay(day, today) ? 'bg-blue-50' : ''}`}
+            >
+              <span className="text-xs font-medium">{day.getDate()}</span>
+              <div className="mt-1 space-y-0.5">
+                {entriesOn(day).map(schedule => (
+                  <div
+                    key={schedule.id}
+                    className={`truncate rounded px-1 text-[10px] ${ENTRY_COLORS[schedules.indexOf(schedule) % ENTRY_COLORS.length]}`}
+                    title={`${schedule.name} → ${schedule.template_name || schedule.template_id}${schedule.category ? ` (${schedule.category})` : ''}`}
+                  >
+                    {schedule.name}
+                  </div>
+                ))}
+              </div>
+            </button>
+          ))}
+        </div>
+
+        {/* Preview */}
+        <div className="rounded-md bg-muted/50 p-3 space-y-2">
+          <div className="flex gap-2 items-center">
+            <CalendarDays className="w-4 h-4 text-muted-foreground" />
+            <p className="text-sm font-medium">
+              {selectedDay.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}
+            </p>
+            <Input
+              placeholder="SKU (optional)"
+              value={previewSku}
+              onChange={e => setPreviewSku(e.target.value)}
+              className="max-w-xs ml-auto"
+            />
+          </div>
+          {preview.data && (
+            <p className="text-sm">
+              {preview.data.template
+                ? <>Jobs{preview.data.sku && ` for ${preview.data.sku}`} get <span className="font-medium">{preview.data.template.name}</span></>
+                : <>Jobs{preview.data.sku && ` for ${preview.data.sku}`} get no template</>}
+              {' '}
+              <span className="text-muted-foreground">
+                (
+                {preview.data.schedule
+                  ? `schedule "${preview.data.schedule.name}"`
+                  : preview.data.rule
+                    ? `routing rule "${preview.data.rule.name}"`
+                    : PREVIEW_SOURCE_LABELS[preview.data.source]}
+                )
+              </span>
+              {preview.data.sku && !preview.data.item && (
+                <span className="text-muted-foreground"> - not in the catalog, so category-scoped entries don't apply</span>
+              )}
+            </p>
+          )}
+          {preview.isError && (
+            <p className="text-sm text-red-600">{preview.error.message}</p>
+          )}
+        </div>
+
+        {/* Entries This Month */}
+        {isLoading ? (
+          <p className="text-muted-foreground text-center py-4">Loading schedule...</p>
+        ) : schedules.length > 0 ? (
+          <div className="space-y-2">
+            {schedules.map((schedule, index) => (
+              <div key={schedule.id} className="flex items-center justify-between gap-4 rounded-md border border-border p-2">
+                <div className="flex items-center gap-2 min-w-0">
+                  <span className={`w-3 h-3 rounded-full flex-shrink-0 ${ENTRY_COLORS[index % ENTRY_COLORS.length]}`} />
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium truncate">
+                      {schedule.name}
+                      <span className="font-normal text-muted-foreground"> → {schedule.template_name || schedule.template_id}</span>
+                      {schedule.template_status !== 'active' && (
+                        <Badge variant="destructive" className="ml-2 text-[10px]">{schedule.template_status || 'missing'}</Badge>
+                      )}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      {new Date(schedule.starts_at).toLocaleString()} - {new Date(schedule.ends_at).toLocaleString()}
+                      {schedule.category && ` · ${schedule.category} only`}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex flex-shrink-0">
+                  <Button variant="ghost" size="sm" onClick={() => openForm(schedule)} title="Edit">
+                    <Pencil className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDelete(schedule)}
+                    disabled={deleteSchedule.isPending}
+                    title="Delete"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-muted-foreground text-center py-4">Nothing scheduled this month</p>
+        )}
+
+        {deleteSchedule.isError && (
+          <p className="text-sm text-red-600">{deleteSchedule.error.message}</p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TemplateScheduleCalendar;
@@ -14,6 +14,8 @@ export default function TestUploadModal({ open, onClose, onSuccess }: Props) {
   const [preview, setPreview] = useState<string>('');
   const [selectedFile, setSelectedFile] = useState<File | null>(null);
   const [sku, setSku] = useState('TEST-SKU-' + Math.random().toString(36).substring(7).toUpperCase());
+  const [priority, setPriority] = useState('normal');
+  const [workflow, setWorkflow] = useState('');
   const [, setImageUrl] = useState('');
 
   const handleFileSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
@@ -87,7 +89,9 @@ export default function TestUploadModal({ open, onClose, onSuccess }: Props) {
       const payloadString = JSON.stringify(payload);
 
       // POST to webhook endpoint (no signature needed in dev mode)
-      const webhookResponse = await fetch('/api/webhooks/3jms/images', {
+      // Empty workflow = use the one saved in Settings
+      const query = new URLSearchParams({ priority, ...(workflow && { workflow }) });
+      const webhookResponse = await fetch(`/api/webhooks/3jms/images?${query}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -170,6 +174,61 @@ export default function TestUploadModal({ open, onClose, onSuccess }: Props) {
               </p>
             </div>
 
+            <div style={{ marginBottom: 16 }}>
+              <label style={{ display: 'block', marginBottom: 8, fontWeight: 500 }}>
+                Priority:
+              </label>
+              <select
+                value={priority}
+                onChange={(e) => setPriority(e.target.value)}
+                style={{
+                  width: '100%',
+                  padding: '8px 12px',
+                  border: '1px solid #d1d5db',
+                  borderRadius: 6,
+                  fontSize: 14,
+                  boxSizing: 'border-box',
+                  color: '#000',
+                  backgroundColor: '#fff',
+                }}
+              >
+                <option value="urgent">Urgent</option>
+                <option value="high">High</option>
+                <option value="normal">Normal</option>
+                <option value="low">Low</option>
+              </select>
+              <p style={{ fontSize: 12, color: '#6b7280', marginTop: 4 }}>
+                Higher priority jobs are processed before older, lower priority ones.
+              </p>
+            </div>
+
+            <div style={{ marginBottom: 16 }}>
+              <label style={{ display: 'block', marginBottom: 8, fontWeight: 500 }}>
+                Workflow:
+              </label>
+              <select
+                value={workflow}
+                onChange={(e) => setWorkflow(e.target.value)}
+                style={{
+                  width: '100%',
+                  padding: '8px 12px',
+                  border: '1px solid #d1d5db',
+                  borderRadius: 6,
+                  fontSize: 14,
+                  boxSizing: 'border-box',
+                  color: '#000',
+                  backgroundColor: '#fff',
+                }}
+              >
+                <option value="">Use Settings</option>
+                <option value="cutout_composite">Cutout + Composite</option>
+                <option value="seedream_edit">Seedream Edit</option>
+              </select>
+              <p style={{ fontSize: 12, color: '#6b7280', marginTop: 4 }}>
+                Overrides the workflow for this job only. Other pipeline settings are taken from Settings when the job is created.
+              </p>
+            </div>
+
             <div style={{ marginBottom: 16 }}>
               <label style={{ display: 'block', marginBottom: 8, fontWeight: 500 }}>
                 Select Product Image:
@@ -220,6 +279,12 @@ export default function TestUploadModal({ open, onClose, onSuccess }: Props) {
               <p style={{ fontSize: 12, color: '#6b7280' }}>
                 <strong>SKU:</strong> {sku}
               </p>
+              <p style={{ fontSize: 12, color: '#6b7280', marginTop: 4 }}>
+                <strong>Priority:</strong> {priority}
+              </p>
+              <p style={{ fontSize: 12, color: '#6b7280', marginTop: 4 }}>
+                <strong>Workflow:</strong> {workflow || 'From Settings'}
+              </p>
               <p style={{ fontSize: 12, color: '#6b7280', marginTop: 4 }}>
                 <strong>File:</strong> {selectedFile?.name}
               </p>
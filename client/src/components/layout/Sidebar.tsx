@@ -1,12 +1,14 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { cn } from '../../lib/utils';
-import { BarChart3, Briefcase, Settings, Activity, Image, Webhook, ShoppingCart, Sparkles } from 'lucide-react';
+import { BarChart3, Briefcase, Settings, Activity, Image, Webhook, ShoppingCart, Sparkles, Layers, Palette } from 'lucide-react';
 
 const LINKS = [
   { href: '/', label: 'Dashboard', icon: BarChart3 },
   { href: '/jobs', label: 'Jobs', icon: Briefcase },
+  { href: '/batches', label: 'Batches', icon: Layers },
   { href: '/templates', label: 'Templates', icon: Image },
+  { href: '/themes', label: 'Themes', icon: Palette },
   { href: '/enhance', label: 'Enhance', icon: Sparkles },
   { href: '/webhook', label: '3JMS Webhook', icon: Webhook },
   { href: '/shopify', label: 'Shopify', icon: ShoppingCart },
@@ -2,3 +2,6 @@ export * from './useJobs';
 export * from './useDashboardStats';
 export * from './useProcessorStatus';
 export * from './useHealth';
+export * from './useBatches';
+export * from './useTemplates';
+export * from './useThemes';
@@ -0,0 +1,58 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiClient, type BatchUploadOptions } from '../lib/api-client';
+
+const BATCHES_QUERY_KEY = ['batches'];
+
+/**
+ * Hook to list batches
+ */
+export function useBatches() {
+  return useQuery({
+    queryKey: BATCHES_QUERY_KEY,
+    queryFn: () => apiClient.batches.list(),
+    refetchInterval: 5000, // Progress and cost change as jobs run
+  });
+}
+
+/**
+ * Hook to get a batch with its entries
+ */
+export function useBatch(id: string | undefined) {
+  return useQuery({
+    queryKey: [...BATCHES_QUERY_KEY, id],
+    queryFn: () => apiClient.batches.get(id!),
+    enabled: !!id,
+    refetchInterval: 5000, // Keep in step with useBatches
+  });
+}
+
+/**
+ * Hook to submit image files as a batch
+ */
+export function useUploadBatch() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ files, options }: { files: File[]; options?: BatchUploadOptions }) =>
+      apiClient.batches.upload(files, options),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: BATCHES_QUERY_KEY });
+      queryClient.invalidateQueries({ queryKey: ['jobs'] });
+    },
+  });
+}
+
+/**
+ * Hook to retry every failed job in a batch
+ */
+export function useRetryFailedBatch() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => apiClient.batches.retryFailed(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: BATCHES_QUERY_KEY });
+      queryClient.invalidateQueries({ queryKey: ['jobs'] });
+    },
+  });
+}
@@ -1,5 +1,5 @@
 import { useQuery } from '@tanstack/react-query';
-import { apiClient } from '../lib/api-client';
+import { apiClient, type AnalyticsQuery } from '../lib/api-client';
 
 /**
  * Hook to fetch dashboard statistics
@@ -11,3 +11,14 @@ export function useDashboardStats() {
     refetchInterval: 30000, // Refresh every 30 seconds
   });
 }
+
+/**
+ * Hook to fetch throughput and cost analytics
+ */
+export function useAnalytics(query: AnalyticsQuery) {
+  return useQuery({
+    queryKey: ['stats', 'analytics', query],
+    queryFn: () => apiClient.stats.analytics(query),
+    refetchInterval: 60000, // Refresh every minute
+  });
+}
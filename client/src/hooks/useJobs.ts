@@ -1,28 +1,131 @@
+import { useEffect, useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { apiClient, type JobFilters } from '../lib/api-client';
+import {
+  apiClient,
+  type CloneJobOptions,
+  type Job,
+  type JobFilters,
+  type JobProgress,
+  type JobStreamFilters,
+  type JobStreamUpdate,
+} from '../lib/api-client';
 
 const JOBS_QUERY_KEY = ['jobs'];
 
+/**
+ * Hook to subscribe to live job updates (GET /api/jobs/stream)
+ * Patches and invalidates job queries as events arrive; callers poll only while `connected` is false
+ */
+export function useJobStream(filters?: JobStreamFilters & { enabled?: boolean }) {
+  const queryClient = useQueryClient();
+  const [connected, setConnected] = useState(false);
+  const [progress, setProgress] = useState<Record<string, JobProgress>>({});
+
+  const jobId = filters?.jobId;
+  const sku = filters?.sku;
+  const enabled = filters?.enabled ?? true;
+
+  useEffect(() => {
+    if (!enabled || typeof EventSource === 'undefined') {
+      return;
+    }
+
+    const source = new EventSource(apiClient.jobs.streamUrl({ jobId, sku }));
+
+    source.addEventListener('ready', () => setConnected(true));
+
+    // EventSource reconnects on its own; polling covers the gap meanwhile
+    source.onerror = () => setConnected(false);
+
+    source.addEventListener('job-event', (e) => {
+      const update: JobStreamUpdate = JSON.parse((e as MessageEvent).data);
+
+      // Apply status/cost immediately, then refetch the full job in the background
+      queryClient.setQueryData<{ job: Job }>([...JOBS_QUERY_KEY, update.jobId], (old) =>
+        old && {
+          job: {
+            ...old.job,
+            status: update.status ?? old.job.status,
+            cost_usd: update.costUsd ?? old.job.cost_usd,
+          },
+        }
+      );
+      queryClient.invalidateQueries({ queryKey: [...JOBS_QUERY_KEY, update.jobId], exact: true }, { cancelRefetch: false });
+      queryClient.invalidateQueries({ queryKey: [...JOBS_QUERY_KEY, update.jobId, 'events'], exact: true }, { cancelRefetch: false });
+
+      // Status transitions also change job lists, and end the current step's progress
+      if (update.event?.to_status) {
+        queryClient.invalidateQueries(
+          { queryKey: JOBS_QUERY_KEY, predicate: (query) => typeof query.queryKey[1] !== 'string' },
+          { cancelRefetch: false }
+        );
+        setProgress((current) => {
+          const next = { ...current };
+          delete next[update.jobId];
+          return next;
+        });
+      }
+    });
+
+    source.addEventListener('progress', (e) => {
+      const update: JobStreamUpdate = JSON.parse((e as MessageEvent).data);
+      if (update.progress) {
+        setProgress((current) => ({ ...current, [update.jobId]: update.progress! }));
+      }
+    });
+
+    return () => {
+      source.close();
+      setConnected(false);
+    };
+  }, [queryClient, jobId, sku, enabled]);
+
+  return { connected, progress };
+}
+
 /**
  * Hook to list all jobs with optional filters
+ * Live via useJobStream; falls back to polling while the stream is down
  */
 export function useJobs(filters?: JobFilters) {
-  return useQuery({
+  const stream = useJobStream({ sku: filters?.sku });
+
+  const query = useQuery({
     queryKey: [...JOBS_QUERY_KEY, filters],
     queryFn: () => apiClient.jobs.list(filters),
-    refetchInterval: 10000, // Auto-refresh every 10 seconds
+    refetchInterval: stream.connected ? false : 10000, // Auto-refresh every 10 seconds without the stream
   });
+
+  return { ...query, stream };
 }
 
 /**
  * Hook to get a single job by ID
+ * Live via useJobStream; falls back to polling while the stream is down
  */
 export function useJob(id: string | undefined) {
-  return useQuery({
+  const stream = useJobStream({ jobId: id, enabled: !!id });
+
+  const query = useQuery({
     queryKey: [...JOBS_QUERY_KEY, id],
     queryFn: () => apiClient.jobs.get(id!),
     enabled: !!id,
-    refetchInterval: 5000, // Auto-refresh every 5 seconds for single job
+    refetchInterval: stream.connected ? false : 5000, // Auto-refresh every 5 seconds without the stream
+  });
+
+  return { ...query, stream };
+}
+
+/**
+ * Hook to get the event timeline for a job
+ * Pass live=true when a job stream is connected (it invalidates this query on new events)
+ */
+export function useJobEvents(id: string | undefined, live = false) {
+  return useQuery({
+    queryKey: [...JOBS_QUERY_KEY, id, 'events'],
+    queryFn: () => apiClient.jobs.getEvents(id!),
+    enabled: !!id,
+    refetchInterval: live ? false : 5000, // Keep in step with useJob
   });
 }
 
@@ -40,6 +143,60 @@ export function useRetryJob() {
   });
 }
 
+/**
+ * Hook to fetch dead-lettered jobs (automatic retries exhausted)
+ */
+export function useDeadLetterJobs() {
+  return useQuery({
+    queryKey: [...JOBS_QUERY_KEY, 'dead-letter'],
+    queryFn: () => apiClient.jobs.deadLetter(),
+    refetchInterval: 30000, // Refresh every 30 seconds
+  });
+}
+
+/**
+ * Hook to requeue dead-lettered jobs
+ */
+export function useRequeueDeadLetter() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (jobIds?: string[]) => apiClient.jobs.requeueDeadLetter(jobIds),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: JOBS_QUERY_KEY });
+    },
+  });
+}
+
+/**
+ * Hook to cancel a job
+ */
+export function useCancelJob() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => apiClient.jobs.cancel(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: JOBS_QUERY_KEY });
+    },
+  });
+}
+
+/**
+ * Hook to clone a job with another theme or template
+ */
+export function useCloneJob() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, options }: { id: string; options?: CloneJobOptions }) =>
+      apiClient.jobs.clone(id, options),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: JOBS_QUERY_KEY });
+    },
+  });
+}
+
 /**
  * Hook to fail a job manually
  */
@@ -2,6 +2,7 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { apiClient } from '../lib/api-client';
 
 const PROCESSOR_QUERY_KEY = ['processor', 'status'];
+const STUCK_JOBS_QUERY_KEY = ['processor', 'stuck'];
 
 /**
  * Hook to fetch processor status
@@ -41,3 +42,29 @@ export function useStopProcessor() {
     },
   });
 }
+
+/**
+ * Hook to fetch jobs stuck past their status budget
+ */
+export function useStuckJobs() {
+  return useQuery({
+    queryKey: STUCK_JOBS_QUERY_KEY,
+    queryFn: () => apiClient.processor.stuck(),
+    refetchInterval: 30000, // Refresh every 30 seconds
+  });
+}
+
+/**
+ * Hook to resume or fail stuck jobs
+ */
+export function useRecoverStuckJobs() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (jobIds?: string[]) => apiClient.processor.recoverStuck(jobIds),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: STUCK_JOBS_QUERY_KEY });
+      queryClient.invalidateQueries({ queryKey: ['jobs'] });
+    },
+  });
+}
@@ -0,0 +1,143 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiClient, type BackgroundTemplate, type TemplateRuleInput, type TemplateScheduleInput } from '../lib/api-client';
+
+const TEMPLATES_QUERY_KEY = ['templates'];
+const TEMPLATE_RULES_QUERY_KEY = ['template-rules'];
+const TEMPLATE_SCHEDULES_QUERY_KEY = ['template-schedules'];
+
+/**
+ * Hook to list background templates (active only by default)
+ */
+export function useBackgroundTemplates(status: BackgroundTemplate['status'] | 'all' = 'active') {
+  return useQuery({
+    queryKey: [...TEMPLATES_QUERY_KEY, status],
+    queryFn: () => apiClient.templates.list(status),
+    staleTime: 60 * 1000, // Templates change rarely
+  });
+}
+
+/**
+ * Hook to list template routing rules in evaluation order
+ */
+export function useTemplateRules() {
+  return useQuery({
+    queryKey: TEMPLATE_RULES_QUERY_KEY,
+    queryFn: () => apiClient.templateRules.list(),
+  });
+}
+
+/**
+ * Hook to create a template routing rule, or update one when an ID is given
+ */
+export function useSaveTemplateRule() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, rule }: { id?: string; rule: TemplateRuleInput }) =>
+      id ? apiClient.templateRules.update(id, rule) : apiClient.templateRules.create(rule),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: TEMPLATE_RULES_QUERY_KEY });
+    },
+  });
+}
+
+/**
+ * Hook to enable or disable a template routing rule
+ */
+export function useToggleTemplateRule() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, enabled }: { id: string; enabled: boolean }) =>
+      apiClient.templateRules.update(id, { enabled }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: TEMPLATE_RULES_QUERY_KEY });
+    },
+  });
+}
+
+/**
+ * Hook to set the evaluation order of template routing rules
+ */
+export function useReorderTemplateRules() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (ids: string[]) => apiClient.templateRules.reorder(ids),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: TEMPLATE_RULES_QUERY_KEY });
+    },
+  });
+}
+
+/**
+ * Hook to delete a template routing rule
+ */
+export function useDeleteTemplateRule() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => apiClient.templateRules.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: TEMPLATE_RULES_QUERY_KEY });
+    },
+  });
+}
+
+/**
+ * Hook to find the rule a SKU would be routed by
+ */
+export function useMatchTemplateRule() {
+  return useMutation({
+    mutationFn: (sku: string) => apiClient.templateRules.match(sku),
+  });
+}
+
+/**
+ * Hook to list seasonal template schedule entries overlapping a range
+ */
+export function useTemplateSchedules(range: { from: string; to: string }) {
+  return useQuery({
+    queryKey: [...TEMPLATE_SCHEDULES_QUERY_KEY, range],
+    queryFn: () => apiClient.templateSchedules.list(range),
+  });
+}
+
+/**
+ * Hook to schedule a template, or update an entry when an ID is given
+ */
+export function useSaveTemplateSchedule() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, schedule }: { id?: string; schedule: TemplateScheduleInput }) =>
+      id ? apiClient.templateSchedules.update(id, schedule) : apiClient.templateSchedules.create(schedule),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: TEMPLATE_SCHEDULES_QUERY_KEY });
+    },
+  });
+}
+
+/**
+ * Hook to delete a schedule entry
+ */
+export function useDeleteTemplateSchedule() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => apiClient.templateSchedules.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: TEMPLATE_SCHEDULES_QUERY_KEY });
+    },
+  });
+}
+
+/**
+ * Hook to preview which template a job would get at a date
+ */
+export function useTemplateSchedulePreview(params: { date: string; sku?: string; theme?: string }) {
+  return useQuery({
+    queryKey: [...TEMPLATE_SCHEDULES_QUERY_KEY, 'preview', params],
+    queryFn: () => apiClient.templateSchedules.preview(params),
+  });
+}
@@ -0,0 +1,53 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiClient, type ThemeInput } from '../lib/api-client';
+
+const THEMES_QUERY_KEY = ['themes'];
+
+/**
+ * Hook to list themes (only those usable for new jobs when activeOnly is set)
+ */
+export function useThemes(activeOnly = false) {
+  return useQuery({
+    queryKey: [...THEMES_QUERY_KEY, activeOnly],
+    queryFn: () => apiClient.themes.list(activeOnly),
+    staleTime: 60 * 1000, // Themes change rarely
+  });
+}
+
+/**
+ * Hook to create or update a theme
+ */
+export function useSaveTheme() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ key, theme, isNew }: { key: string; theme: ThemeInput; isNew: boolean }) =>
+      isNew ? apiClient.themes.create({ key, ...theme }) : apiClient.themes.update(key, theme),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: THEMES_QUERY_KEY });
+    },
+  });
+}
+
+/**
+ * Hook to render a prompt template for a SKU's catalog item
+ */
+export function usePromptPreview() {
+  return useMutation({
+    mutationFn: (params: { sku: string; prompt?: string; theme?: string }) => apiClient.prompts.preview(params),
+  });
+}
+
+/**
+ * Hook to delete a theme
+ */
+export function useDeleteTheme() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (key: string) => apiClient.themes.delete(key),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: THEMES_QUERY_KEY });
+    },
+  });
+}
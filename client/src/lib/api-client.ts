@@ -25,12 +25,22 @@ async function request<T>(
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
-    throw new Error(error.message || `HTTP ${response.status}`);
+    throw new Error(error.message || formatErrorResponse(error, response.status));
   }
 
   return response.json();
 }
 
+/**
+ * Error message from an API error body ({ error, details }), with validation details
+ */
+function formatErrorResponse(data: { error?: string; details?: unknown }, status: number) {
+  const details = Array.isArray(data.details)
+    ? `: ${data.details.map((d: { field: string; message: string }) => `${d.field} ${d.message}`).join(', ')}`
+    : '';
+  return `${data.error || `HTTP ${status}`}${details}`;
+}
+
 /**
  * Type definitions
  */
@@ -46,7 +56,8 @@ export type JobStatus =
   | 'BG_GENERATING'
   | 'COMPOSITING'
   | 'DONE'
-  | 'FAILED';
+  | 'FAILED'
+  | 'CANCELLED';
 
 export interface Job {
   id: string;
@@ -60,6 +71,9 @@ export interface Job {
   completed_at: string | null;
   cost_usd: number;
   attempt: number;
+  auto_retries: number; // Automatic retries used, checked against JOB_MAX_RETRIES
+  priority: number; // Higher runs first (urgent 20, high 10, normal 0, low -10)
+  not_before: string | null; // Not processed before this time
   error_code: string | null;
   error_message: string | null;
   s3_original_key: string | null;
@@ -77,14 +91,241 @@ export interface Job {
   derivatives_ms: number | null;
   manifest_ms: number | null;
   workflow_type?: string; // 'cutout_composite' or 'seedream_edit'
+  pipeline_config?: PipelineConfig | null; // Parsed by GET /jobs/:id; null until captured for older jobs
+  resolved_prompt: string | null; // Background prompt rendered for the item; null until generated or for template jobs
+  template_rule_id: string | null; // Template routing rule that picked the job's template
+  parent_job_id: string | null; // Clones only: the job whose cutout this one reuses
+  clones?: JobCloneSummary[]; // Returned by GET /jobs/:id
   provider_metadata?: Record<string, any> | null;
   metadata?: Record<string, any> | null;
 }
 
+export interface SharpSettings {
+  bottleHeightPercent: number;
+  quality: number;
+  format: 'jpeg' | 'png' | 'webp';
+  gravity: 'center' | 'north' | 'south' | 'east' | 'west';
+  sharpen: number;
+  gamma: number;
+}
+
+// Pipeline settings snapshot taken when the job was created
+// Providers a pipeline step ran through (provider_metadata[step])
+export interface StepProviderMetadata {
+  capability: string;
+  chain: string[]; // Failover chain, in the order providers are tried
+  providers: string[]; // Providers that served the step's calls
+  failovers: { provider: string; error: string; next: string | null }[];
+}
+
+export interface PipelineConfig {
+  workflow: 'cutout_composite' | 'seedream_edit';
+  compositor: 'freepik' | 'nanobanana' | 'none';
+  sharpWorkflow: boolean;
+  sharpSettings: SharpSettings;
+  templateId: string | null;
+  templateSource?: 'override' | 'theme' | 'schedule' | 'rule' | 'settings'; // What picked the template ('settings' until resolved when processed)
+  templateSchedule?: { id: string; name: string } | null; // Seasonal schedule entry that picked the template
+  templateRule?: { id: string; name: string } | null; // Routing rule that picked the template
+  templateVariants?: number[] | null; // Rule's variant subset (null = the template's selected variants)
+  backgroundPrompt: string | null;
+  providerFallbacks?: Record<string, string[]>; // Fallback providers by capability (primary excluded)
+  bypassCache?: boolean; // Skip the provider result cache (per job only)
+  overrides: string[]; // Fields set per job instead of taken from Settings
+  capturedAt: string;
+}
+
+// Clone of a job, as listed on its source job
+export interface JobCloneSummary {
+  id: string;
+  theme: string;
+  status: JobStatus;
+  cost_usd: number;
+  created_at: string;
+}
+
+// Per-job pipeline overrides; templateId 'none' runs without a template
+export type PipelineOverrides = Partial<Omit<PipelineConfig, 'overrides' | 'capturedAt' | 'templateId' | 'templateSource' | 'templateSchedule' | 'templateRule' | 'templateVariants' | 'sharpSettings'>> & {
+  templateId?: string | null;
+  sharpSettings?: Partial<SharpSettings>;
+};
+
+// Anything left out is kept from the source job
+export interface CloneJobOptions {
+  theme?: string;
+  priority?: 'low' | 'normal' | 'high' | 'urgent' | number;
+  pipeline?: PipelineOverrides;
+}
+
+export interface BackgroundTemplate {
+  id: string;
+  name: string;
+  theme: string | null;
+  prompt: string;
+  status: 'active' | 'generating' | 'archived';
+  variant_count: number;
+  created_at: string;
+  updated_at: string;
+}
+
+// Template routing rule; conditions are null for any, 'A|B' matches either
+export interface TemplateRule {
+  id: string;
+  name: string;
+  position: number; // Evaluation order, lowest first
+  enabled: boolean;
+  category: string | null;
+  subcategory: string | null;
+  brand: string | null;
+  size: string | null;
+  sku_pattern: string | null; // Glob (* and ?)
+  template_id: string;
+  template_name?: string | null; // Returned by GET /template-rules
+  template_status?: BackgroundTemplate['status'] | null;
+  variants: number[] | null; // null = the template's selected variants
+  created_at: string;
+  updated_at: string;
+}
+
+export interface TemplateRuleInput {
+  name: string;
+  enabled?: boolean;
+  category?: string | null;
+  subcategory?: string | null;
+  brand?: string | null;
+  size?: string | null;
+  skuPattern?: string | null;
+  templateId: string;
+  variants?: number[] | null;
+}
+
+export interface TemplateRuleMatch {
+  sku: string;
+  item: Record<string, unknown> | null; // Catalog item, null if the SKU isn't in the catalog
+  rule: TemplateRule | null; // null: the job would use the theme or Settings template
+}
+
+// Seasonal template schedule entry; window is [starts_at, ends_at)
+export interface TemplateSchedule {
+  id: string;
+  name: string;
+  template_id: string;
+  template_name?: string | null; // Returned by GET /template-schedules
+  template_status?: BackgroundTemplate['status'] | null;
+  starts_at: string;
+  ends_at: string;
+  category: string | null; // items.category scope ('A|B' matches either), null = every job
+  created_at: string;
+  updated_at: string;
+}
+
+export interface TemplateScheduleInput {
+  name: string;
+  templateId: string;
+  startsAt: string; // ISO 8601
+  endsAt: string; // ISO 8601, exclusive
+  category?: string | null;
+}
+
+// Template a job would get at a date (see GET /template-schedules/preview)
+export interface TemplateSchedulePreview {
+  date: string;
+  sku: string | null;
+  item: Record<string, unknown> | null;
+  theme: string | null;
+  source: 'theme' | 'schedule' | 'rule' | 'settings';
+  template: Pick<BackgroundTemplate, 'id' | 'name' | 'status'> | null;
+  schedule: { id: string; name: string } | null;
+  rule: { id: string; name: string } | null;
+  variants: number[] | null;
+}
+
+// Theme prompt library entry (value of jobs.theme)
+export interface Theme {
+  key: string;
+  name: string;
+  background_prompt: string;
+  composite_prompt: string | null; // null uses the default theme's
+  negative_prompt: string | null;
+  default_template_id: string | null;
+  active_from: string | null;
+  active_until: string | null;
+  active: boolean; // Within its active window now
+  created_at: string;
+  updated_at: string;
+}
+
+export interface ThemeInput {
+  name: string;
+  backgroundPrompt: string;
+  compositePrompt?: string | null;
+  negativePrompt?: string | null;
+  defaultTemplateId?: string | null;
+  activeFrom?: string | null; // ISO 8601
+  activeUntil?: string | null; // ISO 8601
+}
+
+export interface PromptPreview {
+  sku: string;
+  source: 'custom' | 'theme';
+  theme: string | null; // Theme whose background prompt was rendered (source 'theme')
+  template: string;
+  prompt: string; // Rendered for the SKU's catalog item
+  variables: Record<string, string | null> | null; // null when the SKU isn't in the catalog
+  errors: string[]; // Unknown placeholders, unclosed sections
+  availableVariables: string[];
+}
+
+export type JobEventType = 'status_change' | 'step' | 'provider_call' | 'cost' | 'error' | 'lease' | 'watchdog' | 'failover';
+
+export interface JobEvent {
+  id: number;
+  job_id: string;
+  type: JobEventType;
+  from_status: JobStatus | null;
+  to_status: JobStatus | null;
+  step: string | null;
+  provider: string | null;
+  cost_usd: number | null;
+  duration_ms: number | null;
+  message: string | null;
+  error_code: string | null;
+  actor: string; // 'processor' | 'webhook' | 'api' | 'system'
+  metadata: Record<string, unknown> | null;
+  created_at: string;
+}
+
+export interface JobProgress {
+  step: string;
+  current: number;
+  total: number;
+  message: string | null;
+}
+
+/**
+ * Message pushed by GET /api/jobs/stream (Server-Sent Events)
+ */
+export interface JobStreamUpdate {
+  type: 'job-event' | 'progress';
+  jobId: string;
+  sku: string | null;
+  status: JobStatus | null;
+  costUsd: number | null;
+  timestamp: string;
+  event?: JobEvent;
+  progress?: JobProgress;
+}
+
+export interface JobStreamFilters {
+  jobId?: string;
+  sku?: string;
+}
+
 export interface JobFilters {
   status?: JobStatus | JobStatus[];
   sku?: string;
   theme?: string;
+  parentJobId?: string;
   startDate?: string;
   endDate?: string;
   minCost?: number;
@@ -108,6 +349,57 @@ export interface DashboardStats {
   };
 }
 
+export type AnalyticsBucket = 'day' | 'week';
+
+export interface AnalyticsQuery {
+  from?: string; // ISO 8601 (default: 30 days before `to`)
+  to?: string;   // ISO 8601 (default: now)
+  bucket?: AnalyticsBucket;
+}
+
+export interface AnalyticsSeriesPoint {
+  bucket: string; // YYYY-MM-DD (UTC day, or Monday of the week)
+  created: number;
+  completed: number;
+  failed: number;
+  costUsd: number;
+  costByProvider: Record<string, number>;
+  cacheHits: number; // Provider calls served from the result cache
+}
+
+export type StepTimingColumn =
+  | 'download_ms'
+  | 'segmentation_ms'
+  | 'backgrounds_ms'
+  | 'compositing_ms'
+  | 'derivatives_ms'
+  | 'manifest_ms';
+
+export interface Analytics {
+  range: { from: string; to: string; bucket: AnalyticsBucket };
+  series: AnalyticsSeriesPoint[];
+  cost: {
+    totalUsd: number; // Provider call ledger spend
+    byProvider: { provider: string; costUsd: number; calls: number; failures: number; cacheHits: number }[];
+    byWorkflow: { workflow: string | null; costUsd: number; jobs: number }[];
+    byTheme: { theme: string; costUsd: number; jobs: number }[];
+    byTemplate: {
+      templateId: string;
+      name: string | null;
+      jobs: number;
+      jobCostUsd: number;
+      generationCostUsd: number;
+      costUsd: number;
+    }[];
+  };
+  cache: {
+    hits: number;
+    savedUsd: number; // Cost of the calls that filled the hit entries
+    byOperation: { provider: string; operation: string; hits: number; savedUsd: number }[];
+  };
+  stepTimings: Record<StepTimingColumn, { count: number; p50: number | null; p95: number | null }>;
+}
+
 export interface ProcessorStatus {
   isRunning: boolean;
   version: string;
@@ -115,8 +407,146 @@ export interface ProcessorStatus {
     pollInterval: number;
     concurrency: number;
     maxRetries: number;
+    retryDelay: number;
+    autoRetry: boolean;
+    workerId: string;
+    leaseMs: number;
+    heartbeatInterval: number;
   };
   currentJobs?: string[];
+  budgetPause?: string | null; // Why new jobs are held back (spend budget reached)
+  governors?: Record<string, ProviderGovernorState>; // By provider name (freepik, nanobanana, shopify)
+}
+
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+// Rate limiter and circuit breaker for one provider's API calls
+export interface ProviderGovernorState {
+  maxConcurrent: number;
+  requestsPerSecond: number;
+  active: number;
+  queued: number;
+  pausedUntil: string | null; // Set after a 429
+  circuit: {
+    state: CircuitState;
+    consecutiveFailures: number;
+    failureThreshold: number;
+    openedAt: string | null;
+    retryAt: string | null;
+    lastError: string | null;
+  };
+  totals: {
+    requests: number;
+    failures: number;
+    rejected: number;
+    rateLimited: number;
+  };
+}
+
+export type StuckJobAction = 'resume' | 'fail' | 'flag';
+
+export interface StuckJob {
+  jobId: string;
+  sku: string;
+  theme: string;
+  status: JobStatus;
+  attempt: number;
+  leaseOwner: string | null;
+  lastActivityAt: string;
+  idleSeconds: number;
+  budgetSeconds: number;
+  action: StuckJobAction;
+  reason: string;
+}
+
+export interface StuckJobsReport {
+  jobs: StuckJob[];
+  count: number;
+  config: {
+    budgetMultiplier: number;
+    hardTimeoutMs: number;
+  };
+  checkedAt: string;
+}
+
+export interface StuckJobRecoveryResult {
+  jobId: string;
+  action: StuckJobAction;
+  success: boolean;
+  error?: string;
+}
+
+// FAILED jobs whose automatic retries were exhausted (error_code MAX_RETRIES_EXCEEDED)
+export interface DeadLetterJobsResponse {
+  jobs: Job[];
+  total: number;
+  config: {
+    maxRetries: number;
+    retryDelay: number;
+    autoRetry: boolean;
+  };
+}
+
+export interface DeadLetterRequeueResponse {
+  success: boolean;
+  requeued: number;
+  skipped: number;
+  results: Array<{ jobId: string; success: boolean; resumeFrom?: JobStatus; error?: string }>;
+}
+
+export type BatchStatus = 'queued' | 'processing' | 'completed' | 'partial' | 'failed';
+
+// Derived from the batch's jobs on every request
+export interface JobBatch {
+  id: string;
+  name: string | null;
+  source: 'api' | 'upload';
+  actor: string;
+  created_at: string;
+  updated_at: string;
+  status: BatchStatus;
+  progress: {
+    total: number;
+    done: number;
+    failed: number;
+    cancelled: number;
+    active: number;
+    percent: number;
+  };
+  duplicates: number; // Entries matched to jobs that already existed
+  rejected: number; // Entries that didn't get a job (image limit, failed upload)
+  cost_usd: number;
+}
+
+export interface JobBatchItem {
+  sku: string;
+  result: 'created' | 'duplicate' | 'rejected';
+  error: string | null;
+  filename: string | null;
+  job: Pick<Job, 'id' | 'sku' | 'status' | 'theme' | 'priority' | 'cost_usd' | 'attempt' | 'error_code' | 'error_message' | 'created_at' | 'updated_at' | 'completed_at'> | null;
+}
+
+export interface BatchEntryResult {
+  sku: string;
+  jobId?: string;
+  status: 'created' | 'duplicate' | 'rejected';
+  error?: string;
+  filename?: string;
+}
+
+export interface CreateBatchResponse {
+  batch: JobBatch;
+  created: number;
+  duplicates: number;
+  rejected: number;
+  jobs: BatchEntryResult[];
+}
+
+export interface BatchUploadOptions {
+  name?: string;
+  priority?: string;
+  workflow?: string;
+  skus?: string[]; // One per file; defaults to the filenames
 }
 
 export interface HealthStatus {
@@ -146,6 +576,7 @@ export const jobsApi = {
     }
     if (filters?.sku) params.append('sku', filters.sku);
     if (filters?.theme) params.append('theme', filters.theme);
+    if (filters?.parentJobId) params.append('parentJobId', filters.parentJobId);
     if (filters?.startDate) params.append('startDate', filters.startDate);
     if (filters?.endDate) params.append('endDate', filters.endDate);
     if (filters?.minCost !== undefined) params.append('minCost', filters.minCost.toString());
@@ -166,6 +597,25 @@ export const jobsApi = {
     return request<{ job: Job }>(`/api/jobs/${id}`);
   },
 
+  /**
+   * Get the event timeline for a job
+   */
+  getEvents: async (id: string) => {
+    return request<{ jobId: string; events: JobEvent[]; count: number }>(`/api/jobs/${id}/events`);
+  },
+
+  /**
+   * Build the live update stream URL (Server-Sent Events), optionally filtered by job or SKU
+   */
+  streamUrl: (filters?: JobStreamFilters) => {
+    const params = new URLSearchParams();
+    if (filters?.jobId) params.append('jobId', filters.jobId);
+    if (filters?.sku) params.append('sku', filters.sku);
+
+    const queryString = params.toString();
+    return `${API_BASE}/api/jobs/stream${queryString ? `?${queryString}` : ''}`;
+  },
+
   /**
    * Retry a failed job
    */
@@ -175,6 +625,43 @@ export const jobsApi = {
     });
   },
 
+  /**
+   * List dead-lettered jobs (automatic retries exhausted)
+   */
+  deadLetter: async () => {
+    return request<DeadLetterJobsResponse>('/api/jobs/dead-letter');
+  },
+
+  /**
+   * Give dead-lettered jobs one more attempt (all of them when jobIds is omitted)
+   */
+  requeueDeadLetter: async (jobIds?: string[]) => {
+    return request<DeadLetterRequeueResponse>('/api/jobs/dead-letter/requeue', {
+      method: 'POST',
+      body: JSON.stringify({ jobIds }),
+    });
+  },
+
+  /**
+   * Cancel a job, aborting its in-flight provider calls
+   */
+  cancel: async (id: string, reason?: string) => {
+    return request<{ success: boolean; job: Job; aborted: boolean }>(`/api/jobs/${id}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  /**
+   * Clone a job to try another theme or template, reusing its cutout
+   */
+  clone: async (id: string, options: CloneJobOptions = {}) => {
+    return request<{ success: boolean; job: Job; parentJobId: string }>(`/api/jobs/${id}/clone`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  },
+
   /**
    * Fail a job manually
    */
@@ -203,6 +690,18 @@ export const statsApi = {
   dashboard: async () => {
     return request<DashboardStats>('/api/jobs/stats');
   },
+
+  /**
+   * Get time-bucketed throughput and cost analytics
+   */
+  analytics: async (query: AnalyticsQuery = {}) => {
+    const params = new URLSearchParams();
+    if (query.from) params.append('from', query.from);
+    if (query.to) params.append('to', query.to);
+    if (query.bucket) params.append('bucket', query.bucket);
+
+    return request<Analytics>(`/api/analytics?${params}`);
+  },
 };
 
 /**
@@ -233,6 +732,266 @@ export const processorApi = {
       method: 'POST',
     });
   },
+
+  /**
+   * Get jobs stuck past their status budget
+   */
+  stuck: async () => {
+    return request<StuckJobsReport>('/api/processor/stuck');
+  },
+
+  /**
+   * Resume or fail stuck jobs (all of them when jobIds is omitted)
+   */
+  recoverStuck: async (jobIds?: string[]) => {
+    return request<{ success: boolean; results: StuckJobRecoveryResult[] }>('/api/processor/stuck/recover', {
+      method: 'POST',
+      body: JSON.stringify({ jobIds }),
+    });
+  },
+};
+
+/**
+ * Background Templates API
+ */
+export const templatesApi = {
+  /**
+   * List background templates (active only by default)
+   */
+  list: async (status: BackgroundTemplate['status'] | 'all' = 'active') => {
+    return request<{ success: boolean; templates: BackgroundTemplate[]; count: number }>(`/api/templates?status=${status}`);
+  },
+};
+
+/**
+ * Template Routing Rules API
+ */
+export const templateRulesApi = {
+  /**
+   * List rules in evaluation order
+   */
+  list: async () => {
+    return request<{ rules: TemplateRule[] }>('/api/template-rules');
+  },
+
+  /**
+   * Create a rule (evaluated after the existing ones)
+   */
+  create: async (rule: TemplateRuleInput) => {
+    return request<{ success: boolean; rule: TemplateRule }>('/api/template-rules', {
+      method: 'POST',
+      body: JSON.stringify(rule),
+    });
+  },
+
+  /**
+   * Update a rule (fields left out are kept)
+   */
+  update: async (id: string, rule: Partial<TemplateRuleInput>) => {
+    return request<{ success: boolean; rule: TemplateRule }>(`/api/template-rules/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(rule),
+    });
+  },
+
+  /**
+   * Set the evaluation order (every rule ID once, first rule first)
+   */
+  reorder: async (ids: string[]) => {
+    return request<{ success: boolean; rules: TemplateRule[] }>('/api/template-rules/order', {
+      method: 'PUT',
+      body: JSON.stringify({ ids }),
+    });
+  },
+
+  /**
+   * Delete a rule
+   */
+  delete: async (id: string) => {
+    return request<{ success: boolean }>(`/api/template-rules/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Find the rule a SKU would be routed by
+   */
+  match: async (sku: string) => {
+    return request<TemplateRuleMatch>('/api/template-rules/match', {
+      method: 'POST',
+      body: JSON.stringify({ sku }),
+    });
+  },
+};
+
+/**
+ * Template Schedule API
+ */
+export const templateSchedulesApi = {
+  /**
+   * List schedule entries, optionally only those overlapping a range
+   */
+  list: async (range?: { from?: string; to?: string }) => {
+    const params = new URLSearchParams();
+    if (range?.from) params.append('from', range.from);
+    if (range?.to) params.append('to', range.to);
+
+    const query = params.toString();
+    return request<{ schedules: TemplateSchedule[] }>(`/api/template-schedules${query ? `?${query}` : ''}`);
+  },
+
+  /**
+   * Schedule a template
+   */
+  create: async (schedule: TemplateScheduleInput) => {
+    return request<{ success: boolean; schedule: TemplateSchedule }>('/api/template-schedules', {
+      method: 'POST',
+      body: JSON.stringify(schedule),
+    });
+  },
+
+  /**
+   * Update a schedule entry (fields left out are kept)
+   */
+  update: async (id: string, schedule: Partial<TemplateScheduleInput>) => {
+    return request<{ success: boolean; schedule: TemplateSchedule }>(`/api/template-schedules/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(schedule),
+    });
+  },
+
+  /**
+   * Delete a schedule entry
+   */
+  delete: async (id: string) => {
+    return request<{ success: boolean }>(`/api/template-schedules/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Which template a job would get at a date (optionally for a SKU and theme)
+   */
+  preview: async (params: { date: string; sku?: string; theme?: string }) => {
+    const query = new URLSearchParams({ date: params.date });
+    if (params.sku) query.append('sku', params.sku);
+    if (params.theme) query.append('theme', params.theme);
+
+    return request<TemplateSchedulePreview>(`/api/template-schedules/preview?${query}`);
+  },
+};
+
+/**
+ * Prompts API
+ */
+export const promptsApi = {
+  /**
+   * Render a prompt template (or a theme's background prompt) for a SKU
+   */
+  preview: async (params: { sku: string; prompt?: string; theme?: string }) => {
+    return request<PromptPreview>('/api/prompts/preview', {
+      method: 'POST',
+      body: JSON.stringify(params),
+    });
+  },
+};
+
+/**
+ * Themes API
+ */
+export const themesApi = {
+  /**
+   * List themes (only those usable for new jobs now when activeOnly is set)
+   */
+  list: async (activeOnly = false) => {
+    return request<{ themes: Theme[]; defaultTheme: string }>(`/api/themes${activeOnly ? '?active=true' : ''}`);
+  },
+
+  /**
+   * Create a theme
+   */
+  create: async (theme: ThemeInput & { key: string }) => {
+    return request<{ success: boolean; theme: Theme }>('/api/themes', {
+      method: 'POST',
+      body: JSON.stringify(theme),
+    });
+  },
+
+  /**
+   * Update a theme (fields left out are kept)
+   */
+  update: async (key: string, theme: Partial<ThemeInput>) => {
+    return request<{ success: boolean; theme: Theme }>(`/api/themes/${key}`, {
+      method: 'PUT',
+      body: JSON.stringify(theme),
+    });
+  },
+
+  /**
+   * Delete a theme
+   */
+  delete: async (key: string) => {
+    return request<{ success: boolean }>(`/api/themes/${key}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Batches API
+ */
+export const batchesApi = {
+  /**
+   * List batches with status, progress and cost
+   */
+  list: async (params?: { limit?: number; offset?: number }) => {
+    const query = new URLSearchParams();
+    if (params?.limit) query.append('limit', params.limit.toString());
+    if (params?.offset) query.append('offset', params.offset.toString());
+
+    const queryString = query.toString();
+    return request<{ batches: JobBatch[]; total: number }>(`/api/batches${queryString ? `?${queryString}` : ''}`);
+  },
+
+  /**
+   * Get a batch with its entries and jobs
+   */
+  get: async (id: string) => {
+    return request<{ batch: JobBatch; items: JobBatchItem[] }>(`/api/batches/${id}`);
+  },
+
+  /**
+   * Submit image files as a batch (multipart, so it bypasses the JSON request wrapper)
+   */
+  upload: async (files: File[], options: BatchUploadOptions = {}) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    if (options.name) formData.append('name', options.name);
+    if (options.priority) formData.append('priority', options.priority);
+    if (options.workflow) formData.append('workflow', options.workflow);
+    if (options.skus?.length) formData.append('skus', options.skus.join(','));
+
+    const response = await fetch(`${API_BASE}/api/batches`, {
+      method: 'POST',
+      body: formData,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(formatErrorResponse(data, response.status));
+    }
+
+    return data as CreateBatchResponse;
+  },
+
+  /**
+   * Retry every failed job in a batch
+   */
+  retryFailed: async (id: string) => {
+    return request<{ success: boolean; retried: number; skipped: number; batch: JobBatch }>(`/api/batches/${id}/retry-failed`, {
+      method: 'POST',
+    });
+  },
 };
 
 /**
@@ -254,6 +1013,12 @@ export const apiClient = {
   jobs: jobsApi,
   stats: statsApi,
   processor: processorApi,
+  batches: batchesApi,
+  templates: templatesApi,
+  templateRules: templateRulesApi,
+  templateSchedules: templateSchedulesApi,
+  themes: themesApi,
+  prompts: promptsApi,
   health: healthApi,
 };
 
@@ -58,3 +58,21 @@ export function formatRelativeTime(date: string | Date): string {
 
   return then.toLocaleDateString();
 }
+
+/**
+ * ISO timestamp as a datetime-local input value (local time)
+ */
+export function toDateTimeLocal(iso: string | null): string {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 16);
+}
+
+/**
+ * Format job priority (named levels match JobPriority on the server)
+ */
+export function formatPriority(priority: number | null | undefined): string {
+  const names: Record<number, string> = { 20: 'Urgent', 10: 'High', 0: 'Normal', [-10]: 'Low' };
+  const value = priority ?? 0;
+  return names[value] ?? (value > 0 ? `+${value}` : `${value}`);
+}
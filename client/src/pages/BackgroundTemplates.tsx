@@ -6,6 +6,8 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import { TemplateRulesEditor } from '../components/TemplateRulesEditor';
+import { TemplateScheduleCalendar } from '../components/TemplateScheduleCalendar';
 
 interface TemplateAsset {
   id: number;
@@ -27,6 +29,7 @@ interface Template {
   name: string;
   theme: string;
   prompt: string;
+  provider: string | null;
   status: 'active' | 'generating' | 'archived';
   created_at: string;
   updated_at: string;
@@ -47,7 +50,10 @@ interface CustomPrompt {
 
 interface CreateTemplateForm {
   name: string;
+  generator: 'ai' | 'procedural';
   promptId: string;
+  style: string;
+  colors: string;
   variantCount: number;
 }
 
@@ -58,6 +64,21 @@ interface CreatePromptForm {
 
 const API_BASE = '/api';
 
+// Procedural backdrop styles; 'auto' gives each variant a different one
+const PROCEDURAL_STYLES = [
+  { value: 'auto', label: 'Mixed (one style per variant)' },
+  { value: 'sweep', label: 'Seamless sweep' },
+  { value: 'floor', label: 'Floor and horizon' },
+  { value: 'radial', label: 'Radial gradient' },
+  { value: 'gradient', label: 'Linear gradient' },
+];
+
+/**
+ * Prompt for a procedural template: the provider reads the style and #rrggbb colors from it
+ */
+const buildProceduralPrompt = (style: string, colors: string) =>
+  `Procedural ${style === 'auto' ? 'studio' : style} backdrop${colors.trim() ? `, colors ${colors.trim()}` : ''}`;
+
 export default function BackgroundTemplates() {
   const [templates, setTemplates] = useState<Template[]>([]);
   const [customPrompts, setCustomPrompts] = useState<CustomPrompt[]>([]);
@@ -72,7 +93,10 @@ export default function BackgroundTemplates() {
 
   const [createForm, setCreateForm] = useState<CreateTemplateForm>({
     name: '',
+    generator: 'ai',
     promptId: '',
+    style: 'auto',
+    colors: '',
     variantCount: 3
   });
 
@@ -164,9 +188,11 @@ export default function BackgroundTemplates() {
     setError(null);
 
     try {
-      // Find the selected prompt
+      const procedural = createForm.generator === 'procedural';
+
+      // Find the selected prompt (procedural templates describe the backdrop instead)
       const selectedPrompt = customPrompts.find(p => p.id === createForm.promptId);
-      if (!selectedPrompt) {
+      if (!procedural && !selectedPrompt) {
         setError('Please select a prompt');
         return;
       }
@@ -176,8 +202,9 @@ export default function BackgroundTemplates() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           name: createForm.name,
-          customPrompt: selectedPrompt.prompt,
-          variantCount: createForm.variantCount
+          customPrompt: procedural ? buildProceduralPrompt(createForm.style, createForm.colors) : selectedPrompt?.prompt,
+          variantCount: createForm.variantCount,
+          provider: procedural ? 'procedural' : null
         })
       });
 
@@ -187,7 +214,10 @@ export default function BackgroundTemplates() {
         setShowCreateModal(false);
         setCreateForm({
           name: '',
+          generator: 'ai',
           promptId: customPrompts.find(p => p.is_default)?.id || customPrompts[0]?.id || '',
+          style: 'auto',
+          colors: '',
           variantCount: 3
         });
         fetchTemplates(); // Refresh list
@@ -404,6 +434,12 @@ export default function BackgroundTemplates() {
           </div>
         )}
 
+        {/* Seasonal Schedule */}
+        <TemplateScheduleCalendar />
+
+        {/* Routing Rules */}
+        <TemplateRulesEditor />
+
         {/* Create Template Modal */}
         {showCreateModal && (
           <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
@@ -425,64 +461,113 @@ export default function BackgroundTemplates() {
                   </div>
 
                   <div>
-                    <label className="block text-sm font-medium mb-2 text-foreground">Background Prompt</label>
-                    {customPrompts.length > 1 ? (
-                      <div className="space-y-2">
+                    <label className="block text-sm font-medium mb-1 text-foreground">Generator</label>
+                    <select
+                      value={createForm.generator}
+                      onChange={(e) => setCreateForm({ ...createForm, generator: e.target.value as CreateTemplateForm['generator'] })}
+                      className="w-full bg-background text-foreground border border-border rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary"
+                    >
+                      <option value="ai">AI (Freepik Mystic)</option>
+                      <option value="procedural">Procedural studio backdrop (free, instant)</option>
+                    </select>
+                  </div>
+
+                  {createForm.generator === 'procedural' ? (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium mb-1 text-foreground">Style</label>
                         <select
-                          value={createForm.promptId}
-                          onChange={(e) => setCreateForm({ ...createForm, promptId: e.target.value })}
-                          className="w-full bg-slate-800 text-white border-2 border-primary rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary text-base font-medium"
+                          value={createForm.style}
+                          onChange={(e) => setCreateForm({ ...createForm, style: e.target.value })}
+                          className="w-full bg-background text-foreground border border-border rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary"
                         >
-                          {customPrompts.map(prompt => (
-                            <option key={prompt.id} value={prompt.id}>
-                              {prompt.title}
+                          {PROCEDURAL_STYLES.map(style => (
+                            <option key={style.value} value={style.value}>
+                              {style.label}
                             </option>
                           ))}
                         </select>
-                        {customPrompts.find(p => p.id === createForm.promptId && !p.is_default) && (
-                          <button
-                            type="button"
-                            onClick={async () => {
-                              if (confirm('Delete this custom prompt?')) {
-                                try {
-                                  const response = await fetch(`${API_BASE}/custom-prompts/${createForm.promptId}`, {
-                                    method: 'DELETE'
-                                  });
-                                  if (response.ok) {
-                                    await fetchCustomPrompts();
-                                    const defaultPrompt = customPrompts.find(p => p.is_default);
-                                    if (defaultPrompt) {
-                                      setCreateForm(prev => ({ ...prev, promptId: defaultPrompt.id }));
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium mb-1 text-foreground">Brand Colors</label>
+                        <input
+                          type="text"
+                          value={createForm.colors}
+                          onChange={(e) => setCreateForm({ ...createForm, colors: e.target.value })}
+                          className="w-full bg-background text-foreground border border-border rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary font-mono"
+                          placeholder="#1e3a8a, #0b1530"
+                          pattern="\s*(#[0-9a-fA-F]{6}\s*,?\s*){0,3}"
+                          title="Up to three #rrggbb colors"
+                        />
+                        <p className="text-xs text-muted-foreground mt-1">
+                          Wall, floor and highlight - empty uses the neutral studio palette
+                        </p>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                    <div>
+                      <label className="block text-sm font-medium mb-2 text-foreground">Background Prompt</label>
+                      {customPrompts.length > 1 ? (
+                        <div className="space-y-2">
+                          <select
+                            value={createForm.promptId}
+                            onChange={(e) => setCreateForm({ ...createForm, promptId: e.target.value })}
+                            className="w-full bg-slate-800 text-white border-2 border-primary rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary text-base font-medium"
+                          >
+                            {customPrompts.map(prompt => (
+                              <option key={prompt.id} value={prompt.id}>
+                                {prompt.title}
+                              </option>
+                            ))}
+                          </select>
+                          {customPrompts.find(p => p.id === createForm.promptId && !p.is_default) && (
+                            <button
+                              type="button"
+                              onClick={async () => {
+                                if (confirm('Delete this custom prompt?')) {
+                                  try {
+                                    const response = await fetch(`${API_BASE}/custom-prompts/${createForm.promptId}`, {
+                                      method: 'DELETE'
+                                    });
+                                    if (response.ok) {
+                                      await fetchCustomPrompts();
+                                      const defaultPrompt = customPrompts.find(p => p.is_default);
+                                      if (defaultPrompt) {
+                                        setCreateForm(prev => ({ ...prev, promptId: defaultPrompt.id }));
+                                      }
                                     }
+                                  } catch (err) {
+                                    console.error('Failed to delete prompt:', err);
                                   }
-                                } catch (err) {
-                                  console.error('Failed to delete prompt:', err);
                                 }
-                              }
-                            }}
-                            className="w-full bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition font-medium text-sm"
-                          >
-                            Delete Selected Prompt
-                          </button>
-                        )}
-                        <p className="text-xs text-muted-foreground">
-                          Select a saved prompt or create a new one below
-                        </p>
-                      </div>
-                    ) : (
-                      <div className="w-full bg-slate-800 text-white border-2 border-slate-700 rounded-md px-3 py-2 text-base font-medium">
-                        Custom Prompt
-                      </div>
-                    )}
-                  </div>
+                              }}
+                              className="w-full bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition font-medium text-sm"
+                            >
+                              Delete Selected Prompt
+                            </button>
+                          )}
+                          <p className="text-xs text-muted-foreground">
+                            Select a saved prompt or create a new one below
+                          </p>
+                        </div>
+                      ) : (
+                        <div className="w-full bg-slate-800 text-white border-2 border-slate-700 rounded-md px-3 py-2 text-base font-medium">
+                          Custom Prompt
+                        </div>
+                      )}
+                    </div>
 
-                  <button
-                    type="button"
-                    onClick={() => setShowPromptModal(true)}
-                    className="w-full bg-secondary text-secondary-foreground px-4 py-2 rounded-md hover:opacity-90 transition font-medium text-sm"
-                  >
-                    + Add New Prompt
-                  </button>
+                    <button
+                      type="button"
+                      onClick={() => setShowPromptModal(true)}
+                      className="w-full bg-secondary text-secondary-foreground px-4 py-2 rounded-md hover:opacity-90 transition font-medium text-sm"
+                    >
+                      + Add New Prompt
+                    </button>
+                    </>
+                  )}
 
                   <div>
                     <label className="block text-sm font-medium mb-1 text-foreground">
@@ -708,7 +793,9 @@ function TemplateCard({ template, isActive, onSetActive, onArchive, onViewDetail
       <div className="flex items-start justify-between mb-3">
         <div>
           <h3 className="font-semibold">{template.name}</h3>
-          <p className="text-xs text-muted-foreground capitalize">{template.theme}</p>
+          <p className="text-xs text-muted-foreground capitalize">
+            {template.theme}{template.provider === 'procedural' && ' · procedural'}
+          </p>
         </div>
         {isActive && (
           <span className="bg-primary text-primary-foreground text-xs px-2 py-1 rounded">Active</span>
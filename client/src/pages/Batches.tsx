@@ -0,0 +1,277 @@
+import { useState } from 'react';
+import { useBatches, useBatch, useUploadBatch, useRetryFailedBatch } from '../hooks';
+import { Badge, Button, Card, CardContent, CardHeader, CardTitle, Input, Select, StatusBadge, Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui';
+import { formatCurrency, formatRelativeTime } from '../lib/utils';
+import type { BatchStatus, CreateBatchResponse, JobBatch } from '../lib/api-client';
+
+const BATCH_STATUS_BADGES: Record<BatchStatus, { label: string; variant: 'default' | 'destructive' | 'secondary' | 'outline' }> = {
+  queued: { label: 'Queued', variant: 'secondary' },
+  processing: { label: 'Processing', variant: 'default' },
+  completed: { label: 'Completed', variant: 'outline' },
+  partial: { label: 'Partial', variant: 'destructive' },
+  failed: { label: 'Failed', variant: 'destructive' },
+};
+
+const BatchProgressBar: React.FC<{ batch: JobBatch }> = ({ batch }) => {
+  const { total, done, failed, cancelled, active } = batch.progress;
+  const width = (count: number) => `${total > 0 ? (count / total) * 100 : 0}%`;
+
+  return (
+    <div className="min-w-40">
+      <div className="flex h-2 w-full overflow-hidden rounded-full bg-muted">
+        <div className="bg-green-500" style={{ width: width(done) }} />
+        <div className="bg-red-500" style={{ width: width(failed) }} />
+        <div className="bg-zinc-400" style={{ width: width(cancelled) }} />
+      </div>
+      <p className="text-xs text-muted-foreground mt-1">
+        {done}/{total} done
+        {failed > 0 && ` · ${failed} failed`}
+        {cancelled > 0 && ` · ${cancelled} cancelled`}
+        {active > 0 && ` · ${active} active`}
+      </p>
+    </div>
+  );
+};
+
+const BatchItems: React.FC<{ batchId: string }> = ({ batchId }) => {
+  const { data, isLoading } = useBatch(batchId);
+
+  if (isLoading) {
+    return <p className="text-sm text-muted-foreground py-4">Loading batch...</p>;
+  }
+
+  if (!data || data.items.length === 0) {
+    return <p className="text-sm text-muted-foreground py-4">No entries</p>;
+  }
+
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>SKU</TableHead>
+          <TableHead>Entry</TableHead>
+          <TableHead>Job Status</TableHead>
+          <TableHead>Cost</TableHead>
+          <TableHead>Error</TableHead>
+          <TableHead className="text-right">Actions</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {data.items.map((item, i) => (
+          <TableRow key={`${item.sku}-${i}`}>
+            <TableCell className="font-mono text-sm">
+              {item.sku}
+              {item.filename && <span className="block text-xs text-muted-foreground">{item.filename}</span>}
+            </TableCell>
+            <TableCell>
+              <Badge variant={item.result === 'rejected' ? 'destructive' : 'outline'}>{item.result}</Badge>
+            </TableCell>
+            <TableCell>{item.job ? <StatusBadge status={item.job.status} /> : '-'}</TableCell>
+            <TableCell>{item.job ? formatCurrency(item.job.cost_usd) : '-'}</TableCell>
+            <TableCell className="text-sm text-muted-foreground max-w-xs truncate" title={item.error || item.job?.error_message || undefined}>
+              {item.error || item.job?.error_message || ''}
+            </TableCell>
+            <TableCell className="text-right">
+              {item.job && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => (window.location.href = `/jobs/${item.job!.id}`)}
+                >
+                  View
+                </Button>
+              )}
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+};
+
+const NewBatchCard: React.FC = () => {
+  const [files, setFiles] = useState<File[]>([]);
+  const [fileInputKey, setFileInputKey] = useState(0); // Bumped to clear the file input
+  const [name, setName] = useState('');
+  const [priority, setPriority] = useState('normal');
+  const [lastResult, setLastResult] = useState<CreateBatchResponse | null>(null);
+  const uploadBatch = useUploadBatch();
+
+  const handleSubmit = () => {
+    uploadBatch.mutate(
+      { files, options: { name: name || undefined, priority } },
+      {
+        onSuccess: (result) => {
+          setLastResult(result);
+          setFiles([]);
+          setFileInputKey(key => key + 1);
+          setName('');
+        },
+      }
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">New Batch</CardTitle>
+        <p className="text-sm text-muted-foreground mt-1">
+          Upload up to 50 product images in one request. SKUs are taken from the filenames.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="text-sm font-medium mb-2 block">Images</label>
+            <input
+              key={fileInputKey}
+              type="file"
+              multiple
+              accept="image/*"
+              onChange={e => setFiles(Array.from(e.target.files || []).filter(file => file.type.startsWith('image/')))}
+              className="w-full text-sm file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-primary file:text-primary-foreground hover:file:opacity-90"
+            />
+          </div>
+          <div>
+            <label className="text-sm font-medium mb-2 block">Name</label>
+            <Input placeholder="e.g. Fall reshoot" value={name} onChange={e => setName(e.target.value)} />
+          </div>
+          <div>
+            <label className="text-sm font-medium mb-2 block">Priority</label>
+            <Select value={priority} onChange={e => setPriority(e.target.value)}>
+              <option value="urgent">Urgent</option>
+              <option value="high">High</option>
+              <option value="normal">Normal</option>
+              <option value="low">Low</option>
+            </Select>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-4">
+          <Button onClick={handleSubmit} disabled={files.length === 0 || uploadBatch.isPending}>
+            {uploadBatch.isPending ? 'Uploading...' : `Submit ${files.length} Image(s)`}
+          </Button>
+          {uploadBatch.isError && (
+            <p className="text-sm text-red-600">{uploadBatch.error.message}</p>
+          )}
+          {lastResult && !uploadBatch.isPending && (
+            <p className="text-sm text-muted-foreground">
+              Batch {lastResult.batch.name || lastResult.batch.id}: {lastResult.created} created,{' '}
+              {lastResult.duplicates} duplicate, {lastResult.rejected} rejected
+            </p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export const Batches: React.FC = () => {
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const { data, isLoading } = useBatches();
+  const retryFailed = useRetryFailedBatch();
+
+  return (
+    <div className="space-y-6 p-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold">Batches</h1>
+        <p className="text-muted-foreground mt-1">Bulk submissions and their progress</p>
+      </div>
+
+      <NewBatchCard />
+
+      {/* Batches Table */}
+      <Card>
+        <CardHeader>
+          <CardTitle>
+            Batches
+            {data?.total ? ` (${data.total} total)` : ''}
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <p className="text-muted-foreground text-center py-8">Loading batches...</p>
+          ) : data?.batches && data.batches.length > 0 ? (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Name</TableHead>
+                    <TableHead>Progress</TableHead>
+                    <TableHead>Source</TableHead>
+                    <TableHead>Created</TableHead>
+                    <TableHead>Cost</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {data.batches.map((batch) => {
+                    const badge = BATCH_STATUS_BADGES[batch.status];
+                    const isExpanded = expanded === batch.id;
+
+                    return [
+                      <TableRow key={batch.id}>
+                        <TableCell>
+                          <Badge variant={badge.variant}>{badge.label}</Badge>
+                        </TableCell>
+                        <TableCell>
+                          <span className="font-medium">{batch.name || 'Untitled'}</span>
+                          <span className="block font-mono text-xs text-muted-foreground">{batch.id}</span>
+                        </TableCell>
+                        <TableCell>
+                          <BatchProgressBar batch={batch} />
+                          {(batch.duplicates > 0 || batch.rejected > 0) && (
+                            <p className="text-xs text-muted-foreground">
+                              {batch.duplicates} duplicate, {batch.rejected} rejected
+                            </p>
+                          )}
+                        </TableCell>
+                        <TableCell className="text-sm">{batch.source === 'upload' ? 'Upload' : 'API'}</TableCell>
+                        <TableCell className="text-sm text-muted-foreground">
+                          {formatRelativeTime(batch.created_at)}
+                        </TableCell>
+                        <TableCell>{formatCurrency(batch.cost_usd)}</TableCell>
+                        <TableCell className="text-right space-x-2">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => setExpanded(isExpanded ? null : batch.id)}
+                          >
+                            {isExpanded ? 'Hide' : 'View'}
+                          </Button>
+                          {batch.progress.failed > 0 && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => retryFailed.mutate(batch.id)}
+                              disabled={retryFailed.isPending}
+                            >
+                              Retry {batch.progress.failed} Failed
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>,
+                      isExpanded && (
+                        <TableRow key={`${batch.id}-items`}>
+                          <TableCell colSpan={7} className="bg-muted/30">
+                            <BatchItems batchId={batch.id} />
+                          </TableCell>
+                        </TableRow>
+                      ),
+                    ];
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          ) : (
+            <p className="text-muted-foreground text-center py-8">No batches yet</p>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default Batches;
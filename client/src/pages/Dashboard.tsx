@@ -1,10 +1,18 @@
 import React, { useState } from 'react';
 import { useDashboardStats, useJobs, useProcessorStatus } from '../hooks';
 import { StatCard } from '../components/StatCard';
-import { Card, CardContent, CardHeader, CardTitle, Button, StatusBadge, Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui';
+import { Card, CardContent, CardHeader, CardTitle, Badge, Button, StatusBadge, Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui';
 import { formatCurrency, formatDuration, formatRelativeTime } from '../lib/utils';
 import { Activity, TrendingUp, AlertCircle, Zap, Upload } from 'lucide-react';
 import TestUploadModal from '../components/TestUploadModal';
+import { AnalyticsCharts } from '../components/AnalyticsCharts';
+import type { CircuitState } from '../lib/api-client';
+
+const CIRCUIT_BADGES: Record<CircuitState, { label: string; variant: 'outline' | 'destructive' | 'secondary' }> = {
+  closed: { label: 'Closed', variant: 'outline' },
+  open: { label: 'Open', variant: 'destructive' },
+  half_open: { label: 'Half-open', variant: 'secondary' },
+};
 
 export const Dashboard: React.FC = () => {
   const [uploadModalOpen, setUploadModalOpen] = useState(false);
@@ -31,8 +39,15 @@ export const Dashboard: React.FC = () => {
           <div className="text-right">
             <p className="text-sm text-muted-foreground">Processor Status</p>
             <p className="text-lg font-semibold">
-              {processorLoading ? '...' : processorStatus?.isRunning ? '🟢 Running' : '🔴 Stopped'}
+              {processorLoading
+                ? '...'
+                : !processorStatus?.isRunning
+                  ? '🔴 Stopped'
+                  : processorStatus.budgetPause ? '⏸️ Paused (budget)' : '🟢 Running'}
             </p>
+            {processorStatus?.budgetPause && (
+              <p className="text-xs text-muted-foreground max-w-xs">{processorStatus.budgetPause}</p>
+            )}
           </div>
         </div>
       </div>
@@ -65,6 +80,9 @@ export const Dashboard: React.FC = () => {
         />
       </div>
 
+      {/* Analytics Charts */}
+      <AnalyticsCharts />
+
       {/* Recent Failures Table */}
       <Card>
         <CardHeader className="flex flex-row justify-between items-center">
@@ -150,6 +168,61 @@ export const Dashboard: React.FC = () => {
         </CardContent>
       </Card>
 
+      {/* Provider Circuits */}
+      {processorStatus?.governors && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Provider Circuits</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Provider</TableHead>
+                  <TableHead>Circuit</TableHead>
+                  <TableHead>Limits</TableHead>
+                  <TableHead>In Flight</TableHead>
+                  <TableHead>Requests</TableHead>
+                  <TableHead>Last Error</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {Object.entries(processorStatus.governors).map(([provider, governor]) => {
+                  const badge = CIRCUIT_BADGES[governor.circuit.state];
+
+                  return (
+                    <TableRow key={provider}>
+                      <TableCell className="font-medium">{provider}</TableCell>
+                      <TableCell>
+                        <Badge variant={badge.variant}>{badge.label}</Badge>
+                        {governor.circuit.retryAt && (
+                          <span className="block text-xs text-muted-foreground mt-1">
+                            retry at {new Date(governor.circuit.retryAt).toLocaleTimeString()}
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {governor.maxConcurrent} concurrent · {governor.requestsPerSecond}/s
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {governor.active} active · {governor.queued} queued
+                        {governor.pausedUntil && <span className="block text-xs text-yellow-600">rate limited</span>}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {governor.totals.requests} · {governor.totals.failures} failed · {governor.totals.rejected} rejected
+                      </TableCell>
+                      <TableCell className="text-sm text-muted-foreground max-w-xs truncate" title={governor.circuit.lastError || undefined}>
+                        {governor.circuit.lastError || '-'}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Test Upload Modal */}
       <TestUploadModal
         open={uploadModalOpen}
@@ -1,22 +1,30 @@
 import { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
-import { useJob, useRetryJob, useFailJob, usePresignedUrl } from '../hooks';
-import { Button, Card, CardContent, CardHeader, CardTitle, StatusBadge, Input } from '../components/ui';
-import { formatCurrency, formatDuration, formatRelativeTime } from '../lib/utils';
-import { AlertCircle, Copy, Check, ExternalLink, Image as ImageIcon } from 'lucide-react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useJob, useJobEvents, useRetryJob, useCancelJob, useCloneJob, useFailJob, usePresignedUrl, useBackgroundTemplates, useThemes } from '../hooks';
+import { Button, Card, CardContent, CardHeader, CardTitle, Badge, StatusBadge, Input, Select } from '../components/ui';
+import { formatCurrency, formatDuration, formatPriority, formatRelativeTime } from '../lib/utils';
+import { AlertCircle, Copy, Check, ExternalLink, Image as ImageIcon, ArrowRight, DollarSign, Cpu, Flag, XCircle, Lock, Timer, Shuffle } from 'lucide-react';
+import type { Job, JobEvent, JobEventType, PipelineConfig, StepProviderMetadata } from '../lib/api-client';
 
 const CUTOUT_COMPOSITE_STEPS = ['NEW', 'BG_REMOVED', 'BACKGROUND_READY', 'COMPOSITED', 'DERIVATIVES', 'SHOPIFY_PUSH', 'DONE'];
 const SEEDREAM_STEPS = ['NEW', 'COMPOSITED', 'DERIVATIVES', 'SHOPIFY_PUSH', 'DONE'];
+const COMPOSITOR_LABELS: Record<string, string> = {
+  freepik: 'Freepik Seedream',
+  nanobanana: 'Nano Banana',
+  none: 'None (Sharp only)',
+};
 
 export const JobDetail: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const [copied, setCopied] = useState<string | null>(null);
   const [failReason, setFailReason] = useState('');
   const [showFailDialog, setShowFailDialog] = useState(false);
-  const [activeTab, setActiveTab] = useState<'original' | 'cutout' | 'backgrounds' | 'composites' | 'derivatives'>('original');
+  const [showCloneDialog, setShowCloneDialog] = useState(false);
+  const [activeTab, setActiveTab] = useState<'original' | 'cutout' | 'backgrounds' | 'composites' | 'derivatives' | 'timeline'>('original');
 
-  const { data: jobData, isLoading } = useJob(id);
+  const { data: jobData, isLoading, stream } = useJob(id);
   const retryJob = useRetryJob();
+  const cancelJob = useCancelJob();
   const failJobMutation = useFailJob();
 
   const job = jobData?.job;
@@ -81,6 +89,10 @@ export const JobDetail: React.FC = () => {
   };
 
   const isSeedreamWorkflow = safeJob.workflow_type === 'seedream_edit';
+  // Steps that ran through a provider failover chain (segmentation, backgrounds, compositing)
+  const providerSteps = Object.entries(safeJob.provider_metadata || {})
+    .filter((entry): entry is [string, StepProviderMetadata] => Array.isArray(entry[1]?.chain));
+  const stepProgress = stream.progress[safeJob.id];
 
   return (
     <div className="space-y-6 p-6">
@@ -90,7 +102,22 @@ export const JobDetail: React.FC = () => {
           <h1 className="text-3xl font-bold">{safeJob.sku}</h1>
           <p className="text-muted-foreground mt-1">
             Job ID: <span className="font-mono">{safeJob.id}</span>
+            {stream.connected && (
+              <span className="ml-3 inline-flex items-center gap-1 text-xs text-green-600 dark:text-green-400">
+                <span className="w-2 h-2 rounded-full bg-green-500 animate-pulse" />
+                Live
+              </span>
+            )}
           </p>
+          {job.parent_job_id && (
+            <p className="text-sm text-muted-foreground mt-1">
+              Another look at{' '}
+              <Link to={`/jobs/${job.parent_job_id}`} className="font-mono text-blue-600 hover:underline dark:text-blue-400">
+                {job.parent_job_id}
+              </Link>
+              {' '}(reuses its cutout)
+            </p>
+          )}
           {/* Workflow Badge */}
           <div className="mt-2 flex flex-wrap gap-2">
             {isSeedreamWorkflow ? (
@@ -111,11 +138,17 @@ export const JobDetail: React.FC = () => {
               }`}>
                 {safeJob.provider_metadata.compositor === 'nanobanana' && '🍌 Nano Banana'}
                 {safeJob.provider_metadata.compositor === 'freepik' && '✨ Freepik Seedream'}
+                {!['nanobanana', 'freepik'].includes(safeJob.provider_metadata.compositor) && safeJob.provider_metadata.compositor}
               </span>
             )}
           </div>
         </div>
         <div className="flex gap-2">
+          {safeJob.s3_cutout_key && safeJob.s3_mask_key && (
+            <Button variant="outline" onClick={() => setShowCloneDialog(true)}>
+              Try Another Look
+            </Button>
+          )}
           {safeJob.status === 'FAILED' && (
             <Button
               variant="outline"
@@ -125,13 +158,22 @@ export const JobDetail: React.FC = () => {
               Retry
             </Button>
           )}
-          {safeJob.status !== 'DONE' && safeJob.status !== 'FAILED' && (
-            <Button
-              variant="destructive"
-              onClick={() => setShowFailDialog(true)}
-            >
-              Fail Job
-            </Button>
+          {safeJob.status !== 'DONE' && safeJob.status !== 'FAILED' && safeJob.status !== 'CANCELLED' && (
+            <>
+              <Button
+                variant="outline"
+                onClick={() => cancelJob.mutate(safeJob.id)}
+                disabled={cancelJob.isPending}
+              >
+                Cancel Job
+              </Button>
+              <Button
+                variant="destructive"
+                onClick={() => setShowFailDialog(true)}
+              >
+                Fail Job
+              </Button>
+            </>
           )}
         </div>
       </div>
@@ -161,6 +203,20 @@ export const JobDetail: React.FC = () => {
               </div>
             ))}
           </div>
+          {stepProgress && (
+            <div className="mt-4">
+              <div className="flex justify-between text-xs text-muted-foreground mb-1">
+                <span className="capitalize">{stepProgress.step.replace(/_/g, ' ')}</span>
+                <span>{stepProgress.current}/{stepProgress.total}</span>
+              </div>
+              <div className="h-1.5 w-full rounded-full bg-muted overflow-hidden">
+                <div
+                  className="h-full bg-blue-500 transition-all"
+                  style={{ width: `${Math.round((stepProgress.current / stepProgress.total) * 100)}%` }}
+                />
+              </div>
+            </div>
+          )}
         </CardContent>
       </Card>
 
@@ -229,6 +285,16 @@ export const JobDetail: React.FC = () => {
             >
               📐 Derivatives (18)
             </button>
+            <button
+              onClick={() => setActiveTab('timeline')}
+              className={`px-3 py-2 text-sm font-medium border-b-2 transition-colors ${
+                activeTab === 'timeline'
+                  ? 'border-blue-500 text-blue-600 dark:text-blue-400'
+                  : 'border-transparent text-muted-foreground hover:text-foreground'
+              }`}
+            >
+              🕒 Timeline
+            </button>
           </div>
         </CardHeader>
         <CardContent className="pt-6">
@@ -271,6 +337,8 @@ export const JobDetail: React.FC = () => {
           {activeTab === 'composites' && <CompositesTab jobId={safeJob.id} job={safeJob} />}
 
           {activeTab === 'derivatives' && <DerivativesTab jobId={safeJob.id} job={safeJob} />}
+
+          {activeTab === 'timeline' && <TimelineTab jobId={safeJob.id} live={stream.connected} />}
         </CardContent>
       </Card>
 
@@ -289,6 +357,12 @@ export const JobDetail: React.FC = () => {
                   <p className="text-sm text-muted-foreground">Created</p>
                   <p className="font-mono text-sm">{new Date(job.created_at).toLocaleString()}</p>
                 </div>
+                {job.not_before && (
+                  <div>
+                    <p className="text-sm text-muted-foreground">Scheduled For</p>
+                    <p className="font-mono text-sm">{new Date(job.not_before).toLocaleString()}</p>
+                  </div>
+                )}
                 {job.completed_at && (
                   <div>
                     <p className="text-sm text-muted-foreground">Completed</p>
@@ -317,6 +391,10 @@ export const JobDetail: React.FC = () => {
                 <span className="text-sm text-muted-foreground">Attempts</span>
                 <span className="font-semibold">{job.attempt}</span>
               </div>
+              <div className="flex justify-between">
+                <span className="text-sm text-muted-foreground">Priority</span>
+                <span className="font-semibold">{formatPriority(job.priority)}</span>
+              </div>
             </CardContent>
           </Card>
 
@@ -393,6 +471,178 @@ export const JobDetail: React.FC = () => {
             </CardContent>
           </Card>
 
+          {/* Other Looks (clones of this job) */}
+          {job.clones && job.clones.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Other Looks</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                {job.clones.map(clone => (
+                  <Link
+                    key={clone.id}
+                    to={`/jobs/${clone.id}`}
+                    className="flex justify-between items-center gap-2 rounded p-2 hover:bg-muted"
+                  >
+                    <span className="text-sm">
+                      <span className="font-semibold capitalize">{clone.theme}</span>
+                      <span className="block font-mono text-xs text-muted-foreground">{clone.id}</span>
+                    </span>
+                    <span className="flex items-center gap-2">
+                      <span className="text-xs text-muted-foreground">{formatCurrency(clone.cost_usd)}</span>
+                      <StatusBadge status={clone.status} />
+                    </span>
+                  </Link>
+                ))}
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Pipeline Config */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base">Pipeline Config</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {job.pipeline_config ? (() => {
+                const config = job.pipeline_config;
+                const overridden = (field: string) => config.overrides.includes(field) && (
+                  <Badge variant="outline" className="ml-2 text-[10px]">override</Badge>
+                );
+
+                return (
+                  <>
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-muted-foreground">Workflow</span>
+                      <span className="text-sm font-semibold">
+                        {config.workflow === 'seedream_edit' ? 'Seedream Edit' : 'Cutout + Composite'}
+                        {overridden('workflow')}
+                      </span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-muted-foreground">Compositor</span>
+                      <span className="text-sm font-semibold">
+                        {COMPOSITOR_LABELS[config.compositor] || config.compositor}
+                        {overridden('compositor')}
+                      </span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-muted-foreground">Sharp Workflow</span>
+                      <span className="text-sm font-semibold">
+                        {config.sharpWorkflow ? 'Enabled' : 'Disabled'}
+                        {overridden('sharpWorkflow')}
+                      </span>
+                    </div>
+                    <div className="flex justify-between items-start">
+                      <span className="text-sm text-muted-foreground">Sharp Settings</span>
+                      <span className="font-mono text-xs text-right">
+                        {Math.round(config.sharpSettings.bottleHeightPercent * 100)}% · {config.sharpSettings.format} q{config.sharpSettings.quality} · {config.sharpSettings.gravity}
+                        {overridden('sharpSettings')}
+                      </span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-muted-foreground">Template</span>
+                      <span className="font-mono text-xs">
+                        {config.templateId || 'None'}
+                        {overridden('templateId')}
+                      </span>
+                    </div>
+                    {config.templateSchedule && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-sm text-muted-foreground">Template Schedule</span>
+                        <span className="text-xs">{config.templateSchedule.name}</span>
+                      </div>
+                    )}
+                    {config.templateRule && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-sm text-muted-foreground">Template Rule</span>
+                        <span className="text-xs">
+                          {config.templateRule.name}
+                          {config.templateVariants && ` · variants ${config.templateVariants.join(', ')}`}
+                        </span>
+                      </div>
+                    )}
+                    <div>
+                      <p className="text-sm text-muted-foreground">
+                        Background Prompt
+                        {overridden('backgroundPrompt')}
+                      </p>
+                      <p className="text-xs mt-1 line-clamp-3 break-words" title={config.backgroundPrompt || undefined}>
+                        {config.backgroundPrompt || 'Theme default'}
+                      </p>
+                    </div>
+                    {job.resolved_prompt && (
+                      <div>
+                        <p className="text-sm text-muted-foreground">Resolved Prompt</p>
+                        <p className="text-xs mt-1 line-clamp-3 break-words" title={job.resolved_prompt}>
+                          {job.resolved_prompt}
+                        </p>
+                      </div>
+                    )}
+                    {config.providerFallbacks && (
+                      <div className="flex justify-between items-start">
+                        <span className="text-sm text-muted-foreground">Fallbacks</span>
+                        <span className="font-mono text-xs text-right">
+                          {Object.entries(config.providerFallbacks)
+                            .filter(([, providers]) => providers.length > 0)
+                            .map(([capability, providers]) => (
+                              <span key={capability} className="block">{capability} → {providers.join(' → ')}</span>
+                            ))}
+                          {Object.values(config.providerFallbacks).every(providers => providers.length === 0) && 'None'}
+                        </span>
+                      </div>
+                    )}
+                    {config.bypassCache && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-sm text-muted-foreground">Result Cache</span>
+                        <span className="text-sm font-semibold">
+                          Bypassed
+                          {overridden('bypassCache')}
+                        </span>
+                      </div>
+                    )}
+                    <p className="text-xs text-muted-foreground">
+                      Captured {formatRelativeTime(config.capturedAt)} - later Settings changes don't apply to this job
+                    </p>
+                  </>
+                );
+              })() : (
+                <p className="text-sm text-muted-foreground">
+                  Created before per-job pipeline config; current Settings will be captured when it's processed.
+                </p>
+              )}
+            </CardContent>
+          </Card>
+
+          {/* Providers */}
+          {providerSteps.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Providers</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {providerSteps.map(([step, info]) => (
+                  <div key={step}>
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-muted-foreground capitalize">{step}</span>
+                      <span className="text-sm font-semibold">
+                        {info.providers.join(', ') || 'None'}
+                        {info.failovers.length > 0 && (
+                          <Badge variant="destructive" className="ml-2 text-[10px]">
+                            {info.failovers.length} failover{info.failovers.length > 1 ? 's' : ''}
+                          </Badge>
+                        )}
+                      </span>
+                    </div>
+                    {info.chain.length > 1 && (
+                      <p className="font-mono text-xs text-muted-foreground text-right">{info.chain.join(' → ')}</p>
+                    )}
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          )}
+
           {/* Timing */}
           <Card>
             <CardHeader>
@@ -581,6 +831,10 @@ export const JobDetail: React.FC = () => {
       </div>
 
       {/* Fail Dialog */}
+      {showCloneDialog && (
+        <CloneJobDialog job={job} onClose={() => setShowCloneDialog(false)} />
+      )}
+
       {showFailDialog && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
           <Card className="w-full max-w-sm">
@@ -621,6 +875,109 @@ export const JobDetail: React.FC = () => {
   );
 };
 
+/**
+ * Try Another Look Dialog
+ * Clones the job with another theme, template or workflow. The clone reuses this
+ * job's cutout, so background removal isn't paid for again.
+ */
+interface CloneJobDialogProps {
+  job: Job;
+  onClose: () => void;
+}
+
+const CloneJobDialog: React.FC<CloneJobDialogProps> = ({ job, onClose }) => {
+  const navigate = useNavigate();
+  const cloneJob = useCloneJob();
+  const { data: templatesData } = useBackgroundTemplates();
+  const { data: themesData } = useThemes(true);
+  const [theme, setTheme] = useState(''); // '' keeps this job's theme
+  const [templateId, setTemplateId] = useState(''); // '' keeps this job's template
+  const [workflow, setWorkflow] = useState(''); // '' keeps this job's workflow
+
+  const currentTemplateId = job.pipeline_config?.templateId;
+  const currentTemplate = templatesData?.templates.find(template => template.id === currentTemplateId);
+
+  const handleClone = () => {
+    cloneJob.mutate(
+      {
+        id: job.id,
+        options: {
+          theme: theme && theme !== job.theme ? theme : undefined,
+          pipeline: {
+            ...(templateId && { templateId }),
+            ...(workflow && { workflow: workflow as PipelineConfig['workflow'] }),
+          },
+        },
+      },
+      {
+        onSuccess: (result) => {
+          onClose();
+          navigate(`/jobs/${result.job.id}`);
+        },
+      }
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <CardTitle>Try Another Look</CardTitle>
+          <p className="text-sm text-muted-foreground mt-1">
+            Creates a new job from this job's cutout - background removal is skipped.
+          </p>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div>
+            <label className="text-sm font-medium mb-2 block">Theme</label>
+            <Select value={theme} onChange={e => setTheme(e.target.value)}>
+              <option value="">Same as this job ({job.theme})</option>
+              {themesData?.themes.map(option => (
+                <option key={option.key} value={option.key}>
+                  {option.name}
+                </option>
+              ))}
+            </Select>
+          </div>
+          <div>
+            <label className="text-sm font-medium mb-2 block">Background Template</label>
+            <Select value={templateId} onChange={e => setTemplateId(e.target.value)}>
+              <option value="">
+                Same as this job ({currentTemplateId ? currentTemplate?.name || currentTemplateId : 'none'})
+              </option>
+              <option value="none">No template (generate backgrounds)</option>
+              {templatesData?.templates.map(template => (
+                <option key={template.id} value={template.id}>
+                  {template.name}
+                </option>
+              ))}
+            </Select>
+          </div>
+          <div>
+            <label className="text-sm font-medium mb-2 block">Workflow</label>
+            <Select value={workflow} onChange={e => setWorkflow(e.target.value)}>
+              <option value="">Same as this job</option>
+              <option value="cutout_composite">Cutout + Composite</option>
+              <option value="seedream_edit">Seedream Edit</option>
+            </Select>
+          </div>
+          {cloneJob.isError && (
+            <p className="text-sm text-red-600">{cloneJob.error.message}</p>
+          )}
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={onClose} className="flex-1">
+              Cancel
+            </Button>
+            <Button onClick={handleClone} disabled={cloneJob.isPending} className="flex-1">
+              {cloneJob.isPending ? 'Creating...' : 'Create Job'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
 /**
  * Cutout & Mask Tab Component
  * Displays cutout and mask images with presigned URLs
@@ -950,4 +1307,102 @@ const DerivativeImage: React.FC<DerivativeImageProps> = ({ s3Key }) => {
   );
 };
 
+/**
+ * Timeline Tab Component
+ * Displays the job event log (status changes, provider calls, costs, errors)
+ */
+interface TimelineTabProps {
+  jobId: string;
+  live: boolean;
+}
+
+const EVENT_STYLES: Record<JobEventType, { icon: React.ElementType; className: string }> = {
+  status_change: { icon: ArrowRight, className: 'bg-blue-100 text-blue-700 dark:bg-blue-950 dark:text-blue-300' },
+  step: { icon: Flag, className: 'bg-green-100 text-green-700 dark:bg-green-950 dark:text-green-300' },
+  provider_call: { icon: Cpu, className: 'bg-purple-100 text-purple-700 dark:bg-purple-950 dark:text-purple-300' },
+  cost: { icon: DollarSign, className: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-950 dark:text-yellow-300' },
+  error: { icon: XCircle, className: 'bg-red-100 text-red-700 dark:bg-red-950 dark:text-red-300' },
+  lease: { icon: Lock, className: 'bg-slate-100 text-slate-700 dark:bg-slate-900 dark:text-slate-300' },
+  watchdog: { icon: Timer, className: 'bg-orange-100 text-orange-700 dark:bg-orange-950 dark:text-orange-300' },
+  failover: { icon: Shuffle, className: 'bg-amber-100 text-amber-700 dark:bg-amber-950 dark:text-amber-300' },
+};
+
+const getEventTitle = (event: JobEvent): string => {
+  const step = event.step ? event.step.replace(/_/g, ' ') : null;
+
+  switch (event.type) {
+    case 'status_change':
+      return event.from_status ? `${event.from_status} → ${event.to_status}` : `Status: ${event.to_status}`;
+    case 'step':
+      return event.to_status ? `Step ${step}: ${event.from_status} → ${event.to_status}` : `Step ${step}`;
+    case 'provider_call':
+      return `Provider call (${step})`;
+    case 'cost':
+      return step ? `Cost added (${step})` : 'Cost added';
+    case 'error':
+      return event.error_code ? `Error: ${event.error_code}` : 'Error';
+    case 'lease':
+      return 'Worker lease';
+    case 'watchdog':
+      return event.to_status ? 'Watchdog: timed out' : 'Watchdog: requeued';
+    case 'failover':
+      return `Provider failover (${step})`;
+    default:
+      return event.type;
+  }
+};
+
+const TimelineTab: React.FC<TimelineTabProps> = ({ jobId, live }) => {
+  const { data, isLoading, error } = useJobEvents(jobId, live);
+
+  if (isLoading) {
+    return <div className="text-center py-8 text-muted-foreground">Loading timeline...</div>;
+  }
+
+  if (error) {
+    return <p className="text-red-500 text-center py-8">Failed to load timeline</p>;
+  }
+
+  const events = data?.events || [];
+
+  if (events.length === 0) {
+    return <p className="text-muted-foreground text-center py-8">No events recorded for this job</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-border ml-3 space-y-4">
+      {events.map((event) => {
+        const style = EVENT_STYLES[event.type] || EVENT_STYLES.step;
+        const Icon = style.icon;
+
+        return (
+          <li key={event.id} className="ml-6">
+            <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ${style.className}`}>
+              <Icon className="w-3 h-3" />
+            </span>
+            <div className="flex flex-wrap items-center gap-2">
+              <p className="text-sm font-medium">{getEventTitle(event)}</p>
+              {event.provider && <Badge variant="outline">{event.provider}</Badge>}
+              {event.cost_usd !== null && event.cost_usd > 0 && (
+                <Badge variant="secondary">{formatCurrency(event.cost_usd)}</Badge>
+              )}
+              {event.duration_ms !== null && (
+                <Badge variant="secondary">{formatDuration(event.duration_ms)}</Badge>
+              )}
+            </div>
+            {event.message && (
+              <p className={`text-sm break-words ${event.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-muted-foreground'}`}>
+                {event.message}
+              </p>
+            )}
+            <p className="text-xs text-muted-foreground mt-1">
+              {new Date(event.created_at).toLocaleString()} · {event.actor}
+            </p>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
 export default JobDetail;
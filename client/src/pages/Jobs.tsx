@@ -1,8 +1,8 @@
 import { useState } from 'react';
-import { useJobs, useRetryJob } from '../hooks';
-import { Button, Card, CardContent, CardHeader, CardTitle, Input, StatusBadge, Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui';
-import { formatCurrency, formatRelativeTime } from '../lib/utils';
-import type { JobStatus } from '../lib/api-client';
+import { useJobs, useRetryJob, useCancelJob, useStuckJobs, useRecoverStuckJobs, useDeadLetterJobs, useRequeueDeadLetter } from '../hooks';
+import { Badge, Button, Card, CardContent, CardHeader, CardTitle, Input, StatusBadge, Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui';
+import { formatCurrency, formatDuration, formatPriority, formatRelativeTime } from '../lib/utils';
+import type { JobStatus, StuckJobAction } from '../lib/api-client';
 
 const ALL_STATUSES: JobStatus[] = [
   'NEW',
@@ -13,8 +13,181 @@ const ALL_STATUSES: JobStatus[] = [
   'SHOPIFY_PUSH',
   'DONE',
   'FAILED',
+  'CANCELLED',
 ];
 
+const TERMINAL_STATUSES: JobStatus[] = ['DONE', 'FAILED', 'CANCELLED'];
+
+const STUCK_ACTION_BADGES: Record<StuckJobAction, { label: string; variant: 'default' | 'destructive' | 'secondary' }> = {
+  resume: { label: 'Resume', variant: 'default' },
+  fail: { label: 'Fail (timeout)', variant: 'destructive' },
+  flag: { label: 'Flagged', variant: 'secondary' },
+};
+
+const StuckJobsCard: React.FC = () => {
+  const { data } = useStuckJobs();
+  const recover = useRecoverStuckJobs();
+
+  if (!data || data.count === 0) {
+    return null;
+  }
+
+  const recoverable = data.jobs.filter(job => job.action !== 'flag');
+
+  return (
+    <Card className="border-yellow-300 dark:border-yellow-800">
+      <CardHeader className="flex flex-row justify-between items-center">
+        <div>
+          <CardTitle>⏱️ Stuck Jobs ({data.count})</CardTitle>
+          <p className="text-sm text-muted-foreground mt-1">
+            No progress for longer than {data.config.budgetMultiplier}× the expected time in their status
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          onClick={() => recover.mutate(undefined)}
+          disabled={recoverable.length === 0 || recover.isPending}
+        >
+          {recover.isPending ? 'Recovering...' : `Recover ${recoverable.length}`}
+        </Button>
+      </CardHeader>
+      <CardContent>
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Status</TableHead>
+                <TableHead>SKU</TableHead>
+                <TableHead>Idle</TableHead>
+                <TableHead>Budget</TableHead>
+                <TableHead>Action</TableHead>
+                <TableHead>Reason</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {data.jobs.map((job) => {
+                const badge = STUCK_ACTION_BADGES[job.action];
+
+                return (
+                  <TableRow key={job.jobId}>
+                    <TableCell>
+                      <StatusBadge status={job.status} />
+                    </TableCell>
+                    <TableCell className="font-mono text-sm">{job.sku}</TableCell>
+                    <TableCell>{formatDuration(job.idleSeconds * 1000)}</TableCell>
+                    <TableCell className="text-muted-foreground">{formatDuration(job.budgetSeconds * 1000)}</TableCell>
+                    <TableCell>
+                      <Badge variant={badge.variant}>{badge.label}</Badge>
+                    </TableCell>
+                    <TableCell className="text-sm text-muted-foreground">{job.reason}</TableCell>
+                    <TableCell className="text-right space-x-2">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => (window.location.href = `/jobs/${job.jobId}`)}
+                      >
+                        View
+                      </Button>
+                      {job.action !== 'flag' && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => recover.mutate([job.jobId])}
+                          disabled={recover.isPending}
+                        >
+                          {badge.label}
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+const DeadLetterCard: React.FC = () => {
+  const { data } = useDeadLetterJobs();
+  const requeue = useRequeueDeadLetter();
+
+  if (!data || data.total === 0) {
+    return null;
+  }
+
+  return (
+    <Card className="border-red-300 dark:border-red-800">
+      <CardHeader className="flex flex-row justify-between items-center">
+        <div>
+          <CardTitle>🪦 Dead Letter ({data.total})</CardTitle>
+          <p className="text-sm text-muted-foreground mt-1">
+            Transient failures that were still failing after {data.config.maxRetries} automatic retries
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          onClick={() => requeue.mutate(undefined)}
+          disabled={requeue.isPending}
+        >
+          {requeue.isPending ? 'Requeuing...' : `Requeue ${data.total}`}
+        </Button>
+      </CardHeader>
+      <CardContent>
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>SKU</TableHead>
+                <TableHead>Theme</TableHead>
+                <TableHead>Attempts</TableHead>
+                <TableHead>Failed</TableHead>
+                <TableHead>Last Error</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {data.jobs.map((job) => (
+                <TableRow key={job.id}>
+                  <TableCell className="font-mono text-sm">{job.sku}</TableCell>
+                  <TableCell>{job.theme}</TableCell>
+                  <TableCell>{job.attempt + 1}</TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {job.completed_at ? formatRelativeTime(job.completed_at) : '-'}
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground max-w-md truncate" title={job.error_message || undefined}>
+                    {job.error_message}
+                  </TableCell>
+                  <TableCell className="text-right space-x-2">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => (window.location.href = `/jobs/${job.id}`)}
+                    >
+                      View
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => requeue.mutate([job.id])}
+                      disabled={requeue.isPending}
+                    >
+                      Requeue
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
 export const Jobs: React.FC = () => {
   const [filters, setFilters] = useState({
     status: [] as JobStatus[],
@@ -32,6 +205,7 @@ export const Jobs: React.FC = () => {
   });
 
   const retryJob = useRetryJob();
+  const cancelJob = useCancelJob();
 
   const handleStatusToggle = (status: JobStatus) => {
     setFilters(prev => ({
@@ -110,6 +284,12 @@ export const Jobs: React.FC = () => {
         </CardContent>
       </Card>
 
+      {/* Stuck Jobs (watchdog report) */}
+      <StuckJobsCard />
+
+      {/* Dead Letter (automatic retries exhausted) */}
+      <DeadLetterCard />
+
       {/* Jobs Table */}
       <Card>
         <CardHeader className="flex flex-row justify-between items-center">
@@ -137,6 +317,7 @@ export const Jobs: React.FC = () => {
                       <TableHead>Status</TableHead>
                       <TableHead>SKU</TableHead>
                       <TableHead>Theme</TableHead>
+                      <TableHead>Priority</TableHead>
                       <TableHead>Created</TableHead>
                       <TableHead>Cost</TableHead>
                       <TableHead className="text-right">Actions</TableHead>
@@ -150,6 +331,14 @@ export const Jobs: React.FC = () => {
                         </TableCell>
                         <TableCell className="font-mono text-sm">{job.sku}</TableCell>
                         <TableCell>{job.theme}</TableCell>
+                        <TableCell className="text-sm">
+                          {formatPriority(job.priority)}
+                          {job.not_before && new Date(job.not_before) > new Date() && (
+                            <span className="block text-xs text-muted-foreground">
+                              after {new Date(job.not_before).toLocaleString()}
+                            </span>
+                          )}
+                        </TableCell>
                         <TableCell className="text-sm text-muted-foreground">
                           {formatRelativeTime(job.created_at)}
                         </TableCell>
@@ -172,6 +361,16 @@ export const Jobs: React.FC = () => {
                               Retry
                             </Button>
                           )}
+                          {!TERMINAL_STATUSES.includes(job.status) && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => cancelJob.mutate(job.id)}
+                              disabled={cancelJob.isPending}
+                            >
+                              Cancel
+                            </Button>
+                          )}
                         </TableCell>
                       </TableRow>
                     ))}
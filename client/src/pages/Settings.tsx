@@ -1,6 +1,20 @@
 import { useState, useEffect } from 'react';
-import { Card, CardContent, CardHeader, CardTitle } from '../components/ui';
-import { Zap, Target, X, Cpu, Scissors, Settings as SettingsIcon } from 'lucide-react';
+import {
+  Badge,
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+  Input,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../components/ui';
+import { Zap, Target, X, Cpu, Scissors, Shuffle, ArrowUp, Wallet, Receipt, Pencil, Trash2, Settings as SettingsIcon } from 'lucide-react';
 
 interface SharpSettings {
   bottleHeightPercent: number;
@@ -11,6 +25,68 @@ interface SharpSettings {
   gamma?: number;
 }
 
+type ProviderCapability = 'segmentation' | 'background' | 'composite' | 'lighting';
+
+interface ProviderFallbacksInfo {
+  fallbacks: Record<ProviderCapability, string[]>;
+  chains: Record<ProviderCapability, string[]>;
+  providers: Record<ProviderCapability, string[]>;
+  primary: { aiProvider: string; segmentProvider: string; backgroundProvider: string; compositor: string };
+}
+
+interface BudgetWindowStatus {
+  limitUsd: number | null;
+  spentUsd: number;
+  remainingUsd: number | null;
+  exceeded: boolean;
+  resetsAt: string;
+}
+
+interface BudgetsInfo {
+  budgets: { dailyUsd: number | null; monthlyUsd: number | null };
+  status: { daily: BudgetWindowStatus; monthly: BudgetWindowStatus; exceeded: boolean; message: string | null };
+}
+
+// Saved budgets as input values (empty = no cap)
+const toBudgetInputs = ({ budgets }: BudgetsInfo) => ({
+  dailyUsd: budgets.dailyUsd?.toString() ?? '',
+  monthlyUsd: budgets.monthlyUsd?.toString() ?? '',
+});
+
+type PriceStatus = 'active' | 'scheduled' | 'superseded';
+
+interface PriceVersion {
+  id: number;
+  provider: string;
+  operation: string;
+  resolution: string;
+  price_usd: number;
+  effective_from: string;
+  note: string | null;
+  created_at: string;
+  status: PriceStatus;
+}
+
+interface PricingInfo {
+  prices: PriceVersion[];
+  operations: string[];
+}
+
+const EMPTY_PRICE_FORM = { provider: '', operation: '', resolution: '', priceUsd: '', effectiveFrom: '', note: '' };
+
+const PRICE_STATUS_VARIANTS: Record<PriceStatus, 'default' | 'secondary' | 'outline'> = {
+  active: 'default',
+  scheduled: 'secondary',
+  superseded: 'outline',
+};
+
+const PROVIDER_CAPABILITIES: { capability: ProviderCapability; label: string; description: string }[] = [
+  { capability: 'segmentation', label: 'Background Removal', description: 'Cutout and mask' },
+  { capability: 'background', label: 'Background Generation', description: 'Themed and template backgrounds' },
+  { capability: 'composite', label: 'AI Compositing', description: 'Product onto background' },
+  { capability: 'lighting', label: 'Lighting Enhancement', description: 'Sharp + AI combined flows' },
+];
+
 export const Settings: React.FC = () => {
   // Workflow preference state
   const [workflowPreference, setWorkflowPreference] = useState<'cutout_composite'>('cutout_composite');
@@ -37,10 +113,31 @@ export const Settings: React.FC = () => {
   });
   const [sharpSettingsSuccess, setSharpSettingsSuccess] = useState(false);
 
+  // Provider failover state
+  const [providerFallbacks, setProviderFallbacks] = useState<ProviderFallbacksInfo | null>(null);
+  const [providerFallbacksSuccess, setProviderFallbacksSuccess] = useState(false);
+  const [providerFallbacksError, setProviderFallbacksError] = useState<string | null>(null);
+
+  // Budget state (inputs are strings so an empty field means no cap)
+  const [budgets, setBudgets] = useState<BudgetsInfo | null>(null);
+  const [budgetInputs, setBudgetInputs] = useState({ dailyUsd: '', monthlyUsd: '' });
+  const [budgetsSuccess, setBudgetsSuccess] = useState(false);
+  const [budgetsError, setBudgetsError] = useState<string | null>(null);
+
+  // Pricing state (form inputs are strings; empty resolution = any, empty effectiveFrom = now)
+  const [pricing, setPricing] = useState<PricingInfo | null>(null);
+  const [priceForm, setPriceForm] = useState(EMPTY_PRICE_FORM);
+  const [showPriceHistory, setShowPriceHistory] = useState(false);
+  const [pricingSuccess, setPricingSuccess] = useState(false);
+  const [pricingError, setPricingError] = useState<string | null>(null);
+
   // Load settings on mount
   useEffect(() => {
     fetchWorkflowPreference();
     fetchCompositor();
+    fetchProviderFallbacks();
+    fetchBudgets();
+    fetchPricing();
     fetchSharpWorkflow();
     fetchSharpSettings();
   }, []);
@@ -124,6 +221,157 @@ export const Settings: React.FC = () => {
     }
   };
 
+  const fetchProviderFallbacks = async () => {
+    try {
+      const response = await fetch('/api/settings/provider-fallbacks');
+      if (response.ok) {
+        const data = await response.json();
+        setProviderFallbacks(data);
+      }
+    } catch (error) {
+      console.error('Error fetching provider fallbacks:', error);
+    }
+  };
+
+  const handleFallbacksChange = async (capability: ProviderCapability, fallbacks: string[]) => {
+    setProviderFallbacksSuccess(false);
+    setProviderFallbacksError(null);
+
+    try {
+      const response = await fetch('/api/settings/provider-fallbacks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fallbacks: { [capability]: fallbacks } })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setProviderFallbacks(data);
+        setProviderFallbacksSuccess(true);
+        setTimeout(() => setProviderFallbacksSuccess(false), 3000);
+      } else {
+        setProviderFallbacksError(data.details?.[0]?.message || data.error);
+      }
+    } catch (error) {
+      console.error('Error saving provider fallbacks:', error);
+    }
+  };
+
+  const fetchBudgets = async () => {
+    try {
+      const response = await fetch('/api/settings/budgets');
+      if (response.ok) {
+        const data = await response.json();
+        setBudgets(data);
+        setBudgetInputs(toBudgetInputs(data));
+      }
+    } catch (error) {
+      console.error('Error fetching budgets:', error);
+    }
+  };
+
+  const handleSaveBudgets = async () => {
+    setBudgetsSuccess(false);
+    setBudgetsError(null);
+
+    const toBudget = (value: string) => (value.trim() === '' ? null : parseFloat(value));
+
+    try {
+      const response = await fetch('/api/settings/budgets', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          budgets: { dailyUsd: toBudget(budgetInputs.dailyUsd), monthlyUsd: toBudget(budgetInputs.monthlyUsd) }
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setBudgets(data);
+        setBudgetInputs(toBudgetInputs(data));
+        setBudgetsSuccess(true);
+        setTimeout(() => setBudgetsSuccess(false), 3000);
+      } else {
+        setBudgetsError(data.details?.[0]?.message || data.error);
+      }
+    } catch (error) {
+      console.error('Error saving budgets:', error);
+    }
+  };
+
+  const fetchPricing = async () => {
+    try {
+      const response = await fetch('/api/settings/pricing');
+      if (response.ok) {
+        const data = await response.json();
+        setPricing(data);
+      }
+    } catch (error) {
+      console.error('Error fetching pricing:', error);
+    }
+  };
+
+  // Start a new version of an existing price
+  const handleEditPrice = (price: PriceVersion) => {
+    setPricingError(null);
+    setPriceForm({
+      ...EMPTY_PRICE_FORM,
+      provider: price.provider,
+      operation: price.operation,
+      resolution: price.resolution === '*' ? '' : price.resolution,
+      priceUsd: price.price_usd.toString(),
+    });
+  };
+
+  const handleAddPrice = async () => {
+    setPricingSuccess(false);
+    setPricingError(null);
+
+    try {
+      const response = await fetch('/api/settings/pricing', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          provider: priceForm.provider.trim(),
+          operation: priceForm.operation,
+          resolution: priceForm.resolution.trim() || '*',
+          priceUsd: parseFloat(priceForm.priceUsd),
+          effectiveFrom: priceForm.effectiveFrom ? new Date(priceForm.effectiveFrom).toISOString() : undefined,
+          note: priceForm.note.trim() || null
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setPricing({ prices: data.prices, operations: pricing?.operations ?? [] });
+        setPriceForm(EMPTY_PRICE_FORM);
+        setPricingSuccess(true);
+        setTimeout(() => setPricingSuccess(false), 3000);
+      } else {
+        setPricingError(data.details?.[0]?.message || data.details || data.error);
+      }
+    } catch (error) {
+      console.error('Error saving price:', error);
+    }
+  };
+
+  const handleDeletePrice = async (id: number) => {
+    setPricingError(null);
+
+    try {
+      const response = await fetch(`/api/settings/pricing/${id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (response.ok) {
+        setPricing({ prices: data.prices, operations: pricing?.operations ?? [] });
+      } else {
+        setPricingError(data.details || data.error);
+      }
+    } catch (error) {
+      console.error('Error deleting price:', error);
+    }
+  };
+
   const handleSharpWorkflowToggle = async () => {
     const newValue = !sharpWorkflowEnabled;
     setSharpWorkflowSuccess(false);
@@ -342,6 +590,342 @@ export const Settings: React.FC = () => {
             </CardContent>
           </Card>
 
+          {/* Provider Failover */}
+          <Card>
+            <CardHeader>
+              <div className="flex items-center gap-2">
+                <Shuffle className="w-5 h-5 text-primary" />
+                <CardTitle>Provider Failover</CardTitle>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <p className="text-sm text-muted-foreground">
+                When a provider fails a call, the job moves on to the next provider in the chain instead of failing
+              </p>
+
+              {providerFallbacks && (
+                <div className="space-y-3">
+                  {PROVIDER_CAPABILITIES.map(({ capability, label, description }) => {
+                    const { aiProvider, segmentProvider, backgroundProvider, compositor: primaryCompositor } = providerFallbacks.primary;
+                    const primary = aiProvider !== 'mock' && (capability === 'composite' || capability === 'lighting')
+                      ? primaryCompositor
+                      : capability === 'segmentation' ? segmentProvider
+                        : capability === 'background' ? backgroundProvider : aiProvider;
+                    const fallbacks = providerFallbacks.fallbacks[capability] || [];
+                    const available = (providerFallbacks.providers[capability] || [])
+                      .filter(provider => provider !== primary && !fallbacks.includes(provider));
+
+                    const moveUp = (index: number) => {
+                      const reordered = [...fallbacks];
+                      [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+                      handleFallbacksChange(capability, reordered);
+                    };
+
+                    return (
+                      <div key={capability} className="border rounded-lg p-4">
+                        <div className="flex items-center justify-between mb-3">
+                          <div>
+                            <h4 className="font-semibold text-foreground">{label}</h4>
+                            <p className="text-xs text-muted-foreground">{description}</p>
+                          </div>
+                          {available.length > 0 && (
+                            <Select
+                              value=""
+                              onChange={(e) => handleFallbacksChange(capability, [...fallbacks, e.target.value])}
+                              className="w-40 h-8 text-xs"
+                            >
+                              <option value="" disabled>Add fallback...</option>
+                              {available.map(provider => (
+                                <option key={provider} value={provider}>{provider}</option>
+                              ))}
+                            </Select>
+                          )}
+                        </div>
+
+                        <div className="flex flex-wrap items-center gap-2 text-xs">
+                          <span className="bg-primary text-primary-foreground px-2 py-1 rounded">
+                            {primary === 'none' ? 'none (Sharp only)' : primary} · Primary
+                          </span>
+                          {fallbacks.map((provider, index) => (
+                            <span key={provider} className="inline-flex items-center gap-1 border border-border px-2 py-1 rounded">
+                              <span className="text-muted-foreground">{index + 1}.</span>
+                              <span className="text-foreground">{provider}</span>
+                              {index > 0 && (
+                                <button
+                                  onClick={() => moveUp(index)}
+                                  className="text-muted-foreground hover:text-foreground"
+                                  title="Try earlier"
+                                >
+                                  <ArrowUp className="w-3 h-3" />
+                                </button>
+                              )}
+                              <button
+                                onClick={() => handleFallbacksChange(capability, fallbacks.filter(p => p !== provider))}
+                                className="text-muted-foreground hover:text-foreground"
+                                title="Remove fallback"
+                              >
+                                <X className="w-3 h-3" />
+                              </button>
+                            </span>
+                          ))}
+                          {fallbacks.length === 0 && (
+                            <span className="text-muted-foreground">No fallbacks - failures go straight to retry</span>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              {providerFallbacksSuccess && (
+                <div className="bg-green-50 dark:bg-green-950/30 border border-green-200 dark:border-green-900 rounded-lg p-3">
+                  <p className="text-xs text-green-800 dark:text-green-200">
+                    ✓ Failover chain saved! Will apply to new jobs.
+                  </p>
+                </div>
+              )}
+
+              {providerFallbacksError && (
+                <div className="bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-900 rounded-lg p-3">
+                  <p className="text-xs text-red-800 dark:text-red-200">{providerFallbacksError}</p>
+                </div>
+              )}
+
+              <div className="bg-blue-50 dark:bg-blue-950/30 border border-blue-200 dark:border-blue-900 rounded-lg p-3">
+                <p className="text-xs text-blue-800 dark:text-blue-200">
+                  <strong>Tip:</strong> The primary provider comes from AI_PROVIDER (or the compositor above for compositing and lighting). Every failover is recorded on the job timeline.
+                </p>
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* Budgets */}
+          <Card>
+            <CardHeader>
+              <div className="flex items-center gap-2">
+                <Wallet className="w-5 h-5 text-primary" />
+                <CardTitle>Spend Budgets</CardTitle>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <p className="text-sm text-muted-foreground">
+                Cap provider spend per UTC day and month. When a budget is reached the processor stops picking up new jobs and template generation is blocked until it resets.
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {([
+                  { key: 'dailyUsd', label: 'Daily Budget (USD)', window: budgets?.status.daily },
+                  { key: 'monthlyUsd', label: 'Monthly Budget (USD)', window: budgets?.status.monthly },
+                ] as const).map(({ key, label, window }) => (
+                  <div key={key}>
+                    <label className="block text-sm font-medium mb-2 text-foreground">{label}</label>
+                    <Input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      placeholder="No cap"
+                      value={budgetInputs[key]}
+                      onChange={(e) => setBudgetInputs({ ...budgetInputs, [key]: e.target.value })}
+                    />
+                    {window && (
+                      <p className={`text-xs mt-1 ${window.exceeded ? 'text-red-600' : 'text-muted-foreground'}`}>
+                        ${window.spentUsd.toFixed(2)} spent
+                        {window.limitUsd !== null && ` of $${window.limitUsd.toFixed(2)}`}
+                        {window.exceeded && ' - reached'}
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <button
+                onClick={handleSaveBudgets}
+                className="bg-primary text-primary-foreground px-4 py-2 rounded-md hover:opacity-90 transition font-medium text-sm"
+              >
+                Save Budgets
+              </button>
+
+              {budgets?.status.exceeded && (
+                <div className="bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-900 rounded-lg p-3">
+                  <p className="text-xs text-red-800 dark:text-red-200">
+                    ⏸ {budgets.status.message}. New jobs wait until then or until the budget is raised.
+                  </p>
+                </div>
+              )}
+
+              {budgetsSuccess && (
+                <div className="bg-green-50 dark:bg-green-950/30 border border-green-200 dark:border-green-900 rounded-lg p-3">
+                  <p className="text-xs text-green-800 dark:text-green-200">
+                    ✓ Budgets saved!
+                  </p>
+                </div>
+              )}
+
+              {budgetsError && (
+                <div className="bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-900 rounded-lg p-3">
+                  <p className="text-xs text-red-800 dark:text-red-200">{budgetsError}</p>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          {/* Pricing */}
+          <Card>
+            <CardHeader>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                  <Receipt className="w-5 h-5 text-primary" />
+                  <CardTitle>Provider Pricing</CardTitle>
+                </div>
+                <button
+                  onClick={() => setShowPriceHistory(!showPriceHistory)}
+                  className="text-sm text-primary hover:underline"
+                >
+                  {showPriceHistory ? 'Hide' : 'Show'} History
+                </button>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <p className="text-sm text-muted-foreground">
+                Price per provider call, used for job costs, the call ledger and budgets. A change adds a new version from its effective date, so costs already recorded keep the price they were made at.
+              </p>
+
+              {pricing && (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Provider</TableHead>
+                      <TableHead>Operation</TableHead>
+                      <TableHead>Resolution</TableHead>
+                      <TableHead>Price</TableHead>
+                      <TableHead>Effective From</TableHead>
+                      <TableHead>Status</TableHead>
+                      <TableHead className="text-right">Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {pricing.prices
+                      .filter(price => showPriceHistory || price.status !== 'superseded')
+                      .map(price => (
+                        <TableRow key={price.id}>
+                          <TableCell className="font-medium">{price.provider}</TableCell>
+                          <TableCell>{price.operation}</TableCell>
+                          <TableCell>{price.resolution === '*' ? 'Any' : price.resolution}</TableCell>
+                          <TableCell>${price.price_usd.toFixed(3)}</TableCell>
+                          <TableCell className="text-xs text-muted-foreground" title={price.note ?? undefined}>
+                            {new Date(price.effective_from).getTime() === 0 ? 'Always' : new Date(price.effective_from).toLocaleString()}
+                          </TableCell>
+                          <TableCell>
+                            <Badge variant={PRICE_STATUS_VARIANTS[price.status]}>{price.status}</Badge>
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {price.status === 'scheduled' ? (
+                              <button
+                                onClick={() => handleDeletePrice(price.id)}
+                                className="p-1 rounded hover:bg-muted text-muted-foreground hover:text-red-600"
+                                title="Delete scheduled price"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            ) : price.status === 'active' && (
+                              <button
+                                onClick={() => handleEditPrice(price)}
+                                className="p-1 rounded hover:bg-muted text-muted-foreground hover:text-foreground"
+                                title="Change price"
+                              >
+                                <Pencil className="w-4 h-4" />
+                              </button>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                  </TableBody>
+                </Table>
+              )}
+
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-foreground">Provider</label>
+                  <Input
+                    placeholder="freepik"
+                    value={priceForm.provider}
+                    onChange={(e) => setPriceForm({ ...priceForm, provider: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-foreground">Operation</label>
+                  <Select
+                    value={priceForm.operation}
+                    onChange={(e) => setPriceForm({ ...priceForm, operation: e.target.value })}
+                  >
+                    <option value="" disabled>Select operation...</option>
+                    {pricing?.operations.map(operation => (
+                      <option key={operation} value={operation}>{operation}</option>
+                    ))}
+                  </Select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-foreground">Resolution</label>
+                  <Input
+                    placeholder="Any"
+                    value={priceForm.resolution}
+                    onChange={(e) => setPriceForm({ ...priceForm, resolution: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-foreground">Price (USD)</label>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.001"
+                    value={priceForm.priceUsd}
+                    onChange={(e) => setPriceForm({ ...priceForm, priceUsd: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-foreground">Effective From</label>
+                  <Input
+                    type="datetime-local"
+                    value={priceForm.effectiveFrom}
+                    onChange={(e) => setPriceForm({ ...priceForm, effectiveFrom: e.target.value })}
+                  />
+                  <p className="text-xs text-muted-foreground mt-1">Leave empty to apply now</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-foreground">Note</label>
+                  <Input
+                    placeholder="Optional"
+                    value={priceForm.note}
+                    onChange={(e) => setPriceForm({ ...priceForm, note: e.target.value })}
+                  />
+                </div>
+              </div>
+
+              <button
+                onClick={handleAddPrice}
+                disabled={!priceForm.provider.trim() || !priceForm.operation || priceForm.priceUsd === ''}
+                className="bg-primary text-primary-foreground px-4 py-2 rounded-md hover:opacity-90 transition font-medium text-sm disabled:opacity-50"
+              >
+                Add Price Version
+              </button>
+
+              {pricingSuccess && (
+                <div className="bg-green-50 dark:bg-green-950/30 border border-green-200 dark:border-green-900 rounded-lg p-3">
+                  <p className="text-xs text-green-800 dark:text-green-200">
+                    ✓ Price saved!
+                  </p>
+                </div>
+              )}
+
+              {pricingError && (
+                <div className="bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-900 rounded-lg p-3">
+                  <p className="text-xs text-red-800 dark:text-red-200">{pricingError}</p>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
           {/* Sharp Workflow Toggle */}
           <Card>
             <CardHeader>
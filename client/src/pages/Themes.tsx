@@ -0,0 +1,319 @@
+import { useState } from 'react';
+import { Eye, Pencil, Plus, Trash2 } from 'lucide-react';
+import { useThemes, useSaveTheme, useDeleteTheme, usePromptPreview, useBackgroundTemplates } from '../hooks';
+import { Badge, Button, Card, CardContent, CardHeader, CardTitle, Input, Select, Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../components/ui';
+import type { Theme } from '../lib/api-client';
+import { toDateTimeLocal } from '../lib/utils';
+
+const DEFAULT_THEME_KEY = 'default';
+
+// Form inputs are strings; empty optional fields are saved as null
+const EMPTY_THEME_FORM = {
+  key: '',
+  name: '',
+  backgroundPrompt: '',
+  compositePrompt: '',
+  negativePrompt: '',
+  defaultTemplateId: '',
+  activeFrom: '',
+  activeUntil: '',
+};
+
+type ThemeForm = typeof EMPTY_THEME_FORM;
+
+const TEXTAREA_CLASS = 'w-full bg-background text-foreground border border-border rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary';
+
+const toThemeForm = (theme: Theme): ThemeForm => ({
+  key: theme.key,
+  name: theme.name,
+  backgroundPrompt: theme.background_prompt,
+  compositePrompt: theme.composite_prompt || '',
+  negativePrompt: theme.negative_prompt || '',
+  defaultTemplateId: theme.default_template_id || '',
+  activeFrom: toDateTimeLocal(theme.active_from),
+  activeUntil: toDateTimeLocal(theme.active_until),
+});
+
+const formatWindow = (theme: Theme) => {
+  if (!theme.active_from && !theme.active_until) return 'Always';
+  const format = (iso: string) => new Date(iso).toLocaleDateString();
+  return `${theme.active_from ? format(theme.active_from) : '…'} – ${theme.active_until ? format(theme.active_until) : '…'}`;
+};
+
+export const Themes: React.FC = () => {
+  const { data, isLoading } = useThemes();
+  const { data: templatesData } = useBackgroundTemplates();
+  const saveTheme = useSaveTheme();
+  const deleteTheme = useDeleteTheme();
+  const promptPreview = usePromptPreview();
+  const [form, setForm] = useState<ThemeForm | null>(null);
+  const [isNew, setIsNew] = useState(false);
+  const [previewSku, setPreviewSku] = useState('');
+
+  const templateName = (id: string | null) =>
+    id ? templatesData?.templates.find(template => template.id === id)?.name || id : 'None';
+
+  const openForm = (theme: Theme | null) => {
+    saveTheme.reset();
+    promptPreview.reset();
+    setIsNew(!theme);
+    setForm(theme ? toThemeForm(theme) : EMPTY_THEME_FORM);
+  };
+
+  const handleSave = () => {
+    if (!form) return;
+
+    saveTheme.mutate(
+      {
+        key: form.key.trim(),
+        isNew,
+        theme: {
+          name: form.name.trim(),
+          backgroundPrompt: form.backgroundPrompt.trim(),
+          compositePrompt: form.compositePrompt.trim() || null,
+          negativePrompt: form.negativePrompt.trim() || null,
+          defaultTemplateId: form.defaultTemplateId || null,
+          activeFrom: form.activeFrom ? new Date(form.activeFrom).toISOString() : null,
+          activeUntil: form.activeUntil ? new Date(form.activeUntil).toISOString() : null,
+        },
+      },
+      { onSuccess: () => setForm(null) }
+    );
+  };
+
+  const handleDelete = (theme: Theme) => {
+    if (!confirm(`Delete theme "${theme.name}"? Jobs can no longer use "${theme.key}".`)) return;
+    deleteTheme.mutate(theme.key);
+  };
+
+  return (
+    <div className="space-y-6 p-6">
+      {/* Header */}
+      <div className="flex justify-between items-start">
+        <div>
+          <h1 className="text-3xl font-bold">Themes</h1>
+          <p className="text-muted-foreground mt-1">
+            Prompts used for each job theme (<span className="font-mono">?theme=</span>); jobs with an unknown or inactive theme are rejected
+          </p>
+        </div>
+        <Button onClick={() => openForm(null)}>
+          <Plus className="w-4 h-4 mr-2" />
+          New Theme
+        </Button>
+      </div>
+
+      {/* Create / Edit Form */}
+      {form && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{isNew ? 'New Theme' : `Edit ${form.name}`}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="text-sm font-medium mb-2 block">Key</label>
+                <Input
+                  placeholder="e.g. spring"
+                  value={form.key}
+                  disabled={!isNew}
+                  onChange={e => setForm({ ...form, key: e.target.value.toLowerCase() })}
+                />
+                <p className="text-xs text-muted-foreground mt-1">Lowercase letters, digits, - and _; can't be changed later</p>
+              </div>
+              <div>
+                <label className="text-sm font-medium mb-2 block">Name</label>
+                <Input value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+              </div>
+            </div>
+            <div>
+              <label className="text-sm font-medium mb-2 block">Background Prompt</label>
+              <textarea
+                className={TEXTAREA_CLASS}
+                rows={4}
+                placeholder="Describe the empty background scene..."
+                value={form.backgroundPrompt}
+                onChange={e => setForm({ ...form, backgroundPrompt: e.target.value })}
+              />
+              <p className="text-xs text-muted-foreground mt-1">
+                Background generation and Seedream edits. Use <span className="font-mono">{'{{brand}}'}</span>,{' '}
+                <span className="font-mono">{'{{category}}'}</span>, <span className="font-mono">{'{{subcategory}}'}</span>,{' '}
+                <span className="font-mono">{'{{year}}'}</span>, <span className="font-mono">{'{{size}}'}</span> for the item's
+                catalog data, and <span className="font-mono">{'{{#category=Wine}}...{{/category}}'}</span> for category-specific text
+              </p>
+              <div className="flex gap-2 mt-2">
+                <Input
+                  placeholder="SKU to preview"
+                  value={previewSku}
+                  onChange={e => setPreviewSku(e.target.value)}
+                  className="max-w-xs"
+                />
+                <Button
+                  variant="outline"
+                  onClick={() => promptPreview.mutate({ sku: previewSku.trim(), prompt: form.backgroundPrompt.trim() })}
+                  disabled={promptPreview.isPending || !previewSku.trim() || !form.backgroundPrompt.trim()}
+                >
+                  <Eye className="w-4 h-4 mr-2" />
+                  Preview
+                </Button>
+              </div>
+              {promptPreview.isError && (
+                <p className="text-sm text-red-600 mt-2">{promptPreview.error.message}</p>
+              )}
+              {promptPreview.data && (
+                <div className="mt-2 rounded-md border border-border p-3 space-y-1">
+                  <p className="text-xs text-muted-foreground">
+                    {promptPreview.data.variables
+                      ? `${promptPreview.data.sku}: ${promptPreview.data.variables.name}`
+                      : `${promptPreview.data.sku} is not in the catalog - placeholders render empty`}
+                  </p>
+                  <p className="text-sm break-words">{promptPreview.data.prompt}</p>
+                  {promptPreview.data.errors.map(error => (
+                    <p key={error} className="text-xs text-red-600">{error}</p>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div>
+              <label className="text-sm font-medium mb-2 block">Composite Prompt</label>
+              <textarea
+                className={TEXTAREA_CLASS}
+                rows={3}
+                placeholder="Same as the default theme"
+                value={form.compositePrompt}
+                onChange={e => setForm({ ...form, compositePrompt: e.target.value })}
+              />
+              <p className="text-xs text-muted-foreground mt-1">Lighting pass on composites</p>
+            </div>
+            <div>
+              <label className="text-sm font-medium mb-2 block">Negative Prompt</label>
+              <Input
+                placeholder="Optional, for providers that accept one"
+                value={form.negativePrompt}
+                onChange={e => setForm({ ...form, negativePrompt: e.target.value })}
+              />
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="text-sm font-medium mb-2 block">Default Template</label>
+                <Select value={form.defaultTemplateId} onChange={e => setForm({ ...form, defaultTemplateId: e.target.value })}>
+                  <option value="">None (use the active template)</option>
+                  {templatesData?.templates.map(template => (
+                    <option key={template.id} value={template.id}>
+                      {template.name}
+                    </option>
+                  ))}
+                </Select>
+              </div>
+              <div>
+                <label className="text-sm font-medium mb-2 block">Active From</label>
+                <Input
+                  type="datetime-local"
+                  value={form.activeFrom}
+                  onChange={e => setForm({ ...form, activeFrom: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="text-sm font-medium mb-2 block">Active Until</label>
+                <Input
+                  type="datetime-local"
+                  value={form.activeUntil}
+                  onChange={e => setForm({ ...form, activeUntil: e.target.value })}
+                />
+                <p className="text-xs text-muted-foreground mt-1">Leave both empty for always</p>
+              </div>
+            </div>
+            {saveTheme.isError && (
+              <p className="text-sm text-red-600">{saveTheme.error.message}</p>
+            )}
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => setForm(null)}>
+                Cancel
+              </Button>
+              <Button
+                onClick={handleSave}
+                disabled={saveTheme.isPending || !form.key.trim() || !form.name.trim() || !form.backgroundPrompt.trim()}
+              >
+                {saveTheme.isPending ? 'Saving...' : 'Save Theme'}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Themes Table */}
+      <Card>
+        <CardHeader>
+          <CardTitle>
+            Themes
+            {data?.themes.length ? ` (${data.themes.length})` : ''}
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {deleteTheme.isError && (
+            <p className="text-sm text-red-600 mb-4">{deleteTheme.error.message}</p>
+          )}
+          {isLoading ? (
+            <p className="text-muted-foreground text-center py-8">Loading themes...</p>
+          ) : data?.themes && data.themes.length > 0 ? (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Theme</TableHead>
+                    <TableHead>Background Prompt</TableHead>
+                    <TableHead>Default Template</TableHead>
+                    <TableHead>Active</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {data.themes.map(theme => (
+                    <TableRow key={theme.key}>
+                      <TableCell>
+                        <span className="font-medium">{theme.name}</span>
+                        {theme.key === data.defaultTheme && (
+                          <Badge variant="outline" className="ml-2 text-[10px]">default</Badge>
+                        )}
+                        <span className="block font-mono text-xs text-muted-foreground">{theme.key}</span>
+                      </TableCell>
+                      <TableCell className="max-w-md">
+                        <p className="text-xs line-clamp-2" title={theme.background_prompt}>{theme.background_prompt}</p>
+                      </TableCell>
+                      <TableCell className="text-sm">{templateName(theme.default_template_id)}</TableCell>
+                      <TableCell>
+                        <Badge variant={theme.active ? 'default' : 'secondary'}>
+                          {theme.active ? 'Active' : 'Inactive'}
+                        </Badge>
+                        <span className="block text-xs text-muted-foreground mt-1">{formatWindow(theme)}</span>
+                      </TableCell>
+                      <TableCell className="text-right space-x-2">
+                        <Button variant="ghost" size="sm" onClick={() => openForm(theme)} title="Edit">
+                          <Pencil className="w-4 h-4" />
+                        </Button>
+                        {theme.key !== DEFAULT_THEME_KEY && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleDelete(theme)}
+                            disabled={deleteTheme.isPending}
+                            title="Delete"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          ) : (
+            <p className="text-muted-foreground text-center py-8">No themes</p>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default Themes;
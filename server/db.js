@@ -87,7 +87,7 @@ try {
 // =============================================================================
 // MIGRATION SYSTEM: Run numbered migration files
 // =============================================================================
-function runMigrations() {
+export function runMigrations() {
   const migrationsDir = path.join(__dirname, 'migrations');
 
   // Create migrations directory if it doesn't exist
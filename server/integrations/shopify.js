@@ -5,7 +5,7 @@
  * Uses Admin REST API v2024-10
  */
 
-import fetch from 'node-fetch';
+import { governedFetch } from '../utils/request-governor.js';
 
 /**
  * Shopify API Configuration
@@ -44,7 +44,8 @@ async function shopifyRequest(endpoint, options = {}) {
 
   console.log(`[Shopify API] ${options.method || 'GET'} ${endpoint}`);
 
-  const response = await fetch(url, {
+  // Rate limited and circuit broken with the other providers
+  const response = await governedFetch('shopify', url, {
     ...options,
     headers
   });
@@ -0,0 +1,304 @@
+/**
+ * Cost and Throughput Analytics
+ *
+ * Time-bucketed job counts and spend, cost breakdowns and step timing
+ * percentiles for the dashboard charts. Job timestamps are stored both as
+ * ISO strings and as SQLite datetime('now') values, so every comparison goes
+ * through datetime() and buckets are UTC days or weeks (starting Monday).
+ */
+
+import db from '../db.js';
+
+/**
+ * Bucket sizes for time series
+ */
+export const AnalyticsBucket = {
+  DAY: 'day',
+  WEEK: 'week'
+};
+
+// Step timing columns, in pipeline order
+export const STEP_TIMING_COLUMNS = [
+  'download_ms',
+  'segmentation_ms',
+  'backgrounds_ms',
+  'compositing_ms',
+  'derivatives_ms',
+  'manifest_ms'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a query may cover (keeps series small)
+export const MAX_RANGE_DAYS = 366;
+
+/**
+ * SQL expression for the bucket (YYYY-MM-DD of the day or of the week's Monday)
+ */
+function bucketExpression(column, bucket) {
+  return bucket === AnalyticsBucket.WEEK
+    ? `date(${column}, 'weekday 0', '-6 days')`
+    : `date(${column})`;
+}
+
+/**
+ * Start (YYYY-MM-DD) of the bucket containing a date
+ */
+function bucketStart(date, bucket) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (bucket === AnalyticsBucket.WEEK) {
+    // getUTCDay(): 0 = Sunday; step back to Monday
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+
+  return start.toISOString().slice(0, 10);
+}
+
+/**
+ * Every bucket between two dates, so charts show empty days / weeks as zeros
+ */
+function listBuckets(from, to, bucket) {
+  const step = bucket === AnalyticsBucket.WEEK ? 7 * DAY_MS : DAY_MS;
+  const buckets = [];
+
+  for (let time = Date.parse(bucketStart(from, bucket)); time <= to.getTime(); time += step) {
+    buckets.push(new Date(time).toISOString().slice(0, 10));
+  }
+
+  return buckets;
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+}
+
+/**
+ * Job counts and spend per bucket
+ */
+function getSeries({ fromIso, toIso, from, to, bucket }) {
+  const series = new Map(listBuckets(from, to, bucket).map(key => [key, {
+    bucket: key,
+    created: 0,
+    completed: 0,
+    failed: 0,
+    costUsd: 0,
+    costByProvider: {},
+    cacheHits: 0
+  }]));
+
+  const created = db.prepare(`
+    SELECT ${bucketExpression('created_at', bucket)} AS bucket, COUNT(*) AS count
+    FROM jobs
+    WHERE datetime(created_at) >= datetime(?) AND datetime(created_at) < datetime(?)
+    GROUP BY bucket
+  `).all(fromIso, toIso);
+
+  // completed_at is set when a job reaches DONE or FAILED
+  const finished = db.prepare(`
+    SELECT ${bucketExpression('completed_at', bucket)} AS bucket,
+           SUM(CASE WHEN status = 'DONE' THEN 1 ELSE 0 END) AS completed,
+           SUM(CASE WHEN status = 'FAILED' THEN 1 ELSE 0 END) AS failed
+    FROM jobs
+    WHERE completed_at IS NOT NULL
+      AND datetime(completed_at) >= datetime(?) AND datetime(completed_at) < datetime(?)
+    GROUP BY bucket
+  `).all(fromIso, toIso);
+
+  const spend = db.prepare(`
+    SELECT ${bucketExpression('created_at', bucket)} AS bucket, provider,
+           SUM(cost_usd) AS cost,
+           SUM(CASE WHEN cache_key IS NOT NULL THEN 1 ELSE 0 END) AS cacheHits
+    FROM provider_calls
+    WHERE created_at >= ? AND created_at < ?
+    GROUP BY bucket, provider
+  `).all(fromIso, toIso);
+
+  for (const row of created) {
+    const entry = series.get(row.bucket);
+    if (entry) entry.created = row.count;
+  }
+
+  for (const row of finished) {
+    const entry = series.get(row.bucket);
+    if (entry) {
+      entry.completed = row.completed;
+      entry.failed = row.failed;
+    }
+  }
+
+  for (const row of spend) {
+    const entry = series.get(row.bucket);
+    if (entry) {
+      entry.costUsd += row.cost;
+      entry.costByProvider[row.provider] = row.cost;
+      entry.cacheHits += row.cacheHits;
+    }
+  }
+
+  return [...series.values()];
+}
+
+/**
+ * Spend per provider (call ledger, includes template generation and upscales)
+ */
+function getCostByProvider({ fromIso, toIso }) {
+  return db.prepare(`
+    SELECT provider,
+           COALESCE(SUM(cost_usd), 0) AS costUsd,
+           COUNT(*) AS calls,
+           SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) AS failures,
+           SUM(CASE WHEN cache_key IS NOT NULL THEN 1 ELSE 0 END) AS cacheHits
+    FROM provider_calls
+    WHERE created_at >= ? AND created_at < ?
+    GROUP BY provider
+    ORDER BY costUsd DESC
+  `).all(fromIso, toIso);
+}
+
+/**
+ * Provider result cache hits in the ledger and what they saved (the cost of
+ * the call that filled each entry), per provider and operation
+ */
+function getCacheHits({ fromIso, toIso }) {
+  const byOperation = db.prepare(`
+    SELECT c.provider, c.operation,
+           COUNT(*) AS hits,
+           COALESCE(SUM(pc.cost_usd), 0) AS savedUsd
+    FROM provider_calls c
+    LEFT JOIN provider_cache pc ON pc.cache_key = c.cache_key
+    WHERE c.cache_key IS NOT NULL AND c.created_at >= ? AND c.created_at < ?
+    GROUP BY c.provider, c.operation
+    ORDER BY hits DESC
+  `).all(fromIso, toIso);
+
+  return {
+    hits: byOperation.reduce((sum, row) => sum + row.hits, 0),
+    savedUsd: byOperation.reduce((sum, row) => sum + row.savedUsd, 0),
+    byOperation
+  };
+}
+
+/**
+ * Job cost grouped by a jobs column, for jobs created in the range
+ */
+function getJobCostBy(column, { fromIso, toIso }) {
+  return db.prepare(`
+    SELECT ${column} AS key,
+           COALESCE(SUM(cost_usd), 0) AS costUsd,
+           COUNT(*) AS jobs
+    FROM jobs
+    WHERE datetime(created_at) >= datetime(?) AND datetime(created_at) < datetime(?)
+    GROUP BY ${column}
+    ORDER BY costUsd DESC
+  `).all(fromIso, toIso);
+}
+
+/**
+ * Cost per background template: jobs composited onto it, plus generating its variants
+ */
+function getCostByTemplate({ fromIso, toIso }) {
+  const templates = new Map();
+
+  const ensure = (templateId, name) => {
+    if (!templates.has(templateId)) {
+      templates.set(templateId, { templateId, name, jobs: 0, jobCostUsd: 0, generationCostUsd: 0, costUsd: 0 });
+    }
+    return templates.get(templateId);
+  };
+
+  const jobRows = db.prepare(`
+    SELECT j.background_template_id AS templateId, t.name,
+           COALESCE(SUM(j.cost_usd), 0) AS costUsd, COUNT(*) AS jobs
+    FROM jobs j
+    LEFT JOIN background_templates t ON t.id = j.background_template_id
+    WHERE j.background_template_id IS NOT NULL
+      AND datetime(j.created_at) >= datetime(?) AND datetime(j.created_at) < datetime(?)
+    GROUP BY j.background_template_id
+  `).all(fromIso, toIso);
+
+  const generationRows = db.prepare(`
+    SELECT c.template_id AS templateId, t.name, COALESCE(SUM(c.cost_usd), 0) AS costUsd
+    FROM provider_calls c
+    LEFT JOIN background_templates t ON t.id = c.template_id
+    WHERE c.template_id IS NOT NULL AND c.created_at >= ? AND c.created_at < ?
+    GROUP BY c.template_id
+  `).all(fromIso, toIso);
+
+  for (const row of jobRows) {
+    const template = ensure(row.templateId, row.name);
+    template.jobs = row.jobs;
+    template.jobCostUsd = row.costUsd;
+  }
+
+  for (const row of generationRows) {
+    ensure(row.templateId, row.name).generationCostUsd = row.costUsd;
+  }
+
+  return [...templates.values()]
+    .map(template => ({ ...template, costUsd: template.jobCostUsd + template.generationCostUsd }))
+    .sort((a, b) => b.costUsd - a.costUsd);
+}
+
+/**
+ * p50 / p95 of each step timing column, for jobs created in the range
+ */
+function getStepTimings({ fromIso, toIso }) {
+  return Object.fromEntries(STEP_TIMING_COLUMNS.map(column => {
+    const values = db.prepare(`
+      SELECT ${column} AS value
+      FROM jobs
+      WHERE ${column} IS NOT NULL
+        AND datetime(created_at) >= datetime(?) AND datetime(created_at) < datetime(?)
+      ORDER BY ${column}
+    `).all(fromIso, toIso).map(row => row.value);
+
+    return [column, { count: values.length, p50: percentile(values, 50), p95: percentile(values, 95) }];
+  }));
+}
+
+/**
+ * Build analytics for a time range
+ * @param {object} options
+ * @param {Date} options.from - Range start (default: 30 days before `to`)
+ * @param {Date} options.to - Range end, exclusive (default: now)
+ * @param {string} options.bucket - AnalyticsBucket (default: day)
+ * @returns {object} Analytics with:
+ *   - range: { from, to, bucket }
+ *   - series: Array<{ bucket, created, completed, failed, costUsd, costByProvider, cacheHits }>
+ *   - cost: { totalUsd, byProvider, byWorkflow, byTheme, byTemplate }
+ *   - cache: { hits, savedUsd, byOperation } - Provider result cache hits
+ *   - stepTimings: Object<column, { count, p50, p95 }> (milliseconds)
+ */
+export function getAnalytics({ from, to, bucket = AnalyticsBucket.DAY } = {}) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - 30 * DAY_MS);
+  const range = { from: start, to: end, fromIso: start.toISOString(), toIso: end.toISOString(), bucket };
+
+  const byProvider = getCostByProvider(range);
+
+  return {
+    range: { from: range.fromIso, to: range.toIso, bucket },
+    series: getSeries(range),
+    cost: {
+      totalUsd: byProvider.reduce((sum, row) => sum + row.costUsd, 0),
+      byProvider,
+      byWorkflow: getJobCostBy('workflow_type', range).map(({ key, ...row }) => ({ workflow: key, ...row })),
+      byTheme: getJobCostBy('theme', range).map(({ key, ...row }) => ({ theme: key, ...row })),
+      byTemplate: getCostByTemplate(range)
+    },
+    cache: getCacheHits(range),
+    stepTimings: getStepTimings(range)
+  };
+}
+
+export default {
+  AnalyticsBucket,
+  STEP_TIMING_COLUMNS,
+  MAX_RANGE_DAYS,
+  getAnalytics
+};
@@ -0,0 +1,284 @@
+/**
+ * Job Batches
+ *
+ * Groups the jobs created by one bulk submission (job_batches + job_batch_items).
+ * Batch status, progress and cost are derived from the member jobs on every read.
+ * Also creates the jobs for bulk payloads, shared with POST /jobs/bulk.
+ */
+
+import { nanoid } from 'nanoid';
+import db from '../db.js';
+import { createJob, retryJob, hasReachedImageLimit } from './manager.js';
+import { JobStatus } from './state-machine.js';
+import { JobEventActor } from './events.js';
+import { readPipelineSettings, capturePipelineConfig } from './pipeline-config.js';
+import { getJobDefaultTheme } from '../providers/themes.js';
+
+/**
+ * Batch statuses (derived, not stored)
+ */
+export const BatchStatus = {
+  QUEUED: 'queued',         // No job has started yet
+  PROCESSING: 'processing', // Some jobs still running or waiting
+  COMPLETED: 'completed',   // Every job DONE
+  PARTIAL: 'partial',       // Finished, some jobs failed or were cancelled
+  FAILED: 'failed'          // Finished without a single DONE job
+};
+
+/**
+ * Batch sources
+ */
+export const BatchSource = {
+  API: 'api',       // JSON image URLs
+  UPLOAD: 'upload'  // Multipart files
+};
+
+/**
+ * Create jobs for a bulk payload
+ * Entry-level theme/priority/notBefore win over the shared defaults; entry
+ * pipeline overrides are merged over the shared ones.
+ *
+ * @param {object} payload - Validated bulk payload
+ * @param {object[]} payload.jobs - Entries: { sku, imageUrl, sha256, theme?, priority?, notBefore?, pipeline? }
+ * @param {string} payload.theme - Default theme
+ * @param {number} payload.priority - Default priority
+ * @param {string} payload.notBefore - Default schedule (ISO 8601)
+ * @param {object} payload.pipeline - Default pipeline overrides
+ * @param {string} actor - Who created the jobs, for the event log (default: api)
+ * @returns {object[]} One result per entry: { sku, jobId?, status: created|duplicate|rejected, error?, priority?, notBefore? }
+ */
+export function createJobsFromEntries(payload, actor = JobEventActor.API) {
+  const receivedAt = new Date().toISOString();
+  const maxImages = parseInt(process.env.IMAGE_MAX_PER_SKU || '4', 10);
+  const pipelineSettings = readPipelineSettings();
+
+  return payload.jobs.map(entry => {
+    if (hasReachedImageLimit(entry.sku, maxImages)) {
+      return { sku: entry.sku, status: 'rejected', error: `Max images limit reached (${maxImages})` };
+    }
+
+    const theme = entry.theme || payload.theme || getJobDefaultTheme();
+    const notBefore = entry.notBefore ?? payload.notBefore ?? null;
+
+    const job = createJob({
+      sku: entry.sku,
+      imageUrl: entry.imageUrl,
+      sha256: entry.sha256,
+      theme,
+      priority: entry.priority ?? payload.priority,
+      notBefore,
+      pipelineConfig: capturePipelineConfig({
+        ...payload.pipeline,
+        ...entry.pipeline,
+        sharpSettings: { ...payload.pipeline?.sharpSettings, ...entry.pipeline?.sharpSettings }
+      }, pipelineSettings),
+      actor
+    });
+
+    return {
+      sku: job.sku,
+      jobId: job.id,
+      // createJob() returns the existing row for duplicates, which predates this request
+      status: job.created_at >= receivedAt ? 'created' : 'duplicate',
+      priority: job.priority,
+      notBefore: job.not_before
+    };
+  });
+}
+
+/**
+ * Create a batch and its jobs
+ * @param {object} params
+ * @param {string} params.name - Optional display name
+ * @param {string} params.source - BatchSource (default: api)
+ * @param {object} params.payload - Bulk payload (see createJobsFromEntries); entries may carry a filename
+ * @param {object[]} params.rejected - Entries rejected before job creation (e.g. failed uploads): { sku, error, filename? }
+ * @param {string} params.actor - Who submitted the batch (default: api)
+ * @returns {{batch: object, results: object[]}} Batch summary and per-entry results
+ */
+export function createBatch({ name = null, source = BatchSource.API, payload, rejected = [], actor = JobEventActor.API }) {
+  const batchId = `batch_${nanoid(12)}`;
+  const now = new Date().toISOString();
+
+  const results = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO job_batches (id, name, source, actor, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(batchId, name, source, actor, now, now);
+
+    const insertItem = db.prepare(`
+      INSERT INTO job_batch_items (batch_id, job_id, sku, result, error, filename)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const created = createJobsFromEntries(payload, actor).map((result, i) => ({
+      ...result,
+      ...(payload.jobs[i].filename && { filename: payload.jobs[i].filename })
+    }));
+    const failed = rejected.map(entry => ({ ...entry, status: 'rejected' }));
+
+    for (const result of [...created, ...failed]) {
+      insertItem.run(batchId, result.jobId || null, result.sku, result.status, result.error || null, result.filename || null);
+    }
+
+    return [...created, ...failed];
+  })();
+
+  const batch = getBatch(batchId);
+  console.log(`[JobBatches] ✅ Created batch ${batchId}: ${batch.progress.total} job(s), ${batch.rejected} rejected`);
+
+  return { batch, results };
+}
+
+/**
+ * Derive a batch's status from its job counts
+ */
+function getBatchStatus({ total, done, failed, cancelled, queued }) {
+  if (total === 0) return BatchStatus.FAILED; // Every entry was rejected
+  if (done + failed + cancelled < total) {
+    return queued === total ? BatchStatus.QUEUED : BatchStatus.PROCESSING;
+  }
+  if (done === total) return BatchStatus.COMPLETED;
+  return done > 0 ? BatchStatus.PARTIAL : BatchStatus.FAILED;
+}
+
+// Per-batch counts over its items and (still existing) jobs
+const BATCH_SUMMARY_QUERY = `
+  SELECT
+    b.*,
+    COUNT(j.id) AS total,
+    COALESCE(SUM(j.status = '${JobStatus.DONE}'), 0) AS done,
+    COALESCE(SUM(j.status = '${JobStatus.FAILED}'), 0) AS failed,
+    COALESCE(SUM(j.status = '${JobStatus.CANCELLED}'), 0) AS cancelled,
+    COALESCE(SUM(j.status = '${JobStatus.NEW}' AND j.attempt = 0), 0) AS queued,
+    COALESCE(SUM(i.result = 'duplicate' AND j.id IS NOT NULL), 0) AS duplicates,
+    SUM(i.result = 'rejected') AS rejected,
+    COALESCE(SUM(j.cost_usd), 0) AS cost_usd
+  FROM job_batches b
+  LEFT JOIN job_batch_items i ON i.batch_id = b.id
+  LEFT JOIN jobs j ON j.id = i.job_id
+`;
+
+/**
+ * Shape a summary row for API responses
+ */
+function formatBatch(row) {
+  const { total, done, failed, cancelled, queued, duplicates, rejected, cost_usd: costUsd, ...batch } = row;
+  const finished = done + failed + cancelled;
+
+  return {
+    ...batch,
+    status: getBatchStatus({ total, done, failed, cancelled, queued }),
+    progress: {
+      total,
+      done,
+      failed,
+      cancelled,
+      active: total - finished,
+      percent: total > 0 ? Math.round((finished / total) * 100) : 100
+    },
+    duplicates,
+    rejected: rejected || 0,
+    cost_usd: costUsd
+  };
+}
+
+/**
+ * Get a batch with its derived status, progress and cost
+ * @param {string} batchId - Batch ID
+ * @returns {object|null} Batch summary, or null if not found
+ */
+export function getBatch(batchId) {
+  const row = db.prepare(`${BATCH_SUMMARY_QUERY} WHERE b.id = ? GROUP BY b.id`).get(batchId);
+  return row ? formatBatch(row) : null;
+}
+
+/**
+ * List batches, newest first
+ * @param {object} options
+ * @param {number} options.limit - Max results (default: 50)
+ * @param {number} options.offset - Offset (default: 0)
+ * @returns {{batches: object[], total: number}} Batch summaries and total count
+ */
+export function listBatches({ limit = 50, offset = 0 } = {}) {
+  const batches = db.prepare(`
+    ${BATCH_SUMMARY_QUERY}
+    GROUP BY b.id
+    ORDER BY b.created_at DESC
+    LIMIT ? OFFSET ?
+  `).all(limit, offset).map(formatBatch);
+
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM job_batches').get();
+
+  return { batches, total };
+}
+
+/**
+ * List a batch's entries with their jobs
+ * @param {string} batchId - Batch ID
+ * @returns {object[]} Items in submission order (job is null for rejected entries)
+ */
+export function getBatchItems(batchId) {
+  return db.prepare(`
+    SELECT
+      i.sku, i.result, i.error, i.filename, i.job_id,
+      j.status, j.theme, j.priority, j.cost_usd, j.attempt, j.error_code, j.error_message,
+      j.created_at, j.updated_at, j.completed_at
+    FROM job_batch_items i
+    LEFT JOIN jobs j ON j.id = i.job_id
+    WHERE i.batch_id = ?
+    ORDER BY i.id ASC
+  `).all(batchId).map(({ sku, result, error, filename, job_id: jobId, ...job }) => ({
+    sku,
+    result,
+    error,
+    filename,
+    job: jobId && job.status ? { id: jobId, sku, ...job } : null
+  }));
+}
+
+/**
+ * Retry every failed job in a batch
+ * Each job resumes from its first missing artifact (see retryJob); jobs that
+ * can't be retried (e.g. retries exhausted, invalid image) are reported as skipped.
+ *
+ * @param {string} batchId - Batch ID
+ * @param {object} options
+ * @param {number} options.maxRetries - Retry limit passed to canRetry()
+ * @param {string} options.actor - Who triggered the retry (default: system)
+ * @returns {{retried: number, skipped: number, results: object[]}} Per-job results
+ */
+export function retryFailedBatchJobs(batchId, { maxRetries = 3, actor = JobEventActor.SYSTEM } = {}) {
+  const failedJobs = db.prepare(`
+    SELECT DISTINCT j.id, j.sku
+    FROM job_batch_items i
+    JOIN jobs j ON j.id = i.job_id
+    WHERE i.batch_id = ? AND j.status = ?
+  `).all(batchId, JobStatus.FAILED);
+
+  const results = failedJobs.map(({ id, sku }) => {
+    const result = retryJob(id, { maxRetries, actor });
+    return result.success
+      ? { jobId: id, sku, success: true, resumeFrom: result.resumeFrom }
+      : { jobId: id, sku, success: false, error: result.error };
+  });
+
+  const retried = results.filter(r => r.success).length;
+  if (results.length > 0) {
+    db.prepare('UPDATE job_batches SET updated_at = ? WHERE id = ?').run(new Date().toISOString(), batchId);
+    console.log(`[JobBatches] ♻️  Retried ${retried}/${results.length} failed job(s) in batch ${batchId}`);
+  }
+
+  return { retried, skipped: results.length - retried, results };
+}
+
+export default {
+  BatchStatus,
+  BatchSource,
+  createJobsFromEntries,
+  createBatch,
+  getBatch,
+  listBatches,
+  getBatchItems,
+  retryFailedBatchJobs
+};
@@ -0,0 +1,136 @@
+/**
+ * Job Error Classification
+ *
+ * Maps pipeline failures to an ErrorCode and decides whether they are transient
+ * (worth an automatic retry: provider 5xx/429, timeouts, network and S3 hiccups)
+ * or permanent (bad input, missing product, configuration, other 4xx). An open
+ * provider circuit (utils/request-governor.js) is always transient.
+ *
+ * Providers report failures as strings that the processor rethrows with a step
+ * prefix ("Background generation 1 failed: Freepik API error (503): ..."), so
+ * classification mostly works on the message. Errors thrown straight from Node,
+ * node-fetch or the AWS SDK also carry a code / HTTP status, which is checked first.
+ */
+
+import { ErrorCode } from './state-machine.js';
+
+/**
+ * Error classes
+ */
+export const ErrorClass = {
+  TRANSIENT: 'transient', // Retried automatically with backoff
+  PERMANENT: 'permanent'  // Left in FAILED for a human
+};
+
+// Errors that no retry can fix, whatever the step
+const PERMANENT_ERRORS = [
+  { pattern: /downloaded image is empty|unsupported image format|input buffer|corrupt/i, errorCode: ErrorCode.INVALID_IMAGE, reason: 'invalid image' },
+  { pattern: /product not found|no product found/i, errorCode: ErrorCode.PRODUCT_NOT_FOUND, reason: 'product not found' },
+  { pattern: /api key is required|no background template is selected|no selected background variants|no longer exists/i, errorCode: null, reason: 'configuration' }
+];
+
+// Error codes by the processor step that threw (message prefix)
+const STEP_ERROR_CODES = [
+  { pattern: /^background removal failed/i, errorCode: ErrorCode.SEGMENT_FAILED },
+  { pattern: /^(background generation|seedream (template )?edit)/i, errorCode: ErrorCode.BG_FAILED },
+  { pattern: /^(ai compositing failed|derivatives generation failed|no cutout|no backgrounds)/i, errorCode: ErrorCode.COMPOSITE_FAILED },
+  { pattern: /^manifest generation failed/i, errorCode: ErrorCode.S3_UPLOAD_FAILED },
+  { pattern: /shopify/i, errorCode: ErrorCode.SHOPIFY_UPLOAD_FAILED }
+];
+
+// Node / undici network error codes
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+];
+
+const CIRCUIT_OPEN_PATTERN = /circuit open/i;
+const TIMEOUT_PATTERN = /timed? ?out|timeout/i;
+const NETWORK_PATTERN = new RegExp(`socket hang up|network|fetch failed|${NETWORK_ERROR_CODES.join('|')}`, 'i');
+// AWS SDK error names for throttling and server-side S3 faults
+const S3_TRANSIENT_PATTERN = /SlowDown|ServiceUnavailable|InternalError|RequestTimeout|Throttl/;
+const S3_PATTERN = /\bS3\b|bucket|storage/i;
+
+/**
+ * Find the HTTP status of a failed call
+ * Matches "API error (503): ..." and "Failed to download image: 502 Bad Gateway"
+ */
+function extractHttpStatus(error, message) {
+  const status = error?.status ?? error?.statusCode ?? error?.$metadata?.httpStatusCode;
+  if (Number.isInteger(status)) {
+    return status;
+  }
+
+  const match = message.match(/\((\d{3})\)/) || message.match(/:\s(\d{3})\s[A-Z]/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Check if an HTTP status is worth retrying
+ */
+function isTransientStatus(status) {
+  return status === 408 || status === 425 || status === 429 || status >= 500;
+}
+
+/**
+ * Classify a pipeline error
+ * Anything not recognised as transient is treated as permanent, so unknown
+ * failures are never retried (and paid for) in a loop.
+ *
+ * @param {Error|string} error - Thrown error or provider error message
+ * @returns {{errorCode: string, errorClass: string, retryable: boolean, reason: string}}
+ */
+export function classifyJobError(error) {
+  const message = (typeof error === 'string' ? error : error?.message) || '';
+  const code = typeof error === 'object' ? error?.code : null;
+  const name = typeof error === 'object' ? error?.name : null;
+
+  const stepCode = STEP_ERROR_CODES.find(({ pattern }) => pattern.test(message))?.errorCode;
+  const fallbackCode = stepCode || (S3_PATTERN.test(message) ? ErrorCode.S3_UPLOAD_FAILED : ErrorCode.UNKNOWN);
+
+  const permanent = (errorCode, reason) => ({ errorCode, errorClass: ErrorClass.PERMANENT, retryable: false, reason });
+  const transient = (errorCode, reason) => ({ errorCode, errorClass: ErrorClass.TRANSIENT, retryable: true, reason });
+
+  const knownPermanent = PERMANENT_ERRORS.find(({ pattern }) => pattern.test(message));
+  if (knownPermanent) {
+    return permanent(knownPermanent.errorCode || fallbackCode, knownPermanent.reason);
+  }
+
+  if (code === 'CIRCUIT_OPEN' || CIRCUIT_OPEN_PATTERN.test(message)) {
+    return transient(fallbackCode, 'circuit open');
+  }
+
+  const status = extractHttpStatus(error, message);
+  if (status) {
+    return isTransientStatus(status)
+      ? transient(fallbackCode, `HTTP ${status}`)
+      : permanent(fallbackCode, `HTTP ${status}`);
+  }
+
+  if (name === 'TimeoutError' || TIMEOUT_PATTERN.test(message)) {
+    return transient(stepCode || ErrorCode.TIMEOUT, 'timeout');
+  }
+
+  if (NETWORK_ERROR_CODES.includes(code) || NETWORK_PATTERN.test(message)) {
+    return transient(fallbackCode, 'network error');
+  }
+
+  if (S3_TRANSIENT_PATTERN.test(name || '') || S3_TRANSIENT_PATTERN.test(message)) {
+    return transient(stepCode || ErrorCode.S3_UPLOAD_FAILED, 'storage error');
+  }
+
+  return permanent(fallbackCode, 'unclassified');
+}
+
+export default {
+  ErrorClass,
+  classifyJobError
+};
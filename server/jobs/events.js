@@ -0,0 +1,150 @@
+/**
+ * Job Event Log
+ *
+ * Append-only timeline for each job (job_events table).
+ * Written by the job manager (status changes, failures, costs) and by the
+ * processor for every pipeline step and provider call.
+ * Every recorded event is also pushed to live subscribers (see stream.js);
+ * events recorded by other processes reach them through the stream's relay.
+ */
+
+import db from '../db.js';
+import { publishJobEvent } from './stream.js';
+
+/**
+ * Event types
+ */
+export const JobEventType = {
+  STATUS_CHANGE: 'status_change',
+  STEP: 'step',
+  PROVIDER_CALL: 'provider_call',
+  COST: 'cost',
+  ERROR: 'error',
+  LEASE: 'lease',
+  WATCHDOG: 'watchdog',
+  FAILOVER: 'failover'
+};
+
+/**
+ * Who triggered an event
+ */
+export const JobEventActor = {
+  PROCESSOR: 'processor',
+  WEBHOOK: 'webhook',
+  API: 'api',
+  SYSTEM: 'system'
+};
+
+/**
+ * Record a job event
+ * Never throws: a failed log write must not break the pipeline.
+ *
+ * @param {string} jobId - Job ID
+ * @param {object} event - Event details
+ * @param {string} event.type - Event type from JobEventType
+ * @param {string} event.fromStatus - Previous status (status changes)
+ * @param {string} event.toStatus - New status (status changes)
+ * @param {string} event.step - Pipeline step name
+ * @param {string} event.provider - Provider that served the call
+ * @param {number} event.costUsd - Cost incurred in USD
+ * @param {number} event.durationMs - Duration in milliseconds
+ * @param {string} event.message - Human-readable description
+ * @param {string} event.errorCode - Error code from ErrorCode enum
+ * @param {string} event.actor - Who triggered it (default: system)
+ * @param {object} event.metadata - Extra details (stored as JSON)
+ * @returns {number|null} Event ID, or null if the write failed
+ */
+export function recordJobEvent(jobId, {
+  type,
+  fromStatus = null,
+  toStatus = null,
+  step = null,
+  provider = null,
+  costUsd = null,
+  durationMs = null,
+  message = null,
+  errorCode = null,
+  actor = JobEventActor.SYSTEM,
+  metadata = null
+}) {
+  try {
+    const createdAt = new Date().toISOString();
+
+    const result = db.prepare(`
+      INSERT INTO job_events (
+        job_id, type, from_status, to_status, step, provider,
+        cost_usd, duration_ms, message, error_code, actor, metadata, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      jobId, type, fromStatus, toStatus, step, provider,
+      costUsd, durationMs, message, errorCode, actor,
+      metadata ? JSON.stringify(metadata) : null,
+      createdAt
+    );
+
+    publishJobEvent({
+      id: Number(result.lastInsertRowid),
+      job_id: jobId,
+      type,
+      from_status: fromStatus,
+      to_status: toStatus,
+      step,
+      provider,
+      cost_usd: costUsd,
+      duration_ms: durationMs,
+      message,
+      error_code: errorCode,
+      actor,
+      metadata,
+      created_at: createdAt
+    });
+
+    return result.lastInsertRowid;
+  } catch (err) {
+    console.error(`[JobEvents] ❌ Failed to record ${type} event for job ${jobId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * List events for a job in chronological order
+ * @param {string} jobId - Job ID
+ * @param {object} filters - Optional filters
+ * @param {string} filters.type - Filter by event type
+ * @returns {object[]} Array of events (metadata parsed)
+ */
+export function listJobEvents(jobId, filters = {}) {
+  let query = 'SELECT * FROM job_events WHERE job_id = ?';
+  const params = [jobId];
+
+  if (filters.type) {
+    query += ' AND type = ?';
+    params.push(filters.type);
+  }
+
+  query += ' ORDER BY id ASC';
+
+  return db.prepare(query).all(...params).map(event => ({
+    ...event,
+    metadata: event.metadata ? JSON.parse(event.metadata) : null
+  }));
+}
+
+/**
+ * Delete events whose job no longer exists (used when old jobs are purged)
+ * @returns {number} Number of deleted events
+ */
+export function deleteOrphanedJobEvents() {
+  return db.prepare(`
+    DELETE FROM job_events
+    WHERE job_id NOT IN (SELECT id FROM jobs)
+  `).run().changes;
+}
+
+export default {
+  JobEventType,
+  JobEventActor,
+  recordJobEvent,
+  listJobEvents,
+  deleteOrphanedJobEvents
+};
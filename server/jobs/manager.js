@@ -7,24 +7,50 @@
 
 import { nanoid } from 'nanoid';
 import db from '../db.js';
-import { JobStatus, ErrorCode, transitionJob, isTerminalStatus } from './state-machine.js';
+import { JobStatus, ErrorCode, transitionJob, isTerminalStatus, getResumeStatus, canRetry, getRetryDelay } from './state-machine.js';
+import { JobEventType, JobEventActor, recordJobEvent, deleteOrphanedJobEvents } from './events.js';
+import { classifyJobError } from './errors.js';
+
+/**
+ * Named job priorities (any integer from -100 to 100 is accepted; higher runs first)
+ */
+export const JobPriority = {
+  LOW: -10,
+  NORMAL: 0,
+  HIGH: 10,
+  URGENT: 20
+};
 
 /**
  * Create a new job
- * Implements idempotency: same sku+img_sha256+theme returns existing job
+ * Implements idempotency: same sku+img_sha256+theme returns existing job (clones
+ * of that job don't count, see cloneJob())
  *
  * @param {object} params - Job creation parameters
  * @param {string} params.sku - Product SKU
  * @param {string} params.imageUrl - Source image URL from 3JMS
  * @param {string} params.sha256 - SHA256 hash of image (idempotency key)
  * @param {string} params.theme - Background theme (default: 'default')
+ * @param {number} params.priority - Processing priority, higher first (default: JobPriority.NORMAL)
+ * @param {string} params.notBefore - Don't process before this time (ISO 8601, default: immediately)
+ * @param {object} params.pipelineConfig - Pipeline settings snapshot from capturePipelineConfig() (default: captured when processed)
+ * @param {string} params.actor - Who created the job, for the event log (default: system)
  * @returns {object} Job object
  */
-export function createJob({ sku, imageUrl, sha256, theme = 'default' }) {
+export function createJob({
+  sku,
+  imageUrl,
+  sha256,
+  theme = 'default',
+  priority = JobPriority.NORMAL,
+  notBefore = null,
+  pipelineConfig = null,
+  actor = JobEventActor.SYSTEM
+}) {
   // Check for existing job (idempotency)
   const existing = db.prepare(`
     SELECT * FROM jobs
-    WHERE sku = ? AND img_sha256 = ? AND theme = ?
+    WHERE sku = ? AND img_sha256 = ? AND theme = ? AND parent_job_id IS NULL
   `).get(sku, sha256, theme);
 
   if (existing) {
@@ -43,6 +69,10 @@ export function createJob({ sku, imageUrl, sha256, theme = 'default' }) {
     theme,
     status: JobStatus.NEW,
     attempt: 0,
+    priority,
+    not_before: notBefore,
+    pipeline_config: pipelineConfig ? JSON.stringify(pipelineConfig) : null,
+    template_rule_id: pipelineConfig?.templateRule?.id || null,
     source_url: imageUrl,
     created_at: now,
     updated_at: now
@@ -50,18 +80,125 @@ export function createJob({ sku, imageUrl, sha256, theme = 'default' }) {
 
   db.prepare(`
     INSERT INTO jobs (
-      id, sku, img_sha256, theme, status, attempt,
-      source_url, created_at, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      id, sku, img_sha256, theme, status, attempt, priority, not_before,
+      pipeline_config, template_rule_id, source_url, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     job.id, job.sku, job.img_sha256, job.theme, job.status, job.attempt,
-    job.source_url, job.created_at, job.updated_at
+    job.priority, job.not_before,
+    job.pipeline_config, job.template_rule_id, job.source_url, job.created_at, job.updated_at
   );
 
-  console.log(`[JobManager] ✅ Created job: ${jobId} (SKU: ${sku}, theme: ${theme})`);
+  recordJobEvent(jobId, {
+    type: JobEventType.STATUS_CHANGE,
+    toStatus: JobStatus.NEW,
+    message: notBefore ? `Job created, scheduled for ${notBefore}` : 'Job created',
+    actor,
+    metadata: { sourceUrl: imageUrl, priority, notBefore, pipelineOverrides: pipelineConfig?.overrides || [] }
+  });
+
+  console.log(`[JobManager] ✅ Created job: ${jobId} (SKU: ${sku}, theme: ${theme}, priority: ${priority}${notBefore ? `, not before ${notBefore}` : ''})`);
   return job;
 }
 
+/**
+ * Clone a job to try another theme or template
+ * The clone reuses the source's original, cutout and mask, so it starts at
+ * BG_REMOVED and the processor skips download and background removal (and
+ * their cost). Clones aren't subject to the sku+img_sha256+theme idempotency
+ * check: cloning twice with the same theme creates two jobs.
+ *
+ * @param {string} sourceJobId - Job whose cutout to reuse
+ * @param {object} params - Clone parameters
+ * @param {string} params.theme - Background theme (default: the source's theme)
+ * @param {number} params.priority - Processing priority, higher first (default: JobPriority.NORMAL)
+ * @param {string} params.notBefore - Don't process before this time (ISO 8601, default: immediately)
+ * @param {object} params.pipelineConfig - Pipeline settings snapshot from capturePipelineConfig()
+ * @param {string} params.actor - Who cloned the job, for the event log (default: system)
+ * @returns {{success: boolean, job?: object, error?: string}} Clone result
+ */
+export function cloneJob(sourceJobId, {
+  theme = null,
+  priority = JobPriority.NORMAL,
+  notBefore = null,
+  pipelineConfig,
+  actor = JobEventActor.SYSTEM
+}) {
+  const source = getJob(sourceJobId);
+  if (!source) {
+    return { success: false, error: 'Job not found' };
+  }
+
+  if (!source.s3_cutout_key || !source.s3_mask_key) {
+    return { success: false, error: `Job has no cutout to reuse yet (current status: ${source.status})` };
+  }
+
+  const jobId = nanoid();
+  const now = new Date().toISOString();
+
+  const job = {
+    id: jobId,
+    sku: source.sku,
+    img_sha256: source.img_sha256,
+    theme: theme || source.theme,
+    status: JobStatus.BG_REMOVED,
+    attempt: 0,
+    priority,
+    not_before: notBefore,
+    pipeline_config: JSON.stringify(pipelineConfig),
+    template_rule_id: pipelineConfig.templateRule?.id || null,
+    workflow_type: pipelineConfig.workflow,
+    source_url: source.source_url,
+    s3_original_key: source.s3_original_key,
+    s3_cutout_key: source.s3_cutout_key,
+    s3_mask_key: source.s3_mask_key,
+    parent_job_id: source.id,
+    created_at: now,
+    updated_at: now
+  };
+
+  db.prepare(`
+    INSERT INTO jobs (
+      id, sku, img_sha256, theme, status, attempt, priority, not_before,
+      pipeline_config, template_rule_id, workflow_type, source_url,
+      s3_original_key, s3_cutout_key, s3_mask_key, parent_job_id, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    job.id, job.sku, job.img_sha256, job.theme, job.status, job.attempt,
+    job.priority, job.not_before, job.pipeline_config, job.template_rule_id, job.workflow_type, job.source_url,
+    job.s3_original_key, job.s3_cutout_key, job.s3_mask_key, job.parent_job_id,
+    job.created_at, job.updated_at
+  );
+
+  recordJobEvent(jobId, {
+    type: JobEventType.STATUS_CHANGE,
+    toStatus: JobStatus.BG_REMOVED,
+    message: `Cloned from job ${source.id}, reusing its cutout`,
+    actor,
+    metadata: {
+      parentJobId: source.id,
+      parentTheme: source.theme,
+      priority,
+      notBefore,
+      pipelineOverrides: pipelineConfig.overrides || []
+    }
+  });
+
+  console.log(`[JobManager] ✅ Cloned job ${source.id} as ${jobId} (SKU: ${job.sku}, theme: ${job.theme}, priority: ${priority})`);
+  return { success: true, job };
+}
+
+/**
+ * Get the hash segment for a job's output keys (backgrounds, composites, derivatives, manifest)
+ * Clones share their source's sku + img_sha256 and may share its theme, so their
+ * outputs also carry the job ID to keep them from overwriting the source's.
+ * @param {object} job - Job row
+ * @returns {string} img_sha256, suffixed with the job ID for clones
+ */
+export function getJobOutputHash(job) {
+  return job.parent_job_id ? `${job.img_sha256}-${job.id}` : job.img_sha256;
+}
+
 /**
  * Get a job by ID
  * @param {string} jobId - Job ID
@@ -78,6 +215,7 @@ export function getJob(jobId) {
  * @param {string} filters.status - Filter by status
  * @param {string} filters.sku - Filter by SKU
  * @param {string} filters.theme - Filter by theme
+ * @param {string} filters.parentJobId - Only clones of this job
  * @param {number} filters.limit - Max results (default: 100)
  * @param {number} filters.offset - Pagination offset (default: 0)
  * @returns {object[]} Array of job objects
@@ -87,6 +225,7 @@ export function listJobs(filters = {}) {
     status,
     sku,
     theme,
+    parentJobId,
     limit = 100,
     offset = 0
   } = filters;
@@ -109,6 +248,11 @@ export function listJobs(filters = {}) {
     params.push(theme);
   }
 
+  if (parentJobId) {
+    query += ' AND parent_job_id = ?';
+    params.push(parentJobId);
+  }
+
   query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
   params.push(limit, offset);
 
@@ -120,21 +264,165 @@ export function listJobs(filters = {}) {
   }
 }
 
+/**
+ * List jobs waiting for the processor
+ * Includes new jobs, retried jobs resumed mid-pipeline (attempt > 0), clones
+ * (which start mid-pipeline) and jobs whose worker lease expired mid-pipeline. Jobs under a live lease or scheduled
+ * for later (not_before) are excluded. Highest priority first, then oldest.
+ * @param {number} limit - Max results (default: 10)
+ * @param {string} now - Current time (ISO 8601) used for lease expiry and scheduling
+ * @returns {object[]} Array of job objects
+ */
+export function listPendingJobs(limit = 10, now = new Date().toISOString()) {
+  return db.prepare(`
+    SELECT * FROM jobs
+    WHERE (
+        status = ?
+        OR (status IN (?, ?, ?, ?) AND (attempt > 0 OR lease_owner IS NOT NULL OR parent_job_id IS NOT NULL))
+      )
+      AND (lease_owner IS NULL OR lease_expires_at < ?)
+      AND (not_before IS NULL OR not_before <= ?)
+    ORDER BY priority DESC, created_at ASC
+    LIMIT ?
+  `).all(
+    JobStatus.NEW,
+    JobStatus.BG_REMOVED,
+    JobStatus.BACKGROUND_READY,
+    JobStatus.COMPOSITED,
+    JobStatus.DERIVATIVES,
+    now,
+    now,
+    limit
+  );
+}
+
+/**
+ * List all jobs in a non-terminal status
+ * Each row carries `last_event_at`, the time of its latest job_events entry. Unlike
+ * updated_at (bumped by the jobs trigger on every write, lease heartbeats included)
+ * it only moves when the pipeline makes progress.
+ * @returns {object[]} Array of job objects
+ */
+export function listActiveJobs() {
+  return db.prepare(`
+    SELECT jobs.*,
+           (SELECT MAX(created_at) FROM job_events WHERE job_events.job_id = jobs.id) AS last_event_at
+    FROM jobs
+    WHERE status NOT IN (?, ?, ?)
+    ORDER BY created_at ASC
+  `).all(JobStatus.DONE, JobStatus.FAILED, JobStatus.CANCELLED);
+}
+
+/**
+ * Atomically claim pending jobs for a worker
+ * Selection and lease writes run in one IMMEDIATE transaction, so processors
+ * sharing the database (server.js + worker.js) never claim the same job.
+ * Jobs with an expired lease are reclaimed from the worker that held them.
+ *
+ * @param {string} workerId - Claiming worker ID
+ * @param {number} limit - Max jobs to claim
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {object[]} Claimed job objects
+ */
+export function claimPendingJobs(workerId, limit, leaseMs) {
+  if (limit <= 0) {
+    return [];
+  }
+
+  const claim = db.transaction(() => {
+    const now = new Date();
+    const nowISO = now.toISOString();
+    const expiresAt = new Date(now.getTime() + leaseMs).toISOString();
+
+    const acquire = db.prepare(`
+      UPDATE jobs
+      SET lease_owner = ?,
+          lease_expires_at = ?,
+          lease_heartbeat_at = ?
+      WHERE id = ? AND (lease_owner IS NULL OR lease_expires_at < ?)
+    `);
+
+    return listPendingJobs(limit, nowISO)
+      .filter(job => acquire.run(workerId, expiresAt, nowISO, job.id, nowISO).changes === 1)
+      .map(job => ({ jobId: job.id, previousOwner: job.lease_owner, expiresAt }));
+  });
+
+  const claims = claim.immediate();
+
+  return claims.map(({ jobId, previousOwner, expiresAt }) => {
+    if (previousOwner) {
+      console.warn(`[JobManager] ⚠️  Reclaimed job ${jobId} from expired lease (${previousOwner})`);
+    }
+
+    recordJobEvent(jobId, {
+      type: JobEventType.LEASE,
+      message: previousOwner
+        ? `Reclaimed expired lease from ${previousOwner}`
+        : `Claimed by ${workerId}`,
+      actor: JobEventActor.PROCESSOR,
+      metadata: { workerId, previousOwner, leaseExpiresAt: expiresAt }
+    });
+
+    return getJob(jobId);
+  });
+}
+
+/**
+ * Extend a worker's lease on a job (heartbeat)
+ * @param {string} jobId - Job ID
+ * @param {string} workerId - Worker holding the lease
+ * @param {number} leaseMs - New lease duration from now in milliseconds
+ * @returns {boolean} False if the worker no longer holds the lease
+ */
+export function renewJobLease(jobId, workerId, leaseMs) {
+  const now = new Date();
+
+  const result = db.prepare(`
+    UPDATE jobs
+    SET lease_expires_at = ?,
+        lease_heartbeat_at = ?
+    WHERE id = ? AND lease_owner = ?
+  `).run(new Date(now.getTime() + leaseMs).toISOString(), now.toISOString(), jobId, workerId);
+
+  return result.changes === 1;
+}
+
+/**
+ * Release a worker's lease on a job
+ * @param {string} jobId - Job ID
+ * @param {string} workerId - Worker holding the lease
+ * @returns {boolean} False if the worker no longer held the lease
+ */
+export function releaseJobLease(jobId, workerId) {
+  const result = db.prepare(`
+    UPDATE jobs
+    SET lease_owner = NULL,
+        lease_expires_at = NULL,
+        lease_heartbeat_at = NULL
+    WHERE id = ? AND lease_owner = ?
+  `).run(jobId, workerId);
+
+  return result.changes === 1;
+}
+
 /**
  * Update job status with state machine validation
  * @param {string} jobId - Job ID
  * @param {string} newStatus - New status
  * @param {object} updates - Additional fields to update
+ * @param {object} options - Transition options passed to the state machine (e.g. maxRetries)
+ * @param {string} options.actor - Who triggered the change, for the event log (default: system)
+ * @param {string} options.message - Optional event log message
  * @returns {{success: boolean, job?: object, error?: string}} Update result
  */
-export function updateJobStatus(jobId, newStatus, updates = {}) {
+export function updateJobStatus(jobId, newStatus, updates = {}, options = {}) {
   const job = getJob(jobId);
   if (!job) {
     return { success: false, error: 'Job not found' };
   }
 
   // Use state machine to validate transition
-  const transition = transitionJob(job, newStatus, updates);
+  const transition = transitionJob(job, newStatus, updates, options);
   if (!transition.success) {
     console.error(`[JobManager] ❌ Invalid transition for job ${jobId}: ${transition.error}`);
     return { success: false, error: transition.error };
@@ -164,6 +452,14 @@ export function updateJobStatus(jobId, newStatus, updates = {}) {
   const updatedJob = getJob(jobId);
   console.log(`[JobManager] ✅ Updated job ${jobId}: ${job.status} -> ${newStatus}`);
 
+  recordJobEvent(jobId, {
+    type: JobEventType.STATUS_CHANGE,
+    fromStatus: job.status,
+    toStatus: newStatus,
+    message: options.message || null,
+    actor: options.actor
+  });
+
   return { success: true, job: updatedJob };
 }
 
@@ -173,14 +469,231 @@ export function updateJobStatus(jobId, newStatus, updates = {}) {
  * @param {string} errorCode - Error code from ErrorCode enum
  * @param {string} errorMessage - Human-readable error message
  * @param {string} errorStack - Optional stack trace
+ * @param {string} actor - Who failed the job, for the event log (default: system)
+ * @param {object} metadata - Extra details for the error event (e.g. classification)
  * @returns {{success: boolean, job?: object, error?: string}} Update result
  */
-export function failJob(jobId, errorCode, errorMessage, errorStack = null) {
-  return updateJobStatus(jobId, JobStatus.FAILED, {
+export function failJob(jobId, errorCode, errorMessage, errorStack = null, actor = JobEventActor.SYSTEM, metadata = null) {
+  const job = getJob(jobId);
+
+  const result = updateJobStatus(jobId, JobStatus.FAILED, {
     error_code: errorCode,
     error_message: errorMessage,
     error_stack: errorStack
+  }, { actor });
+
+  if (result.success) {
+    recordJobEvent(jobId, {
+      type: JobEventType.ERROR,
+      fromStatus: job.status,
+      message: errorMessage,
+      errorCode,
+      actor,
+      metadata
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Fail a job from a pipeline error, retrying transient failures automatically
+ * The error is classified (see errors.js). Transient errors are retried from the
+ * first missing artifact after an exponential backoff (getRetryDelay(), scheduled
+ * through not_before) while canRetry() allows it; once retries are used up the
+ * job is dead-lettered with MAX_RETRIES_EXCEEDED. Permanent errors just fail.
+ *
+ * @param {string} jobId - Job ID
+ * @param {Error} error - Pipeline error
+ * @param {object} options
+ * @param {number} options.maxRetries - Retry limit passed to canRetry() (default: 3)
+ * @param {number} options.retryDelayMs - Backoff before the first retry, doubled per attempt (default: 60000)
+ * @param {boolean} options.autoRetry - Retry transient errors (default: true)
+ * @param {string} options.actor - Who failed the job, for the event log (default: system)
+ * @returns {{success: boolean, job?: object, errorCode?: string, retryable?: boolean, retryAt?: string, deadLettered?: boolean, error?: string}}
+ */
+export function failJobWithRetry(jobId, error, {
+  maxRetries = 3,
+  retryDelayMs = 60000,
+  autoRetry = true,
+  actor = JobEventActor.SYSTEM
+} = {}) {
+  const job = getJob(jobId);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+
+  const classification = classifyJobError(error);
+  const { errorCode, retryable, reason } = classification;
+  const attempt = job.attempt || 0;
+  const autoRetries = job.auto_retries || 0; // The budget counts automatic retries only, not manual ones
+  const exhausted = autoRetry && retryable &&
+    !canRetry({ ...job, status: JobStatus.FAILED, error_code: errorCode, attempt: autoRetries }, maxRetries);
+
+  if (exhausted) {
+    const result = failJob(
+      jobId,
+      ErrorCode.MAX_RETRIES_EXCEEDED,
+      `Retries exhausted after ${attempt + 1} attempt(s) - last error (${errorCode}): ${error.message}`,
+      error.stack,
+      actor,
+      { ...classification, lastErrorCode: errorCode, attempt }
+    );
+
+    if (result.success) {
+      console.warn(`[JobManager] ⚠️  Job ${jobId} dead-lettered after ${attempt + 1} attempt(s): ${error.message}`);
+    }
+
+    return { ...result, errorCode, retryable, deadLettered: result.success };
+  }
+
+  const failure = failJob(jobId, errorCode, error.message, error.stack, actor, { ...classification, attempt });
+
+  if (!failure.success || !autoRetry || !retryable) {
+    return { ...failure, errorCode, retryable, deadLettered: false };
+  }
+
+  const delayMs = getRetryDelay(autoRetries, retryDelayMs);
+  const retryAt = new Date(Date.now() + delayMs).toISOString();
+  const retry = retryJob(jobId, {
+    maxRetries: Infinity, // Budget checked above against auto_retries
+    automatic: true,
+    actor,
+    notBefore: retryAt,
+    message: `Automatic retry ${autoRetries + 1}/${maxRetries} after ${reason} (${errorCode}), not before ${retryAt}`
   });
+
+  if (!retry.success) {
+    return { ...failure, errorCode, retryable, deadLettered: false };
+  }
+
+  return { ...retry, errorCode, retryable, retryAt, deadLettered: false };
+}
+
+/**
+ * Retry a failed job from its first missing artifact
+ * Stored cutout/background/composite/derivative keys are kept, so completed
+ * (and already paid for) steps are skipped when the processor picks it up again.
+ * @param {string} jobId - Job ID
+ * @param {object} options
+ * @param {number} options.maxRetries - Maximum attempts, checked by canRetry() against `attempt` (default: 3)
+ * @param {boolean} options.automatic - Automatic retry: also counts against the job's auto_retries budget (default: false)
+ * @param {string} options.actor - Who requested the retry, for the event log (default: system)
+ * @param {string} options.notBefore - Don't process before this time (ISO 8601, default: immediately)
+ * @param {string} options.message - Event log message (default: "Retry attempt N: resuming from ...")
+ * @returns {{success: boolean, job?: object, resumeFrom?: string, error?: string}} Retry result
+ */
+export function retryJob(jobId, {
+  maxRetries = 3,
+  automatic = false,
+  actor = JobEventActor.SYSTEM,
+  notBefore = null,
+  message = null
+} = {}) {
+  const job = getJob(jobId);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+
+  const resumeFrom = getResumeStatus(job);
+
+  const result = updateJobStatus(jobId, resumeFrom, {
+    error_code: null,
+    error_message: null,
+    error_stack: null,
+    completed_at: null,
+    ...(notBefore && { not_before: notBefore })
+  }, {
+    maxRetries,
+    actor,
+    message: message || `Retry attempt ${(job.attempt || 0) + 1}: resuming from ${resumeFrom}`
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  const incremented = incrementJobAttempt(jobId, { automatic });
+
+  console.log(`[JobManager] ♻️  Job ${jobId} queued for retry from ${resumeFrom} (attempt ${incremented.job.attempt}${notBefore ? `, not before ${notBefore}` : ''})`);
+
+  return { ...result, job: incremented.job, resumeFrom };
+}
+
+/**
+ * List dead-lettered jobs: transient failures that used up their automatic retries
+ * @param {object} options
+ * @param {number} options.limit - Max results (default: 100)
+ * @param {number} options.offset - Pagination offset (default: 0)
+ * @returns {{jobs: object[], total: number}} Jobs (most recently failed first) and total count
+ */
+export function listDeadLetterJobs({ limit = 100, offset = 0 } = {}) {
+  const jobs = db.prepare(`
+    SELECT * FROM jobs
+    WHERE status = ? AND error_code = ?
+    ORDER BY completed_at DESC
+    LIMIT ? OFFSET ?
+  `).all(JobStatus.FAILED, ErrorCode.MAX_RETRIES_EXCEEDED, limit, offset);
+
+  const { total } = db.prepare(`
+    SELECT COUNT(*) AS total FROM jobs WHERE status = ? AND error_code = ?
+  `).get(JobStatus.FAILED, ErrorCode.MAX_RETRIES_EXCEEDED);
+
+  return { jobs, total };
+}
+
+/**
+ * Requeue a dead-lettered job for one more attempt
+ * Bypasses the retry limit; if the attempt fails with another transient error
+ * the job goes straight back to the dead-letter queue.
+ * @param {string} jobId - Job ID
+ * @param {object} options
+ * @param {string} options.actor - Who requeued the job, for the event log (default: system)
+ * @returns {{success: boolean, job?: object, resumeFrom?: string, error?: string}} Retry result
+ */
+export function requeueDeadLetterJob(jobId, { actor = JobEventActor.SYSTEM } = {}) {
+  const job = getJob(jobId);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+
+  if (job.status !== JobStatus.FAILED || job.error_code !== ErrorCode.MAX_RETRIES_EXCEEDED) {
+    return { success: false, error: `Job is not dead-lettered (status: ${job.status}, error: ${job.error_code || 'none'})` };
+  }
+
+  return retryJob(jobId, {
+    maxRetries: Infinity,
+    actor,
+    message: `Requeued from the dead-letter queue (attempt ${(job.attempt || 0) + 1})`
+  });
+}
+
+/**
+ * Cancel a job that has not finished yet
+ * Only the status changes here; a processor working on the job sees CANCELLED at
+ * its next step boundary or poll and aborts its in-flight provider calls.
+ * @param {string} jobId - Job ID
+ * @param {object} options
+ * @param {string} options.reason - Optional reason, for the event log
+ * @param {string} options.actor - Who cancelled the job, for the event log (default: system)
+ * @returns {{success: boolean, job?: object, error?: string}} Update result
+ */
+export function cancelJob(jobId, { reason = null, actor = JobEventActor.SYSTEM } = {}) {
+  const job = getJob(jobId);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+
+  const result = updateJobStatus(jobId, JobStatus.CANCELLED, {}, {
+    actor,
+    message: reason ? `Cancelled: ${reason}` : `Cancelled during ${job.status}`
+  });
+
+  if (result.success) {
+    console.log(`[JobManager] ⏹️  Job ${jobId} cancelled during ${job.status}`);
+  }
+
+  return result;
 }
 
 /**
@@ -252,21 +765,24 @@ export function updateJobShopifyMediaIds(jobId, mediaIds) {
 /**
  * Increment job attempt counter (for retries)
  * @param {string} jobId - Job ID
+ * @param {object} options
+ * @param {boolean} options.automatic - Automatic retry: also increments auto_retries (default: false)
  * @returns {{success: boolean, job?: object, error?: string}} Update result
  */
-export function incrementJobAttempt(jobId) {
+export function incrementJobAttempt(jobId, { automatic = false } = {}) {
   const job = getJob(jobId);
   if (!job) {
     return { success: false, error: 'Job not found' };
   }
 
   const newAttempt = (job.attempt || 0) + 1;
+  const autoRetries = (job.auto_retries || 0) + (automatic ? 1 : 0);
 
   db.prepare(`
-    UPDATE jobs SET attempt = ?, updated_at = ? WHERE id = ?
-  `).run(newAttempt, new Date().toISOString(), jobId);
+    UPDATE jobs SET attempt = ?, auto_retries = ?, updated_at = ? WHERE id = ?
+  `).run(newAttempt, autoRetries, new Date().toISOString(), jobId);
 
-  console.log(`[JobManager] Job ${jobId} attempt incremented to ${newAttempt}`);
+  console.log(`[JobManager] Job ${jobId} attempt incremented to ${newAttempt}${automatic ? ` (automatic retry ${autoRetries})` : ''}`);
 
   return { success: true, job: getJob(jobId) };
 }
@@ -275,9 +791,13 @@ export function incrementJobAttempt(jobId) {
  * Update job cost tracking
  * @param {string} jobId - Job ID
  * @param {number} additionalCost - Cost to add in USD
+ * @param {object} details - Optional event log details
+ * @param {string} details.step - Pipeline step the cost belongs to
+ * @param {string} details.provider - Provider that charged it
+ * @param {string} details.actor - Who triggered it (default: system)
  * @returns {{success: boolean, job?: object, error?: string}} Update result
  */
-export function addJobCost(jobId, additionalCost) {
+export function addJobCost(jobId, additionalCost, { step = null, provider = null, actor = JobEventActor.SYSTEM } = {}) {
   const job = getJob(jobId);
   if (!job) {
     return { success: false, error: 'Job not found' };
@@ -292,6 +812,15 @@ export function addJobCost(jobId, additionalCost) {
 
   console.log(`[JobManager] Job ${jobId} cost updated: $${currentCost.toFixed(4)} -> $${newCost.toFixed(4)}`);
 
+  recordJobEvent(jobId, {
+    type: JobEventType.COST,
+    step,
+    provider,
+    costUsd: additionalCost,
+    message: `Total cost $${newCost.toFixed(4)}`,
+    actor
+  });
+
   return { success: true, job: getJob(jobId) };
 }
 
@@ -356,10 +885,12 @@ export function deleteOldJobs(daysOld = 30) {
 
   const result = db.prepare(`
     DELETE FROM jobs
-    WHERE created_at < ? AND status IN (?, ?)
-  `).run(cutoffISO, JobStatus.DONE, JobStatus.FAILED);
+    WHERE created_at < ? AND status IN (?, ?, ?)
+  `).run(cutoffISO, JobStatus.DONE, JobStatus.FAILED, JobStatus.CANCELLED);
+
+  const deletedEvents = deleteOrphanedJobEvents();
 
-  console.log(`[JobManager] Deleted ${result.changes} jobs older than ${daysOld} days`);
+  console.log(`[JobManager] Deleted ${result.changes} jobs older than ${daysOld} days (${deletedEvents} events)`);
   return result.changes;
 }
 
@@ -380,11 +911,24 @@ export function hasReachedImageLimit(sku, maxImages = 4) {
 }
 
 export default {
+  JobPriority,
   createJob,
+  cloneJob,
+  getJobOutputHash,
   getJob,
   listJobs,
+  listPendingJobs,
+  listActiveJobs,
+  claimPendingJobs,
+  renewJobLease,
+  releaseJobLease,
   updateJobStatus,
   failJob,
+  failJobWithRetry,
+  retryJob,
+  listDeadLetterJobs,
+  requeueDeadLetterJob,
+  cancelJob,
   updateJobS3Keys,
   updateJobShopifyMediaIds,
   incrementJobAttempt,
@@ -0,0 +1,297 @@
+/**
+ * Job Pipeline Config
+ *
+ * Snapshot of the pipeline settings a job runs with, taken when the job is created
+ * and stored as JSON in jobs.pipeline_config. Per-job overrides from the webhook and
+ * upload APIs are applied on top of the live Settings; the processor only reads the
+ * snapshot, so flipping a toggle in Settings never changes jobs already queued.
+ * The background template is the exception: unless one was picked explicitly,
+ * the theme's template, the seasonal schedule and the routing rules are applied
+ * when the processor picks the job's backgrounds (see resolveJobTemplate()), so
+ * a job queued before a schedule window opens still gets its template.
+ */
+
+import db from '../db.js';
+import { getTheme } from '../providers/themes.js';
+import { getPromptItem } from '../providers/prompt-template.js';
+import { matchTemplateRule } from './template-rules.js';
+import { matchTemplateSchedule } from './template-schedules.js';
+import { getTemplateWithAssets } from '../workflows/template-generator.js';
+import {
+  getWorkflowPreference,
+  getCompositorPreference,
+  getSharpWorkflowPreference,
+  getSharpSettings,
+  getActiveBackgroundTemplate,
+  getBackgroundPrompt,
+  getProviderFallbacks
+} from './routes.js';
+
+/**
+ * Fields that can be overridden per job
+ */
+export const PIPELINE_OVERRIDE_FIELDS = [
+  'workflow',
+  'compositor',
+  'sharpWorkflow',
+  'sharpSettings',
+  'templateId',
+  'backgroundPrompt',
+  'bypassCache'
+];
+
+/**
+ * Read the pipeline settings currently saved in Settings
+ * @returns {object} Live pipeline config (no overrides)
+ */
+export function readPipelineSettings() {
+  return {
+    workflow: getWorkflowPreference(),
+    compositor: getCompositorPreference(),
+    sharpWorkflow: getSharpWorkflowPreference(),
+    sharpSettings: getSharpSettings(),
+    templateId: getActiveBackgroundTemplate()?.id || null,
+    backgroundPrompt: getBackgroundPrompt() || null,
+    providerFallbacks: getProviderFallbacks(),
+    bypassCache: false // Per-job only: call providers even when the result cache has a hit
+  };
+}
+
+/**
+ * Pick the background template for a job (before any templateId override)
+ * In order: the theme's default template, the seasonal schedule entry
+ * covering `at`, the first template routing rule matching the SKU (which may
+ * also pick a subset of the template's variants), then the settings.
+ *
+ * @param {object} settings - Settings, or a source job's config, to fall back to
+ * @param {object} options
+ * @param {string} options.theme - The job's theme, if its default template should apply
+ * @param {string} options.sku - The job's SKU, if template routing rules (and category-scoped schedule entries) should apply
+ * @param {Date|string} options.at - When the job runs, if the template schedule should apply
+ * @returns {object} { source: 'theme' | 'schedule' | 'rule' | 'settings', templateId, templateSchedule, templateRule, templateVariants }
+ */
+export function resolvePipelineTemplate(settings, { theme = null, sku = null, at = null } = {}) {
+  const themeTemplateId = theme ? getTheme(theme)?.default_template_id : null;
+
+  if (themeTemplateId && isActiveTemplate(themeTemplateId)) {
+    return { source: 'theme', templateId: themeTemplateId, templateSchedule: null, templateRule: null, templateVariants: null };
+  }
+
+  const item = sku ? getPromptItem(sku) : undefined;
+  const schedule = at ? matchTemplateSchedule(at, item) : null;
+
+  if (schedule) {
+    return {
+      source: 'schedule',
+      templateId: schedule.template_id,
+      templateSchedule: { id: schedule.id, name: schedule.name },
+      templateRule: null,
+      templateVariants: null
+    };
+  }
+
+  const rule = sku ? matchTemplateRule(sku, item) : null;
+
+  if (rule) {
+    return {
+      source: 'rule',
+      templateId: rule.template_id,
+      templateSchedule: null,
+      templateRule: { id: rule.id, name: rule.name },
+      templateVariants: rule.variants
+    };
+  }
+
+  return {
+    source: 'settings',
+    templateId: settings.templateId,
+    templateSchedule: settings.templateSchedule || null,
+    templateRule: settings.templateRule || null,
+    templateVariants: settings.templateVariants || null
+  };
+}
+
+/**
+ * Build a job's pipeline config snapshot
+ * Overrides replace the matching setting; sharpSettings overrides are merged
+ * into the saved Sharp settings. templateId/backgroundPrompt may be null to
+ * run without a template/custom prompt.
+ *
+ * Only a templateId override (or a clone source's) is final: templateSource is
+ * 'override' for those and 'settings' otherwise, and resolveJobTemplate()
+ * resolves 'settings' ones when the job is processed.
+ *
+ * @param {object} overrides - Validated per-job overrides (see PIPELINE_OVERRIDE_FIELDS)
+ * @param {object} settings - Live settings to start from (default: readPipelineSettings())
+ * @returns {object} Pipeline config with the list of overridden fields and capture time
+ */
+export function capturePipelineConfig(overrides = {}, settings = readPipelineSettings()) {
+  const config = { ...settings, sharpSettings: { ...settings.sharpSettings } };
+  // Snapshots taken before provider failover existed (e.g. a clone's source) use the live fallbacks
+  config.providerFallbacks = settings.providerFallbacks || getProviderFallbacks();
+  // A clone keeps its source's explicit template; any other is resolved again when processed
+  config.templateSource = settings.templateSource === 'override' ? 'override' : 'settings';
+  const overridden = [];
+
+  for (const field of PIPELINE_OVERRIDE_FIELDS) {
+    const value = overrides[field];
+
+    if (value === undefined) continue;
+
+    if (field === 'sharpSettings') {
+      if (Object.keys(value).length === 0) continue;
+      Object.assign(config.sharpSettings, value);
+    } else if (field === 'templateId') {
+      Object.assign(config, {
+        templateId: value,
+        templateSource: 'override',
+        templateSchedule: null,
+        templateRule: null,
+        templateVariants: null
+      });
+    } else {
+      config[field] = value;
+    }
+
+    overridden.push(field);
+  }
+
+  return {
+    ...config,
+    overrides: overridden,
+    capturedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Parse a job's stored pipeline config
+ * @param {object} job - Job row
+ * @returns {object|null} Pipeline config, or null for jobs created before snapshots existed
+ */
+export function parsePipelineConfig(job) {
+  return job?.pipeline_config ? JSON.parse(job.pipeline_config) : null;
+}
+
+/**
+ * Get the pipeline config a job should run with
+ * Jobs created before snapshots existed get the current Settings, saved on the
+ * job so a resumed run keeps using them.
+ *
+ * @param {object} job - Job row
+ * @returns {object} Pipeline config
+ */
+export function resolveJobPipelineConfig(job) {
+  const stored = parsePipelineConfig(job);
+  if (stored) {
+    return stored;
+  }
+
+  const config = capturePipelineConfig({});
+  db.prepare('UPDATE jobs SET pipeline_config = ? WHERE id = ?')
+    .run(JSON.stringify(config), job.id);
+
+  console.log(`[PipelineConfig] Captured current settings for job ${job.id} (created without a snapshot)`);
+  return config;
+}
+
+/**
+ * Resolve the background template of a job's pipeline config
+ * Called by the processor when it picks the job's backgrounds (Step 2). Configs
+ * whose template came from the Settings go through resolvePipelineTemplate()
+ * for the job's theme and SKU, with the schedule entry covering `at` (when the
+ * processor claimed the job); explicit templates, and snapshots taken before
+ * templates were resolved here (no templateSource), are left alone. A template
+ * picked by the theme, a schedule entry or a rule is saved on the job
+ * (pipeline config and template_rule_id), so a resumed run keeps it.
+ *
+ * @param {object} job - Job row
+ * @param {object} config - The job's pipeline config
+ * @param {object} options
+ * @param {Date} options.at - When the processor claimed the job (default: now)
+ * @returns {object} Pipeline config to run with
+ */
+export function resolveJobTemplate(job, config, { at = new Date() } = {}) {
+  if (config.templateSource !== 'settings') {
+    return config;
+  }
+
+  const { source, ...template } = resolvePipelineTemplate(config, { theme: job.theme, sku: job.sku, at });
+  if (source === 'settings') {
+    return config;
+  }
+
+  // templateSchedule / templateRule: { id, name } of the entry or rule that picked the template;
+  // templateVariants: the rule's variant subset (null = the template's selection)
+  const resolved = { ...config, ...template, templateSource: source };
+
+  db.prepare('UPDATE jobs SET pipeline_config = ?, template_rule_id = ? WHERE id = ?')
+    .run(JSON.stringify(resolved), resolved.templateRule?.id || null, job.id);
+
+  const picker = resolved.templateSchedule
+    ? `schedule entry "${resolved.templateSchedule.name}"`
+    : resolved.templateRule ? `rule "${resolved.templateRule.name}"` : `theme '${job.theme}'`;
+  console.log(`[PipelineConfig] Job ${job.id} uses template ${resolved.templateId} from ${picker}`);
+  return resolved;
+}
+
+/**
+ * Look up the background template named in a pipeline config
+ * Archived templates still resolve: the job was queued while they were active.
+ *
+ * @param {object} config - Pipeline config
+ * @returns {object|null} Template row, or null if the config has no template
+ * @throws {Error} If the template no longer exists
+ */
+export function getPipelineTemplate(config) {
+  if (!config.templateId) {
+    return null;
+  }
+
+  const template = db.prepare('SELECT * FROM background_templates WHERE id = ?').get(config.templateId);
+  if (!template) {
+    throw new Error(`Background template ${config.templateId} from the job's pipeline config no longer exists`);
+  }
+
+  return template;
+}
+
+/**
+ * Get the background variants a job uses from its template
+ * A routing rule's variant subset replaces the template's own selection.
+ *
+ * @param {object} config - Pipeline config with a templateId
+ * @param {object} options
+ * @param {boolean} options.onlySelected - Only the template's selected variants (default: true)
+ * @returns {object[]} template_assets rows, in variant order
+ */
+export function getPipelineTemplateAssets(config, { onlySelected = true } = {}) {
+  const variants = config.templateVariants;
+  const template = getTemplateWithAssets(config.templateId, db, onlySelected && !variants);
+  const assets = template?.assets || [];
+
+  return variants ? assets.filter(asset => variants.includes(asset.variant)) : assets;
+}
+
+/**
+ * Check that a template can be chosen for new jobs
+ * @param {string} templateId - Template ID
+ * @returns {boolean} True if the template exists and is active
+ */
+export function isActiveTemplate(templateId) {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM background_templates WHERE id = ? AND status = 'active'
+  `).get(templateId));
+}
+
+export default {
+  PIPELINE_OVERRIDE_FIELDS,
+  readPipelineSettings,
+  resolvePipelineTemplate,
+  capturePipelineConfig,
+  parsePipelineConfig,
+  resolveJobPipelineConfig,
+  resolveJobTemplate,
+  getPipelineTemplate,
+  getPipelineTemplateAssets,
+  isActiveTemplate
+};
@@ -0,0 +1,214 @@
+/**
+ * Provider Result Cache
+ *
+ * Deterministic provider calls (background removal, background generation)
+ * are cached by content (provider_cache table): the key is a hash of the
+ * provider, operation, input image hash, prompt and call parameters. A re-run
+ * job that makes the same call gets the stored S3 keys back (with fresh
+ * presigned URLs) instead of paying the provider again. Hits are written to
+ * the provider call ledger with no cost and the entry's cache_key.
+ *
+ * Entries whose S3 objects were deleted are dropped on lookup. A bypass flag
+ * (pipeline config `bypassCache`) skips the lookup and refreshes the entry.
+ */
+
+import crypto from 'crypto';
+import db from '../db.js';
+import { getStorage } from '../storage/index.js';
+import { recordProviderCall, trackProviderCall } from './provider-ledger.js';
+
+/**
+ * Provider operations whose results are cached
+ */
+export const CACHEABLE_OPERATIONS = ['removeBackground', 'generateBackground'];
+
+/**
+ * Build the cache key for a provider call
+ * @param {object} call
+ * @param {string} call.provider - Provider name
+ * @param {string} call.operation - Provider method
+ * @param {string} call.inputHash - sha256 of the input image
+ * @param {string} call.prompt - Prompt, if any
+ * @param {object} call.params - Other parameters that change the output (variant, dimensions, ...)
+ * @returns {string} sha256 hex digest
+ */
+export function getCacheKey({ provider, operation, inputHash, prompt = null, params = {} }) {
+  const sortedParams = Object.fromEntries(Object.entries(params).sort(([a], [b]) => a.localeCompare(b)));
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([provider, operation, inputHash, prompt, sortedParams]))
+    .digest('hex');
+}
+
+/**
+ * Objects in a result that carry an S3 key (and a presigned URL to refresh)
+ * Segmentation results have cutout and mask plus the legacy top-level mask key.
+ */
+function resultObjects(result) {
+  return [result, result.cutout, result.mask].filter(object => object?.s3Key);
+}
+
+/**
+ * Look up a cached result
+ * @param {string} cacheKey - See getCacheKey()
+ * @returns {Promise<object|null>} Provider result with fresh URLs, `cost: 0` and `cached: true`, or null
+ */
+export async function getCachedResult(cacheKey) {
+  const entry = db.prepare('SELECT * FROM provider_cache WHERE cache_key = ?').get(cacheKey);
+
+  if (!entry) {
+    return null;
+  }
+
+  const result = JSON.parse(entry.result);
+  const storage = getStorage();
+  const objects = resultObjects(result);
+
+  const present = await Promise.all(objects.map(object => storage.exists(object.s3Key)));
+  if (present.includes(false)) {
+    console.warn(`[ProviderCache] ⚠️  Dropping ${entry.provider} ${entry.operation} entry ${cacheKey.slice(0, 12)}: S3 objects missing`);
+    db.prepare('DELETE FROM provider_cache WHERE cache_key = ?').run(cacheKey);
+    return null;
+  }
+
+  for (const object of objects) {
+    object.s3Url = await storage.getPresignedGetUrl(object.s3Key, 3600);
+  }
+
+  db.prepare(`
+    UPDATE provider_cache
+    SET hit_count = hit_count + 1, last_hit_at = ?
+    WHERE cache_key = ?
+  `).run(new Date().toISOString(), cacheKey);
+
+  return {
+    ...result,
+    cost: 0,
+    cached: true,
+    metadata: { ...result.metadata, cacheKey, cachedAt: entry.created_at, savedUsd: entry.cost_usd }
+  };
+}
+
+/**
+ * Store a successful provider result
+ * Refreshes an existing entry (e.g. after a bypassed lookup), keeping its hit count.
+ * Never throws: a failed cache write must not fail the job.
+ */
+export function storeCachedResult(cacheKey, { provider, operation, inputHash, prompt = null }, result) {
+  try {
+    db.prepare(`
+      INSERT INTO provider_cache (
+        cache_key, provider, operation, input_hash, prompt, result, cost_usd, hit_count, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)
+      ON CONFLICT(cache_key) DO UPDATE SET
+        result = excluded.result,
+        cost_usd = excluded.cost_usd,
+        created_at = excluded.created_at
+    `).run(
+      cacheKey, provider, operation, inputHash, prompt,
+      JSON.stringify(result), result.cost || 0, new Date().toISOString()
+    );
+  } catch (error) {
+    console.error(`[ProviderCache] ❌ Failed to cache ${provider} ${operation} result:`, error.message);
+  }
+}
+
+/**
+ * Run a provider call through the cache and the call ledger
+ * A hit is recorded in the ledger with no cost; a miss calls the provider
+ * (see trackProviderCall()) and caches a successful result.
+ *
+ * @param {object} context - Ledger context: provider, operation and jobId / templateId
+ * @param {object} cache - Cache key fields
+ * @param {string} cache.inputHash - sha256 of the input image
+ * @param {string} cache.prompt - Prompt, if any
+ * @param {object} cache.params - Other parameters that change the output
+ * @param {boolean} cache.bypass - Skip the lookup and call the provider (the entry is refreshed)
+ * @param {function} call - Returns the provider result
+ * @returns {Promise<object>} Provider result (`cached: true` for hits)
+ */
+export async function cachedProviderCall(context, { inputHash, prompt = null, params = {}, bypass = false }, call) {
+  if (!CACHEABLE_OPERATIONS.includes(context.operation) || !inputHash) {
+    return trackProviderCall(context, call);
+  }
+
+  const cacheKey = getCacheKey({ provider: context.provider, operation: context.operation, inputHash, prompt, params });
+
+  if (!bypass) {
+    const startTime = Date.now();
+    const cached = await getCachedResult(cacheKey);
+
+    if (cached) {
+      console.log(`[ProviderCache] ♻️  ${context.provider} ${context.operation} served from cache (saved $${cached.metadata.savedUsd.toFixed(4)})`);
+      recordProviderCall({ ...context, costUsd: 0, latencyMs: Date.now() - startTime, success: true, cacheKey });
+      return cached;
+    }
+  }
+
+  const result = await trackProviderCall(context, call);
+
+  if (result?.success) {
+    storeCachedResult(cacheKey, { provider: context.provider, operation: context.operation, inputHash, prompt }, result);
+  }
+
+  return result;
+}
+
+/**
+ * Cache entry counts, hits and savings per provider and operation
+ * @returns {{entries: number, hits: number, savedUsd: number, byOperation: object[]}}
+ */
+export function getCacheStats() {
+  const byOperation = db.prepare(`
+    SELECT provider, operation,
+           COUNT(*) AS entries,
+           COALESCE(SUM(hit_count), 0) AS hits,
+           COALESCE(SUM(hit_count * cost_usd), 0) AS savedUsd
+    FROM provider_cache
+    GROUP BY provider, operation
+    ORDER BY provider, operation
+  `).all();
+
+  return {
+    entries: byOperation.reduce((sum, row) => sum + row.entries, 0),
+    hits: byOperation.reduce((sum, row) => sum + row.hits, 0),
+    savedUsd: byOperation.reduce((sum, row) => sum + row.savedUsd, 0),
+    byOperation
+  };
+}
+
+/**
+ * Delete cache entries (the S3 objects are kept)
+ * @param {object} filters - Optional provider / operation
+ * @returns {number} Entries deleted
+ */
+export function clearProviderCache({ provider, operation } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (provider) {
+    conditions.push('provider = ?');
+    params.push(provider);
+  }
+
+  if (operation) {
+    conditions.push('operation = ?');
+    params.push(operation);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { changes } = db.prepare(`DELETE FROM provider_cache ${where}`).run(...params);
+
+  console.log(`[ProviderCache] Cleared ${changes} entries`);
+  return changes;
+}
+
+export default {
+  CACHEABLE_OPERATIONS,
+  getCacheKey,
+  getCachedResult,
+  storeCachedResult,
+  cachedProviderCall,
+  getCacheStats,
+  clearProviderCache
+};
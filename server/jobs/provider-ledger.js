@@ -0,0 +1,247 @@
+/**
+ * Provider Call Ledger and Budgets
+ *
+ * Every paid provider call (provider_calls table) with its cost, latency and
+ * outcome, linked to the job, enhancement or template it was made for.
+ * Spend is summed per UTC day and month and checked against the budgets saved
+ * in Settings: when one is exceeded the processor stops claiming new jobs and
+ * template generation is refused until the window resets or the cap is raised.
+ */
+
+import db from '../db.js';
+import { getBudgets } from './routes.js';
+
+/**
+ * Budget windows
+ */
+export const BudgetWindow = {
+  DAILY: 'daily',    // UTC calendar day
+  MONTHLY: 'monthly' // UTC calendar month
+};
+
+/**
+ * Record a provider call
+ * Never throws: a failed ledger write must not break the pipeline.
+ *
+ * @param {object} call - Call details
+ * @param {string} call.provider - Provider name (freepik, nanobanana, replicate, mock)
+ * @param {string} call.operation - Provider method (removeBackground, generateBackground, ...)
+ * @param {string} call.jobId - Job the call was made for
+ * @param {string} call.enhancementId - Enhancement the call was made for
+ * @param {string} call.templateId - Template the call was made for
+ * @param {number} call.costUsd - Cost in USD
+ * @param {number} call.latencyMs - Duration in milliseconds
+ * @param {boolean} call.success - Whether the call succeeded
+ * @param {string} call.error - Error message (failed calls)
+ * @param {string} call.cacheKey - Provider cache entry that served the call (see provider-cache.js)
+ * @returns {number|null} Ledger row ID, or null if the write failed
+ */
+export function recordProviderCall({
+  provider,
+  operation,
+  jobId = null,
+  enhancementId = null,
+  templateId = null,
+  costUsd = 0,
+  latencyMs = null,
+  success,
+  error = null,
+  cacheKey = null
+}) {
+  try {
+    const result = db.prepare(`
+      INSERT INTO provider_calls (
+        provider, operation, job_id, enhancement_id, template_id,
+        cost_usd, latency_ms, success, error, cache_key, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      provider, operation, jobId, enhancementId, templateId,
+      costUsd || 0, latencyMs, success ? 1 : 0, error, cacheKey,
+      new Date().toISOString()
+    );
+
+    return result.lastInsertRowid;
+  } catch (err) {
+    console.error(`[ProviderLedger] ❌ Failed to record ${provider} ${operation} call:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Run a provider call and record it in the ledger
+ * The call's result is returned unchanged; a thrown error is recorded as a
+ * failed call and rethrown.
+ *
+ * @param {object} context - provider, operation and jobId / enhancementId / templateId
+ * @param {number} context.costUsd - Cost of a successful call for providers that don't report one
+ * @param {function} call - Returns the provider result ({ success, cost, error })
+ * @returns {Promise<object>} Provider result
+ */
+export async function trackProviderCall({ costUsd = 0, ...context }, call) {
+  const startTime = Date.now();
+
+  try {
+    const result = await call();
+
+    recordProviderCall({
+      ...context,
+      costUsd: typeof result?.cost === 'number' ? result.cost : (result?.success ? costUsd : 0),
+      latencyMs: Date.now() - startTime,
+      success: Boolean(result?.success),
+      error: result?.success ? null : result?.error || 'Unknown error'
+    });
+
+    return result;
+  } catch (error) {
+    recordProviderCall({
+      ...context,
+      costUsd: 0,
+      latencyMs: Date.now() - startTime,
+      success: false,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * List ledger entries, newest first
+ * @param {object} filters - Optional filters
+ * @param {string} filters.provider - Filter by provider
+ * @param {string} filters.operation - Filter by operation
+ * @param {string} filters.jobId - Filter by job
+ * @param {string} filters.templateId - Filter by template
+ * @param {string} filters.enhancementId - Filter by enhancement
+ * @param {boolean} filters.success - Filter by outcome
+ * @param {boolean} filters.cached - Only cache hits (true) or real provider calls (false)
+ * @param {string} filters.since - Only calls at or after this ISO timestamp
+ * @param {number} filters.limit - Page size (default 100)
+ * @param {number} filters.offset - Offset for pagination
+ * @returns {{calls: object[], total: number, totalCostUsd: number, failures: number, cacheHits: number}}
+ */
+export function listProviderCalls(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  const columns = {
+    provider: 'provider',
+    operation: 'operation',
+    jobId: 'job_id',
+    templateId: 'template_id',
+    enhancementId: 'enhancement_id'
+  };
+
+  for (const [filter, column] of Object.entries(columns)) {
+    if (filters[filter]) {
+      conditions.push(`${column} = ?`);
+      params.push(filters[filter]);
+    }
+  }
+
+  if (typeof filters.success === 'boolean') {
+    conditions.push('success = ?');
+    params.push(filters.success ? 1 : 0);
+  }
+
+  if (typeof filters.cached === 'boolean') {
+    conditions.push(filters.cached ? 'cache_key IS NOT NULL' : 'cache_key IS NULL');
+  }
+
+  if (filters.since) {
+    conditions.push('created_at >= ?');
+    params.push(filters.since);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const summary = db.prepare(`
+    SELECT COUNT(*) AS total,
+           COALESCE(SUM(cost_usd), 0) AS totalCostUsd,
+           COALESCE(SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END), 0) AS failures,
+           COALESCE(SUM(CASE WHEN cache_key IS NOT NULL THEN 1 ELSE 0 END), 0) AS cacheHits
+    FROM provider_calls ${where}
+  `).get(...params);
+
+  const calls = db.prepare(`
+    SELECT * FROM provider_calls ${where}
+    ORDER BY id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, filters.limit || 100, filters.offset || 0)
+    .map(call => ({ ...call, success: call.success === 1 }));
+
+  return { calls, ...summary };
+}
+
+/**
+ * Get the start and end of a budget window containing `now` (UTC)
+ */
+function getWindowBounds(window, now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  if (window === BudgetWindow.MONTHLY) {
+    return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+  }
+
+  const day = now.getUTCDate();
+  return { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + 1)) };
+}
+
+/**
+ * Sum ledger spend since a timestamp
+ * @param {string} since - ISO timestamp
+ * @returns {number} Spend in USD
+ */
+export function getSpendSince(since) {
+  const row = db.prepare('SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM provider_calls WHERE created_at >= ?').get(since);
+  return row.spent;
+}
+
+/**
+ * Compare current spend with the saved budgets
+ * @param {Date} now - Reference time (default: now)
+ * @returns {object} Status with:
+ *   - daily / monthly: { limitUsd, spentUsd, remainingUsd, exceeded, resetsAt }
+ *   - exceeded: boolean - Any budget reached
+ *   - message: string|null - Which budget was reached, for errors and logs
+ */
+export function getBudgetStatus(now = new Date()) {
+  const budgets = getBudgets();
+
+  const describeWindow = (window, limitUsd) => {
+    const { start, end } = getWindowBounds(window, now);
+    const spentUsd = getSpendSince(start.toISOString());
+    const hasLimit = typeof limitUsd === 'number';
+
+    return {
+      limitUsd: hasLimit ? limitUsd : null,
+      spentUsd,
+      remainingUsd: hasLimit ? Math.max(limitUsd - spentUsd, 0) : null,
+      exceeded: hasLimit && spentUsd >= limitUsd,
+      resetsAt: end.toISOString()
+    };
+  };
+
+  const daily = describeWindow(BudgetWindow.DAILY, budgets.dailyUsd);
+  const monthly = describeWindow(BudgetWindow.MONTHLY, budgets.monthlyUsd);
+
+  const [exceededWindow, exceeded] = Object.entries({ daily, monthly }).find(([, status]) => status.exceeded) || [];
+
+  return {
+    daily,
+    monthly,
+    exceeded: Boolean(exceeded),
+    message: exceeded
+      ? `${exceededWindow === BudgetWindow.DAILY ? 'Daily' : 'Monthly'} budget of $${exceeded.limitUsd.toFixed(2)} reached ($${exceeded.spentUsd.toFixed(2)} spent), resets at ${exceeded.resetsAt}`
+      : null
+  };
+}
+
+export default {
+  BudgetWindow,
+  recordProviderCall,
+  trackProviderCall,
+  listProviderCalls,
+  getSpendSince,
+  getBudgetStatus
+};
@@ -12,20 +12,98 @@ import { z } from 'zod';
 import db from '../db.js';
 import {
   createJob,
+  cloneJob,
   getJob,
   listJobs,
   updateJobStatus,
   failJob,
+  retryJob,
+  listDeadLetterJobs,
+  requeueDeadLetterJob,
+  cancelJob,
   updateJobS3Keys,
   updateJobShopifyMediaIds,
   getJobStats,
-  hasReachedImageLimit
+  hasReachedImageLimit,
+  JobPriority
 } from './manager.js';
 import { compositeImage } from '../workflows/composite.js';
-import { JobStatus, ErrorCode } from './state-machine.js';
+import { JobStatus, ErrorCode, isTerminalStatus } from './state-machine.js';
+import { JobEventActor, listJobEvents } from './events.js';
+import { subscribeToJobs } from './stream.js';
 import { verify3JMSWebhook } from './webhook-verify.js';
-import getS3Storage from '../storage/s3.js';
-import { getProcessorStatus, getProcessorConfig } from '../workflows/processor.js';
+import {
+  PIPELINE_OVERRIDE_FIELDS,
+  readPipelineSettings,
+  resolvePipelineTemplate,
+  capturePipelineConfig,
+  parsePipelineConfig,
+  isActiveTemplate
+} from './pipeline-config.js';
+import {
+  BatchSource,
+  createJobsFromEntries,
+  createBatch,
+  getBatch,
+  listBatches,
+  getBatchItems,
+  retryFailedBatchJobs
+} from './batches.js';
+import { getStorage } from '../storage/index.js';
+import {
+  ProviderCapability,
+  getPrimaryProvider,
+  getProviderChain,
+  getCapabilityProviders,
+  supportsCapability
+} from '../providers/index.js';
+import { getProcessorStatus, getProcessorConfig, abortJob } from '../workflows/processor.js';
+import { listProviderCalls, getBudgetStatus } from './provider-ledger.js';
+import { AnalyticsBucket, MAX_RANGE_DAYS, getAnalytics } from './analytics.js';
+import { CACHEABLE_OPERATIONS, getCacheStats, clearProviderCache } from './provider-cache.js';
+import {
+  DEFAULT_THEME_KEY,
+  getJobDefaultTheme,
+  listThemes,
+  getTheme,
+  getThemeError,
+  createTheme,
+  updateTheme,
+  deleteTheme
+} from '../providers/themes.js';
+import {
+  PROMPT_VARIABLES,
+  renderPromptTemplate,
+  getPromptTemplateErrors,
+  getPromptItem,
+  getItemPromptVariables
+} from '../providers/prompt-template.js';
+import {
+  listTemplateRules,
+  getTemplateRule,
+  matchTemplateRule,
+  createTemplateRule,
+  updateTemplateRule,
+  reorderTemplateRules,
+  deleteTemplateRule
+} from './template-rules.js';
+import {
+  listTemplateSchedules,
+  getTemplateSchedule,
+  createTemplateSchedule,
+  updateTemplateSchedule,
+  deleteTemplateSchedule
+} from './template-schedules.js';
+import {
+  ANY_RESOLUTION,
+  PRICED_OPERATIONS,
+  listPrices,
+  addPrice,
+  getPrice,
+  getPriceVersion,
+  deletePrice
+} from '../providers/pricing.js';
+import { findStuckJobs, runWatchdog, getWatchdogConfig } from '../workflows/watchdog.js';
 import {
   generateBackgroundTemplate,
   regenerateTemplateVariants,
@@ -44,7 +122,7 @@ import {
 } from '../integrations/shopify.js';
 
 const router = express.Router();
-const s3 = getS3Storage();
+const s3 = getStorage();
 
 // =============================================================================
 // Validation Schemas
@@ -71,6 +149,332 @@ const WebhookPayloadSchema = z.object({
     .optional()
 });
 
+/**
+ * Theme for a new job: an existing theme that is active now (see GET /themes)
+ */
+const JobThemeSchema = z.string().min(1).superRefine((key, ctx) => {
+  const error = getThemeError(key);
+  if (error) {
+    ctx.addIssue({ code: 'custom', message: error });
+  }
+});
+
+/**
+ * Background / composite prompt template: {{placeholders}} and sections must
+ * be valid (see providers/prompt-template.js)
+ */
+const PromptTemplateSchema = z.string().trim().min(1).max(2000).superRefine((prompt, ctx) => {
+  for (const message of getPromptTemplateErrors(prompt)) {
+    ctx.addIssue({ code: 'custom', message });
+  }
+});
+
+/**
+ * Job scheduling options (webhook query string, test uploads, bulk creation)
+ * priority: low | normal | high | urgent, or an integer from -100 to 100 (higher runs first)
+ * notBefore: ISO 8601 datetime; the job isn't processed before then (stored as UTC)
+ */
+const JobScheduleSchema = z.object({
+  priority: z.union([
+    z.enum(['low', 'normal', 'high', 'urgent']).transform(name => JobPriority[name.toUpperCase()]),
+    z.coerce.number().int().min(-100).max(100)
+  ], { message: 'priority must be low, normal, high, urgent or an integer from -100 to 100' }).optional(),
+  notBefore: z.iso.datetime({ offset: true, message: 'notBefore must be a valid ISO 8601 datetime' })
+    .transform(value => new Date(value).toISOString())
+    .optional()
+});
+
+/**
+ * Per-job pipeline overrides (webhook query string or `pipeline` body object,
+ * bulk `pipeline` defaults and entries, test upload form fields)
+ * Fields left out are taken from Settings when the job is created.
+ * templateId: an active background template, or "none"/null for no template
+ * backgroundPrompt: custom background prompt (a prompt template), or null for the theme's prompt
+ * bypassCache: call providers even when the provider result cache has the result
+ */
+const PipelineOverridesSchema = z.object({
+  workflow: z.enum(['cutout_composite', 'seedream_edit']).optional(),
+  compositor: z.enum(['freepik', 'nanobanana', 'none']).optional(),
+  sharpWorkflow: z.union([
+    z.boolean(),
+    z.enum(['true', 'false', '1', '0']).transform(value => value === 'true' || value === '1')
+  ], { message: 'sharpWorkflow must be true or false' }).optional(),
+  sharpSettings: z.object({
+    bottleHeightPercent: z.number().min(0.1).max(1.0),
+    quality: z.number().min(60).max(100),
+    format: z.enum(['jpeg', 'png', 'webp']),
+    gravity: z.enum(['center', 'north', 'south', 'east', 'west']),
+    sharpen: z.number().min(0),
+    gamma: z.number().positive()
+  }).partial().optional(),
+  templateId: z.union([z.literal('none').transform(() => null), z.string().min(1)])
+    .nullable()
+    .optional()
+    .refine(id => !id || isActiveTemplate(id), 'templateId must be an active background template'),
+  backgroundPrompt: PromptTemplateSchema.nullable().optional(),
+  bypassCache: z.union([
+    z.boolean(),
+    z.enum(['true', 'false', '1', '0']).transform(value => value === 'true' || value === '1')
+  ], { message: 'bypassCache must be true or false' }).optional()
+});
+
+/**
+ * Pick pipeline override fields from a flat source (query string, form fields)
+ * Empty values are left out so they fall back to Settings.
+ */
+function pickPipelineOverrides(source = {}) {
+  return Object.fromEntries(
+    PIPELINE_OVERRIDE_FIELDS
+      .filter(field => source[field] !== undefined && source[field] !== '')
+      .map(field => [field, source[field]])
+  );
+}
+
+/**
+ * Bulk job creation payload: shared defaults plus one entry per image
+ */
+const BulkJobsSchema = JobScheduleSchema.extend({
+  theme: JobThemeSchema.optional(),
+  pipeline: PipelineOverridesSchema.optional(),
+  jobs: z.array(
+    WebhookPayloadSchema.pick({ sku: true, imageUrl: true, sha256: true })
+      .extend(JobScheduleSchema.shape)
+      .extend({ theme: JobThemeSchema.optional(), pipeline: PipelineOverridesSchema.optional() })
+  )
+    .min(1, 'jobs must contain at least one entry')
+    .max(1000, 'jobs must contain at most 1000 entries')
+});
+
+/**
+ * Batch payload: a bulk job payload plus an optional display name
+ */
+const BatchSchema = BulkJobsSchema.extend({
+  name: z.string().trim().min(1).max(200).optional()
+});
+
+/**
+ * Clone payload: theme and pipeline overrides for the new look, plus scheduling
+ * Anything left out is kept from the source job (its theme and pipeline config).
+ */
+const CloneJobSchema = JobScheduleSchema.extend({
+  theme: JobThemeSchema.optional(),
+  pipeline: PipelineOverridesSchema.optional()
+});
+
+/**
+ * Fallback providers for one capability, tried in order after the primary
+ */
+function providerFallbackListSchema(capability) {
+  return z.array(z.string())
+    .max(5)
+    .refine(
+      names => names.every(name => supportsCapability(name, capability)),
+      `${capability} fallbacks must be providers that support it (${getCapabilityProviders()[capability].join(', ')})`
+    )
+    .refine(names => new Set(names).size === names.length, `${capability} fallbacks must not repeat a provider`)
+    .optional();
+}
+
+/**
+ * Provider failover settings: fallbacks per capability
+ * Capabilities left out keep their saved fallbacks; [] clears them.
+ */
+const ProviderFallbacksSchema = z.object({
+  segmentation: providerFallbackListSchema(ProviderCapability.SEGMENTATION),
+  background: providerFallbackListSchema(ProviderCapability.BACKGROUND),
+  composite: providerFallbackListSchema(ProviderCapability.COMPOSITE),
+  lighting: providerFallbackListSchema(ProviderCapability.LIGHTING)
+}).strict();
+
+/**
+ * Spend budgets in USD per UTC day / month; null removes a cap
+ * Fields left out keep their saved value.
+ */
+const BudgetsSchema = z.object({
+  dailyUsd: z.number().positive().nullable().optional(),
+  monthlyUsd: z.number().positive().nullable().optional()
+}).strict();
+
+/**
+ * New provider price version
+ * effectiveFrom: ISO 8601 datetime the price applies from (default: now, stored as UTC)
+ */
+const PriceVersionSchema = z.object({
+  provider: z.string().regex(/^[a-z0-9_-]{1,50}$/, { message: 'provider must be a provider name such as freepik' }),
+  operation: z.enum(PRICED_OPERATIONS),
+  resolution: z.string().regex(/^(\*|[a-z0-9]{1,10})$/, { message: "resolution must be '*' or a resolution such as 2k" }).default(ANY_RESOLUTION),
+  priceUsd: z.number().min(0),
+  effectiveFrom: z.iso.datetime({ offset: true, message: 'effectiveFrom must be a valid ISO 8601 datetime' })
+    .transform(value => new Date(value).toISOString())
+    .optional(),
+  note: z.string().max(200).nullable().optional()
+}).strict();
+
+/**
+ * Theme fields (create and update)
+ * compositePrompt: null uses the default theme's composite prompt
+ * defaultTemplateId: an active background template for jobs that don't pick one
+ * activeFrom / activeUntil: ISO 8601 window new jobs may use the theme in (null = open)
+ */
+const ThemeFieldsSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  backgroundPrompt: PromptTemplateSchema,
+  compositePrompt: PromptTemplateSchema.nullable().optional(),
+  negativePrompt: PromptTemplateSchema.nullable().optional(),
+  defaultTemplateId: z.string().min(1).nullable().optional()
+    .refine(id => !id || isActiveTemplate(id), 'defaultTemplateId must be an active background template'),
+  activeFrom: z.iso.datetime({ offset: true, message: 'activeFrom must be a valid ISO 8601 datetime' })
+    .transform(value => new Date(value).toISOString())
+    .nullable()
+    .optional(),
+  activeUntil: z.iso.datetime({ offset: true, message: 'activeUntil must be a valid ISO 8601 datetime' })
+    .transform(value => new Date(value).toISOString())
+    .nullable()
+    .optional()
+}).strict();
+
+const ACTIVE_WINDOW_MESSAGE = 'activeFrom must be before activeUntil';
+
+/**
+ * Check a theme's active window (either end may be open)
+ */
+function isValidActiveWindow({ activeFrom, activeUntil }) {
+  return !activeFrom || !activeUntil || activeFrom < activeUntil;
+}
+
+/**
+ * New theme: a lowercase key plus its fields
+ */
+const CreateThemeSchema = ThemeFieldsSchema.extend({
+  key: z.string().regex(/^[a-z0-9][a-z0-9_-]{0,49}$/, {
+    message: 'key must be lowercase letters, digits, hyphens and underscores (at most 50)'
+  })
+}).refine(isValidActiveWindow, { message: ACTIVE_WINDOW_MESSAGE, path: ['activeUntil'] });
+
+/**
+ * Template routing rule: item conditions (null = any; 'A|B' matches either),
+ * SKU glob, and the template (plus optional variant subset) to route to
+ * (partial for updates)
+ */
+const RuleConditionSchema = z.string().trim().min(1).max(200).nullable().optional();
+
+const TemplateRuleFieldsSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  enabled: z.boolean().optional(),
+  category: RuleConditionSchema,
+  subcategory: RuleConditionSchema,
+  brand: RuleConditionSchema,
+  size: RuleConditionSchema,
+  skuPattern: z.string().trim().min(1).max(100).nullable().optional(),
+  templateId: z.string().min(1)
+    .refine(id => isActiveTemplate(id), 'templateId must be an active background template'),
+  variants: z.array(z.number().int().positive()).min(1).nullable().optional()
+}).strict();
+
+/**
+ * Variants a rule names that its template doesn't have
+ */
+function getMissingTemplateVariants(templateId, variants) {
+  if (!variants) return [];
+
+  const existing = db.prepare('SELECT variant FROM template_assets WHERE template_id = ?')
+    .all(templateId)
+    .map(asset => asset.variant);
+
+  return variants.filter(variant => !existing.includes(variant));
+}
+
+/**
+ * Seasonal template schedule entry: a template for a window (endsAt is
+ * exclusive), optionally only for some item categories ('A|B' matches either)
+ * (partial for updates)
+ */
+const TemplateScheduleFieldsSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  templateId: z.string().min(1)
+    .refine(id => isActiveTemplate(id), 'templateId must be an active background template'),
+  startsAt: z.iso.datetime({ offset: true, message: 'startsAt must be a valid ISO 8601 datetime' })
+    .transform(value => new Date(value).toISOString()),
+  endsAt: z.iso.datetime({ offset: true, message: 'endsAt must be a valid ISO 8601 datetime' })
+    .transform(value => new Date(value).toISOString()),
+  category: RuleConditionSchema
+}).strict();
+
+const SCHEDULE_WINDOW_MESSAGE = 'startsAt must be before endsAt';
+
+/**
+ * Schedule preview: which template a job would get at `date` (default: now)
+ */
+const TemplateSchedulePreviewSchema = z.object({
+  date: z.iso.datetime({ offset: true, message: 'date must be a valid ISO 8601 datetime' })
+    .transform(value => new Date(value))
+    .optional(),
+  sku: z.string().trim().min(1).optional(),
+  theme: z.string().min(1).optional()
+});
+
+/**
+ * Prompt preview: renders `prompt`, or the theme's background prompt, for a SKU
+ */
+const PromptPreviewSchema = z.object({
+  sku: z.string().trim().min(1),
+  theme: z.string().min(1).superRefine((key, ctx) => {
+    if (!getTheme(key)) {
+      ctx.addIssue({ code: 'custom', message: `Unknown theme '${key}'` });
+    }
+  }).optional(),
+  prompt: z.string().trim().min(1).max(2000).optional()
+});
+
+/**
+ * Analytics query: from/to are ISO 8601 datetimes (default: the last 30 days)
+ */
+const AnalyticsQuerySchema = z.object({
+  from: z.iso.datetime({ offset: true, message: 'from must be a valid ISO 8601 datetime' })
+    .transform(value => new Date(value))
+    .optional(),
+  to: z.iso.datetime({ offset: true, message: 'to must be a valid ISO 8601 datetime' })
+    .transform(value => new Date(value))
+    .optional(),
+  bucket: z.enum(Object.values(AnalyticsBucket)).default(AnalyticsBucket.DAY)
+}).refine(
+  ({ from, to = new Date() }) => !from || (from < to && to - from <= MAX_RANGE_DAYS * 24 * 60 * 60 * 1000),
+  { message: `from must be before to, at most ${MAX_RANGE_DAYS} days apart`, path: ['from'] }
+);
+
+// Multipart batches: at most this many files (10MB each) per request
+const BATCH_MAX_FILES = 50;
+
+// Uploaded images may wait behind higher priority work or notBefore, so sign
+// their source URLs for the S3 maximum (7 days) instead of an hour
+const UPLOAD_URL_EXPIRY = 7 * 24 * 60 * 60;
+
+// Latest notBefore for jobs on an uploaded image: a day short of the URL
+// expiry, leaving time to wait in the queue and retry before the download
+const UPLOAD_MAX_NOT_BEFORE_MS = (UPLOAD_URL_EXPIRY - 24 * 60 * 60) * 1000;
+
+/**
+ * Refinement (predicate, params) rejecting a notBefore the uploaded image's
+ * source URL won't live to see
+ */
+const UPLOAD_NOT_BEFORE_REFINEMENT = [
+  ({ notBefore }) => !notBefore || new Date(notBefore) - Date.now() <= UPLOAD_MAX_NOT_BEFORE_MS,
+  {
+    message: `notBefore must be within ${UPLOAD_MAX_NOT_BEFORE_MS / 86400000} days for uploaded images (their source URLs expire after ${UPLOAD_URL_EXPIRY / 86400} days)`,
+    path: ['notBefore']
+  }
+];
+
+/**
+ * Flatten zod issues into { field, message } pairs for 400 responses
+ */
+function formatValidationErrors(error) {
+  return error.issues.map(issue => ({
+    field: issue.path.join('.'),
+    message: issue.message
+  }));
+}
+
 // Multer middleware for file uploads
 const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 }  // 10MB limit
@@ -85,10 +489,7 @@ router.post('/webhooks/3jms/images', verify3JMSWebhook, async (req, res) => {
     const validationResult = WebhookPayloadSchema.safeParse(req.body);
 
     if (!validationResult.success) {
-      const errors = validationResult.error.errors.map(err => ({
-        field: err.path.join('.'),
-        message: err.message
-      }));
+      const errors = formatValidationErrors(validationResult.error);
 
       console.error('[Webhook] Validation failed:', errors);
       return res.status(400).json({
@@ -99,6 +500,33 @@ router.post('/webhooks/3jms/images', verify3JMSWebhook, async (req, res) => {
 
     const { event, sku, imageUrl, sha256, takenAt } = validationResult.data;
 
+    // Optional scheduling from query string (?priority=high&notBefore=2025-01-01T06:00:00Z)
+    const scheduleResult = JobScheduleSchema.safeParse({
+      priority: req.query.priority,
+      notBefore: req.query.notBefore
+    });
+
+    if (!scheduleResult.success) {
+      return res.status(400).json({
+        error: 'Invalid scheduling options',
+        details: formatValidationErrors(scheduleResult.error)
+      });
+    }
+
+    // Optional pipeline overrides from query string (?workflow=seedream_edit&templateId=none)
+    // or a `pipeline` object in the body (which also accepts sharpSettings)
+    const pipelineResult = PipelineOverridesSchema.safeParse({
+      ...pickPipelineOverrides(req.query),
+      ...req.body.pipeline
+    });
+
+    if (!pipelineResult.success) {
+      return res.status(400).json({
+        error: 'Invalid pipeline overrides',
+        details: formatValidationErrors(pipelineResult.error)
+      });
+    }
+
     // Check if SKU has reached max images limit
     const maxImages = parseInt(process.env.IMAGE_MAX_PER_SKU || '4', 10);
     if (hasReachedImageLimit(sku, maxImages)) {
@@ -111,14 +539,25 @@ router.post('/webhooks/3jms/images', verify3JMSWebhook, async (req, res) => {
     }
 
     // Get theme from query param or use default
-    const theme = req.query.theme || process.env.DEFAULT_THEME || 'default';
+    const theme = req.query.theme || getJobDefaultTheme();
+    const themeError = getThemeError(theme);
+
+    if (themeError) {
+      return res.status(400).json({
+        error: 'Invalid theme',
+        details: [{ field: 'theme', message: themeError }]
+      });
+    }
 
     // Create job (idempotent)
     const job = createJob({
       sku,
       imageUrl,
       sha256,
-      theme
+      theme,
+      ...scheduleResult.data,
+      pipelineConfig: capturePipelineConfig(pipelineResult.data),
+      actor: JobEventActor.WEBHOOK
     });
 
     // Check if job was already created
@@ -133,6 +572,8 @@ router.post('/webhooks/3jms/images', verify3JMSWebhook, async (req, res) => {
         sku: job.sku,
         theme: job.theme,
         status: job.status,
+        priority: job.priority,
+        notBefore: job.not_before,
         createdAt: job.created_at
       }
     });
@@ -143,6 +584,239 @@ router.post('/webhooks/3jms/images', verify3JMSWebhook, async (req, res) => {
   }
 });
 
+// =============================================================================
+// POST /jobs/bulk - Create many jobs at once (backfills, seasonal reshoots)
+// Body: { theme?, priority?, notBefore?, pipeline?, jobs: [{ sku, imageUrl, sha256, theme?, priority?, notBefore?, pipeline? }] }
+// Top-level theme/priority/notBefore apply to entries that don't set their own;
+// an entry's pipeline overrides are merged over the top-level ones
+// =============================================================================
+router.post('/jobs/bulk', (req, res) => {
+  try {
+    const validationResult = BulkJobsSchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Invalid bulk job payload',
+        details: formatValidationErrors(validationResult.error)
+      });
+    }
+
+    const results = createJobsFromEntries(validationResult.data, JobEventActor.API);
+
+    const created = results.filter(r => r.status === 'created').length;
+    console.log(`[Bulk Jobs] ✅ Created ${created}/${results.length} job(s)`);
+
+    res.status(created > 0 ? 201 : 200).json({
+      created,
+      duplicates: results.filter(r => r.status === 'duplicate').length,
+      rejected: results.filter(r => r.status === 'rejected').length,
+      jobs: results
+    });
+
+  } catch (error) {
+    console.error('[Bulk Jobs] Error:', error);
+    res.status(500).json({ error: 'Failed to create jobs', details: error.message });
+  }
+});
+
+/**
+ * Build a batch payload from a multipart request
+ * Files are uploaded to storage and signed; SKUs come from the `skus` field
+ * (one per file, comma or newline separated) or from the filenames.
+ * @returns {Promise<{payload?: object, rejected?: object[], errors?: object[]}>}
+ */
+async function buildUploadBatchPayload(req) {
+  const fieldsResult = BatchSchema.omit({ jobs: true, pipeline: true }).refine(...UPLOAD_NOT_BEFORE_REFINEMENT).safeParse({
+    name: req.body.name || undefined,
+    theme: req.body.theme || undefined,
+    priority: req.body.priority || undefined,
+    notBefore: req.body.notBefore || undefined
+  });
+  const pipelineResult = PipelineOverridesSchema.omit({ sharpSettings: true })
+    .safeParse(pickPipelineOverrides(req.body));
+
+  if (!fieldsResult.success || !pipelineResult.success) {
+    return {
+      errors: [fieldsResult, pipelineResult].flatMap(result => result.success ? [] : formatValidationErrors(result.error))
+    };
+  }
+
+  const skus = [].concat(req.body.skus || [])
+    .flatMap(value => value.split(/[\n,]/))
+    .map(sku => sku.trim())
+    .filter(Boolean);
+
+  if (skus.length > 0 && skus.length !== req.files.length) {
+    return { errors: [{ field: 'skus', message: `Expected ${req.files.length} SKUs (one per file), got ${skus.length}` }] };
+  }
+
+  const entries = req.files.map((file, i) => ({
+    file,
+    sku: skus[i] || file.originalname.replace(/\.[^/.]+$/, '').replace(/[^a-zA-Z0-9\-_]+/g, '-').toUpperCase()
+  }));
+
+  const skuErrors = entries.flatMap(({ file, sku }) => {
+    const result = WebhookPayloadSchema.shape.sku.safeParse(sku);
+    return result.success ? [] : [{ field: file.originalname, message: result.error.issues[0].message }];
+  });
+
+  if (skuErrors.length > 0) {
+    return { errors: skuErrors };
+  }
+
+  const jobs = [];
+  const rejected = [];
+
+  for (const { file, sku } of entries) {
+    try {
+      const key = `batch-uploads/${Date.now()}-${file.originalname}`;
+      await s3.upload(key, file.buffer, file.mimetype);
+
+      jobs.push({
+        sku,
+        imageUrl: await s3.getPresignedGetUrl(key, UPLOAD_URL_EXPIRY),
+        sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        filename: file.originalname
+      });
+    } catch (error) {
+      console.error(`[Batches] Failed to upload ${file.originalname}:`, error.message);
+      rejected.push({ sku, filename: file.originalname, error: `Upload failed: ${error.message}` });
+    }
+  }
+
+  return {
+    payload: { ...fieldsResult.data, pipeline: pipelineResult.data, jobs },
+    rejected
+  };
+}
+
+// =============================================================================
+// POST /batches - Submit a batch of jobs
+// JSON: same body as POST /jobs/bulk plus an optional name
+// Multipart: files (up to BATCH_MAX_FILES) + optional name, skus, theme, priority,
+// notBefore and pipeline override fields; SKUs default to the filenames
+// =============================================================================
+router.post('/batches', upload.array('files', BATCH_MAX_FILES), async (req, res) => {
+  try {
+    let source = BatchSource.API;
+    let payload;
+    let rejected = [];
+
+    if (req.is('multipart/form-data')) {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' });
+      }
+
+      const built = await buildUploadBatchPayload(req);
+      if (built.errors) {
+        return res.status(400).json({ error: 'Invalid batch upload', details: built.errors });
+      }
+
+      source = BatchSource.UPLOAD;
+      ({ payload, rejected } = built);
+    } else {
+      const validationResult = BatchSchema.safeParse(req.body);
+
+      if (!validationResult.success) {
+        return res.status(400).json({
+          error: 'Invalid batch payload',
+          details: formatValidationErrors(validationResult.error)
+        });
+      }
+
+      payload = validationResult.data;
+    }
+
+    const { batch, results } = createBatch({
+      name: payload.name || null,
+      source,
+      payload,
+      rejected,
+      actor: JobEventActor.API
+    });
+
+    const created = results.filter(r => r.status === 'created').length;
+
+    res.status(created > 0 ? 201 : 200).json({
+      batch,
+      created,
+      duplicates: results.filter(r => r.status === 'duplicate').length,
+      rejected: results.filter(r => r.status === 'rejected').length,
+      jobs: results
+    });
+
+  } catch (error) {
+    console.error('[Create Batch] Error:', error);
+    res.status(500).json({ error: 'Failed to create batch', details: error.message });
+  }
+});
+
+// =============================================================================
+// GET /batches - List batches with status, progress and cost
+// =============================================================================
+router.get('/batches', (req, res) => {
+  try {
+    const { batches, total } = listBatches({
+      limit: parseInt(req.query.limit || '50', 10),
+      offset: parseInt(req.query.offset || '0', 10)
+    });
+
+    res.json({ batches, total });
+
+  } catch (error) {
+    console.error('[List Batches] Error:', error);
+    res.status(500).json({ error: 'Failed to list batches', details: error.message });
+  }
+});
+
+// =============================================================================
+// GET /batches/:id - Get batch with its entries and jobs
+// =============================================================================
+router.get('/batches/:id', (req, res) => {
+  try {
+    const batch = getBatch(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json({ batch, items: getBatchItems(batch.id) });
+
+  } catch (error) {
+    console.error('[Get Batch] Error:', error);
+    res.status(500).json({ error: 'Failed to get batch', details: error.message });
+  }
+});
+
+// =============================================================================
+// POST /batches/:id/retry-failed - Retry every failed job in a batch
+// =============================================================================
+router.post('/batches/:id/retry-failed', (req, res) => {
+  try {
+    if (!getBatch(req.params.id)) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const { maxRetries } = getProcessorConfig();
+    const { retried, skipped, results } = retryFailedBatchJobs(req.params.id, {
+      maxRetries,
+      actor: JobEventActor.API
+    });
+
+    res.json({
+      success: skipped === 0,
+      retried,
+      skipped,
+      results,
+      batch: getBatch(req.params.id)
+    });
+
+  } catch (error) {
+    console.error('[Retry Batch] Error:', error);
+    res.status(500).json({ error: 'Failed to retry batch', details: error.message });
+  }
+});
+
 // =============================================================================
 // POST /jobs/:id/start - Start job processing, return presigned URLs
 // =============================================================================
@@ -156,7 +830,7 @@ router.post('/jobs/:id/start', async (req, res) => {
     }
 
     // Transition to QUEUED status
-    const result = updateJobStatus(id, JobStatus.QUEUED);
+    const result = updateJobStatus(id, JobStatus.QUEUED, {}, { actor: JobEventActor.API });
     if (!result.success) {
       return res.status(400).json({ error: result.error });
     }
@@ -237,42 +911,189 @@ router.get('/jobs/stats', (req, res) => {
 });
 
 // =============================================================================
-// GET /jobs/:id - Get job status (polling endpoint)
+// GET /analytics - Time-bucketed job counts and spend, cost breakdowns, step timing percentiles
+// Query: from, to (ISO, default: last 30 days), bucket (day|week)
 // =============================================================================
-router.get('/jobs/:id', (req, res) => {
+router.get('/analytics', (req, res) => {
   try {
-    const { id } = req.params;
-    const job = getJob(id);
+    const validation = AnalyticsQuerySchema.safeParse(req.query);
 
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid analytics query',
+        details: formatValidationErrors(validation.error)
+      });
     }
 
-    // Parse JSON fields
-    const response = {
-      ...job,
-      s3_bg_keys: job.s3_bg_keys ? JSON.parse(job.s3_bg_keys) : null,
-      s3_composite_keys: job.s3_composite_keys ? JSON.parse(job.s3_composite_keys) : null,
-      s3_thumb_keys: job.s3_thumb_keys ? JSON.parse(job.s3_thumb_keys) : null,
-      s3_derivative_keys: job.s3_derivative_keys ? JSON.parse(job.s3_derivative_keys) : null,
-      shopify_media_ids: job.shopify_media_ids ? JSON.parse(job.shopify_media_ids) : null
-    };
+    res.json(getAnalytics(validation.data));
+  } catch (error) {
+    console.error('[Analytics] Error:', error);
+    res.status(500).json({ error: 'Failed to get analytics', details: error.message });
+  }
+});
 
-    res.json({ job: response });
+// =============================================================================
+// GET /jobs/stream - Live job updates (Server-Sent Events)
+// Query: jobId, sku (optional filters)
+// Must be registered before /jobs/:id
+// =============================================================================
+router.get('/jobs/stream', (req, res) => {
+  const { jobId, sku } = req.query;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Tell EventSource to reconnect after 3s if the connection drops
+  res.write('retry: 3000\n\n');
+  send('ready', { jobId: jobId || null, sku: sku || null });
+
+  const unsubscribe = subscribeToJobs({ jobId, sku }, (update) => send(update.type, update));
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// =============================================================================
+// GET /jobs/dead-letter - Jobs whose automatic retries were exhausted
+// Query params: limit (default 100), offset
+// =============================================================================
+router.get('/jobs/dead-letter', (req, res) => {
+  try {
+    const { jobs, total } = listDeadLetterJobs({
+      limit: parseInt(req.query.limit || '100', 10),
+      offset: parseInt(req.query.offset || '0', 10)
+    });
+    const { maxRetries, retryDelay, autoRetry } = getProcessorConfig();
 
+    res.json({
+      jobs,
+      total,
+      config: { maxRetries, retryDelay, autoRetry }
+    });
   } catch (error) {
-    console.error('[Job Get] Error:', error);
-    res.status(500).json({ error: 'Failed to get job', details: error.message });
+    console.error('[Dead Letter] Error:', error);
+    res.status(500).json({ error: 'Failed to list dead-lettered jobs', details: error.message });
   }
 });
 
 // =============================================================================
-// GET /jobs/:id/presign - Generate presigned GET URL for viewing assets (Query params)
+// POST /jobs/dead-letter/requeue - Give dead-lettered jobs one more attempt
+// Body: { jobIds?: string[] } (default: every dead-lettered job)
 // =============================================================================
-router.get('/jobs/:id/presign', async (req, res) => {
+router.post('/jobs/dead-letter/requeue', (req, res) => {
   try {
-    const { id } = req.params;
-    const { type } = req.query; // type: 'original', 'cutout', 'mask', 'composite', 'derivative'
+    const jobIds = Array.isArray(req.body?.jobIds)
+      ? req.body.jobIds
+      : listDeadLetterJobs({ limit: -1 }).jobs.map(job => job.id);
+
+    const results = jobIds.map(jobId => {
+      const result = requeueDeadLetterJob(jobId, { actor: JobEventActor.API });
+      return result.success
+        ? { jobId, success: true, resumeFrom: result.resumeFrom }
+        : { jobId, success: false, error: result.error };
+    });
+
+    const requeued = results.filter(result => result.success).length;
+
+    res.json({
+      success: results.every(result => result.success),
+      requeued,
+      skipped: results.length - requeued,
+      results
+    });
+  } catch (error) {
+    console.error('[Requeue Dead Letter] Error:', error);
+    res.status(500).json({ error: 'Failed to requeue dead-lettered jobs', details: error.message });
+  }
+});
+
+// =============================================================================
+// GET /jobs/:id - Get job status (polling endpoint)
+// =============================================================================
+router.get('/jobs/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = getJob(id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Parse JSON fields
+    const response = {
+      ...job,
+      s3_bg_keys: job.s3_bg_keys ? JSON.parse(job.s3_bg_keys) : null,
+      s3_composite_keys: job.s3_composite_keys ? JSON.parse(job.s3_composite_keys) : null,
+      s3_thumb_keys: job.s3_thumb_keys ? JSON.parse(job.s3_thumb_keys) : null,
+      s3_derivative_keys: job.s3_derivative_keys ? JSON.parse(job.s3_derivative_keys) : null,
+      shopify_media_ids: job.shopify_media_ids ? JSON.parse(job.shopify_media_ids) : null,
+      provider_metadata: job.provider_metadata ? JSON.parse(job.provider_metadata) : null,
+      pipeline_config: parsePipelineConfig(job),
+      clones: listJobs({ parentJobId: id }).map(clone => ({
+        id: clone.id,
+        theme: clone.theme,
+        status: clone.status,
+        cost_usd: clone.cost_usd,
+        created_at: clone.created_at
+      }))
+    };
+
+    res.json({ job: response });
+
+  } catch (error) {
+    console.error('[Job Get] Error:', error);
+    res.status(500).json({ error: 'Failed to get job', details: error.message });
+  }
+});
+
+// =============================================================================
+// GET /jobs/:id/events - Get job event timeline
+// =============================================================================
+router.get('/jobs/:id/events', (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = getJob(id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const events = listJobEvents(id, { type: req.query.type });
+
+    res.json({
+      jobId: id,
+      events,
+      count: events.length
+    });
+
+  } catch (error) {
+    console.error('[Job Events] Error:', error);
+    res.status(500).json({ error: 'Failed to get job events', details: error.message });
+  }
+});
+
+// =============================================================================
+// GET /jobs/:id/presign - Generate presigned GET URL for viewing assets (Query params)
+// =============================================================================
+router.get('/jobs/:id/presign', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.query; // type: 'original', 'cutout', 'mask', 'composite', 'derivative'
 
     const job = getJob(id);
     if (!job) {
@@ -417,7 +1238,7 @@ router.post('/jobs/:id/segmentation', async (req, res) => {
     }
 
     // Transition to BG_GENERATING
-    const result = updateJobStatus(id, JobStatus.BG_GENERATING, updates);
+    const result = updateJobStatus(id, JobStatus.BG_GENERATING, updates, { actor: JobEventActor.API });
 
     if (!result.success) {
       return res.status(400).json({ error: result.error });
@@ -456,7 +1277,7 @@ router.post('/jobs/:id/backgrounds', async (req, res) => {
     updateJobS3Keys(id, { backgrounds: bgKeys });
 
     // Transition to COMPOSITING
-    const result = updateJobStatus(id, JobStatus.COMPOSITING);
+    const result = updateJobStatus(id, JobStatus.COMPOSITING, {}, { actor: JobEventActor.API });
 
     if (!result.success) {
       return res.status(400).json({ error: result.error });
@@ -514,7 +1335,7 @@ router.post('/jobs/:id/composite/run', async (req, res) => {
 
     if (!result.success) {
       // Mark job as failed
-      failJob(id, ErrorCode.COMPOSITE_ERROR, result.error);
+      failJob(id, ErrorCode.COMPOSITE_ERROR, result.error, null, JobEventActor.API);
 
       return res.status(500).json({
         error: 'Compositing failed',
@@ -528,7 +1349,7 @@ router.post('/jobs/:id/composite/run', async (req, res) => {
     });
 
     // Transition to SHOPIFY_PUSH
-    const statusResult = updateJobStatus(id, JobStatus.SHOPIFY_PUSH);
+    const statusResult = updateJobStatus(id, JobStatus.SHOPIFY_PUSH, {}, { actor: JobEventActor.API });
 
     if (!statusResult.success) {
       return res.status(400).json({ error: statusResult.error });
@@ -575,7 +1396,7 @@ router.post('/jobs/:id/composite', async (req, res) => {
     });
 
     // Transition to SHOPIFY_PUSH
-    const result = updateJobStatus(id, JobStatus.SHOPIFY_PUSH);
+    const result = updateJobStatus(id, JobStatus.SHOPIFY_PUSH, {}, { actor: JobEventActor.API });
 
     if (!result.success) {
       return res.status(400).json({ error: result.error });
@@ -648,7 +1469,7 @@ router.post('/jobs/:id/fail', (req, res) => {
     }
 
     // Fail the job
-    const result = failJob(id, code, message, stack);
+    const result = failJob(id, code, message, stack, JobEventActor.API);
 
     if (!result.success) {
       return res.status(400).json({ error: result.error });
@@ -669,6 +1490,138 @@ router.post('/jobs/:id/fail', (req, res) => {
   }
 });
 
+// =============================================================================
+// POST /jobs/:id/retry - Resume failed job from its first missing artifact
+// =============================================================================
+router.post('/jobs/:id/retry', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = getJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== JobStatus.FAILED) {
+      return res.status(400).json({ error: `Only failed jobs can be retried (current status: ${job.status})` });
+    }
+
+    // Stored artifacts are reused; the processor picks the job up at resumeFrom
+    // (dead-lettered jobs get one more attempt past the retry limit)
+    const { maxRetries } = getProcessorConfig();
+    const result = job.error_code === ErrorCode.MAX_RETRIES_EXCEEDED
+      ? requeueDeadLetterJob(id, { actor: JobEventActor.API })
+      : retryJob(id, { maxRetries, actor: JobEventActor.API });
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      job: result.job,
+      resumeFrom: result.resumeFrom
+    });
+
+  } catch (error) {
+    console.error('[Retry Job] Error:', error);
+    res.status(500).json({ error: 'Failed to retry job', details: error.message });
+  }
+});
+
+// =============================================================================
+// POST /jobs/:id/cancel - Cancel a job and abort its in-flight provider calls
+// =============================================================================
+router.post('/jobs/:id/cancel', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    const job = getJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (isTerminalStatus(job.status)) {
+      return res.status(400).json({ error: `Job already finished (current status: ${job.status})` });
+    }
+
+    const result = cancelJob(id, { reason, actor: JobEventActor.API });
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    // Stops the job right away when this process runs it; other processors
+    // notice the CANCELLED status on their next poll
+    const aborted = abortJob(id);
+
+    res.json({
+      success: true,
+      job: result.job,
+      aborted
+    });
+
+  } catch (error) {
+    console.error('[Cancel Job] Error:', error);
+    res.status(500).json({ error: 'Failed to cancel job', details: error.message });
+  }
+});
+
+// =============================================================================
+// POST /jobs/:id/clone - Rerun a job's cutout with another theme or template
+// =============================================================================
+router.post('/jobs/:id/clone', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = getJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const validation = CloneJobSchema.safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid clone request',
+        details: formatValidationErrors(validation.error)
+      });
+    }
+
+    const { theme, priority, notBefore, pipeline } = validation.data;
+
+    // Overrides apply on top of the source's snapshot (current Settings for
+    // jobs created before snapshots existed); unless the source's template was
+    // picked explicitly, it's resolved again when the clone runs (a new theme
+    // brings its default template)
+    const pipelineConfig = capturePipelineConfig(pipeline, parsePipelineConfig(job) || undefined);
+
+    // The clone starts at BG_REMOVED from the source's cutout, so background
+    // removal isn't paid for again
+    const result = cloneJob(id, {
+      theme,
+      priority,
+      notBefore,
+      pipelineConfig,
+      actor: JobEventActor.API
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      job: result.job,
+      parentJobId: id
+    });
+
+  } catch (error) {
+    console.error('[Clone Job] Error:', error);
+    res.status(500).json({ error: 'Failed to clone job', details: error.message });
+  }
+});
+
 // =============================================================================
 // GET /jobs - List jobs with filters
 // =============================================================================
@@ -678,6 +1631,7 @@ router.get('/jobs', (req, res) => {
       status: req.query.status,
       sku: req.query.sku,
       theme: req.query.theme,
+      parentJobId: req.query.parentJobId,
       limit: parseInt(req.query.limit || '100', 10),
       offset: parseInt(req.query.offset || '0', 10)
     };
@@ -722,8 +1676,51 @@ router.get('/processor/config', (req, res) => {
   }
 });
 
+// =============================================================================
+// GET /processor/stuck - Report jobs stuck past their status budget
+// =============================================================================
+router.get('/processor/stuck', (req, res) => {
+  try {
+    const { maxRetries } = getProcessorConfig();
+    const jobs = findStuckJobs({ maxRetries });
+
+    res.json({
+      jobs,
+      count: jobs.length,
+      config: getWatchdogConfig(),
+      checkedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[Stuck Jobs] Error:', error);
+    res.status(500).json({ error: 'Failed to list stuck jobs', details: error.message });
+  }
+});
+
+// =============================================================================
+// POST /processor/stuck/recover - Resume or fail stuck jobs now
+// Body: { jobIds?: string[] } (default: every stuck job)
+// =============================================================================
+router.post('/processor/stuck/recover', (req, res) => {
+  try {
+    const jobIds = Array.isArray(req.body?.jobIds) ? req.body.jobIds : null;
+    const { maxRetries } = getProcessorConfig();
+
+    const { results } = runWatchdog({ maxRetries, jobIds, actor: JobEventActor.API });
+
+    res.json({
+      success: results.every(result => result.success),
+      results
+    });
+  } catch (error) {
+    console.error('[Recover Stuck Jobs] Error:', error);
+    res.status(500).json({ error: 'Failed to recover stuck jobs', details: error.message });
+  }
+});
+
 // =============================================================================
 // POST /upload-test-image - Upload test image for webhook testing
+// Optional form fields sku (+ theme, priority, notBefore) also create the job directly;
+// workflow, compositor, sharpWorkflow, templateId and backgroundPrompt override Settings for it
 // =============================================================================
 router.post('/upload-test-image', upload.single('file'), async (req, res) => {
   try {
@@ -731,21 +1728,75 @@ router.post('/upload-test-image', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    const scheduleResult = JobScheduleSchema.extend({
+      sku: WebhookPayloadSchema.shape.sku.optional(),
+      theme: JobThemeSchema.optional()
+    }).refine(...UPLOAD_NOT_BEFORE_REFINEMENT).safeParse({
+      sku: req.body.sku || undefined,
+      theme: req.body.theme || undefined,
+      priority: req.body.priority || undefined,
+      notBefore: req.body.notBefore || undefined
+    });
+
+    if (!scheduleResult.success) {
+      return res.status(400).json({
+        error: 'Invalid job options',
+        details: formatValidationErrors(scheduleResult.error)
+      });
+    }
+
+    const { sku, theme = getJobDefaultTheme(), ...schedule } = scheduleResult.data;
+
+    const pipelineResult = PipelineOverridesSchema.omit({ sharpSettings: true })
+      .safeParse(pickPipelineOverrides(req.body));
+
+    if (!pipelineResult.success) {
+      return res.status(400).json({
+        error: 'Invalid pipeline overrides',
+        details: formatValidationErrors(pipelineResult.error)
+      });
+    }
+
     // Upload to S3 under test-uploads folder
     const testKey = `test-uploads/${Date.now()}-${req.file.originalname}`;
 
     await s3.upload(testKey, req.file.buffer, req.file.mimetype);
 
-    // Get presigned URL that's valid for 1 hour
-    const url = await s3.getPresignedGetUrl(testKey, 3600);
+    // Get presigned URL; the job may wait for notBefore, so it lasts as long as batch uploads'
+    const url = await s3.getPresignedGetUrl(testKey, UPLOAD_URL_EXPIRY);
 
     console.log(`[TestUpload] ✅ Uploaded test image: ${testKey}`);
 
+    let job = null;
+    if (sku) {
+      job = createJob({
+        sku,
+        imageUrl: url,
+        sha256: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+        theme,
+        ...schedule,
+        pipelineConfig: capturePipelineConfig(pipelineResult.data),
+        actor: JobEventActor.API
+      });
+    }
+
     res.status(201).json({
       url: url,
       key: testKey,
       filename: req.file.originalname,
-      size: req.file.size
+      size: req.file.size,
+      ...(job && {
+        jobId: job.id,
+        job: {
+          id: job.id,
+          sku: job.sku,
+          theme: job.theme,
+          status: job.status,
+          priority: job.priority,
+          notBefore: job.not_before,
+          createdAt: job.created_at
+        }
+      })
     });
 
   } catch (error) {
@@ -873,6 +1924,189 @@ router.post('/prompts/background', (req, res) => {
   }
 });
 
+// POST /prompts/preview - Render a prompt template for a SKU's catalog item
+router.post('/prompts/preview', (req, res) => {
+  try {
+    const validation = PromptPreviewSchema.safeParse(req.body ?? {});
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid prompt preview request',
+        details: formatValidationErrors(validation.error)
+      });
+    }
+
+    const { sku, theme = getJobDefaultTheme(), prompt } = validation.data;
+    const template = prompt || (getTheme(theme) || getTheme(DEFAULT_THEME_KEY)).background_prompt;
+    const item = getPromptItem(sku);
+
+    res.json({
+      sku,
+      source: prompt ? 'custom' : 'theme',
+      theme: prompt ? null : theme,
+      template,
+      prompt: renderPromptTemplate(template, getItemPromptVariables(sku, item)),
+      variables: item ? getItemPromptVariables(sku, item) : null, // null: SKU not in the catalog
+      errors: getPromptTemplateErrors(template),
+      availableVariables: PROMPT_VARIABLES
+    });
+  } catch (error) {
+    console.error('[Prompt Preview] Error:', error);
+    res.status(500).json({ error: 'Failed to preview prompt', details: error.message });
+  }
+});
+
+// =============================================================================
+// Theme Endpoints - Prompt library per theme (jobs.theme / ?theme=)
+// =============================================================================
+
+// GET /themes - List themes, default first
+// Query: active=true for only the themes new jobs can use now
+router.get('/themes', (req, res) => {
+  try {
+    res.json({
+      themes: listThemes({ activeOnly: req.query.active === 'true' }),
+      defaultTheme: getJobDefaultTheme()
+    });
+  } catch (error) {
+    console.error('[Get Themes] Error:', error);
+    res.status(500).json({ error: 'Failed to get themes', details: error.message });
+  }
+});
+
+// GET /themes/:key - Get a theme
+router.get('/themes/:key', (req, res) => {
+  try {
+    const theme = getTheme(req.params.key);
+
+    if (!theme) {
+      return res.status(404).json({ error: 'Theme not found' });
+    }
+
+    res.json({ theme });
+  } catch (error) {
+    console.error('[Get Theme] Error:', error);
+    res.status(500).json({ error: 'Failed to get theme', details: error.message });
+  }
+});
+
+// POST /themes - Create a theme
+// Body: { key, name, backgroundPrompt, compositePrompt?, negativePrompt?, defaultTemplateId?, activeFrom?, activeUntil? }
+router.post('/themes', (req, res) => {
+  try {
+    const validation = CreateThemeSchema.safeParse(req.body ?? {});
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid theme',
+        details: formatValidationErrors(validation.error)
+      });
+    }
+
+    const theme = createTheme(validation.data);
+
+    res.status(201).json({
+      success: true,
+      theme,
+      message: 'Theme created successfully'
+    });
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+      return res.status(409).json({
+        error: 'Theme already exists',
+        details: `A theme with key '${req.body.key}' already exists`
+      });
+    }
+    console.error('[Create Theme] Error:', error);
+    res.status(500).json({ error: 'Failed to create theme', details: error.message });
+  }
+});
+
+// PUT /themes/:key - Update a theme (fields left out are kept; the key can't change)
+router.put('/themes/:key', (req, res) => {
+  try {
+    const existing = getTheme(req.params.key);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Theme not found' });
+    }
+
+    const validation = ThemeFieldsSchema.partial().safeParse(req.body ?? {});
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid theme',
+        details: formatValidationErrors(validation.error)
+      });
+    }
+
+    const window = {
+      activeFrom: validation.data.activeFrom !== undefined ? validation.data.activeFrom : existing.active_from,
+      activeUntil: validation.data.activeUntil !== undefined ? validation.data.activeUntil : existing.active_until
+    };
+
+    if (!isValidActiveWindow(window)) {
+      return res.status(400).json({
+        error: 'Invalid theme',
+        details: [{ field: 'activeUntil', message: ACTIVE_WINDOW_MESSAGE }]
+      });
+    }
+
+    const theme = updateTheme(existing.key, validation.data);
+
+    res.json({
+      success: true,
+      theme,
+      message: 'Theme updated successfully'
+    });
+  } catch (error) {
+    console.error('[Update Theme] Error:', error);
+    res.status(500).json({ error: 'Failed to update theme', details: error.message });
+  }
+});
+
+// DELETE /themes/:key - Delete a theme
+// The default theme and themes with unfinished jobs can't be deleted
+router.delete('/themes/:key', (req, res) => {
+  try {
+    const theme = getTheme(req.params.key);
+
+    if (!theme) {
+      return res.status(404).json({ error: 'Theme not found' });
+    }
+
+    if (theme.key === DEFAULT_THEME_KEY) {
+      return res.status(409).json({
+        error: 'Default theme can\'t be deleted',
+        details: 'Other themes fall back to its prompts; edit it instead'
+      });
+    }
+
+    const { count: unfinished } = db.prepare(`
+      SELECT COUNT(*) AS count FROM jobs
+      WHERE theme = ? AND status NOT IN (?, ?, ?)
+    `).get(theme.key, JobStatus.DONE, JobStatus.FAILED, JobStatus.CANCELLED);
+
+    if (unfinished > 0) {
+      return res.status(409).json({
+        error: 'Theme in use',
+        details: `${unfinished} unfinished job(s) use this theme; set activeUntil to stop new jobs instead`
+      });
+    }
+
+    deleteTheme(theme.key);
+    console.log(`[Themes] Deleted theme '${theme.key}'`);
+
+    res.json({
+      success: true,
+      message: 'Theme deleted successfully'
+    });
+  } catch (error) {
+    console.error('[Delete Theme] Error:', error);
+    res.status(500).json({ error: 'Failed to delete theme', details: error.message });
+  }
+});
+
 // =============================================================================
 // Workflow Preference Endpoints - Store and retrieve workflow setting
 // =============================================================================
@@ -922,89 +2156,375 @@ router.post('/settings/workflow', (req, res) => {
     });
 
   } catch (error) {
-    console.error('[Save Workflow] Error:', error);
-    res.status(500).json({ error: 'Failed to save workflow preference', details: error.message });
+    console.error('[Save Workflow] Error:', error);
+    res.status(500).json({ error: 'Failed to save workflow preference', details: error.message });
+  }
+});
+
+// Export function to access workflow preference from other modules
+export function getWorkflowPreference() {
+  try {
+    const result = db.prepare(`
+      SELECT value FROM settings WHERE key = 'workflow_preference'
+    `).get();
+    return result?.value || 'cutout_composite';
+  } catch (error) {
+    console.error('[Get Workflow Preference] Error:', error);
+    return 'cutout_composite'; // Safe fallback
+  }
+}
+
+// =============================================================================
+// AI Compositor Preference Endpoints - Store and retrieve compositor setting
+// =============================================================================
+
+// GET /settings/compositor - Retrieve compositor preference
+router.get('/settings/compositor', (req, res) => {
+  try {
+    const result = db.prepare(`
+      SELECT value FROM settings WHERE key = 'ai_compositor'
+    `).get();
+
+    const compositor = result?.value || process.env.AI_COMPOSITOR || 'freepik';
+
+    res.json({
+      compositor,
+      options: ['none', 'freepik', 'nanobanana']
+    });
+  } catch (error) {
+    console.error('[Get Compositor] Error:', error);
+    res.status(500).json({ error: 'Failed to get compositor preference', details: error.message });
+  }
+});
+
+// POST /settings/compositor - Save compositor preference
+router.post('/settings/compositor', (req, res) => {
+  try {
+    const { compositor } = req.body;
+
+    if (!compositor || !['freepik', 'nanobanana', 'none'].includes(compositor)) {
+      return res.status(400).json({
+        error: 'Invalid compositor',
+        validValues: ['freepik', 'nanobanana', 'none']
+      });
+    }
+
+    db.prepare(`
+      INSERT OR REPLACE INTO settings (key, value, updated_at)
+      VALUES ('ai_compositor', ?, datetime('now'))
+    `).run(compositor);
+
+    console.log(`[Compositor] Updated preference to: ${compositor}`);
+
+    res.json({
+      success: true,
+      compositor,
+      message: 'Compositor preference saved successfully'
+    });
+  } catch (error) {
+    console.error('[Save Compositor] Error:', error);
+    res.status(500).json({ error: 'Failed to save compositor preference', details: error.message });
+  }
+});
+
+// Export function to access compositor preference from other modules
+export function getCompositorPreference() {
+  try {
+    const result = db.prepare(`
+      SELECT value FROM settings WHERE key = 'ai_compositor'
+    `).get();
+    return result?.value || process.env.AI_COMPOSITOR || 'freepik';
+  } catch (error) {
+    console.error('[Get Compositor Preference] Error:', error);
+    return process.env.AI_COMPOSITOR || 'freepik'; // Safe fallback
+  }
+}
+
+// =============================================================================
+// Provider Failover Endpoints - Fallback providers per capability
+// =============================================================================
+
+/**
+ * Describe the saved fallbacks and the chains new jobs will use
+ */
+function describeProviderFallbacks() {
+  const fallbacks = getProviderFallbacks();
+  const compositor = getCompositorPreference();
+
+  return {
+    fallbacks,
+    chains: Object.fromEntries(
+      Object.values(ProviderCapability).map(capability => [
+        capability,
+        getProviderChain(capability, { compositor, providerFallbacks: fallbacks })
+      ])
+    ),
+    providers: getCapabilityProviders(),
+    primary: {
+      aiProvider: process.env.AI_PROVIDER || 'freepik',
+      segmentProvider: getPrimaryProvider(ProviderCapability.SEGMENTATION, compositor),
+      backgroundProvider: getPrimaryProvider(ProviderCapability.BACKGROUND, compositor),
+      compositor
+    }
+  };
+}
+
+// GET /settings/provider-fallbacks - Retrieve fallback providers and effective chains
+router.get('/settings/provider-fallbacks', (req, res) => {
+  try {
+    res.json(describeProviderFallbacks());
+  } catch (error) {
+    console.error('[Get Provider Fallbacks] Error:', error);
+    res.status(500).json({ error: 'Failed to get provider fallbacks', details: error.message });
+  }
+});
+
+// POST /settings/provider-fallbacks - Save fallback providers
+// Body: { fallbacks: { segmentation?: string[], background?: string[], composite?: string[], lighting?: string[] } }
+router.post('/settings/provider-fallbacks', (req, res) => {
+  try {
+    const validation = ProviderFallbacksSchema.safeParse(req.body?.fallbacks ?? {});
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid provider fallbacks',
+        details: formatValidationErrors(validation.error)
+      });
+    }
+
+    const fallbacks = { ...getProviderFallbacks(), ...validation.data };
+
+    db.prepare(`
+      INSERT OR REPLACE INTO settings (key, value, updated_at)
+      VALUES ('provider_fallbacks', ?, datetime('now'))
+    `).run(JSON.stringify(fallbacks));
+
+    console.log('[Provider Fallbacks] Updated fallbacks:', fallbacks);
+
+    res.json({
+      success: true,
+      ...describeProviderFallbacks(),
+      message: 'Provider fallbacks saved successfully'
+    });
+  } catch (error) {
+    console.error('[Save Provider Fallbacks] Error:', error);
+    res.status(500).json({ error: 'Failed to save provider fallbacks', details: error.message });
+  }
+});
+
+// Export function to access provider fallbacks from other modules
+export function getProviderFallbacks() {
+  const defaults = Object.fromEntries(Object.values(ProviderCapability).map(capability => [capability, []]));
+
+  try {
+    const result = db.prepare(`
+      SELECT value FROM settings WHERE key = 'provider_fallbacks'
+    `).get();
+    return result?.value ? { ...defaults, ...JSON.parse(result.value) } : defaults;
+  } catch (error) {
+    console.error('[Get Provider Fallbacks] Error:', error);
+    return defaults; // Safe fallback - primary providers only
+  }
+}
+
+// =============================================================================
+// Provider Call Ledger and Budget Endpoints - Spend per provider call, result cache, budget caps
+// =============================================================================
+
+// GET /provider-calls - List provider calls, newest first
+// Query: provider, operation, jobId, templateId, enhancementId, success (true/false), cached (true/false), since (ISO), limit, offset
+router.get('/provider-calls', (req, res) => {
+  try {
+    const filters = {
+      provider: req.query.provider,
+      operation: req.query.operation,
+      jobId: req.query.jobId,
+      templateId: req.query.templateId,
+      enhancementId: req.query.enhancementId,
+      success: req.query.success === undefined ? undefined : req.query.success === 'true',
+      cached: req.query.cached === undefined ? undefined : req.query.cached === 'true',
+      since: req.query.since,
+      limit: parseInt(req.query.limit || '100', 10),
+      offset: parseInt(req.query.offset || '0', 10)
+    };
+
+    res.json({ ...listProviderCalls(filters), filters });
+  } catch (error) {
+    console.error('[List Provider Calls] Error:', error);
+    res.status(500).json({ error: 'Failed to list provider calls', details: error.message });
+  }
+});
+
+// GET /provider-cache - Provider result cache entries, hits and savings per provider/operation
+router.get('/provider-cache', (req, res) => {
+  try {
+    res.json({ ...getCacheStats(), operations: CACHEABLE_OPERATIONS });
+  } catch (error) {
+    console.error('[Provider Cache] Error:', error);
+    res.status(500).json({ error: 'Failed to get provider cache stats', details: error.message });
+  }
+});
+
+// DELETE /provider-cache - Clear provider result cache entries (S3 objects are kept)
+// Query: provider, operation (optional filters)
+router.delete('/provider-cache', (req, res) => {
+  try {
+    const deleted = clearProviderCache({ provider: req.query.provider, operation: req.query.operation });
+
+    res.json({
+      success: true,
+      deleted,
+      message: `Cleared ${deleted} cache entries`
+    });
+  } catch (error) {
+    console.error('[Clear Provider Cache] Error:', error);
+    res.status(500).json({ error: 'Failed to clear provider cache', details: error.message });
+  }
+});
+
+// GET /settings/budgets - Retrieve spend budgets and current spend
+router.get('/settings/budgets', (req, res) => {
+  try {
+    res.json({
+      budgets: getBudgets(),
+      status: getBudgetStatus()
+    });
+  } catch (error) {
+    console.error('[Get Budgets] Error:', error);
+    res.status(500).json({ error: 'Failed to get budgets', details: error.message });
+  }
+});
+
+// POST /settings/budgets - Save spend budgets
+// Body: { budgets: { dailyUsd?: number|null, monthlyUsd?: number|null } }
+router.post('/settings/budgets', (req, res) => {
+  try {
+    const validation = BudgetsSchema.safeParse(req.body?.budgets ?? {});
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid budgets',
+        details: formatValidationErrors(validation.error)
+      });
+    }
+
+    const budgets = { ...getBudgets(), ...validation.data };
+
+    db.prepare(`
+      INSERT OR REPLACE INTO settings (key, value, updated_at)
+      VALUES ('budgets', ?, datetime('now'))
+    `).run(JSON.stringify(budgets));
+
+    console.log('[Budgets] Updated budgets:', budgets);
+
+    res.json({
+      success: true,
+      budgets,
+      status: getBudgetStatus(),
+      message: 'Budgets saved successfully'
+    });
+  } catch (error) {
+    console.error('[Save Budgets] Error:', error);
+    res.status(500).json({ error: 'Failed to save budgets', details: error.message });
   }
 });
 
-// Export function to access workflow preference from other modules
-export function getWorkflowPreference() {
+// Export function to access budgets from other modules
+export function getBudgets() {
+  const defaults = { dailyUsd: null, monthlyUsd: null };
+
   try {
     const result = db.prepare(`
-      SELECT value FROM settings WHERE key = 'workflow_preference'
+      SELECT value FROM settings WHERE key = 'budgets'
     `).get();
-    return result?.value || 'cutout_composite';
+    return result?.value ? { ...defaults, ...JSON.parse(result.value) } : defaults;
   } catch (error) {
-    console.error('[Get Workflow Preference] Error:', error);
-    return 'cutout_composite'; // Safe fallback
+    console.error('[Get Budgets] Error:', error);
+    return defaults; // Safe fallback - no caps
   }
 }
 
 // =============================================================================
-// AI Compositor Preference Endpoints - Store and retrieve compositor setting
+// Provider Pricing Endpoints - Per-call prices, versioned by effective date
 // =============================================================================
 
-// GET /settings/compositor - Retrieve compositor preference
-router.get('/settings/compositor', (req, res) => {
+// GET /settings/pricing - List price versions (active, scheduled and superseded)
+router.get('/settings/pricing', (req, res) => {
   try {
-    const result = db.prepare(`
-      SELECT value FROM settings WHERE key = 'ai_compositor'
-    `).get();
-
-    const compositor = result?.value || process.env.AI_COMPOSITOR || 'freepik';
-
     res.json({
-      compositor,
-      options: ['none', 'freepik', 'nanobanana']
+      prices: listPrices(),
+      operations: PRICED_OPERATIONS
     });
   } catch (error) {
-    console.error('[Get Compositor] Error:', error);
-    res.status(500).json({ error: 'Failed to get compositor preference', details: error.message });
+    console.error('[Get Pricing] Error:', error);
+    res.status(500).json({ error: 'Failed to get pricing', details: error.message });
   }
 });
 
-// POST /settings/compositor - Save compositor preference
-router.post('/settings/compositor', (req, res) => {
+// POST /settings/pricing - Add a price version
+// Body: { provider, operation, resolution?: '*', priceUsd, effectiveFrom?: ISO (default now), note? }
+// Existing versions are kept so past costs stay explainable
+router.post('/settings/pricing', (req, res) => {
   try {
-    const { compositor } = req.body;
+    const validation = PriceVersionSchema.safeParse(req.body ?? {});
 
-    if (!compositor || !['freepik', 'nanobanana', 'none'].includes(compositor)) {
+    if (!validation.success) {
       return res.status(400).json({
-        error: 'Invalid compositor',
-        validValues: ['freepik', 'nanobanana', 'none']
+        error: 'Invalid price',
+        details: formatValidationErrors(validation.error)
       });
     }
 
-    db.prepare(`
-      INSERT OR REPLACE INTO settings (key, value, updated_at)
-      VALUES ('ai_compositor', ?, datetime('now'))
-    `).run(compositor);
-
-    console.log(`[Compositor] Updated preference to: ${compositor}`);
+    const price = addPrice(validation.data);
 
     res.json({
       success: true,
-      compositor,
-      message: 'Compositor preference saved successfully'
+      price,
+      prices: listPrices(),
+      message: 'Price saved successfully'
     });
   } catch (error) {
-    console.error('[Save Compositor] Error:', error);
-    res.status(500).json({ error: 'Failed to save compositor preference', details: error.message });
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({
+        error: 'Price version already exists',
+        details: 'A price for this provider, operation and resolution already takes effect at that time'
+      });
+    }
+    console.error('[Save Pricing] Error:', error);
+    res.status(500).json({ error: 'Failed to save price', details: error.message });
   }
 });
 
-// Export function to access compositor preference from other modules
-export function getCompositorPreference() {
+// DELETE /settings/pricing/:id - Delete a scheduled price version
+// Versions already in effect can't be deleted; add a new version instead
+router.delete('/settings/pricing/:id', (req, res) => {
   try {
-    const result = db.prepare(`
-      SELECT value FROM settings WHERE key = 'ai_compositor'
-    `).get();
-    return result?.value || process.env.AI_COMPOSITOR || 'freepik';
+    const price = getPriceVersion(req.params.id);
+
+    if (!price) {
+      return res.status(404).json({ error: 'Price version not found' });
+    }
+
+    if (price.effective_from <= new Date().toISOString()) {
+      return res.status(409).json({
+        error: 'Price version already in effect',
+        details: 'Costs have been reported with this price; add a new version instead'
+      });
+    }
+
+    deletePrice(price.id);
+    console.log(`[Pricing] Deleted scheduled ${price.provider} ${price.operation} price from ${price.effective_from}`);
+
+    res.json({
+      success: true,
+      prices: listPrices(),
+      message: 'Price version deleted successfully'
+    });
   } catch (error) {
-    console.error('[Get Compositor Preference] Error:', error);
-    return process.env.AI_COMPOSITOR || 'freepik'; // Safe fallback
+    console.error('[Delete Pricing] Error:', error);
+    res.status(500).json({ error: 'Failed to delete price', details: error.message });
   }
-}
+});
 
 // =============================================================================
 // Sharp Workflow Preference Endpoints - Enable full Sharp workflow
@@ -1193,6 +2713,25 @@ export function getSharpSettings() {
 // Background Template Endpoints - Manage reusable background templates
 // =============================================================================
 
+/**
+ * Check the spend budget before generating template backgrounds
+ * Providers that cost nothing (procedural backdrops, or a $0 generateBackground
+ * price) aren't blocked by an exceeded budget.
+ *
+ * @param {string|null} provider - Background provider (null = the primary)
+ * @returns {object|null} Budget status if generation must be refused, else null
+ */
+function getTemplateBudgetBlock(provider) {
+  const providerName = provider || getPrimaryProvider(ProviderCapability.BACKGROUND);
+
+  if (providerName === 'procedural' || getPrice(providerName, 'generateBackground') === 0) {
+    return null;
+  }
+
+  const budget = getBudgetStatus();
+  return budget.exceeded ? budget : null;
+}
+
 // GET /templates - List all active templates
 router.get('/templates', async (req, res) => {
   try {
@@ -1270,7 +2809,7 @@ router.get('/templates/:id', async (req, res) => {
 // POST /templates - Create new template (triggers async generation)
 router.post('/templates', async (req, res) => {
   try {
-    const { name, customPrompt, variantCount } = req.body;
+    const { name, customPrompt, variantCount, provider = null } = req.body;
 
     if (!name || typeof name !== 'string') {
       return res.status(400).json({ error: 'Template name is required' });
@@ -1280,16 +2819,25 @@ router.post('/templates', async (req, res) => {
       return res.status(400).json({ error: 'Custom prompt is required' });
     }
 
-    console.log('[Create Template] Starting generation:', { name, customPrompt: customPrompt.substring(0, 50) + '...', variantCount });
+    if (provider !== null && !supportsCapability(provider, ProviderCapability.BACKGROUND)) {
+      return res.status(400).json({ error: `Provider ${provider} can't generate backgrounds` });
+    }
+
+    const budget = getTemplateBudgetBlock(provider);
+    if (budget) {
+      return res.status(402).json({ error: 'Budget exceeded', details: budget.message });
+    }
+
+    console.log('[Create Template] Starting generation:', { name, customPrompt: customPrompt.substring(0, 50) + '...', variantCount, provider });
 
     // Create template ID immediately
     const templateId = `tmpl-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
 
     // Insert template record as 'generating'
     db.prepare(`
-      INSERT INTO background_templates (id, name, theme, prompt, status, created_at)
-      VALUES (?, ?, ?, ?, 'generating', datetime('now'))
-    `).run(templateId, name, 'custom', customPrompt);
+      INSERT INTO background_templates (id, name, theme, prompt, provider, status, created_at)
+      VALUES (?, ?, ?, ?, ?, 'generating', datetime('now'))
+    `).run(templateId, name, 'custom', customPrompt, provider);
 
     // Trigger async generation (don't await - let it run in background)
     generateBackgroundTemplate({
@@ -1298,6 +2846,7 @@ router.post('/templates', async (req, res) => {
       theme: 'custom',
       customPrompt,
       variantCount: variantCount || 3,
+      providerName: provider,
       db
     }).catch(error => {
       console.error(`[Create Template] Background generation failed for ${templateId}:`, error);
@@ -1511,6 +3060,12 @@ router.post('/templates/:id/regenerate', async (req, res) => {
     const { id } = req.params;
     const { variantCount } = req.body;
 
+    const template = db.prepare('SELECT provider FROM background_templates WHERE id = ?').get(id);
+    const budget = getTemplateBudgetBlock(template?.provider || null);
+    if (budget) {
+      return res.status(402).json({ error: 'Budget exceeded', details: budget.message });
+    }
+
     const result = await regenerateTemplateVariants({
       templateId: id,
       variantCount: variantCount || 3,
@@ -1627,6 +3182,322 @@ export function getActiveBackgroundTemplate() {
   }
 }
 
+// =============================================================================
+// Template Routing Rules - Pick a job's template from its catalog item or SKU
+// =============================================================================
+
+// GET /template-rules - List rules in evaluation order
+router.get('/template-rules', (req, res) => {
+  try {
+    res.json({ rules: listTemplateRules() });
+  } catch (error) {
+    console.error('[List Template Rules] Error:', error);
+    res.status(500).json({ error: 'Failed to list template rules', details: error.message });
+  }
+});
+
+// POST /template-rules/match - Which rule a SKU would be routed by
+router.post('/template-rules/match', (req, res) => {
+  try {
+    const sku = typeof req.body?.sku === 'string' ? req.body.sku.trim() : '';
+
+    if (!sku) {
+      return res.status(400).json({
+        error: 'Invalid template rule match request',
+        details: [{ field: 'sku', message: 'sku is required' }]
+      });
+    }
+
+    const item = getPromptItem(sku);
+
+    res.json({
+      sku,
+      item: item || null,
+      rule: matchTemplateRule(sku, item)
+    });
+  } catch (error) {
+    console.error('[Match Template Rule] Error:', error);
+    res.status(500).json({ error: 'Failed to match template rule', details: error.message });
+  }
+});
+
+// POST /template-rules - Create a rule (evaluated after the existing ones)
+router.post('/template-rules', (req, res) => {
+  try {
+    const validation = TemplateRuleFieldsSchema.safeParse(req.body ?? {});
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid template rule',
+        details: formatValidationErrors(validation.error)
+      });
+    }
+
+    const missing = getMissingTemplateVariants(validation.data.templateId, validation.data.variants);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid template rule',
+        details: [{ field: 'variants', message: `Template has no variant ${missing.join(', ')}` }]
+      });
+    }
+
+    const rule = createTemplateRule(validation.data);
+
+    res.status(201).json({
+      success: true,
+      rule,
+      message: 'Template rule created successfully'
+    });
+  } catch (error) {
+    console.error('[Create Template Rule] Error:', error);
+    res.status(500).json({ error: 'Failed to create template rule', details: error.message });
+  }
+});
+
+// PUT /template-rules/order - Set the evaluation order ({ ids: [...] }, every rule once)
+router.put('/template-rules/order', (req, res) => {
+  try {
+    const ids = req.body?.ids;
+
+    if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) {
+      return res.status(400).json({
+        error: 'Invalid rule order',
+        details: [{ field: 'ids', message: 'ids must be an array of rule IDs' }]
+      });
+    }
+
+    try {
+      reorderTemplateRules(ids);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid rule order',
+        details: [{ field: 'ids', message: error.message }]
+      });
+    }
+
+    res.json({
+      success: true,
+      rules: listTemplateRules()
+    });
+  } catch (error) {
+    console.error('[Reorder Template Rules] Error:', error);
+    res.status(500).json({ error: 'Failed to reorder template rules', details: error.message });
+  }
+});
+
+// PUT /template-rules/:id - Update a rule (fields left out are kept)
+router.put('/template-rules/:id', (req, res) => {
+  try {
+    const existing = getTemplateRule(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Template rule not found' });
+    }
+
+    const validation = TemplateRuleFieldsSchema.partial().safeParse(req.body ?? {});
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid template rule',
+        details: formatValidationErrors(validation.error)
+      });
+    }
+
+    const missing = getMissingTemplateVariants(
+      validation.data.templateId ?? existing.template_id,
+      validation.data.variants !== undefined ? validation.data.variants : existing.variants
+    );
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid template rule',
+        details: [{ field: 'variants', message: `Template has no variant ${missing.join(', ')}` }]
+      });
+    }
+
+    const rule = updateTemplateRule(existing.id, validation.data);
+
+    res.json({
+      success: true,
+      rule,
+      message: 'Template rule updated successfully'
+    });
+  } catch (error) {
+    console.error('[Update Template Rule] Error:', error);
+    res.status(500).json({ error: 'Failed to update template rule', details: error.message });
+  }
+});
+
+// DELETE /template-rules/:id - Delete a rule (jobs it routed keep its ID and name)
+router.delete('/template-rules/:id', (req, res) => {
+  try {
+    if (!deleteTemplateRule(req.params.id)) {
+      return res.status(404).json({ error: 'Template rule not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('[Delete Template Rule] Error:', error);
+    res.status(500).json({ error: 'Failed to delete template rule', details: error.message });
+  }
+});
+
+// =============================================================================
+// Seasonal Template Schedule - Use a template for a time window
+// =============================================================================
+
+// GET /template-schedules - List entries (?from=&to= keeps those overlapping the range)
+router.get('/template-schedules', (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({
+        error: 'Invalid schedule range',
+        details: [{ field: from && isNaN(from) ? 'from' : 'to', message: 'from and to must be valid dates' }]
+      });
+    }
+
+    res.json({
+      schedules: listTemplateSchedules({ from: from?.toISOString(), to: to?.toISOString() })
+    });
+  } catch (error) {
+    console.error('[List Template Schedules] Error:', error);
+    res.status(500).json({ error: 'Failed to list template schedule', details: error.message });
+  }
+});
+
+// GET /template-schedules/preview - Which template a job would get at ?date= (for ?sku= and ?theme=)
+router.get('/template-schedules/preview', (req, res) => {
+  try {
+    const validation = TemplateSchedulePreviewSchema.safeParse(req.query);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid schedule preview request',
+        details: formatValidationErrors(validation.error)
+      });
+    }
+
+    const { date = new Date(), sku = null, theme = null } = validation.data;
+    const themeError = theme ? getThemeError(theme, date) : null;
+
+    if (themeError) {
+      return res.status(400).json({
+        error: 'Invalid theme',
+        details: [{ field: 'theme', message: themeError }]
+      });
+    }
+
+    const { source, templateId, templateSchedule, templateRule, templateVariants } =
+      resolvePipelineTemplate(readPipelineSettings(), { theme, sku, at: date });
+    const template = templateId
+      ? db.prepare('SELECT id, name, status FROM background_templates WHERE id = ?').get(templateId)
+      : null;
+
+    res.json({
+      date: date.toISOString(),
+      sku,
+      item: sku ? getPromptItem(sku) || null : null,
+      theme,
+      source,
+      template: template || null,
+      schedule: templateSchedule,
+      rule: templateRule,
+      variants: templateVariants
+    });
+  } catch (error) {
+    console.error('[Preview Template Schedule] Error:', error);
+    res.status(500).json({ error: 'Failed to preview template schedule', details: error.message });
+  }
+});
+
+// POST /template-schedules - Schedule a template
+router.post('/template-schedules', (req, res) => {
+  try {
+    const validation = TemplateScheduleFieldsSchema
+      .refine(entry => entry.startsAt < entry.endsAt, { message: SCHEDULE_WINDOW_MESSAGE, path: ['endsAt'] })
+      .safeParse(req.body ?? {});
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid template schedule',
+        details: formatValidationErrors(validation.error)
+      });
+    }
+
+    const schedule = createTemplateSchedule(validation.data);
+
+    res.status(201).json({
+      success: true,
+      schedule,
+      message: 'Template scheduled successfully'
+    });
+  } catch (error) {
+    console.error('[Create Template Schedule] Error:', error);
+    res.status(500).json({ error: 'Failed to schedule template', details: error.message });
+  }
+});
+
+// PUT /template-schedules/:id - Update an entry (fields left out are kept)
+router.put('/template-schedules/:id', (req, res) => {
+  try {
+    const existing = getTemplateSchedule(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Template schedule entry not found' });
+    }
+
+    const validation = TemplateScheduleFieldsSchema.partial().safeParse(req.body ?? {});
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid template schedule',
+        details: formatValidationErrors(validation.error)
+      });
+    }
+
+    const { startsAt = existing.starts_at, endsAt = existing.ends_at } = validation.data;
+    if (startsAt >= endsAt) {
+      return res.status(400).json({
+        error: 'Invalid template schedule',
+        details: [{ field: 'endsAt', message: SCHEDULE_WINDOW_MESSAGE }]
+      });
+    }
+
+    const schedule = updateTemplateSchedule(existing.id, validation.data);
+
+    res.json({
+      success: true,
+      schedule,
+      message: 'Template schedule updated successfully'
+    });
+  } catch (error) {
+    console.error('[Update Template Schedule] Error:', error);
+    res.status(500).json({ error: 'Failed to update template schedule', details: error.message });
+  }
+});
+
+// DELETE /template-schedules/:id - Delete an entry (jobs it applied to keep its name)
+router.delete('/template-schedules/:id', (req, res) => {
+  try {
+    if (!deleteTemplateSchedule(req.params.id)) {
+      return res.status(404).json({ error: 'Template schedule entry not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template schedule entry deleted successfully'
+    });
+  } catch (error) {
+    console.error('[Delete Template Schedule] Error:', error);
+    res.status(500).json({ error: 'Failed to delete template schedule entry', details: error.message });
+  }
+});
+
 // ============================================================================
 // Custom Prompts API
 // ============================================================================
@@ -1670,6 +3541,14 @@ router.post('/custom-prompts', async (req, res) => {
       });
     }
 
+    const templateErrors = getPromptTemplateErrors(prompt);
+    if (templateErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: templateErrors.join('; ')
+      });
+    }
+
     // Generate unique ID
     const id = `prompt_${crypto.randomBytes(8).toString('hex')}`;
 
@@ -1759,6 +3638,14 @@ router.patch('/custom-prompts/:id', async (req, res) => {
     const { id } = req.params;
     const { title, prompt } = req.body;
 
+    const templateErrors = prompt ? getPromptTemplateErrors(prompt) : [];
+    if (templateErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: templateErrors.join('; ')
+      });
+    }
+
     // Check if prompt exists and is not default
     const existingPrompt = db.prepare(`
       SELECT * FROM custom_prompts WHERE id = ?
@@ -2200,7 +4087,7 @@ router.post('/jobs/:id/push-shopify', async (req, res) => {
     // Generate presigned URLs for composites
     console.log(`[Shopify Push] Generating presigned URLs for ${compositeKeys.length} images`);
     const imageUrls = await Promise.all(
-      compositeKeys.map(key => s3.getPresignedUrl(key, 3600)) // 1 hour expiry
+      compositeKeys.map(key => s3.getPresignedGetUrl(key, 3600)) // 1 hour expiry
     );
 
     // Upload images to Shopify
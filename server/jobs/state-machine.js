@@ -16,6 +16,7 @@ export const JobStatus = {
   SHOPIFY_PUSH: 'SHOPIFY_PUSH',         // Uploading to Shopify
   DONE: 'DONE',                         // Successfully completed
   FAILED: 'FAILED',                     // Permanent failure
+  CANCELLED: 'CANCELLED',               // Stopped by a user; in-flight provider calls aborted
 
   // Legacy states (Flow v1 - kept for backward compatibility)
   SEGMENTING: 'SEGMENTING',             // Legacy: AI segmentation in progress
@@ -39,22 +40,32 @@ export const ErrorCode = {
 };
 
 // Valid state transitions (from -> to[])
+// Every non-terminal status can also be CANCELLED
 const VALID_TRANSITIONS = {
   // Flow v2 transitions (NEW -> BG_REMOVED -> BACKGROUND_READY -> COMPOSITED -> DERIVATIVES -> SHOPIFY_PUSH -> DONE)
-  [JobStatus.NEW]: [JobStatus.BG_REMOVED, JobStatus.FAILED],
-  [JobStatus.BG_REMOVED]: [JobStatus.BACKGROUND_READY, JobStatus.FAILED],
-  [JobStatus.BACKGROUND_READY]: [JobStatus.COMPOSITED, JobStatus.FAILED],
-  [JobStatus.COMPOSITED]: [JobStatus.DERIVATIVES, JobStatus.FAILED],
-  [JobStatus.DERIVATIVES]: [JobStatus.SHOPIFY_PUSH, JobStatus.FAILED],
-  [JobStatus.SHOPIFY_PUSH]: [JobStatus.DONE, JobStatus.FAILED],
+  [JobStatus.NEW]: [JobStatus.BG_REMOVED, JobStatus.FAILED, JobStatus.CANCELLED],
+  [JobStatus.BG_REMOVED]: [JobStatus.BACKGROUND_READY, JobStatus.FAILED, JobStatus.CANCELLED],
+  [JobStatus.BACKGROUND_READY]: [JobStatus.COMPOSITED, JobStatus.FAILED, JobStatus.CANCELLED],
+  [JobStatus.COMPOSITED]: [JobStatus.DERIVATIVES, JobStatus.FAILED, JobStatus.CANCELLED],
+  [JobStatus.DERIVATIVES]: [JobStatus.SHOPIFY_PUSH, JobStatus.FAILED, JobStatus.CANCELLED],
+  [JobStatus.SHOPIFY_PUSH]: [JobStatus.DONE, JobStatus.FAILED, JobStatus.CANCELLED],
   [JobStatus.DONE]: [], // Terminal state
-  [JobStatus.FAILED]: [], // Terminal state
+  [JobStatus.CANCELLED]: [], // Terminal state
+  // FAILED is terminal for normal processing; these retry transitions re-enter the
+  // pipeline at the first missing artifact and are only allowed when canRetry() passes
+  [JobStatus.FAILED]: [
+    JobStatus.NEW,
+    JobStatus.BG_REMOVED,
+    JobStatus.BACKGROUND_READY,
+    JobStatus.COMPOSITED,
+    JobStatus.DERIVATIVES
+  ],
 
   // Legacy Flow v1 transitions (kept for backward compatibility)
-  [JobStatus.QUEUED]: [JobStatus.SEGMENTING, JobStatus.FAILED],
-  [JobStatus.SEGMENTING]: [JobStatus.BG_GENERATING, JobStatus.FAILED],
-  [JobStatus.BG_GENERATING]: [JobStatus.COMPOSITING, JobStatus.FAILED],
-  [JobStatus.COMPOSITING]: [JobStatus.SHOPIFY_PUSH, JobStatus.FAILED]
+  [JobStatus.QUEUED]: [JobStatus.SEGMENTING, JobStatus.FAILED, JobStatus.CANCELLED],
+  [JobStatus.SEGMENTING]: [JobStatus.BG_GENERATING, JobStatus.FAILED, JobStatus.CANCELLED],
+  [JobStatus.BG_GENERATING]: [JobStatus.COMPOSITING, JobStatus.FAILED, JobStatus.CANCELLED],
+  [JobStatus.COMPOSITING]: [JobStatus.SHOPIFY_PUSH, JobStatus.FAILED, JobStatus.CANCELLED]
 };
 
 /**
@@ -86,7 +97,7 @@ export function getNextStatuses(status) {
  * @returns {boolean} True if terminal
  */
 export function isTerminalStatus(status) {
-  return status === JobStatus.DONE || status === JobStatus.FAILED;
+  return status === JobStatus.DONE || status === JobStatus.FAILED || status === JobStatus.CANCELLED;
 }
 
 /**
@@ -112,18 +123,25 @@ const REQUIRED_FIELDS = {
 };
 
 /**
- * Validate job has required fields for a given status
- * @param {object} job - Job object
- * @param {string} status - Status to validate for
- * @returns {{valid: boolean, missing?: string[]}} Validation result
+ * Artifacts a retried job must already have to resume at a given status
+ * (the steps before that status are skipped, so their outputs must exist)
  */
-export function validateJobForStatus(job, status) {
-  const required = REQUIRED_FIELDS[status];
-  if (!required) {
-    return { valid: true };
-  }
+const RESUME_REQUIRED_FIELDS = {
+  [JobStatus.NEW]: ['sku', 'img_sha256', 'theme'],
+  [JobStatus.BG_REMOVED]: ['s3_cutout_key', 's3_mask_key'],
+  [JobStatus.BACKGROUND_READY]: ['s3_cutout_key', 's3_bg_keys'],
+  [JobStatus.COMPOSITED]: ['s3_composite_keys'],
+  [JobStatus.DERIVATIVES]: ['s3_composite_keys', 's3_derivative_keys']
+};
 
-  const missing = required.filter(field => {
+/**
+ * Find required fields that are missing or empty on a job
+ * @param {object} job - Job object
+ * @param {string[]} required - Field names
+ * @returns {string[]} Missing field names
+ */
+function findMissingFields(job, required) {
+  return required.filter(field => {
     const value = job[field];
     if (value === null || value === undefined || value === '') {
       return true;
@@ -139,6 +157,21 @@ export function validateJobForStatus(job, status) {
     }
     return false;
   });
+}
+
+/**
+ * Validate job has required fields for a given status
+ * @param {object} job - Job object
+ * @param {string} status - Status to validate for
+ * @returns {{valid: boolean, missing?: string[]}} Validation result
+ */
+export function validateJobForStatus(job, status) {
+  const required = REQUIRED_FIELDS[status];
+  if (!required) {
+    return { valid: true };
+  }
+
+  const missing = findMissingFields(job, required);
 
   if (missing.length > 0) {
     return { valid: false, missing };
@@ -147,18 +180,59 @@ export function validateJobForStatus(job, status) {
   return { valid: true };
 }
 
+/**
+ * Determine where a failed job should re-enter the pipeline
+ * Returns the status reached by the last step whose artifacts are all stored,
+ * so the processor resumes at the first missing artifact.
+ * @param {object} job - Job object
+ * @returns {string} Status to resume from (NEW means start over)
+ */
+export function getResumeStatus(job) {
+  const resumable = [
+    JobStatus.DERIVATIVES,
+    JobStatus.COMPOSITED,
+    JobStatus.BACKGROUND_READY,
+    JobStatus.BG_REMOVED
+  ];
+
+  return resumable.find(status =>
+    findMissingFields(job, RESUME_REQUIRED_FIELDS[status]).length === 0
+  ) || JobStatus.NEW;
+}
+
+/**
+ * Check if a transition is a retry of a failed job
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Desired status
+ * @returns {boolean} True if retry transition
+ */
+export function isRetryTransition(fromStatus, toStatus) {
+  return fromStatus === JobStatus.FAILED && isValidTransition(fromStatus, toStatus);
+}
+
 /**
  * Attempt to transition a job to a new status
  * @param {object} job - Current job object
  * @param {string} newStatus - Desired status
  * @param {object} updates - Additional fields to update
+ * @param {object} options - Transition options
+ * @param {number} options.maxRetries - Retry limit passed to canRetry() for retry transitions
  * @returns {{success: boolean, error?: string, updates?: object}} Transition result
  */
-export function transitionJob(job, newStatus, updates = {}) {
+export function transitionJob(job, newStatus, updates = {}, options = {}) {
   const currentStatus = job.status;
+  const isRetry = isRetryTransition(currentStatus, newStatus);
+
+  // Retries are only allowed within the retry budget and for retryable errors
+  if (isRetry && !canRetry(job, options.maxRetries)) {
+    return {
+      success: false,
+      error: `Job cannot be retried (attempt ${job.attempt || 0}, error: ${job.error_code || 'none'})`
+    };
+  }
 
   // Check if already in terminal state
-  if (isTerminalStatus(currentStatus) && currentStatus !== newStatus) {
+  if (isTerminalStatus(currentStatus) && currentStatus !== newStatus && !isRetry) {
     return {
       success: false,
       error: `Cannot transition from terminal state ${currentStatus} to ${newStatus}`
@@ -177,8 +251,11 @@ export function transitionJob(job, newStatus, updates = {}) {
   const mergedJob = { ...job, ...updates, status: newStatus };
 
   // Validate job has required fields for new status
-  const validation = validateJobForStatus(mergedJob, newStatus);
-  if (!validation.valid) {
+  // (retries check the stored artifacts the resumed step depends on instead)
+  const validation = isRetry
+    ? { missing: findMissingFields(mergedJob, RESUME_REQUIRED_FIELDS[newStatus]) }
+    : validateJobForStatus(mergedJob, newStatus);
+  if (validation.missing?.length > 0) {
     return {
       success: false,
       error: `Missing required fields for ${newStatus}: ${validation.missing.join(', ')}`
@@ -219,11 +296,11 @@ export function canRetry(job, maxRetries = 3) {
 /**
  * Calculate exponential backoff delay for retries
  * @param {number} attempt - Current attempt number (0-indexed)
+ * @param {number} baseDelay - Delay before the first retry in milliseconds (default: 2000)
  * @returns {number} Delay in milliseconds
  */
-export function getRetryDelay(attempt) {
-  const baseDelay = 2000; // 2 seconds
-  return baseDelay * Math.pow(2, attempt); // 2s, 4s, 8s, 16s...
+export function getRetryDelay(attempt, baseDelay = 2000) {
+  return baseDelay * Math.pow(2, attempt); // 2s, 4s, 8s, 16s... with the default base
 }
 
 /**
@@ -242,6 +319,7 @@ export function getStatusDescription(status) {
     [JobStatus.SHOPIFY_PUSH]: 'Uploading to Shopify',
     [JobStatus.DONE]: 'Successfully completed',
     [JobStatus.FAILED]: 'Failed - see error details',
+    [JobStatus.CANCELLED]: 'Cancelled by user',
 
     // Legacy Flow v1 descriptions
     [JobStatus.QUEUED]: 'Job queued for processing (legacy)',
@@ -268,6 +346,7 @@ export function estimateRemainingTime(status) {
     [JobStatus.SHOPIFY_PUSH]: 15, // 15 seconds
     [JobStatus.DONE]: 0,
     [JobStatus.FAILED]: 0,
+    [JobStatus.CANCELLED]: 0,
 
     // Legacy Flow v1 estimates
     [JobStatus.QUEUED]: 280,
@@ -285,6 +364,8 @@ export default {
   getNextStatuses,
   isTerminalStatus,
   validateJobForStatus,
+  getResumeStatus,
+  isRetryTransition,
   transitionJob,
   canRetry,
   getRetryDelay,
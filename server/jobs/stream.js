@@ -0,0 +1,175 @@
+/**
+ * Job Update Stream
+ *
+ * In-process pub/sub behind GET /api/jobs/stream (Server-Sent Events).
+ * Publishes every recorded job event plus ephemeral per-variant progress
+ * from the processor, tagged with the job's current sku/status/cost.
+ *
+ * Job events recorded by other processes sharing the database (e.g. worker.js
+ * next to server.js) are relayed by polling job_events by id while anyone is
+ * subscribed (JOB_STREAM_POLL_MS, default: 1000). Progress isn't persisted, so
+ * it only reaches subscribers of the process running the job.
+ */
+
+import { EventEmitter } from 'events';
+import db from '../db.js';
+
+/**
+ * Stream message types (sent as the SSE `event:` field)
+ */
+export const StreamEventType = {
+  JOB_EVENT: 'job-event', // Row written to job_events (status, provider call, cost, error)
+  PROGRESS: 'progress'    // Per-variant progress inside a pipeline step (not persisted)
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected client
+
+const RELAY_INTERVAL_MS = parseInt(process.env.JOB_STREAM_POLL_MS || '1000', 10);
+
+let relayTimer = null;
+let relayCursor = 0;              // Last job_events id relayed
+const localEventIds = new Set();  // Events published by this process, skipped by the relay
+
+/**
+ * Publish an update for a job to all matching subscribers
+ * Never throws: streaming is best-effort and must not break the pipeline.
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} type - Message type from StreamEventType
+ * @param {object} data - Message payload
+ */
+export function publishJobUpdate(jobId, type, data = {}) {
+  if (emitter.listenerCount('update') === 0) {
+    return;
+  }
+
+  try {
+    const job = db.prepare('SELECT sku, status, cost_usd FROM jobs WHERE id = ?').get(jobId);
+
+    emitter.emit('update', {
+      type,
+      jobId,
+      sku: job?.sku || null,
+      status: job?.status || null,
+      costUsd: job?.cost_usd ?? null,
+      timestamp: new Date().toISOString(),
+      ...data
+    });
+  } catch (err) {
+    console.error(`[JobStream] ❌ Failed to publish ${type} for job ${jobId}:`, err.message);
+  }
+}
+
+/**
+ * Publish a job_events row recorded by this process
+ * @param {object} event - job_events row (metadata parsed)
+ */
+export function publishJobEvent(event) {
+  if (relayTimer && event.id > relayCursor) {
+    localEventIds.add(event.id);
+  }
+
+  publishJobUpdate(event.job_id, StreamEventType.JOB_EVENT, { event });
+}
+
+/**
+ * Publish job_events rows written since the last poll by other processes
+ */
+function relayStoredEvents() {
+  try {
+    const rows = db.prepare('SELECT * FROM job_events WHERE id > ? ORDER BY id ASC LIMIT 500').all(relayCursor);
+
+    for (const row of rows) {
+      relayCursor = row.id;
+
+      if (localEventIds.delete(row.id)) {
+        continue;
+      }
+
+      publishJobUpdate(row.job_id, StreamEventType.JOB_EVENT, {
+        event: { ...row, metadata: row.metadata ? JSON.parse(row.metadata) : null }
+      });
+    }
+  } catch (err) {
+    console.error('[JobStream] ❌ Failed to relay stored job events:', err.message);
+  }
+}
+
+/**
+ * Start relaying stored job events (first subscriber), from the current last event
+ */
+function startRelay() {
+  if (relayTimer) return;
+
+  relayCursor = db.prepare('SELECT MAX(id) AS id FROM job_events').get()?.id || 0;
+  relayTimer = setInterval(relayStoredEvents, RELAY_INTERVAL_MS);
+  relayTimer.unref(); // Never keeps the process alive on its own
+}
+
+/**
+ * Stop relaying (last subscriber gone)
+ */
+function stopRelay() {
+  clearInterval(relayTimer);
+  relayTimer = null;
+  localEventIds.clear();
+}
+
+/**
+ * Publish per-variant progress inside a pipeline step
+ * @param {string} jobId - Job ID
+ * @param {object} progress
+ * @param {string} progress.step - Pipeline step (backgrounds, compositing, derivatives, ...)
+ * @param {number} progress.current - Variants completed so far
+ * @param {number} progress.total - Total variants in this step
+ * @param {string} progress.message - Optional description
+ */
+export function publishJobProgress(jobId, { step, current, total, message = null }) {
+  publishJobUpdate(jobId, StreamEventType.PROGRESS, {
+    progress: { step, current, total, message }
+  });
+}
+
+/**
+ * Subscribe to job updates
+ * @param {object} filters - Optional filters
+ * @param {string} filters.jobId - Only updates for this job
+ * @param {string} filters.sku - Only updates for jobs with this SKU
+ * @param {Function} listener - Called with each matching update
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJobs({ jobId, sku } = {}, listener) {
+  const handler = (update) => {
+    if (jobId && update.jobId !== jobId) return;
+    if (sku && update.sku !== sku) return;
+    listener(update);
+  };
+
+  emitter.on('update', handler);
+  startRelay();
+
+  return () => {
+    emitter.off('update', handler);
+    if (emitter.listenerCount('update') === 0) {
+      stopRelay();
+    }
+  };
+}
+
+/**
+ * Get number of connected stream subscribers
+ * @returns {number} Subscriber count
+ */
+export function getSubscriberCount() {
+  return emitter.listenerCount('update');
+}
+
+export default {
+  StreamEventType,
+  publishJobUpdate,
+  publishJobEvent,
+  publishJobProgress,
+  subscribeToJobs,
+  getSubscriberCount
+};
@@ -0,0 +1,235 @@
+/**
+ * Template Routing Rules
+ *
+ * Ordered rules (template_rules table) pick a job's background template from
+ * its catalog item (the items row matching its SKU) or its SKU, so wines,
+ * spirits and beers each get their own backdrop. The first enabled rule whose
+ * conditions all match, and whose template is still active, wins; a rule with
+ * no conditions matches every job. Rules are applied when the processor picks
+ * the job's backgrounds (see resolveJobTemplate()), after an explicit or theme
+ * template and the seasonal schedule, before the Settings one.
+ */
+
+import crypto from 'crypto';
+import db from '../db.js';
+import { getPromptItem } from '../providers/prompt-template.js';
+
+/**
+ * Item fields a rule can match, with their rule columns
+ */
+export const RULE_ITEM_FIELDS = ['category', 'subcategory', 'brand', 'size'];
+
+// Create/update fields and their columns
+const RULE_COLUMNS = {
+  name: 'name',
+  enabled: 'enabled',
+  category: 'category',
+  subcategory: 'subcategory',
+  brand: 'brand',
+  size: 'size',
+  skuPattern: 'sku_pattern',
+  templateId: 'template_id',
+  variants: 'variants'
+};
+
+/**
+ * Parse a rule row (variants JSON, enabled flag)
+ */
+function parseRule(row) {
+  return row && {
+    ...row,
+    enabled: Boolean(row.enabled),
+    variants: row.variants ? JSON.parse(row.variants) : null
+  };
+}
+
+/**
+ * Column value for a create/update field
+ */
+function toColumnValue(field, value) {
+  if (field === 'enabled') return value ? 1 : 0;
+  if (field === 'variants') return value ? JSON.stringify(value) : null;
+  return value;
+}
+
+/**
+ * Check a condition value against an item field
+ * @param {string} condition - Rule value; `A|B` matches either (case-insensitive)
+ * @param {string} value - Item value
+ */
+export function conditionMatches(condition, value) {
+  const normalized = (value ?? '').trim().toLowerCase();
+  return condition.split('|').some(option => option.trim().toLowerCase() === normalized);
+}
+
+/**
+ * Check a SKU against a glob pattern (* = any run of characters, ? = one character)
+ */
+export function skuMatchesPattern(sku, pattern) {
+  const source = pattern
+    .split('')
+    .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+
+  return new RegExp(`^${source}$`, 'i').test(sku);
+}
+
+/**
+ * Check whether a rule applies to a SKU and its catalog item
+ * @param {object} rule - Parsed rule
+ * @param {string} sku - Job SKU
+ * @param {object} item - Items row, or undefined if the SKU isn't in the catalog
+ * @returns {boolean} True if every condition the rule sets matches
+ */
+export function ruleMatches(rule, sku, item) {
+  if (rule.sku_pattern && !skuMatchesPattern(sku, rule.sku_pattern)) {
+    return false;
+  }
+
+  return RULE_ITEM_FIELDS.every(field => !rule[field] || conditionMatches(rule[field], item?.[field]));
+}
+
+/**
+ * List rules in evaluation order, with their template's name and status
+ * @returns {object[]} Parsed rules
+ */
+export function listTemplateRules() {
+  return db.prepare(`
+    SELECT r.*, t.name AS template_name, t.status AS template_status
+    FROM template_rules r
+    LEFT JOIN background_templates t ON t.id = r.template_id
+    ORDER BY r.position, r.created_at
+  `).all().map(parseRule);
+}
+
+/**
+ * Get a rule by ID
+ * @returns {object|undefined} Parsed rule
+ */
+export function getTemplateRule(id) {
+  return parseRule(db.prepare('SELECT * FROM template_rules WHERE id = ?').get(id));
+}
+
+/**
+ * Find the rule that routes a SKU
+ * @param {string} sku - Job SKU
+ * @param {object} item - Items row (default: looked up by SKU)
+ * @returns {object|null} First enabled matching rule whose template is active, or null
+ */
+export function matchTemplateRule(sku, item = getPromptItem(sku)) {
+  for (const rule of listTemplateRules()) {
+    if (!rule.enabled || !ruleMatches(rule, sku, item)) {
+      continue;
+    }
+
+    if (rule.template_status !== 'active') {
+      console.warn(`[TemplateRules] ⚠️  Rule "${rule.name}" matches ${sku} but its template ${rule.template_id} isn't active, skipping`);
+      continue;
+    }
+
+    return rule;
+  }
+
+  return null;
+}
+
+/**
+ * Create a rule (appended after the existing ones)
+ * @param {object} rule
+ * @param {string} rule.name - Display name
+ * @param {boolean} rule.enabled - Whether the rule is evaluated (default: true)
+ * @param {string} rule.category - items.category to match (null = any)
+ * @param {string} rule.subcategory - items.subcategory to match (null = any)
+ * @param {string} rule.brand - items.brand to match (null = any)
+ * @param {string} rule.size - items.size to match (null = any)
+ * @param {string} rule.skuPattern - SKU glob (null = any)
+ * @param {string} rule.templateId - Background template to use
+ * @param {number[]} rule.variants - Template variants to use (null = its selected variants)
+ * @returns {object} Created rule
+ */
+export function createTemplateRule(rule) {
+  const id = `rule_${crypto.randomBytes(8).toString('hex')}`;
+  const now = new Date().toISOString();
+  const { position } = db.prepare('SELECT COALESCE(MAX(position), 0) + 1 AS position FROM template_rules').get();
+  const fields = Object.entries(RULE_COLUMNS);
+
+  db.prepare(`
+    INSERT INTO template_rules (id, position, ${fields.map(([, column]) => column).join(', ')}, created_at, updated_at)
+    VALUES (?, ?, ${fields.map(() => '?').join(', ')}, ?, ?)
+  `).run(
+    id,
+    position,
+    ...fields.map(([field]) => toColumnValue(field, rule[field] ?? (field === 'enabled' ? true : null))),
+    now,
+    now
+  );
+
+  console.log(`[TemplateRules] ✅ Created rule "${rule.name}" → ${rule.templateId}`);
+  return getTemplateRule(id);
+}
+
+/**
+ * Update a rule
+ * @param {string} id - Rule ID
+ * @param {object} fields - Fields to change (see createTemplateRule()); fields left out are kept
+ * @returns {object|null} Updated rule, or null if it doesn't exist
+ */
+export function updateTemplateRule(id, fields) {
+  const changes = Object.entries(RULE_COLUMNS).filter(([field]) => fields[field] !== undefined);
+
+  const { changes: updated } = db.prepare(`
+    UPDATE template_rules
+    SET ${changes.map(([, column]) => `${column} = ?, `).join('')}updated_at = ?
+    WHERE id = ?
+  `).run(...changes.map(([field]) => toColumnValue(field, fields[field])), new Date().toISOString(), id);
+
+  if (updated === 0) {
+    return null;
+  }
+
+  console.log(`[TemplateRules] Updated rule ${id} (${changes.map(([field]) => field).join(', ') || 'no changes'})`);
+  return getTemplateRule(id);
+}
+
+/**
+ * Set the evaluation order
+ * @param {string[]} ids - Every rule ID, first rule first
+ * @throws {Error} If the IDs aren't exactly the existing rules
+ */
+export function reorderTemplateRules(ids) {
+  const existing = db.prepare('SELECT id FROM template_rules').all().map(row => row.id);
+
+  if (ids.length !== existing.length || new Set(ids).size !== ids.length || !ids.every(id => existing.includes(id))) {
+    throw new Error('Rule order must list every rule exactly once');
+  }
+
+  const setPosition = db.prepare('UPDATE template_rules SET position = ? WHERE id = ?');
+  db.transaction(() => {
+    ids.forEach((id, index) => setPosition.run(index + 1, id));
+  })();
+
+  console.log(`[TemplateRules] Reordered ${ids.length} rules`);
+}
+
+/**
+ * Delete a rule
+ * Jobs it routed keep its ID in template_rule_id and its name in their pipeline config.
+ * @returns {boolean} True if a row was deleted
+ */
+export function deleteTemplateRule(id) {
+  return db.prepare('DELETE FROM template_rules WHERE id = ?').run(id).changes > 0;
+}
+
+export default {
+  RULE_ITEM_FIELDS,
+  conditionMatches,
+  skuMatchesPattern,
+  ruleMatches,
+  listTemplateRules,
+  getTemplateRule,
+  matchTemplateRule,
+  createTemplateRule,
+  updateTemplateRule,
+  reorderTemplateRules,
+  deleteTemplateRule
+};
@@ -0,0 +1,160 @@
+/**
+ * Seasonal Template Schedule
+ *
+ * Schedule entries (template_schedules table) use a background template for a
+ * time window, e.g. a Halloween backdrop for October, optionally only for
+ * items in some catalog categories. The entry covering the time the processor
+ * claims the job is applied when it picks the job's backgrounds (see
+ * resolveJobTemplate()), before template routing rules and the Settings
+ * template.
+ *
+ * When entries overlap, a category-scoped entry beats an unscoped one, then
+ * the entry that started last wins.
+ */
+
+import crypto from 'crypto';
+import db from '../db.js';
+import { conditionMatches } from './template-rules.js';
+
+// Create/update fields and their columns
+const SCHEDULE_COLUMNS = {
+  name: 'name',
+  templateId: 'template_id',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  category: 'category'
+};
+
+/**
+ * List schedule entries, with their template's name and status
+ * @param {object} options
+ * @param {string} options.from - Only entries ending after this time (ISO 8601)
+ * @param {string} options.to - Only entries starting before this time (ISO 8601)
+ * @returns {object[]} Entries, earliest first
+ */
+export function listTemplateSchedules({ from = null, to = null } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (from) {
+    conditions.push('s.ends_at > ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('s.starts_at < ?');
+    params.push(to);
+  }
+
+  return db.prepare(`
+    SELECT s.*, t.name AS template_name, t.status AS template_status
+    FROM template_schedules s
+    LEFT JOIN background_templates t ON t.id = s.template_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY s.starts_at, s.created_at
+  `).all(...params);
+}
+
+/**
+ * Get a schedule entry by ID
+ * @returns {object|undefined} template_schedules row
+ */
+export function getTemplateSchedule(id) {
+  return db.prepare('SELECT * FROM template_schedules WHERE id = ?').get(id);
+}
+
+/**
+ * Find the schedule entry that applies at a time
+ * @param {Date|string} at - Time to check (default: now)
+ * @param {object} item - Catalog item for category-scoped entries (undefined = only unscoped entries apply)
+ * @returns {object|null} Winning entry whose template is active, or null
+ */
+export function matchTemplateSchedule(at = new Date(), item = undefined) {
+  const iso = new Date(at).toISOString();
+
+  const entries = db.prepare(`
+    SELECT s.*, t.name AS template_name, t.status AS template_status
+    FROM template_schedules s
+    LEFT JOIN background_templates t ON t.id = s.template_id
+    WHERE s.starts_at <= ? AND s.ends_at > ?
+    ORDER BY (s.category IS NULL), s.starts_at DESC, s.created_at DESC
+  `).all(iso, iso);
+
+  for (const entry of entries) {
+    if (entry.category && !conditionMatches(entry.category, item?.category)) {
+      continue;
+    }
+
+    if (entry.template_status !== 'active') {
+      console.warn(`[TemplateSchedule] ⚠️  Entry "${entry.name}" covers ${iso} but its template ${entry.template_id} isn't active, skipping`);
+      continue;
+    }
+
+    return entry;
+  }
+
+  return null;
+}
+
+/**
+ * Create a schedule entry
+ * @param {object} entry
+ * @param {string} entry.name - Display name
+ * @param {string} entry.templateId - Background template to use
+ * @param {string} entry.startsAt - Window start (ISO 8601)
+ * @param {string} entry.endsAt - Window end (ISO 8601, exclusive)
+ * @param {string} entry.category - items.category scope (null = every job)
+ * @returns {object} Created entry
+ */
+export function createTemplateSchedule({ name, templateId, startsAt, endsAt, category = null }) {
+  const id = `sched_${crypto.randomBytes(8).toString('hex')}`;
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    INSERT INTO template_schedules (id, name, template_id, starts_at, ends_at, category, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, name, templateId, startsAt, endsAt, category, now, now);
+
+  console.log(`[TemplateSchedule] ✅ Scheduled "${name}" → ${templateId} (${startsAt} - ${endsAt}${category ? `, ${category}` : ''})`);
+  return getTemplateSchedule(id);
+}
+
+/**
+ * Update a schedule entry
+ * @param {string} id - Entry ID
+ * @param {object} fields - Fields to change (see createTemplateSchedule()); fields left out are kept
+ * @returns {object|null} Updated entry, or null if it doesn't exist
+ */
+export function updateTemplateSchedule(id, fields) {
+  const changes = Object.entries(SCHEDULE_COLUMNS).filter(([field]) => fields[field] !== undefined);
+
+  const { changes: updated } = db.prepare(`
+    UPDATE template_schedules
+    SET ${changes.map(([, column]) => `${column} = ?, `).join('')}updated_at = ?
+    WHERE id = ?
+  `).run(...changes.map(([field]) => fields[field]), new Date().toISOString(), id);
+
+  if (updated === 0) {
+    return null;
+  }
+
+  console.log(`[TemplateSchedule] Updated entry ${id} (${changes.map(([field]) => field).join(', ') || 'no changes'})`);
+  return getTemplateSchedule(id);
+}
+
+/**
+ * Delete a schedule entry
+ * Jobs it applied to keep its name in their pipeline config.
+ * @returns {boolean} True if a row was deleted
+ */
+export function deleteTemplateSchedule(id) {
+  return db.prepare('DELETE FROM template_schedules WHERE id = ?').run(id).changes > 0;
+}
+
+export default {
+  listTemplateSchedules,
+  getTemplateSchedule,
+  matchTemplateSchedule,
+  createTemplateSchedule,
+  updateTemplateSchedule,
+  deleteTemplateSchedule
+};
@@ -0,0 +1,25 @@
+-- Migration 009: Job Event Log
+-- Append-only timeline of everything that happens to a job
+-- (status changes, provider calls, costs, errors) and who triggered it
+
+CREATE TABLE IF NOT EXISTS job_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id TEXT NOT NULL,
+  type TEXT NOT NULL, -- status_change, step, provider_call, cost, error
+  from_status TEXT,
+  to_status TEXT,
+  step TEXT, -- Pipeline step name (segmentation, backgrounds, compositing, ...)
+  provider TEXT,
+  cost_usd REAL,
+  duration_ms INTEGER,
+  message TEXT,
+  error_code TEXT,
+  actor TEXT NOT NULL DEFAULT 'system', -- processor, webhook, api, system
+  metadata TEXT, -- JSON: event-specific details
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+);
+
+-- Timeline lookups are always per job, in insertion order
+CREATE INDEX IF NOT EXISTS idx_job_events_job ON job_events(job_id, id);
+CREATE INDEX IF NOT EXISTS idx_job_events_type ON job_events(type);
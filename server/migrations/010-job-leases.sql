@@ -0,0 +1,11 @@
+-- Migration 010: Job Leases
+-- Lets several processors (server.js + worker.js) share the jobs table safely.
+-- A worker claims a job by setting lease_owner/lease_expires_at in one transaction,
+-- renews the lease with a heartbeat while processing, and releases it when done.
+-- Jobs whose lease expired (crashed worker) are reclaimed by the next poll.
+
+ALTER TABLE jobs ADD COLUMN lease_owner TEXT;
+ALTER TABLE jobs ADD COLUMN lease_expires_at TEXT; -- ISO 8601
+ALTER TABLE jobs ADD COLUMN lease_heartbeat_at TEXT; -- ISO 8601
+
+CREATE INDEX IF NOT EXISTS idx_jobs_lease ON jobs(status, lease_expires_at);
@@ -0,0 +1,9 @@
+-- Migration 011: Job Priority and Scheduling
+-- priority: higher runs first (urgent 20, high 10, normal 0, low -10)
+-- not_before: jobs are not claimed before this time (ISO 8601, NULL = immediately)
+-- The processor claims pending jobs by priority, then oldest first.
+
+ALTER TABLE jobs ADD COLUMN priority INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE jobs ADD COLUMN not_before TEXT; -- ISO 8601
+
+CREATE INDEX IF NOT EXISTS idx_jobs_queue ON jobs(status, priority DESC, created_at);
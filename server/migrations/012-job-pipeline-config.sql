@@ -0,0 +1,8 @@
+-- Migration 012: Per-Job Pipeline Config
+-- pipeline_config: JSON snapshot of the pipeline settings (workflow, compositor,
+-- Sharp workflow/settings, background template, background prompt) taken when the
+-- job is created, with any per-job overrides applied. The processor runs the job
+-- with this snapshot, so changing Settings only affects jobs created afterwards.
+-- NULL for jobs created before this migration (captured when they're processed).
+
+ALTER TABLE jobs ADD COLUMN pipeline_config TEXT; -- JSON
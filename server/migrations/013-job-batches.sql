@@ -0,0 +1,29 @@
+-- Migration 013: Job Batches
+-- A batch groups the jobs created by one POST /api/batches request (JSON image
+-- URLs or a multipart set of files). Batch status, progress and cost are derived
+-- from its jobs, so they never drift from the jobs table.
+-- job_batch_items keeps one row per submitted entry: duplicates link to the
+-- existing job, rejected entries (e.g. SKU image limit) keep their error.
+
+CREATE TABLE IF NOT EXISTS job_batches (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  source TEXT NOT NULL DEFAULT 'api', -- api (image URLs) | upload (multipart files)
+  actor TEXT NOT NULL DEFAULT 'api',
+  created_at TEXT NOT NULL, -- ISO 8601
+  updated_at TEXT NOT NULL  -- ISO 8601
+);
+
+CREATE TABLE IF NOT EXISTS job_batch_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  batch_id TEXT NOT NULL REFERENCES job_batches(id) ON DELETE CASCADE,
+  job_id TEXT, -- NULL for rejected entries
+  sku TEXT NOT NULL,
+  result TEXT NOT NULL, -- created | duplicate | rejected
+  error TEXT,
+  filename TEXT -- Original filename for multipart uploads
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_batches_created ON job_batches(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_batch_items_batch ON job_batch_items(batch_id);
+CREATE INDEX IF NOT EXISTS idx_job_batch_items_job ON job_batch_items(job_id);
@@ -0,0 +1,138 @@
+-- Migration 014: Job Clones
+-- A clone reruns an existing job's cutout with another theme or template,
+-- skipping download and background removal. Clones share the source's
+-- sku + img_sha256 (and may share its theme), so the table-level
+-- UNIQUE(sku, img_sha256, theme) constraint is replaced by a partial unique
+-- index that only covers original jobs. SQLite can't drop a table constraint,
+-- so the jobs table is rebuilt.
+
+CREATE TABLE jobs_new (
+  id TEXT PRIMARY KEY,                    -- UUID v4 (nanoid)
+  sku TEXT NOT NULL,                      -- Product SKU (from 3JMS)
+  img_sha256 TEXT NOT NULL,               -- SHA256 hash of original image (idempotency key)
+  theme TEXT NOT NULL DEFAULT 'default',  -- Background theme (default, halloween, christmas, etc.)
+  status TEXT NOT NULL DEFAULT 'NEW',     -- Job state machine status
+  attempt INTEGER DEFAULT 0,              -- Retry counter
+
+  -- Source URLs (3JMS)
+  source_url TEXT,                        -- Original image URL from 3JMS
+
+  -- S3 Storage Keys
+  s3_original_key TEXT,                   -- S3 key: originals/{sku}/{sha}.jpg
+  s3_mask_key TEXT,                       -- S3 key: masks/{sku}/{sha}.png
+  s3_bg_keys TEXT,                        -- JSON array of S3 keys for backgrounds
+  s3_composite_keys TEXT,                 -- JSON array of S3 keys for final composites
+  s3_thumb_keys TEXT,                     -- JSON array of S3 keys for thumbnails
+
+  -- AI Provider Job IDs (for polling)
+  segment_job_id TEXT,                    -- External job ID from segmentation provider
+  bg_job_ids TEXT,                        -- JSON array of external job IDs from BG provider
+
+  -- Shopify Integration
+  shopify_product_id TEXT,                -- Shopify product GID
+  shopify_media_ids TEXT,                 -- JSON array of Shopify media GIDs
+
+  -- Error Handling
+  error_code TEXT,                        -- Error code (e.g., PRODUCT_NOT_FOUND, SEGMENT_FAILED)
+  error_message TEXT,                     -- Human-readable error message
+  error_stack TEXT,                       -- Stack trace for debugging
+
+  -- Cost Tracking
+  cost_usd REAL DEFAULT 0.0,              -- Total cost in USD (sum of all API calls)
+
+  -- Timestamps
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME,                  -- When job reached DONE/FAILED
+
+  -- Flow v2 (003)
+  s3_cutout_key TEXT,
+  s3_derivative_keys TEXT,                -- JSON array
+  manifest_s3_key TEXT,
+  download_ms INTEGER,
+  segmentation_ms INTEGER,
+  backgrounds_ms INTEGER,
+  compositing_ms INTEGER,
+  derivatives_ms INTEGER,
+  manifest_ms INTEGER,
+  provider_metadata TEXT,                 -- JSON with provider details
+
+  -- Workflows and templates (004, 005)
+  workflow_type TEXT DEFAULT 'cutout_composite',
+  background_template_id TEXT REFERENCES background_templates(id),
+
+  -- Worker leases (010)
+  lease_owner TEXT,
+  lease_expires_at TEXT,
+  lease_heartbeat_at TEXT,
+
+  -- Scheduling (011)
+  priority INTEGER NOT NULL DEFAULT 0,
+  not_before TEXT,
+
+  -- Pipeline config snapshot (012)
+  pipeline_config TEXT,
+
+  -- Clones
+  parent_job_id TEXT                      -- Job whose cutout this clone reuses (NULL for original jobs)
+);
+
+INSERT INTO jobs_new (
+  id, sku, img_sha256, theme, status, attempt, source_url,
+  s3_original_key, s3_mask_key, s3_bg_keys, s3_composite_keys, s3_thumb_keys,
+  segment_job_id, bg_job_ids, shopify_product_id, shopify_media_ids,
+  error_code, error_message, error_stack, cost_usd,
+  created_at, updated_at, completed_at,
+  s3_cutout_key, s3_derivative_keys, manifest_s3_key,
+  download_ms, segmentation_ms, backgrounds_ms, compositing_ms, derivatives_ms, manifest_ms,
+  provider_metadata, workflow_type, background_template_id,
+  lease_owner, lease_expires_at, lease_heartbeat_at,
+  priority, not_before, pipeline_config
+)
+SELECT
+  id, sku, img_sha256, theme, status, attempt, source_url,
+  s3_original_key, s3_mask_key, s3_bg_keys, s3_composite_keys, s3_thumb_keys,
+  segment_job_id, bg_job_ids, shopify_product_id, shopify_media_ids,
+  error_code, error_message, error_stack, cost_usd,
+  created_at, updated_at, completed_at,
+  s3_cutout_key, s3_derivative_keys, manifest_s3_key,
+  download_ms, segmentation_ms, backgrounds_ms, compositing_ms, derivatives_ms, manifest_ms,
+  provider_metadata, workflow_type, background_template_id,
+  lease_owner, lease_expires_at, lease_heartbeat_at,
+  priority, not_before, pipeline_config
+FROM jobs;
+
+-- With foreign_keys on (better-sqlite3's default), DROP TABLE deletes every job
+-- first, and that delete cascades to job_events (009). Keep the timeline aside
+-- and put it back once the new table has the jobs. (PRAGMA foreign_keys can't
+-- be changed here: runMigrations() runs each file in a transaction.)
+CREATE TEMP TABLE job_events_backup AS SELECT * FROM job_events;
+
+-- Drops the old indexes and trigger along with the table
+DROP TABLE jobs;
+ALTER TABLE jobs_new RENAME TO jobs;
+
+INSERT INTO job_events SELECT * FROM job_events_backup;
+DROP TABLE job_events_backup;
+
+-- Idempotency: one original job per SKU+image hash+theme combo
+CREATE UNIQUE INDEX idx_jobs_idempotency ON jobs(sku, img_sha256, theme) WHERE parent_job_id IS NULL;
+CREATE INDEX idx_jobs_parent ON jobs(parent_job_id);
+
+-- Recreate indexes from 002-011
+CREATE INDEX idx_jobs_status ON jobs(status, updated_at);
+CREATE INDEX idx_jobs_sku_sha ON jobs(sku, img_sha256);
+CREATE INDEX idx_jobs_created ON jobs(created_at DESC);
+CREATE INDEX idx_jobs_manifest ON jobs(manifest_s3_key);
+CREATE INDEX idx_jobs_cutout ON jobs(s3_cutout_key);
+CREATE INDEX idx_jobs_workflow ON jobs(workflow_type, status);
+CREATE INDEX idx_jobs_template ON jobs(background_template_id);
+CREATE INDEX idx_jobs_lease ON jobs(status, lease_expires_at);
+CREATE INDEX idx_jobs_queue ON jobs(status, priority DESC, created_at);
+
+CREATE TRIGGER jobs_updated_at
+AFTER UPDATE ON jobs
+FOR EACH ROW
+BEGIN
+  UPDATE jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
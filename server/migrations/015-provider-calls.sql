@@ -0,0 +1,24 @@
+-- Migration 015: Provider Call Ledger
+-- One row per paid provider call (AI segmentation, backgrounds, compositing,
+-- Seedream edits, template variants, upscales), successful or not, with the
+-- job / enhancement / template it was made for. Daily and monthly spend for
+-- the budget caps is summed from this table.
+
+CREATE TABLE IF NOT EXISTS provider_calls (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  provider TEXT NOT NULL,  -- freepik, nanobanana, replicate, mock, ...
+  operation TEXT NOT NULL, -- Provider method: removeBackground, generateBackground, compositeImage, ...
+  job_id TEXT,             -- Set for pipeline calls
+  enhancement_id TEXT,     -- Set for upscales
+  template_id TEXT,        -- Set for template variant generation
+  cost_usd REAL NOT NULL DEFAULT 0,
+  latency_ms INTEGER,
+  success INTEGER NOT NULL, -- 1 = success, 0 = failed
+  error TEXT,
+  created_at TEXT NOT NULL  -- ISO 8601
+);
+
+CREATE INDEX IF NOT EXISTS idx_provider_calls_created ON provider_calls(created_at);
+CREATE INDEX IF NOT EXISTS idx_provider_calls_provider ON provider_calls(provider, created_at);
+CREATE INDEX IF NOT EXISTS idx_provider_calls_job ON provider_calls(job_id);
+CREATE INDEX IF NOT EXISTS idx_provider_calls_template ON provider_calls(template_id);
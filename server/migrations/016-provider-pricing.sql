@@ -0,0 +1,38 @@
+-- Migration 016: Provider Pricing Table
+-- Per-call prices for every paid provider operation, versioned by effective
+-- date. Providers look up the version in effect when they report a call's
+-- cost, so a price change is a new row (edited from Settings) instead of a
+-- code deploy, and costs already recorded in the ledger keep the price that
+-- applied at the time.
+
+CREATE TABLE IF NOT EXISTS provider_pricing (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  provider TEXT NOT NULL,              -- freepik, nanobanana, replicate, mock, ...
+  operation TEXT NOT NULL,             -- Provider method: removeBackground, generateBackground, ...
+  resolution TEXT NOT NULL DEFAULT '*', -- '2k', '4k', ... or '*' for any resolution
+  price_usd REAL NOT NULL,
+  effective_from TEXT NOT NULL,        -- ISO 8601; the latest version at or before a call applies
+  note TEXT,
+  created_at TEXT NOT NULL             -- ISO 8601
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_provider_pricing_version
+  ON provider_pricing(provider, operation, resolution, effective_from);
+
+-- Prices previously hardcoded in the providers, in effect since the beginning
+INSERT OR IGNORE INTO provider_pricing (provider, operation, resolution, price_usd, effective_from, note, created_at) VALUES
+  ('freepik', 'removeBackground', '*', 0.02, '1970-01-01T00:00:00.000Z', 'Estimate', '1970-01-01T00:00:00.000Z'),
+  ('freepik', 'generateBackground', '*', 0.05, '1970-01-01T00:00:00.000Z', 'Estimate', '1970-01-01T00:00:00.000Z'),
+  ('freepik', 'generateBackground', '2k', 0.05, '1970-01-01T00:00:00.000Z', 'Estimate', '1970-01-01T00:00:00.000Z'),
+  ('freepik', 'generateBackground', '4k', 0.10, '1970-01-01T00:00:00.000Z', 'Estimate', '1970-01-01T00:00:00.000Z'),
+  ('freepik', 'editBackground', '*', 0.08, '1970-01-01T00:00:00.000Z', 'Seedream 4 Edit estimate', '1970-01-01T00:00:00.000Z'),
+  ('freepik', 'enhanceLighting', '*', 0.08, '1970-01-01T00:00:00.000Z', 'Seedream 4 Edit estimate', '1970-01-01T00:00:00.000Z'),
+  ('freepik', 'compositeImage', '*', 0.02, '1970-01-01T00:00:00.000Z', 'Seedream generation', '1970-01-01T00:00:00.000Z'),
+  ('nanobanana', 'compositeImage', '*', 0.03, '1970-01-01T00:00:00.000Z', 'Nano Banana Pro generation', '1970-01-01T00:00:00.000Z'),
+  ('nanobanana', 'enhanceLighting', '*', 0.03, '1970-01-01T00:00:00.000Z', 'Nano Banana Pro generation', '1970-01-01T00:00:00.000Z'),
+  ('replicate', 'upscaleImage', '*', 0.024, '1970-01-01T00:00:00.000Z', 'Real-ESRGAN upscale', '1970-01-01T00:00:00.000Z'),
+  ('mock', 'removeBackground', '*', 0.02, '1970-01-01T00:00:00.000Z', 'Mirrors freepik', '1970-01-01T00:00:00.000Z'),
+  ('mock', 'generateBackground', '*', 0.05, '1970-01-01T00:00:00.000Z', 'Mirrors freepik', '1970-01-01T00:00:00.000Z'),
+  ('mock', 'editBackground', '*', 0.08, '1970-01-01T00:00:00.000Z', 'Mirrors freepik', '1970-01-01T00:00:00.000Z'),
+  ('mock', 'enhanceLighting', '*', 0.08, '1970-01-01T00:00:00.000Z', 'Mirrors freepik', '1970-01-01T00:00:00.000Z'),
+  ('mock', 'compositeImage', '*', 0.03, '1970-01-01T00:00:00.000Z', 'Mirrors nanobanana', '1970-01-01T00:00:00.000Z');
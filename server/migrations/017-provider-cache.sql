@@ -0,0 +1,23 @@
+-- Migration 017: Provider Result Cache
+-- Content-addressed cache of deterministic provider results (background
+-- removal, background generation), keyed by a hash of provider + operation +
+-- input hash + prompt + call parameters. A hit reuses the stored S3 keys
+-- instead of calling (and paying) the provider again.
+
+CREATE TABLE IF NOT EXISTS provider_cache (
+  cache_key TEXT PRIMARY KEY,  -- sha256 of the key fields
+  provider TEXT NOT NULL,      -- freepik, nanobanana, mock, ...
+  operation TEXT NOT NULL,     -- removeBackground, generateBackground
+  input_hash TEXT NOT NULL,    -- Image sha256 the result was made from
+  prompt TEXT,                 -- Background prompt (NULL for segmentation)
+  result TEXT NOT NULL,        -- JSON provider result (S3 keys and metadata)
+  cost_usd REAL NOT NULL DEFAULT 0, -- What the original call cost (saved on every hit)
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,    -- ISO 8601
+  last_hit_at TEXT             -- ISO 8601
+);
+
+CREATE INDEX IF NOT EXISTS idx_provider_cache_provider ON provider_cache(provider, operation);
+
+-- Ledger rows served from the cache (no provider call, no cost)
+ALTER TABLE provider_calls ADD COLUMN cache_key TEXT;
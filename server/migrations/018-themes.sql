@@ -0,0 +1,50 @@
+-- Migration 018: Theme Prompt Library
+-- Themes used to be hardcoded prompt maps in each provider, and an unknown
+-- ?theme= silently fell back to the default prompts. Each theme is now a row
+-- with its prompts, an optional default background template and an optional
+-- active window; jobs can only be created with a theme that exists and is
+-- active.
+
+CREATE TABLE IF NOT EXISTS themes (
+  key TEXT PRIMARY KEY,                -- Value of jobs.theme / ?theme=
+  name TEXT NOT NULL,
+  background_prompt TEXT NOT NULL,     -- Background generation and Seedream edits
+  composite_prompt TEXT,               -- Lighting pass on composites; NULL = the default theme's
+  negative_prompt TEXT,                -- For providers that accept one
+  default_template_id TEXT REFERENCES background_templates(id), -- Used when a job doesn't pick a template
+  active_from TEXT,                    -- ISO 8601; NULL = always
+  active_until TEXT,                   -- ISO 8601, exclusive; NULL = no end
+  created_at TEXT NOT NULL,            -- ISO 8601
+  updated_at TEXT NOT NULL             -- ISO 8601
+);
+
+-- Prompts previously hardcoded in the Freepik background and Nano Banana providers
+INSERT OR IGNORE INTO themes (key, name, background_prompt, composite_prompt, created_at, updated_at) VALUES
+  ('default', 'Default',
+   'Professional product photography empty background scene, vacant center foreground space ready for placement, soft gradient backdrop fading from light to slightly darker tone, clean smooth surface in sharp focus. Studio lighting setup with key and fill lights illuminating empty foreground area, high quality commercial photography, photorealistic rendering, subtle texture, depth of field with blurred edges, background elements at periphery.',
+   'Using the provided image of the bottle, adjust only the lighting to simulate soft studio illumination with gentle top and front softbox light and subtle shadows. Keep the bottle and its label exactly as in the original image - preserve the label text, logo, colors, and shape pixel-accurately. Only change the lighting: add even white balance with diffuse shadows to create professional e-commerce quality depth and realism.',
+   '1970-01-01T00:00:00.000Z', '1970-01-01T00:00:00.000Z'),
+  ('kitchen', 'Kitchen',
+   'Modern kitchen scene background for product photography, empty premium marble or granite countertop surface in center foreground, vacant placement area with clear space. Blurred kitchen appliances and cabinetry visible in background periphery, natural window lighting from side creating soft glow, warm ambient kitchen atmosphere. Professional photography setup, shallow depth of field, bokeh effect with sharp empty foreground ready for product.',
+   'Using the provided image of the bottle on a wooden surface, adjust only the lighting to mimic warm indoor ambient light at approximately 3000K color temperature (soft yellow lamp light from the side, gentle warm shadows as if a kitchen window provides natural light). Keep the bottle, its label text, and logo completely unchanged and preserve all typography pixel-accurately. Only adjust the scene lighting to match the warm kitchen atmosphere with soft amber glow and diffuse shadows.',
+   '1970-01-01T00:00:00.000Z', '1970-01-01T00:00:00.000Z'),
+  ('outdoors', 'Outdoors',
+   'Natural outdoor product photography background, empty weathered wooden table or stone surface in center foreground, vacant placement space with clear area. Blurred nature elements in background with green foliage bokeh, soft natural sunlight with gentle shadows, golden hour warm lighting. Rustic setting with background scenic elements at edges, shallow depth of field, sharp empty foreground surface ready for product placement.',
+   'Using the provided image of the bottle, adjust only the lighting to simulate bright outdoor daylight with clear blue sky and strong sunlight. Add crisp directional shadows as if from midday sun at approximately 5500K color temperature, with natural outdoor brightness and atmospheric depth. Keep the bottle, logo, and label text exactly as in the original - preserve the product design and typography without any changes. Only change the lighting to match sunny day conditions with warm golden-hour backlight if late afternoon.',
+   '1970-01-01T00:00:00.000Z', '1970-01-01T00:00:00.000Z'),
+  ('minimal', 'Minimal',
+   'Minimalist empty product photography background, pure solid color gradient backdrop, ultra clean vacant space, smooth surface without texture. Perfect gradient fade from light to slightly deeper tone, studio photography lighting, high key commercial setup, professional clean aesthetic, empty foreground area, simple and uncluttered composition ready for product.',
+   'Using the provided image of the bottle on a clean white seamless background, adjust only the lighting to a bright studio setup with softbox from above providing even illumination and very subtle shadows on the backdrop. Keep the bottle shape, label text, colors, and all design elements identical to the original image. Only change the background lighting to create a clean minimalist aesthetic with subtle studio lighting and soft gradients, maintaining the product completely unchanged.',
+   '1970-01-01T00:00:00.000Z', '1970-01-01T00:00:00.000Z'),
+  ('luxury', 'Luxury',
+   'Luxury empty product photography background, dark elegant backdrop with subtle gold or brass accent elements visible at periphery edges, vacant center foreground space. Dramatic edge lighting creating sophisticated atmosphere, premium velvet or silk textures visible in blurred background, high-end commercial photography setup. Shallow depth of field with sharp empty foreground area, sophisticated dark ambiance ready for product placement.',
+   'Using the provided image of the bottle, adjust only the lighting to create dramatic premium illumination with elegant shadow play - add a low-angle key light creating upscale atmosphere with rich contrast and sophisticated depth. Keep the bottle and its label completely unchanged, preserving all text legibility, font, logo, and colors exactly. Only adjust the scene lighting to simulate high-end product photography with warm accent lighting at approximately 3200K and dramatic shadows for an elegant, upscale feel.',
+   '1970-01-01T00:00:00.000Z', '1970-01-01T00:00:00.000Z'),
+  ('christmas', 'Christmas',
+   'Festive Christmas holiday product photography background, empty wooden table or surface in center foreground with vacant placement space, clear area ready for product. Blurred Christmas decorations in background periphery including pine branches with twinkling lights, red and green ornaments, bokeh effect from fairy lights. Warm cozy holiday atmosphere with soft golden lighting, rustic wooden surface in sharp focus, Christmas tree lights and garland visible but blurred in distant background. Professional photography setup with shallow depth of field, inviting festive ambiance.',
+   NULL,
+   '1970-01-01T00:00:00.000Z', '1970-01-01T00:00:00.000Z'),
+  ('halloween', 'Halloween',
+   'Spooky Halloween themed product photography background, empty dark wooden surface or vintage table in center foreground, vacant placement area with clear space. Blurred Halloween decorations in background periphery including carved pumpkins with glowing faces, autumn leaves, cobwebs, dim atmospheric lighting with orange and purple accent lights. Moody dramatic atmosphere with fog effect in background, dark rustic surface in sharp focus. Professional photography setup with shallow depth of field, mysterious spooky Halloween ambiance ready for product placement.',
+   NULL,
+   '1970-01-01T00:00:00.000Z', '1970-01-01T00:00:00.000Z');
@@ -0,0 +1,8 @@
+-- Migration 019: Resolved Job Prompts
+-- Background prompts (custom prompts and theme prompts) are templates with
+-- {{placeholders}} and category sections, rendered per job from the items row
+-- matching the job's SKU. The rendered prompt the providers were sent is kept
+-- on the job (NULL until a prompt-based background step has run, and for jobs
+-- that used a background template).
+
+ALTER TABLE jobs ADD COLUMN resolved_prompt TEXT;
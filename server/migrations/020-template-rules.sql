@@ -0,0 +1,31 @@
+-- Migration 020: Template Routing Rules
+-- Only one background template could be active in Settings, so every
+-- category got the same backdrop. Ordered rules match a job's catalog item
+-- (items row for its SKU) or SKU pattern to a template and optionally a
+-- subset of its variants; the first enabled match wins when the job's
+-- pipeline config is captured, and the Settings template is the fallback.
+
+CREATE TABLE IF NOT EXISTS template_rules (
+  id TEXT PRIMARY KEY,                 -- rule_<hex>
+  name TEXT NOT NULL,
+  position INTEGER NOT NULL,           -- Evaluation order, lowest first
+  enabled INTEGER NOT NULL DEFAULT 1,
+
+  -- Conditions (NULL = any); all set conditions must match
+  category TEXT,                       -- items.category, case-insensitive; 'Wine|Rosé' matches either
+  subcategory TEXT,                    -- items.subcategory, same matching
+  brand TEXT,                          -- items.brand, same matching
+  size TEXT,                           -- items.size, same matching
+  sku_pattern TEXT,                    -- Glob on the SKU (* and ?), case-insensitive
+
+  template_id TEXT NOT NULL REFERENCES background_templates(id),
+  variants TEXT,                       -- JSON array of variant numbers; NULL = the template's selected variants
+
+  created_at TEXT NOT NULL,            -- ISO 8601
+  updated_at TEXT NOT NULL             -- ISO 8601
+);
+
+CREATE INDEX IF NOT EXISTS idx_template_rules_position ON template_rules(position);
+
+-- Rule that picked the job's template (NULL = override, theme default or Settings)
+ALTER TABLE jobs ADD COLUMN template_rule_id TEXT;
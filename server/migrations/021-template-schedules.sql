@@ -0,0 +1,19 @@
+-- Migration 021: Seasonal Template Schedule
+-- Switching to a seasonal backdrop (Halloween, Christmas) meant changing the
+-- active template in Settings on the day and remembering to switch it back.
+-- Schedule entries use a template for a time window, optionally only for one
+-- catalog category; the entry covering the job's time is applied when its
+-- pipeline config is captured.
+
+CREATE TABLE IF NOT EXISTS template_schedules (
+  id TEXT PRIMARY KEY,                 -- sched_<hex>
+  name TEXT NOT NULL,                  -- e.g. 'Halloween 2026'
+  template_id TEXT NOT NULL REFERENCES background_templates(id),
+  starts_at TEXT NOT NULL,             -- ISO 8601
+  ends_at TEXT NOT NULL,               -- ISO 8601, exclusive
+  category TEXT,                       -- items.category scope, case-insensitive; 'Wine|Spirits' matches either; NULL = every job
+  created_at TEXT NOT NULL,            -- ISO 8601
+  updated_at TEXT NOT NULL             -- ISO 8601
+);
+
+CREATE INDEX IF NOT EXISTS idx_template_schedules_window ON template_schedules(starts_at, ends_at);
@@ -0,0 +1,8 @@
+-- Migration 022: Local Segmentation Provider
+-- The local provider (providers/local/segment.js) removes plain capture
+-- backdrops with sharp instead of calling Freepik. It has no per-call
+-- charge; the row keeps the ledger and cost reports from warning about a
+-- missing price.
+
+INSERT OR IGNORE INTO provider_pricing (provider, operation, resolution, price_usd, effective_from, note, created_at) VALUES
+  ('local', 'removeBackground', '*', 0, '1970-01-01T00:00:00.000Z', 'Runs in-process (sharp color key)', '1970-01-01T00:00:00.000Z');
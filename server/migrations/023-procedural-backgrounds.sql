@@ -0,0 +1,12 @@
+-- Migration 023: Procedural Background Provider
+-- The procedural provider (providers/procedural/background.js) renders studio
+-- backdrops with sharp instead of calling Freepik Mystic. Templates remember
+-- the provider that generated them, so regenerating variants keeps their look
+-- (NULL = the primary background provider, as before).
+
+ALTER TABLE background_templates ADD COLUMN provider TEXT;
+
+-- No per-call charge; the row keeps the ledger and cost reports from warning
+-- about a missing price
+INSERT OR IGNORE INTO provider_pricing (provider, operation, resolution, price_usd, effective_from, note, created_at) VALUES
+  ('procedural', 'generateBackground', '*', 0, '1970-01-01T00:00:00.000Z', 'Renders in-process (sharp studio backdrops)', '1970-01-01T00:00:00.000Z');
@@ -0,0 +1,7 @@
+-- Migration 024: Automatic Retry Budget
+-- `attempt` counts every attempt at a job (manual retries, automatic retries,
+-- watchdog resumes). Automatic retries get their own count so manual retries
+-- don't use up the JOB_MAX_RETRIES budget failJobWithRetry() checks. Existing
+-- jobs start at 0.
+
+ALTER TABLE jobs ADD COLUMN auto_retries INTEGER NOT NULL DEFAULT 0;
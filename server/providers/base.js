@@ -3,13 +3,43 @@
  *
  * All AI providers must implement this interface to ensure consistent behavior
  * across different services (Freepik, Replicate, etc.)
+ *
+ * Every operation accepts an optional `signal` (AbortSignal) from the processor.
+ * It fires when the job is cancelled; providers pass it to their HTTP calls and
+ * poll sleeps so in-flight work stops instead of accruing cost.
+ *
+ * API calls go through this.fetch(), which applies the provider's rate limits
+ * and circuit breaker (see utils/request-governor.js).
+ *
+ * Reported costs come from the pricing table via this.calculateCost()
+ * (see providers/pricing.js), and theme prompts from the theme library via
+ * this.getThemePrompt() / getCompositePrompt() (see providers/themes.js).
+ */
+
+import { setTimeout as wait } from 'timers/promises';
+import { governedFetch } from '../utils/request-governor.js';
+import { getPrice } from './pricing.js';
+import { getThemePrompts } from './themes.js';
+
+/**
+ * Parse a numeric provider setting
+ * Pass the config value, falling back to its environment variable
+ * (`config.x ?? process.env.X`); unset or empty values use the default.
+ *
+ * @param {number|string|undefined} value - Config or environment value
+ * @param {number} fallback - Default
+ * @returns {number}
  */
+export function parseNumberSetting(value, fallback) {
+  return value !== undefined && value !== '' ? parseFloat(value) : fallback;
+}
 
 export class BaseProvider {
   constructor(config = {}) {
     this.config = config;
     this.apiKey = config.apiKey;
     this.name = config.name || 'unknown';
+    this.provider = config.provider || 'default'; // Request governor and pricing name
   }
 
   /**
@@ -19,6 +49,7 @@ export class BaseProvider {
    * @param {string} params.imageUrl - URL to the source image
    * @param {string} params.sku - Product SKU for logging/tracking
    * @param {string} params.sha256 - Image hash for deterministic S3 keys
+   * @param {AbortSignal} params.signal - Optional: aborts the call when the job is cancelled
    * @returns {Promise<Object>} Result object with:
    *   - success: boolean
    *   - s3Key: string - S3 key where mask is stored
@@ -28,7 +59,7 @@ export class BaseProvider {
    *   - metadata: Object - Provider-specific metadata (dimensions, etc.)
    *   - error: string (if success=false)
    */
-  async removeBackground({ imageUrl, sku, sha256 }) {
+  async removeBackground({ imageUrl, sku, sha256, signal }) {
     throw new Error(`${this.name}: removeBackground() not implemented`);
   }
 
@@ -36,11 +67,14 @@ export class BaseProvider {
    * Generate themed background image
    *
    * @param {Object} params
-   * @param {string} params.theme - Theme name (e.g., 'default', 'kitchen', 'outdoors')
+   * @param {string} params.theme - Theme key (see providers/themes.js)
    * @param {string} params.sku - Product SKU for logging/tracking
    * @param {string} params.sha256 - Image hash for deterministic S3 keys
    * @param {Object} params.dimensions - Optional: { width, height } from original/mask
    * @param {string} params.aspectRatio - Optional: '1:1', '16:9', etc.
+   * @param {string} params.customPrompt - Optional: custom prompt, wins over the theme's
+   * @param {string} params.themePrompt - Optional: theme prompt rendered for the item (default: this.getThemePrompt(theme))
+   * @param {AbortSignal} params.signal - Optional: aborts the call when the job is cancelled
    * @returns {Promise<Object>} Result object with:
    *   - success: boolean
    *   - s3Key: string - S3 key where background is stored
@@ -50,25 +84,63 @@ export class BaseProvider {
    *   - metadata: Object - Provider-specific metadata
    *   - error: string (if success=false)
    */
-  async generateBackground({ theme, sku, sha256, dimensions, aspectRatio }) {
+  async generateBackground({ theme, sku, sha256, dimensions, aspectRatio, customPrompt, themePrompt, signal }) {
     throw new Error(`${this.name}: generateBackground() not implemented`);
   }
 
   /**
    * Get theme-specific prompt for background generation
+   * Placeholders render empty; the processor passes `themePrompt` rendered for the job's item.
    *
-   * @param {string} theme - Theme name
+   * @param {string} theme - Theme key
    * @returns {string} - Prompt text for AI generation
    */
   getThemePrompt(theme) {
-    const prompts = {
-      default: 'Professional product photography background, clean and modern, soft gradient, studio lighting, high quality, photorealistic',
-      kitchen: 'Modern kitchen counter background, marble or granite surface, natural window lighting, blurred depth of field, professional product photography',
-      outdoors: 'Natural outdoor setting, wooden table or stone surface, soft sunlight, bokeh background, professional product photography, nature-inspired',
-      // Add more themes as needed
-    };
-
-    return prompts[theme] || prompts.default;
+    return getThemePrompts(theme).background;
+  }
+
+  /**
+   * Get theme-specific prompt for the lighting pass on composites
+   *
+   * @param {string} theme - Theme key
+   * @returns {string} - Prompt text for AI generation
+   */
+  getCompositePrompt(theme) {
+    return getThemePrompts(theme).composite;
+  }
+
+  /**
+   * Get the theme's negative prompt, for providers that accept one
+   *
+   * @param {string} theme - Theme key
+   * @returns {string|null} - Negative prompt, if the theme has one
+   */
+  getNegativePrompt(theme) {
+    return getThemePrompts(theme).negative;
+  }
+
+  /**
+   * Extract alpha channel as binary mask (Flow v2)
+   * Converts RGBA cutout to grayscale mask (white = product, black = background)
+   * Shared by the segmentation providers that produce a cutout first.
+   */
+  async extractAlphaMask(cutoutBuffer) {
+    try {
+      const sharp = (await import('sharp')).default;
+
+      // Extract alpha channel and convert to grayscale mask
+      const maskBuffer = await sharp(cutoutBuffer)
+        .extractChannel('alpha')  // Extract alpha channel
+        .toColorspace('b-w')      // Convert to black & white
+        .png()                     // Output as PNG
+        .toBuffer();
+
+      return maskBuffer;
+
+    } catch (error) {
+      this.log('error', 'Failed to extract alpha mask', { error: error.message });
+      throw error;
+    }
   }
 
   /**
@@ -81,6 +153,34 @@ export class BaseProvider {
     }
   }
 
+  /**
+   * Fetch a provider API endpoint through the provider's request governor
+   * Waits for a rate limit slot; throws a CircuitOpenError while the circuit is open.
+   * Use plain fetch() for downloading generated images (CDN / presigned URLs).
+   */
+  fetch(url, options) {
+    return governedFetch(this.provider, url, options);
+  }
+
+  /**
+   * Price of one call to an operation, from the version in effect now
+   * @param {string} operation - Provider method (removeBackground, generateBackground, ...)
+   * @param {object} options
+   * @param {string} options.resolution - Output resolution, if the price depends on it
+   * @returns {number} Cost in USD
+   */
+  calculateCost(operation, { resolution } = {}) {
+    return getPrice(this.provider, operation, { resolution });
+  }
+
+  /**
+   * Sleep helper for polling and retries
+   * Rejects with an AbortError as soon as `signal` fires
+   */
+  sleep(ms, signal) {
+    return wait(ms, undefined, { signal });
+  }
+
   /**
    * Log provider activity
    */
@@ -13,7 +13,8 @@ export class FreepikBackgroundProvider extends BaseProvider {
   constructor(config = {}) {
     super({
       ...config,
-      name: 'FreepikBackground'
+      name: 'FreepikBackground',
+      provider: 'freepik'
     });
 
     this.apiUrl = 'https://api.freepik.com/v1/ai/mystic';
@@ -22,8 +23,9 @@ export class FreepikBackgroundProvider extends BaseProvider {
 
   /**
    * Generate themed background image
+   * `signal` aborts the submit/poll/download calls when the job is cancelled
    */
-  async generateBackground({ theme, sku, sha256, dimensions, aspectRatio, customPrompt, variant = 1 }) {
+  async generateBackground({ theme, sku, sha256, dimensions, aspectRatio, customPrompt, themePrompt, variant = 1, signal }) {
     const startTime = Date.now();
     this.log('info', 'Starting background generation', { theme, sku, sha256, variant, customPrompt });
 
@@ -34,7 +36,8 @@ export class FreepikBackgroundProvider extends BaseProvider {
         // Enhance user's custom prompt to ensure background-only generation
         prompt = this.enhanceCustomPrompt(customPrompt);
       } else {
-        prompt = this.getThemePrompt(theme);
+        // Theme library prompt; Mystic has no negative prompt, so the theme's isn't sent
+        prompt = themePrompt || this.getThemePrompt(theme);
       }
 
       // Step 2: Determine resolution and aspect ratio
@@ -53,7 +56,8 @@ export class FreepikBackgroundProvider extends BaseProvider {
       const submissionResult = await this.submitGenerationRequest({
         prompt,
         resolution,
-        aspectRatio: aspect
+        aspectRatio: aspect,
+        signal
       });
 
       if (!submissionResult.success) {
@@ -66,7 +70,7 @@ export class FreepikBackgroundProvider extends BaseProvider {
       }
 
       // Step 4: Poll for completion
-      const freepikResult = await this.pollForCompletion(submissionResult.taskId);
+      const freepikResult = await this.pollForCompletion(submissionResult.taskId, signal);
 
       if (!freepikResult.success) {
         return {
@@ -83,7 +87,7 @@ export class FreepikBackgroundProvider extends BaseProvider {
         expiryWarning: 'URL expires in 5 minutes'
       });
 
-      const imageBuffer = await this.downloadImage(freepikResult.url);
+      const imageBuffer = await this.downloadImage(freepikResult.url, signal);
 
       // Step 5: Upload to S3 with deterministic key
       const storage = getStorage();
@@ -97,7 +101,7 @@ export class FreepikBackgroundProvider extends BaseProvider {
       const s3Url = await storage.getPresignedGetUrl(s3Key, 3600); // 1 hour
 
       const duration = Date.now() - startTime;
-      const cost = this.calculateCost('generate', resolution);
+      const cost = this.calculateCost('generateBackground', { resolution });
 
       this.log('info', 'Background generation complete', {
         theme,
@@ -146,7 +150,7 @@ export class FreepikBackgroundProvider extends BaseProvider {
   /**
    * Submit generation request to Freepik Mystic API (async, returns task_id)
    */
-  async submitGenerationRequest({ prompt, resolution, aspectRatio }) {
+  async submitGenerationRequest({ prompt, resolution, aspectRatio, signal }) {
     try {
       const payload = {
         prompt,
@@ -162,13 +166,14 @@ export class FreepikBackgroundProvider extends BaseProvider {
 
       this.log('debug', 'Submitting generation request to Freepik Mystic API', { payload });
 
-      const response = await fetch(this.apiUrl, {
+      const response = await this.fetch(this.apiUrl, {
         method: 'POST',
         headers: {
           'x-freepik-api-key': this.apiKey,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        signal
       });
 
       if (!response.ok) {
@@ -206,7 +211,7 @@ export class FreepikBackgroundProvider extends BaseProvider {
   /**
    * Poll for generation completion with exponential backoff
    */
-  async pollForCompletion(taskId) {
+  async pollForCompletion(taskId, signal) {
     const maxAttempts = 40; // ~2 minutes max
     const initialInterval = 2000; // Start with 2 seconds
     const maxInterval = 10000; // Cap at 10 seconds
@@ -222,11 +227,12 @@ export class FreepikBackgroundProvider extends BaseProvider {
 
       try {
         const pollUrl = `${this.apiUrl}/${taskId}`;
-        const response = await fetch(pollUrl, {
+        const response = await this.fetch(pollUrl, {
           method: 'GET',
           headers: {
             'x-freepik-api-key': this.apiKey
-          }
+          },
+          signal
         });
 
         if (!response.ok) {
@@ -273,12 +279,17 @@ export class FreepikBackgroundProvider extends BaseProvider {
 
         // Still in progress, wait before next poll
         if (attempts < maxAttempts) {
-          await this.sleep(pollInterval);
+          await this.sleep(pollInterval, signal);
           // Exponential backoff
           pollInterval = Math.min(pollInterval * backoffMultiplier, maxInterval);
         }
 
       } catch (error) {
+        // Job cancelled - stop polling
+        if (signal?.aborted) {
+          throw error;
+        }
+
         this.log('error', 'Poll attempt failed', { attempt: attempts, error: error.message });
         // Don't throw immediately, let it retry
         if (attempts >= maxAttempts) {
@@ -287,7 +298,7 @@ export class FreepikBackgroundProvider extends BaseProvider {
             error: error.message
           };
         }
-        await this.sleep(pollInterval);
+        await this.sleep(pollInterval, signal);
       }
     }
 
@@ -299,21 +310,15 @@ export class FreepikBackgroundProvider extends BaseProvider {
     };
   }
 
-  /**
-   * Sleep helper for polling
-   */
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Download image from URL to buffer
    * Must be fast to avoid 5-minute expiry!
    */
-  async downloadImage(url) {
+  async downloadImage(url, signal) {
     try {
       const response = await fetch(url, {
-        timeout: 30000 // 30 second timeout
+        timeout: 30000, // 30 second timeout
+        signal
       });
 
       if (!response.ok) {
@@ -384,21 +389,6 @@ export class FreepikBackgroundProvider extends BaseProvider {
     return 'social_story_9_16'; // Portrait
   }
 
-  /**
-   * Calculate cost per operation
-   * Based on Freepik pricing (update as needed)
-   */
-  calculateCost(operation, resolution) {
-    const costs = {
-      'generate': {
-        '2k': 0.05, // $0.05 per 2k image (estimate)
-        '4k': 0.10  // $0.10 per 4k image (estimate)
-      }
-    };
-
-    return costs[operation]?.[resolution] || 0.05;
-  }
-
   /**
    * Enhance custom prompt to ensure background-only generation (no products)
    * IMPORTANT: Freepik Mystic API does NOT support negative prompts
@@ -424,39 +414,6 @@ export class FreepikBackgroundProvider extends BaseProvider {
     return `Product photography background scene with ${cleanedPrompt} theme. Empty center foreground with vacant placement space, clear unoccupied surface in sharp focus. Background scenic elements pushed to edges and periphery, blurred background depth, shallow depth of field. Professional studio photography setup, commercial quality, photorealistic rendering, cinematic lighting with key and fill lights creating empty foreground area ready for product placement.`;
   }
 
-  /**
-   * Theme prompts with POSITIVE-ONLY language
-   * Freepik Mystic API does NOT support negative prompts
-   */
-  getThemePrompt(theme) {
-    const prompts = {
-      default: {
-        positive: 'Professional product photography empty background scene, vacant center foreground space ready for placement, soft gradient backdrop fading from light to slightly darker tone, clean smooth surface in sharp focus. Studio lighting setup with key and fill lights illuminating empty foreground area, high quality commercial photography, photorealistic rendering, subtle texture, depth of field with blurred edges, background elements at periphery.'
-      },
-      kitchen: {
-        positive: 'Modern kitchen scene background for product photography, empty premium marble or granite countertop surface in center foreground, vacant placement area with clear space. Blurred kitchen appliances and cabinetry visible in background periphery, natural window lighting from side creating soft glow, warm ambient kitchen atmosphere. Professional photography setup, shallow depth of field, bokeh effect with sharp empty foreground ready for product.'
-      },
-      outdoors: {
-        positive: 'Natural outdoor product photography background, empty weathered wooden table or stone surface in center foreground, vacant placement space with clear area. Blurred nature elements in background with green foliage bokeh, soft natural sunlight with gentle shadows, golden hour warm lighting. Rustic setting with background scenic elements at edges, shallow depth of field, sharp empty foreground surface ready for product placement.'
-      },
-      minimal: {
-        positive: 'Minimalist empty product photography background, pure solid color gradient backdrop, ultra clean vacant space, smooth surface without texture. Perfect gradient fade from light to slightly deeper tone, studio photography lighting, high key commercial setup, professional clean aesthetic, empty foreground area, simple and uncluttered composition ready for product.'
-      },
-      luxury: {
-        positive: 'Luxury empty product photography background, dark elegant backdrop with subtle gold or brass accent elements visible at periphery edges, vacant center foreground space. Dramatic edge lighting creating sophisticated atmosphere, premium velvet or silk textures visible in blurred background, high-end commercial photography setup. Shallow depth of field with sharp empty foreground area, sophisticated dark ambiance ready for product placement.'
-      },
-      christmas: {
-        positive: 'Festive Christmas holiday product photography background, empty wooden table or surface in center foreground with vacant placement space, clear area ready for product. Blurred Christmas decorations in background periphery including pine branches with twinkling lights, red and green ornaments, bokeh effect from fairy lights. Warm cozy holiday atmosphere with soft golden lighting, rustic wooden surface in sharp focus, Christmas tree lights and garland visible but blurred in distant background. Professional photography setup with shallow depth of field, inviting festive ambiance.'
-      },
-      halloween: {
-        positive: 'Spooky Halloween themed product photography background, empty dark wooden surface or vintage table in center foreground, vacant placement area with clear space. Blurred Halloween decorations in background periphery including carved pumpkins with glowing faces, autumn leaves, cobwebs, dim atmospheric lighting with orange and purple accent lights. Moody dramatic atmosphere with fog effect in background, dark rustic surface in sharp focus. Professional photography setup with shallow depth of field, mysterious spooky Halloween ambiance ready for product placement.'
-      }
-    };
-
-    const selected = prompts[theme] || prompts.default;
-    return selected.positive;
-  }
-
   /**
    * Validate Freepik-specific configuration
    */
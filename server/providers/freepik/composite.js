@@ -8,9 +8,12 @@
  * - Professional product placement
  */
 
+import { setTimeout as wait } from 'timers/promises';
 import fetch from 'node-fetch';
 import sharp from 'sharp';
 import { getStorage } from '../../storage/index.js';
+import { governedFetch } from '../../utils/request-governor.js';
+import { getPrice } from '../pricing.js';
 
 export class FreepikCompositeProvider {
   constructor({ apiKey }) {
@@ -33,6 +36,7 @@ export class FreepikCompositeProvider {
    * @param {string} params.theme - Theme name
    * @param {number} params.variant - Variant number
    * @param {Object} params.options - Additional options
+   * @param {AbortSignal} params.signal - Aborts the submit/poll/download calls when the job is cancelled
    * @returns {Promise<Object>} Composite result with S3 key and metadata
    */
   async compositeImage({
@@ -42,7 +46,8 @@ export class FreepikCompositeProvider {
     sha256,
     theme = 'default',
     variant = 1,
-    options = {}
+    options = {},
+    signal
   }) {
     const startTime = Date.now();
 
@@ -59,8 +64,8 @@ export class FreepikCompositeProvider {
       // Step 1: Download cutout and background from S3
       console.log('[FreepikComposite] Downloading images from S3...');
       const [cutoutBuffer, backgroundBuffer] = await Promise.all([
-        this.downloadFromS3(storage, cutoutS3Key),
-        this.downloadFromS3(storage, backgroundS3Key)
+        this.downloadFromS3(storage, cutoutS3Key, signal),
+        this.downloadFromS3(storage, backgroundS3Key, signal)
       ]);
 
       console.log('[FreepikComposite] Downloaded:', {
@@ -112,13 +117,14 @@ export class FreepikCompositeProvider {
       const taskId = await this.submitCompositeRequest({
         cutoutBase64,
         backgroundBase64,
-        prompt
+        prompt,
+        signal
       });
 
       console.log('[FreepikComposite] Task submitted:', taskId);
 
       // Step 5: Poll for completion
-      const result = await this.pollForCompletion(taskId);
+      const result = await this.pollForCompletion(taskId, signal);
 
       if (!result.success) {
         throw new Error(result.error || 'AI composite failed');
@@ -127,7 +133,7 @@ export class FreepikCompositeProvider {
       console.log('[FreepikComposite] AI generation complete, downloading result...');
 
       // Step 6: Download generated composite
-      const compositeBuffer = await this.downloadGeneratedImage(result.imageUrl);
+      const compositeBuffer = await this.downloadGeneratedImage(result.imageUrl, signal);
 
       // Step 7: Upload to S3
       const aspect = options.aspect || '1x1';
@@ -141,13 +147,14 @@ export class FreepikCompositeProvider {
       const compositeS3Url = await storage.getPresignedGetUrl(compositeS3Key, 3600);
 
       const duration = Date.now() - startTime;
+      const cost = getPrice('freepik', 'compositeImage'); // Seedream cost per generation
 
       console.log('[FreepikComposite] Composite complete:', {
         sku,
         theme,
         s3Key: compositeS3Key,
         duration: `${duration}ms`,
-        cost: '$0.0200' // Seedream cost per generation
+        cost: `$${cost.toFixed(4)}`
       });
 
       return {
@@ -160,7 +167,7 @@ export class FreepikCompositeProvider {
           provider: 'freepik-seedream',
           taskId: result.taskId
         },
-        cost: 0.02 // $0.02 per Seedream generation
+        cost
       };
 
     } catch (error) {
@@ -186,7 +193,7 @@ export class FreepikCompositeProvider {
   /**
    * Submit composite request to Seedream API
    */
-  async submitCompositeRequest({ cutoutBase64, backgroundBase64, prompt }) {
+  async submitCompositeRequest({ cutoutBase64, backgroundBase64, prompt, signal }) {
     try {
       const payload = {
         prompt,
@@ -195,13 +202,14 @@ export class FreepikCompositeProvider {
         preserve_details: true // Request maximum detail preservation
       };
 
-      const response = await fetch(this.apiUrl, {
+      const response = await governedFetch('freepik', this.apiUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'x-freepik-api-key': this.apiKey
         },
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        signal
       });
 
       if (!response.ok) {
@@ -228,7 +236,7 @@ export class FreepikCompositeProvider {
   /**
    * Poll for completion
    */
-  async pollForCompletion(taskId) {
+  async pollForCompletion(taskId, signal) {
     const maxAttempts = 60; // ~5 minutes max
     const initialInterval = 3000; // Start with 3 seconds
     const maxInterval = 10000; // Cap at 10 seconds
@@ -244,11 +252,12 @@ export class FreepikCompositeProvider {
 
       try {
         const pollUrl = `${this.apiUrl}/${taskId}`;
-        const response = await fetch(pollUrl, {
+        const response = await governedFetch('freepik', pollUrl, {
           method: 'GET',
           headers: {
             'x-freepik-api-key': this.apiKey
-          }
+          },
+          signal
         });
 
         if (!response.ok) {
@@ -294,18 +303,23 @@ export class FreepikCompositeProvider {
         }
 
         // Still processing, wait before next poll
-        await this.sleep(pollInterval);
+        await this.sleep(pollInterval, signal);
 
         // Increase poll interval with exponential backoff
         pollInterval = Math.min(pollInterval * backoffMultiplier, maxInterval);
 
       } catch (error) {
+        // Job cancelled - stop polling
+        if (signal?.aborted) {
+          throw error;
+        }
+
         if (attempts >= maxAttempts) {
           throw new Error(`Polling timeout after ${attempts} attempts: ${error.message}`);
         }
         // Continue polling on transient errors
         console.warn(`[FreepikComposite] Poll attempt ${attempts} failed, retrying...`, error.message);
-        await this.sleep(pollInterval);
+        await this.sleep(pollInterval, signal);
       }
     }
 
@@ -315,9 +329,9 @@ export class FreepikCompositeProvider {
   /**
    * Download generated image from Freepik URL
    */
-  async downloadGeneratedImage(url) {
+  async downloadGeneratedImage(url, signal) {
     try {
-      const response = await fetch(url);
+      const response = await fetch(url, { signal });
 
       if (!response.ok) {
         throw new Error(`Failed to download composite: ${response.status} ${response.statusText}`);
@@ -335,10 +349,10 @@ export class FreepikCompositeProvider {
   /**
    * Download file from S3 to buffer
    */
-  async downloadFromS3(storage, s3Key) {
+  async downloadFromS3(storage, s3Key, signal) {
     try {
       const url = await storage.getPresignedGetUrl(s3Key, 300); // 5 minutes
-      const response = await fetch(url);
+      const response = await fetch(url, { signal });
 
       if (!response.ok) {
         throw new Error(`Failed to download ${s3Key}: ${response.status} ${response.statusText}`);
@@ -456,9 +470,10 @@ export class FreepikCompositeProvider {
 
   /**
    * Sleep helper
+   * Rejects with an AbortError as soon as `signal` fires
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return wait(ms, undefined, { signal });
   }
 }
 
@@ -15,7 +15,8 @@ export class FreepikSeedreamProvider extends BaseProvider {
   constructor(config = {}) {
     super({
       ...config,
-      name: 'FreepikSeedream'
+      name: 'FreepikSeedream',
+      provider: 'freepik'
     });
 
     this.apiUrl = 'https://api.freepik.com/v1/ai/text-to-image/seedream-v4-edit';
@@ -25,20 +26,19 @@ export class FreepikSeedreamProvider extends BaseProvider {
   /**
    * Edit image background while preserving product
    * Single-step AI editing (no compositing needed)
+   * `signal` aborts the submit/poll/download calls when the job is cancelled
    */
-  async editBackground({ imageUrl, theme, sku, sha256, customPrompt, variant = 1 }) {
+  async editBackground({ imageUrl, theme, sku, sha256, customPrompt, themePrompt, variant = 1, signal }) {
     const startTime = Date.now();
     this.log('info', 'Starting Seedream 4 Edit background replacement', { sku, sha256, theme, variant });
 
     try {
       // Step 1: Download original image to buffer
       this.log('info', 'Downloading original image', { imageUrl });
-      const imageBuffer = await this.downloadImage(imageUrl);
+      const imageBuffer = await this.downloadImage(imageUrl, signal);
 
-      // Step 2: Build background replacement prompt
-      const prompt = customPrompt
-        ? this.enhanceCustomPrompt(customPrompt)
-        : this.getThemePrompt(theme);
+      // Step 2: Build background replacement prompt (custom prompt, or the theme's background prompt)
+      const prompt = this.enhanceCustomPrompt(customPrompt || themePrompt || this.getThemePrompt(theme));
 
       this.log('info', 'Using prompt', {
         prompt: prompt.substring(0, 100) + '...',
@@ -48,7 +48,8 @@ export class FreepikSeedreamProvider extends BaseProvider {
       // Step 3: Submit edit request to Seedream 4 Edit API
       const submissionResult = await this.submitEditRequest({
         imageBuffer,
-        prompt
+        prompt,
+        signal
       });
 
       if (!submissionResult.success) {
@@ -61,7 +62,7 @@ export class FreepikSeedreamProvider extends BaseProvider {
       }
 
       // Step 4: Poll for completion
-      const editResult = await this.pollForCompletion(submissionResult.taskId);
+      const editResult = await this.pollForCompletion(submissionResult.taskId, signal);
 
       if (!editResult.success) {
         return {
@@ -78,7 +79,7 @@ export class FreepikSeedreamProvider extends BaseProvider {
         expiryWarning: 'URL expires in 5 minutes'
       });
 
-      const editedBuffer = await this.downloadImage(editResult.url);
+      const editedBuffer = await this.downloadImage(editResult.url, signal);
 
       // Step 6: Upload to S3
       const storage = getStorage();
@@ -97,7 +98,7 @@ export class FreepikSeedreamProvider extends BaseProvider {
       const s3Url = await storage.getPresignedGetUrl(s3Key, 3600);
 
       const duration = Date.now() - startTime;
-      const cost = this.calculateCost('edit');
+      const cost = this.calculateCost('editBackground');
 
       this.log('info', 'Seedream 4 Edit complete', {
         sku,
@@ -143,7 +144,7 @@ export class FreepikSeedreamProvider extends BaseProvider {
   /**
    * Submit edit request to Seedream 4 Edit API
    */
-  async submitEditRequest({ imageBuffer, prompt, guidanceScale = 7.5 }) {
+  async submitEditRequest({ imageBuffer, prompt, guidanceScale = 7.5, signal }) {
     try {
       // Convert image buffer to base64
       const imageBase64 = imageBuffer.toString('base64');
@@ -160,13 +161,14 @@ export class FreepikSeedreamProvider extends BaseProvider {
         imageSize: imageBuffer.length
       });
 
-      const response = await fetch(this.apiUrl, {
+      const response = await this.fetch(this.apiUrl, {
         method: 'POST',
         headers: {
           'x-freepik-api-key': this.apiKey,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        signal
       });
 
       if (!response.ok) {
@@ -203,7 +205,7 @@ export class FreepikSeedreamProvider extends BaseProvider {
    * Poll for completion
    * Polls task-specific endpoint: GET /seedream-v4-edit/{task_id}
    */
-  async pollForCompletion(taskId) {
+  async pollForCompletion(taskId, signal) {
     const maxAttempts = 40; // ~2 minutes max
     const initialInterval = 2000; // Start with 2 seconds
     const maxInterval = 10000; // Cap at 10 seconds
@@ -220,11 +222,12 @@ export class FreepikSeedreamProvider extends BaseProvider {
       try {
         // Poll task-specific endpoint (URL path includes task_id)
         const pollUrl = `${this.apiUrl}/${taskId}`;
-        const response = await fetch(pollUrl, {
+        const response = await this.fetch(pollUrl, {
           method: 'GET',
           headers: {
             'x-freepik-api-key': this.apiKey
-          }
+          },
+          signal
         });
 
         if (!response.ok) {
@@ -271,12 +274,17 @@ export class FreepikSeedreamProvider extends BaseProvider {
 
         // Still in progress, wait before next poll
         if (attempts < maxAttempts) {
-          await this.sleep(pollInterval);
+          await this.sleep(pollInterval, signal);
           // Exponential backoff
           pollInterval = Math.min(pollInterval * backoffMultiplier, maxInterval);
         }
 
       } catch (error) {
+        // Job cancelled - stop polling
+        if (signal?.aborted) {
+          throw error;
+        }
+
         this.log('error', 'Poll attempt failed', { attempt: attempts, error: error.message });
         // Don't throw immediately, let it retry
         if (attempts >= maxAttempts) {
@@ -285,7 +293,7 @@ export class FreepikSeedreamProvider extends BaseProvider {
             error: error.message
           };
         }
-        await this.sleep(pollInterval);
+        await this.sleep(pollInterval, signal);
       }
     }
 
@@ -300,10 +308,11 @@ export class FreepikSeedreamProvider extends BaseProvider {
   /**
    * Download image from URL to buffer
    */
-  async downloadImage(url) {
+  async downloadImage(url, signal) {
     try {
       const response = await fetch(url, {
-        timeout: 30000
+        timeout: 30000,
+        signal
       });
 
       if (!response.ok) {
@@ -326,34 +335,12 @@ export class FreepikSeedreamProvider extends BaseProvider {
   }
 
   /**
-   * Sleep helper for polling
-   */
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  /**
-   * Enhance custom prompt for background replacement
+   * Wrap a custom or theme prompt as a background replacement instruction
    */
   enhanceCustomPrompt(userPrompt) {
     return `Replace the background with: ${userPrompt}. Keep the product in center completely unchanged, preserve all product details exactly as they are, natural lighting that matches the product, photorealistic, professional product photography, high quality, 4k.`;
   }
 
-  /**
-   * Get theme-specific prompts for background replacement
-   */
-  getThemePrompt(theme) {
-    const prompts = {
-      default: 'Replace background with clean professional product photography background, soft gradient, studio lighting, neutral tones. Keep product centered and unchanged.',
-      kitchen: 'Replace background with modern kitchen counter with marble surface, natural window lighting, blurred background. Keep product centered and unchanged.',
-      outdoors: 'Replace background with natural outdoor setting, wooden table, soft sunlight, blurred nature background with bokeh. Keep product centered and unchanged.',
-      minimal: 'Replace background with pure minimalist background, solid color gradient, clean and simple. Keep product centered and unchanged.',
-      luxury: 'Replace background with luxury dark background with gold accents, dramatic edge lighting, elegant atmosphere. Keep product centered and unchanged.'
-    };
-
-    return prompts[theme] || prompts.default;
-  }
-
   /**
    * Enhance lighting on an existing composite image
    * Used for Sharp Workflow + Seedream combined flow
@@ -364,6 +351,7 @@ export class FreepikSeedreamProvider extends BaseProvider {
    * @param {string} params.sha256 - Image hash
    * @param {string} params.theme - Theme name
    * @param {number} params.variant - Variant number
+   * @param {AbortSignal} params.signal - Aborts the provider calls when the job is cancelled
    * @returns {Promise<Object>} Enhanced composite result
    */
   async enhanceLighting({
@@ -371,7 +359,8 @@ export class FreepikSeedreamProvider extends BaseProvider {
     sku,
     sha256,
     theme = 'default',
-    variant = 1
+    variant = 1,
+    signal
   }) {
     const startTime = Date.now();
     this.log('info', 'Starting Seedream lighting enhancement', {
@@ -387,14 +376,14 @@ export class FreepikSeedreamProvider extends BaseProvider {
       // Step 1: Download Sharp composite from S3
       this.log('info', 'Downloading Sharp composite from S3');
       const compositeUrl = await storage.getPresignedGetUrl(compositeS3Key, 300);
-      const compositeBuffer = await this.downloadImage(compositeUrl);
+      const compositeBuffer = await this.downloadImage(compositeUrl, signal);
 
       this.log('info', 'Sharp composite downloaded', {
         size: `${(compositeBuffer.length / 1024).toFixed(2)}KB`
       });
 
       // Step 2: Build lighting enhancement prompt
-      const prompt = this.getLightingPrompt(theme);
+      const prompt = this.getCompositePrompt(theme);
 
       this.log('info', 'Using lighting enhancement prompt', {
         prompt: prompt.substring(0, 100) + '...'
@@ -404,7 +393,8 @@ export class FreepikSeedreamProvider extends BaseProvider {
       const submissionResult = await this.submitEditRequest({
         imageBuffer: compositeBuffer,
         prompt,
-        guidanceScale: 3.0 // Lower guidance for subtle lighting changes
+        guidanceScale: 3.0, // Lower guidance for subtle lighting changes
+        signal
       });
 
       if (!submissionResult.success) {
@@ -417,7 +407,7 @@ export class FreepikSeedreamProvider extends BaseProvider {
       }
 
       // Step 4: Poll for completion
-      const editResult = await this.pollForCompletion(submissionResult.taskId);
+      const editResult = await this.pollForCompletion(submissionResult.taskId, signal);
 
       if (!editResult.success) {
         return {
@@ -430,7 +420,7 @@ export class FreepikSeedreamProvider extends BaseProvider {
 
       // Step 5: Download enhanced image
       this.log('info', 'Downloading enhanced image');
-      const enhancedBuffer = await this.downloadImage(editResult.url);
+      const enhancedBuffer = await this.downloadImage(editResult.url, signal);
 
       // Step 6: Upload to S3 (final composite with lighting)
       const enhancedS3Key = storage.getCompositeKey(
@@ -453,7 +443,7 @@ export class FreepikSeedreamProvider extends BaseProvider {
       const s3Url = await storage.getPresignedGetUrl(enhancedS3Key, 3600);
 
       const duration = Date.now() - startTime;
-      const cost = this.calculateCost('edit');
+      const cost = this.calculateCost('enhanceLighting');
 
       this.log('info', 'Seedream lighting enhancement complete', {
         sku,
@@ -496,48 +486,6 @@ export class FreepikSeedreamProvider extends BaseProvider {
     }
   }
 
-  /**
-   * Get lighting enhancement prompts (more subtle than background replacement)
-   * Following Seedream 4.0 / SeedEdit 3.0 best practices:
-   * - Use "provided image" language
-   * - Explicit preservation guardrails
-   * - Specific lighting technical details
-   * - Avoid global "enhance" or denoise on subject
-   * - Focus on scene/background lighting changes only
-   */
-  getLightingPrompt(theme) {
-    const prompts = {
-      default: 'Using the provided image, adjust only the scene lighting to a neutral white seamless studio: soft, even illumination, gentle overhead softbox feel with a faint grounded shadow behind/under the bottle. Keep the bottle and its label pixel-accurate and unchanged—preserve label text, logos, edges, glass texture, and colors exactly. Do not modify the bottle at all. Limit edits to lighting, exposure, and shadows in the background and scene only.',
-
-      kitchen: 'Using the provided image, match lighting to a warm indoor bar atmosphere: approximately 3000K tungsten ambiance, soft side light from the background, mild vignette, and background-only color balance shift. Leave the bottle untouched—preserve all label typography, embossing, cap details, and reflections. Add a subtle contact shadow on the surface consistent with the new light direction. Do not alter label typography, colors, shapes, or edges.',
-
-      outdoors: 'Using the provided image, set bright outdoor daylight: cool sky fill with ~5500K color temperature, a single sun key producing a clean, directional shadow behind the bottle, and crisp contrast in the background only. Adjust only the lighting to midday outdoor sunlight with brighter exposure, cool ambient fill, and a defined ground shadow consistent with noon sun. Do not regenerate or stylize the bottle—keep all label text and graphics intact. Preserve the bottle pixels exactly—no generative changes to the subject.',
-
-      minimal: 'Using the provided image, adjust only the background lighting to a bright, neutral white studio look. Add a soft overhead softbox feel and a faint grounded shadow behind/under the bottle. Keep the scene soft and minimalist with clean studio lighting and subtle gradients. Do not modify the bottle at all—preserve label text, logos, edges, glass texture, and colors exactly. Keep noise reduction minimal and avoid generative fill on the bottle.',
-
-      luxury: 'Using the provided image, apply dramatic premium lighting in the background with controlled contrast: subtle neon night ambiance with soft magenta/teal rim cues and a gentle specular bloom away from the bottle. Add elegant shadow play and a low-angle key light creating upscale atmosphere. Maintain realistic exposure so the bottle remains readable. Preserve the bottle 100%—no alterations to lettering, logo edges, foil, or cap. Limit edits to lighting and shadows in the background only.'
-    };
-
-    return prompts[theme] || prompts.default;
-  }
-
-  /**
-   * Calculate cost per operation
-   * TODO: Research actual Seedream 4 Edit pricing from Freepik
-   *
-   * Estimated based on similar AI edit services:
-   * - Low estimate: $0.05 per edit
-   * - Mid estimate: $0.08 per edit
-   * - High estimate: $0.12 per edit
-   */
-  calculateCost(operation) {
-    const costs = {
-      'edit': 0.08 // ESTIMATED - Verify with Freepik pricing
-    };
-
-    return costs[operation] || 0;
-  }
-
   /**
    * Validate configuration
    */
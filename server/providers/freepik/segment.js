@@ -13,7 +13,8 @@ export class FreepikSegmentProvider extends BaseProvider {
   constructor(config = {}) {
     super({
       ...config,
-      name: 'FreepikSegment'
+      name: 'FreepikSegment',
+      provider: 'freepik'
     });
 
     this.apiUrl = 'https://api.freepik.com/v1/ai/beta/remove-background';
@@ -23,8 +24,9 @@ export class FreepikSegmentProvider extends BaseProvider {
   /**
    * Remove background from product image (Flow v2)
    * Returns BOTH cutout (alpha PNG) AND mask (binary mask)
+   * `signal` aborts the API call and downloads when the job is cancelled
    */
-  async removeBackground({ imageUrl, sku, sha256 }) {
+  async removeBackground({ imageUrl, sku, sha256, signal }) {
     const startTime = Date.now();
     this.log('info', 'Starting background removal', { sku, sha256 });
 
@@ -32,10 +34,10 @@ export class FreepikSegmentProvider extends BaseProvider {
       // Step 0: Download image from URL first (to handle S3 presigned URLs and CORS issues)
       // Freepik API may have trouble accessing S3 presigned URLs
       this.log('info', 'Downloading image from source URL', { imageUrl });
-      const imageBuffer = await this.downloadImage(imageUrl);
+      const imageBuffer = await this.downloadImage(imageUrl, signal);
 
       // Step 1: Call Freepik API with the actual image buffer
-      const freepikResult = await this.callFreepikAPIWithBuffer(imageBuffer);
+      const freepikResult = await this.callFreepikAPIWithBuffer(imageBuffer, signal);
 
       if (!freepikResult.success) {
         return {
@@ -52,7 +54,7 @@ export class FreepikSegmentProvider extends BaseProvider {
         expiryWarning: 'URL expires in 5 minutes'
       });
 
-      const cutoutBuffer = await this.downloadImage(freepikResult.url);
+      const cutoutBuffer = await this.downloadImage(freepikResult.url, signal);
 
       // Step 3: Generate mask from cutout alpha channel (Flow v2)
       this.log('info', 'Extracting alpha channel to create mask');
@@ -85,7 +87,7 @@ export class FreepikSegmentProvider extends BaseProvider {
       ]);
 
       const duration = Date.now() - startTime;
-      const cost = this.calculateCost('remove-background');
+      const cost = this.calculateCost('removeBackground');
 
       this.log('info', 'Background removal complete', {
         sku,
@@ -146,7 +148,7 @@ export class FreepikSegmentProvider extends BaseProvider {
    * This works better for S3 presigned URLs and avoids CORS issues
    * Uses native Node.js FormData (v18.12.0+) - no external dependency needed
    */
-  async callFreepikAPIWithBuffer(imageBuffer) {
+  async callFreepikAPIWithBuffer(imageBuffer, signal) {
     try {
       const form = new FormData();
       // Create a Blob from the buffer for FormData
@@ -154,12 +156,13 @@ export class FreepikSegmentProvider extends BaseProvider {
       const blob = new Blob([imageBuffer], { type: 'image/jpeg' });
       form.append('image_file', blob, 'image.jpg');
 
-      const response = await fetch(this.apiUrl, {
+      const response = await this.fetch(this.apiUrl, {
         method: 'POST',
         headers: {
           'x-freepik-api-key': this.apiKey
         },
-        body: form
+        body: form,
+        signal
       });
 
       if (!response.ok) {
@@ -200,7 +203,7 @@ export class FreepikSegmentProvider extends BaseProvider {
       const params = new URLSearchParams();
       params.append('image_url', imageUrl);
 
-      const response = await fetch(this.apiUrl, {
+      const response = await this.fetch(this.apiUrl, {
         method: 'POST',
         headers: {
           'x-freepik-api-key': this.apiKey,
@@ -256,10 +259,11 @@ export class FreepikSegmentProvider extends BaseProvider {
    * Download image from URL to buffer
    * Must be fast to avoid 5-minute expiry!
    */
-  async downloadImage(url) {
+  async downloadImage(url, signal) {
     try {
       const response = await fetch(url, {
-        timeout: 30000 // 30 second timeout
+        timeout: 30000, // 30 second timeout
+        signal
       });
 
       if (!response.ok) {
@@ -281,41 +285,6 @@ export class FreepikSegmentProvider extends BaseProvider {
     }
   }
 
-  /**
-   * Extract alpha channel as binary mask (Flow v2)
-   * Converts RGBA cutout to grayscale mask (white = product, black = background)
-   */
-  async extractAlphaMask(cutoutBuffer) {
-    try {
-      const sharp = (await import('sharp')).default;
-
-      // Extract alpha channel and convert to grayscale mask
-      const maskBuffer = await sharp(cutoutBuffer)
-        .extractChannel('alpha')  // Extract alpha channel
-        .toColorspace('b-w')      // Convert to black & white
-        .png()                     // Output as PNG
-        .toBuffer();
-
-      return maskBuffer;
-
-    } catch (error) {
-      this.log('error', 'Failed to extract alpha mask', { error: error.message });
-      throw error;
-    }
-  }
-
-  /**
-   * Calculate cost per operation
-   * Based on Freepik pricing (update as needed)
-   */
-  calculateCost(operation) {
-    const costs = {
-      'remove-background': 0.02 // $0.02 per operation (estimate)
-    };
-
-    return costs[operation] || 0;
-  }
-
   /**
    * Validate Freepik-specific configuration
    */
@@ -2,88 +2,123 @@
  * AI Provider Factory
  *
  * Creates and configures AI providers based on environment variables
- * Supports multiple providers: Freepik, Replicate, etc.
+ * Supports multiple providers: Freepik, Nano Banana, Replicate, etc.
+ * AI_PROVIDER=mock selects the offline sharp-based mock family (no network, no API key)
+ * SEGMENT_PROVIDER overrides the segmentation primary (e.g. local: sharp color-key cutouts)
+ * BACKGROUND_PROVIDER overrides the background primary (e.g. procedural: rendered studio backdrops)
+ *
+ * Each pipeline capability (segmentation, background, composite, lighting) runs
+ * through an ordered failover chain: the primary provider (AI_PROVIDER, or the
+ * compositor preference for composite/lighting) followed by the fallbacks saved
+ * in Settings. See callWithFailover().
  */
 
 import { FreepikSegmentProvider } from './freepik/segment.js';
 import { FreepikBackgroundProvider } from './freepik/background.js';
 import { FreepikSeedreamProvider } from './freepik/seedream.js';
+import { FreepikCompositeProvider } from './freepik/composite.js';
+import { NanoBananaCompositeProvider } from './nanobanana/composite.js';
+import { LocalSegmentProvider } from './local/segment.js';
+import { ProceduralBackgroundProvider } from './procedural/background.js';
+import { MockSegmentProvider } from './mock/segment.js';
+import { MockBackgroundProvider } from './mock/background.js';
+import { MockSeedreamProvider } from './mock/seedream.js';
+import { MockCompositeProvider } from './mock/composite.js';
+
+/**
+ * Capabilities that can fail over between providers
+ */
+export const ProviderCapability = {
+  SEGMENTATION: 'segmentation', // removeBackground()
+  BACKGROUND: 'background',     // generateBackground()
+  COMPOSITE: 'composite',       // compositeImage()
+  LIGHTING: 'lighting'          // enhanceLighting()
+};
 
-// Provider registry
+// Capabilities whose primary provider is the compositor preference instead of AI_PROVIDER
+const COMPOSITOR_CAPABILITIES = [ProviderCapability.COMPOSITE, ProviderCapability.LIGHTING];
+
+// Provider registry (seedream = Seedream edit workflow, single provider)
 const PROVIDERS = {
   freepik: {
-    segment: FreepikSegmentProvider,
-    background: FreepikBackgroundProvider,
+    [ProviderCapability.SEGMENTATION]: FreepikSegmentProvider,
+    [ProviderCapability.BACKGROUND]: FreepikBackgroundProvider,
+    [ProviderCapability.COMPOSITE]: FreepikCompositeProvider,
+    [ProviderCapability.LIGHTING]: FreepikSeedreamProvider,
     seedream: FreepikSeedreamProvider
+  },
+  nanobanana: {
+    [ProviderCapability.COMPOSITE]: NanoBananaCompositeProvider,
+    [ProviderCapability.LIGHTING]: NanoBananaCompositeProvider
+  },
+  local: {
+    [ProviderCapability.SEGMENTATION]: LocalSegmentProvider
+  },
+  procedural: {
+    [ProviderCapability.BACKGROUND]: ProceduralBackgroundProvider
+  },
+  mock: {
+    [ProviderCapability.SEGMENTATION]: MockSegmentProvider,
+    [ProviderCapability.BACKGROUND]: MockBackgroundProvider,
+    [ProviderCapability.COMPOSITE]: MockCompositeProvider,
+    [ProviderCapability.LIGHTING]: MockSeedreamProvider,
+    seedream: MockSeedreamProvider
   }
   // Add more providers here:
   // replicate: {
-  //   segment: ReplicateSegmentProvider,
+  //   segmentation: ReplicateSegmentProvider,
   //   background: ReplicateBackgroundProvider
   // }
 };
 
-// Singleton instances
-let segmentProvider = null;
-let backgroundProvider = null;
-let seedreamProvider = null;
+// Instances by "<provider>:<capability>", created on first use
+const instances = new Map();
 
 /**
- * Get segmentation provider instance
+ * Get a provider instance for a capability
  * Creates singleton on first call
+ * @param {string} capability - ProviderCapability (or 'seedream')
+ * @param {string} providerName - Provider name (default: AI_PROVIDER)
+ * @throws {Error} If the provider doesn't support the capability or has no API key
  */
-export function getSegmentProvider() {
-  if (segmentProvider) {
-    return segmentProvider;
+export function getProvider(capability, providerName = process.env.AI_PROVIDER || 'freepik') {
+  const instanceKey = `${providerName}:${capability}`;
+  if (instances.has(instanceKey)) {
+    return instances.get(instanceKey);
   }
 
-  const providerName = process.env.AI_PROVIDER || 'freepik';
-  const providerClass = PROVIDERS[providerName]?.segment;
+  const providerClass = PROVIDERS[providerName]?.[capability];
 
   if (!providerClass) {
-    throw new Error(`Unsupported AI provider for segmentation: ${providerName}`);
+    throw new Error(`Unsupported AI provider for ${capability}: ${providerName}`);
   }
 
   // Get API key based on provider
   const apiKey = getProviderApiKey(providerName);
 
-  segmentProvider = new providerClass({
+  const provider = new providerClass({
     apiKey,
-    name: `${providerName}-segment`
+    name: `${providerName}-${capability}`
   });
 
-  console.log(`[ProviderFactory] Initialized segmentation provider: ${providerName}`);
+  instances.set(instanceKey, provider);
+  console.log(`[ProviderFactory] Initialized ${capability} provider: ${providerName}`);
 
-  return segmentProvider;
+  return provider;
 }
 
 /**
- * Get background generation provider instance
- * Creates singleton on first call
+ * Get segmentation provider instance (SEGMENT_PROVIDER, or AI_PROVIDER)
  */
-export function getBackgroundProvider() {
-  if (backgroundProvider) {
-    return backgroundProvider;
-  }
-
-  const providerName = process.env.AI_PROVIDER || 'freepik';
-  const providerClass = PROVIDERS[providerName]?.background;
-
-  if (!providerClass) {
-    throw new Error(`Unsupported AI provider for background generation: ${providerName}`);
-  }
-
-  // Get API key based on provider
-  const apiKey = getProviderApiKey(providerName);
-
-  backgroundProvider = new providerClass({
-    apiKey,
-    name: `${providerName}-background`
-  });
-
-  console.log(`[ProviderFactory] Initialized background provider: ${providerName}`);
+export function getSegmentProvider() {
+  return getProvider(ProviderCapability.SEGMENTATION, getPrimaryProvider(ProviderCapability.SEGMENTATION));
+}
 
-  return backgroundProvider;
+/**
+ * Get background generation provider instance (BACKGROUND_PROVIDER, or AI_PROVIDER)
+ */
+export function getBackgroundProvider() {
+  return getProvider(ProviderCapability.BACKGROUND, getPrimaryProvider(ProviderCapability.BACKGROUND));
 }
 
 /**
@@ -92,7 +127,11 @@ export function getBackgroundProvider() {
 function getProviderApiKey(providerName) {
   const keyMap = {
     freepik: process.env.FREEPIK_API_KEY,
-    replicate: process.env.REPLICATE_API_KEY
+    nanobanana: process.env.NANOBANANA_API_KEY,
+    replicate: process.env.REPLICATE_API_KEY,
+    local: 'local', // Runs in-process, no credentials needed
+    procedural: 'procedural', // Renders in-process, no credentials needed
+    mock: 'mock' // Offline provider, no credentials needed
     // Add more providers here
   };
 
@@ -106,42 +145,128 @@ function getProviderApiKey(providerName) {
 }
 
 /**
- * Get Seedream edit provider instance
- * Creates singleton on first call
+ * Get Seedream edit provider instance (AI_PROVIDER)
  */
 export function getSeedreamProvider() {
-  if (seedreamProvider) {
-    return seedreamProvider;
+  return getProvider('seedream');
+}
+
+/**
+ * Get the primary provider for a capability
+ * AI_PROVIDER, or for composite/lighting the compositor preference, or for
+ * segmentation SEGMENT_PROVIDER and for backgrounds BACKGROUND_PROVIDER when
+ * set (AI_PROVIDER=mock swaps every primary for the mock).
+ *
+ * @param {string} capability - ProviderCapability
+ * @param {string} compositor - Compositor preference from the job's pipeline config
+ * @returns {string} Provider name
+ */
+export function getPrimaryProvider(capability, compositor) {
+  const aiProvider = process.env.AI_PROVIDER || 'freepik';
+
+  if (aiProvider === 'mock') {
+    return aiProvider;
   }
 
-  const providerName = process.env.AI_PROVIDER || 'freepik';
-  const providerClass = PROVIDERS[providerName]?.seedream;
+  if (COMPOSITOR_CAPABILITIES.includes(capability)) {
+    return compositor;
+  }
 
-  if (!providerClass) {
-    throw new Error(`Unsupported AI provider for Seedream editing: ${providerName}`);
+  if (capability === ProviderCapability.SEGMENTATION && process.env.SEGMENT_PROVIDER) {
+    return process.env.SEGMENT_PROVIDER;
   }
 
-  // Get API key based on provider
-  const apiKey = getProviderApiKey(providerName);
+  if (capability === ProviderCapability.BACKGROUND && process.env.BACKGROUND_PROVIDER) {
+    return process.env.BACKGROUND_PROVIDER;
+  }
 
-  seedreamProvider = new providerClass({
-    apiKey,
-    name: `${providerName}-seedream`
-  });
+  return aiProvider;
+}
 
-  console.log(`[ProviderFactory] Initialized Seedream provider: ${providerName}`);
+/**
+ * Get the failover chain for a capability
+ * The primary provider (see getPrimaryProvider()) comes first. Saved fallbacks
+ * follow in order; duplicates and providers that don't support the capability
+ * are dropped.
+ *
+ * @param {string} capability - ProviderCapability
+ * @param {object} config - Job pipeline config (compositor, providerFallbacks)
+ * @returns {string[]} Provider names, in the order they are tried
+ */
+export function getProviderChain(capability, { compositor, providerFallbacks } = {}) {
+  const primary = getPrimaryProvider(capability, compositor);
 
-  return seedreamProvider;
+  return [...new Set([primary, ...(providerFallbacks?.[capability] || [])])]
+    .filter(providerName => supportsCapability(providerName, capability));
 }
 
+/**
+ * Run a provider operation down a failover chain
+ * Providers are tried in order until one succeeds; a failed result or a thrown
+ * error (including a missing API key) moves on to the next provider. A
+ * cancelled job (aborted signal) stops the chain instead of failing over.
+ *
+ * @param {string} capability - ProviderCapability
+ * @param {string[]} chain - Provider names (see getProviderChain())
+ * @param {function} operation - Called with each provider instance and its name, returns the provider result
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Job cancellation signal
+ * @returns {Promise<object>} Result of the provider that served the call (or the last failure), plus:
+ *   - servedBy: string|null - Provider name that succeeded
+ *   - capability, chain
+ *   - failovers: Array<{provider, error, next}> - Providers that failed before it
+ */
+export async function callWithFailover(capability, chain, operation, { signal } = {}) {
+  const failovers = [];
+  let lastResult = null;
+
+  if (chain.length === 0) {
+    return { success: false, error: `No ${capability} provider configured`, servedBy: null, capability, chain, failovers };
+  }
+
+  for (const [index, providerName] of chain.entries()) {
+    let result;
+
+    try {
+      result = await operation(getProvider(capability, providerName), providerName);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      result = { success: false, error: error.message, cost: 0 };
+    }
+
+    if (result.success) {
+      return { ...result, servedBy: providerName, capability, chain, failovers };
+    }
+
+    signal?.throwIfAborted();
+
+    const next = chain[index + 1] || null;
+    failovers.push({ provider: providerName, error: result.error, next });
+    lastResult = result;
+
+    if (next) {
+      console.warn(`[ProviderFactory] ⚠️  ${capability} failed on ${providerName}, failing over to ${next}: ${result.error}`);
+    }
+  }
+
+  return {
+    ...lastResult,
+    // Keep every provider's error; the first one usually explains the outage
+    error: failovers.length > 1
+      ? failovers.map(failover => `${failover.provider}: ${failover.error}`).join(' | ')
+      : lastResult.error,
+    servedBy: null,
+    capability,
+    chain,
+    failovers
+  };
+}
 
 /**
  * Reset providers (useful for testing)
  */
 export function resetProviders() {
-  segmentProvider = null;
-  backgroundProvider = null;
-  seedreamProvider = null;
+  instances.clear();
 }
 
 /**
@@ -158,11 +283,38 @@ export function isProviderSupported(providerName) {
   return providerName in PROVIDERS;
 }
 
+/**
+ * Check if a provider implements a capability
+ */
+export function supportsCapability(providerName, capability) {
+  return Boolean(PROVIDERS[providerName]?.[capability]);
+}
+
+/**
+ * List the providers available for each failover capability
+ * @returns {Object<string, string[]>} Provider names by capability
+ */
+export function getCapabilityProviders() {
+  return Object.fromEntries(
+    Object.values(ProviderCapability).map(capability => [
+      capability,
+      getSupportedProviders().filter(providerName => supportsCapability(providerName, capability))
+    ])
+  );
+}
+
 export default {
+  ProviderCapability,
+  getProvider,
   getSegmentProvider,
   getBackgroundProvider,
   getSeedreamProvider,
+  getPrimaryProvider,
+  getProviderChain,
+  callWithFailover,
   resetProviders,
   getSupportedProviders,
-  isProviderSupported
+  isProviderSupported,
+  supportsCapability,
+  getCapabilityProviders
 };
@@ -0,0 +1,176 @@
+/**
+ * Color-Key Segmentation
+ *
+ * Removes a plain capture backdrop (our white or green sweep) without an API:
+ *
+ * 1. Key color: the median border pixel, or a fixed color
+ * 2. Flood fill from the image border through pixels close to the key color,
+ *    comparing chroma fully and brightness only partly, so the shading of a
+ *    sweep stays background while the product's own white areas (labels,
+ *    inside the glass) survive unless they touch the border
+ * 3. Morphological cleanup of the product mask: opening drops specks left on
+ *    the sweep, closing fills pinholes along the edge
+ * 4. Edge feathering, and green spill suppression on the product edge when
+ *    the key is green
+ */
+
+import sharp from 'sharp';
+import { floodFillFromBorder } from '../../utils/imaging.js';
+
+/**
+ * Default thresholds (see colorKeyCutout())
+ */
+export const COLOR_KEY_DEFAULTS = {
+  keyColor: null,      // Auto (median border pixel)
+  tolerance: 40,       // Max distance from the key color for background pixels
+  lumaWeight: 0.25,    // Share of brightness differences in the distance (0 = chroma only)
+  morphRadius: 2,      // Opening/closing radius in pixels (0 = no cleanup)
+  feather: 1.2,        // Edge blur sigma in pixels (0 = hard edge)
+  despill: true        // Pull the key color's dominant channel back on edge pixels
+};
+
+/**
+ * Parse a #rrggbb color
+ * @returns {number[]} [r, g, b]
+ * @throws {Error} If the color isn't #rrggbb
+ */
+export function parseKeyColor(hex) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex.trim());
+  if (!match) {
+    throw new Error(`Invalid key color '${hex}' (use #rrggbb)`);
+  }
+  return match.slice(1).map(channel => parseInt(channel, 16));
+}
+
+/**
+ * Median color of the image border (robust to a product touching the edge)
+ */
+function medianBorderColor(data, width, height, channels) {
+  const samples = [[], [], []];
+  const sample = p => {
+    for (let c = 0; c < 3; c++) samples[c].push(data[p * channels + c]);
+  };
+
+  for (let x = 0; x < width; x++) {
+    sample(x);
+    sample((height - 1) * width + x);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    sample(y * width);
+    sample(y * width + width - 1);
+  }
+
+  return samples.map(values => values.sort((a, b) => a - b)[values.length >> 1]);
+}
+
+/**
+ * Luma and chroma of an RGB color (BT.601)
+ */
+function toYCbCr(r, g, b) {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  return [y, 0.564 * (b - y), 0.713 * (r - y)];
+}
+
+/**
+ * Apply a morphological operation to a single-channel mask
+ */
+async function morph(mask, width, height, operation, radius) {
+  return sharp(mask, { raw: { width, height, channels: 1 } })[operation](radius)
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Cut a product out of a plain backdrop
+ *
+ * @param {Buffer} imageBuffer - Source image (any format sharp reads)
+ * @param {Object} options - Thresholds (see COLOR_KEY_DEFAULTS)
+ * @param {string} options.keyColor - Backdrop color as #rrggbb (default: median border pixel)
+ * @returns {Promise<{cutout: Buffer, width: number, height: number, keyColor: string, foregroundRatio: number}>}
+ *   cutout is a PNG with the backdrop transparent; foregroundRatio is the share of product pixels
+ */
+export async function colorKeyCutout(imageBuffer, options = {}) {
+  const { keyColor, tolerance, lumaWeight, morphRadius, feather, despill } = { ...COLOR_KEY_DEFAULTS, ...options };
+
+  const { data, info } = await sharp(imageBuffer)
+    .rotate() // Respect EXIF orientation, as the original is shown
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height, channels } = info;
+  const pixelCount = width * height;
+
+  const key = keyColor ? parseKeyColor(keyColor) : medianBorderColor(data, width, height, channels);
+  const [keyY, keyCb, keyCr] = toYCbCr(...key);
+  const maxDistSq = tolerance * tolerance;
+
+  const isBackdrop = p => {
+    const i = p * channels;
+    const [y, cb, cr] = toYCbCr(data[i], data[i + 1], data[i + 2]);
+    return lumaWeight * (y - keyY) ** 2 + (cb - keyCb) ** 2 + (cr - keyCr) ** 2 <= maxDistSq;
+  };
+
+  // Backdrop: every border-connected pixel close to the key color
+  const { filled: backdrop } = floodFillFromBorder(width, height, isBackdrop);
+
+  let mask = Buffer.alloc(pixelCount);
+  for (let p = 0; p < pixelCount; p++) {
+    mask[p] = backdrop[p] ? 0 : 255;
+  }
+
+  if (morphRadius > 0) {
+    const size = morphRadius * 2 + 1;
+    mask = await morph(await morph(mask, width, height, 'erode', size), width, height, 'dilate', size);
+    mask = await morph(await morph(mask, width, height, 'dilate', size), width, height, 'erode', size);
+  }
+
+  let foreground = 0;
+  for (let p = 0; p < pixelCount; p++) {
+    if (mask[p] > 127) foreground++;
+  }
+
+  const alpha = feather > 0
+    ? await sharp(mask, { raw: { width, height, channels: 1 } })
+      .blur(Math.max(feather, 0.3)) // sharp's minimum sigma
+      .extractChannel(0) // blur() promotes single-channel input to RGB
+      .raw()
+      .toBuffer()
+    : mask;
+
+  // Edge pixels pick up the backdrop's color; clamp the key's dominant channel
+  // to the other two so a green sweep doesn't leave a green fringe
+  const dominant = key.indexOf(Math.max(...key));
+  const others = [0, 1, 2].filter(c => c !== dominant);
+  const spill = despill && key[dominant] - Math.max(...others.map(c => key[c])) > 40;
+
+  const rgba = Buffer.alloc(pixelCount * 4);
+  for (let p = 0; p < pixelCount; p++) {
+    const i = p * channels;
+    for (let c = 0; c < 3; c++) rgba[p * 4 + c] = data[i + c];
+
+    if (spill && alpha[p] < 255) {
+      const limit = Math.max(data[i + others[0]], data[i + others[1]]);
+      rgba[p * 4 + dominant] = Math.min(data[i + dominant], limit);
+    }
+
+    rgba[p * 4 + 3] = alpha[p];
+  }
+
+  const cutout = await sharp(rgba, { raw: { width, height, channels: 4 } }).png().toBuffer();
+
+  return {
+    cutout,
+    width,
+    height,
+    keyColor: `#${key.map(channel => channel.toString(16).padStart(2, '0')).join('')}`,
+    foregroundRatio: foreground / pixelCount
+  };
+}
+
+export default {
+  COLOR_KEY_DEFAULTS,
+  parseKeyColor,
+  colorKeyCutout
+};
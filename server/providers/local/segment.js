@@ -0,0 +1,190 @@
+/**
+ * Local Background Removal Provider
+ *
+ * Segments bottles shot on a plain capture sweep (white or green) with sharp,
+ * so cutouts don't depend on Freepik's beta remove-background endpoint. Use it
+ * as the primary (SEGMENT_PROVIDER=local) for simple backdrops, or as a
+ * segmentation fallback in Settings for when Freepik fails.
+ *
+ * Images whose backdrop it can't separate (almost everything kept, or almost
+ * nothing) fail, so a failover chain moves on to the next provider.
+ *
+ * Environment (see color-key.js):
+ * - LOCAL_SEGMENT_KEY_COLOR       Backdrop color as #rrggbb (default: median border pixel)
+ * - LOCAL_SEGMENT_TOLERANCE       Max color distance for backdrop pixels (default: 40)
+ * - LOCAL_SEGMENT_LUMA_WEIGHT     Share of brightness in the distance, 0-1 (default: 0.25)
+ * - LOCAL_SEGMENT_MORPH_RADIUS    Mask cleanup radius in pixels (default: 2)
+ * - LOCAL_SEGMENT_FEATHER         Edge blur sigma in pixels (default: 1.2)
+ * - LOCAL_SEGMENT_DESPILL         Remove green fringes on a green key (default: true)
+ * - LOCAL_SEGMENT_MIN_FOREGROUND  Min share of product pixels (default: 0.02)
+ * - LOCAL_SEGMENT_MAX_FOREGROUND  Max share of product pixels (default: 0.9)
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+import { BaseProvider, parseNumberSetting } from '../base.js';
+import { COLOR_KEY_DEFAULTS, colorKeyCutout, parseKeyColor } from './color-key.js';
+import { getStorage } from '../../storage/index.js';
+
+/**
+ * Read segmentation thresholds from config, falling back to environment variables
+ */
+export function getLocalSegmentConfig(config = {}) {
+  const env = process.env;
+
+  return {
+    keyColor: config.keyColor ?? (env.LOCAL_SEGMENT_KEY_COLOR || COLOR_KEY_DEFAULTS.keyColor),
+    tolerance: parseNumberSetting(config.tolerance ?? env.LOCAL_SEGMENT_TOLERANCE, COLOR_KEY_DEFAULTS.tolerance),
+    lumaWeight: parseNumberSetting(config.lumaWeight ?? env.LOCAL_SEGMENT_LUMA_WEIGHT, COLOR_KEY_DEFAULTS.lumaWeight),
+    morphRadius: Math.round(parseNumberSetting(config.morphRadius ?? env.LOCAL_SEGMENT_MORPH_RADIUS, COLOR_KEY_DEFAULTS.morphRadius)),
+    feather: parseNumberSetting(config.feather ?? env.LOCAL_SEGMENT_FEATHER, COLOR_KEY_DEFAULTS.feather),
+    despill: config.despill ?? (env.LOCAL_SEGMENT_DESPILL ? env.LOCAL_SEGMENT_DESPILL !== 'false' : COLOR_KEY_DEFAULTS.despill),
+    minForeground: parseNumberSetting(config.minForeground ?? env.LOCAL_SEGMENT_MIN_FOREGROUND, 0.02),
+    maxForeground: parseNumberSetting(config.maxForeground ?? env.LOCAL_SEGMENT_MAX_FOREGROUND, 0.9)
+  };
+}
+
+export class LocalSegmentProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      name: 'LocalSegment',
+      provider: 'local'
+    });
+
+    this.segment = getLocalSegmentConfig(config);
+    this.validateConfig();
+  }
+
+  /**
+   * Remove background from product image (Flow v2)
+   * Returns BOTH cutout (alpha PNG) AND mask, same shape as FreepikSegmentProvider
+   */
+  async removeBackground({ imageUrl, sku, sha256, signal }) {
+    const startTime = Date.now();
+    this.log('info', 'Starting local background removal', { sku, sha256 });
+
+    try {
+      const imageBuffer = await this.downloadImage(imageUrl, signal);
+      signal?.throwIfAborted();
+
+      const { cutout, width, height, keyColor, foregroundRatio } = await colorKeyCutout(imageBuffer, this.segment);
+      signal?.throwIfAborted();
+
+      const foreground = `${(foregroundRatio * 100).toFixed(1)}%`;
+
+      if (foregroundRatio < this.segment.minForeground) {
+        throw new Error(`No product found against the ${keyColor} backdrop (${foreground} of the image kept)`);
+      }
+
+      if (foregroundRatio > this.segment.maxForeground) {
+        throw new Error(`Backdrop is not plain enough for local segmentation (${foreground} of the image kept, key ${keyColor})`);
+      }
+
+      const maskBuffer = await this.extractAlphaMask(cutout);
+
+      const storage = getStorage();
+      const cutoutS3Key = storage.getCutoutKey(sku, sha256);
+      const maskS3Key = storage.getMaskKey(sku, sha256);
+
+      await Promise.all([
+        storage.uploadBuffer(cutoutS3Key, cutout, 'image/png'),
+        storage.uploadBuffer(maskS3Key, maskBuffer, 'image/png')
+      ]);
+
+      const [cutoutS3Url, maskS3Url] = await Promise.all([
+        storage.getPresignedGetUrl(cutoutS3Key, 3600),
+        storage.getPresignedGetUrl(maskS3Key, 3600)
+      ]);
+
+      const duration = Date.now() - startTime;
+      const cost = this.calculateCost('removeBackground');
+
+      this.log('info', 'Local background removal complete', {
+        sku,
+        cutoutKey: cutoutS3Key,
+        keyColor,
+        foreground,
+        duration: `${duration}ms`
+      });
+
+      return {
+        success: true,
+        cutout: {
+          s3Key: cutoutS3Key,
+          s3Url: cutoutS3Url
+        },
+        mask: {
+          s3Key: maskS3Key,
+          s3Url: maskS3Url
+        },
+        // Legacy compatibility (Flow v1)
+        s3Key: maskS3Key,
+        s3Url: maskS3Url,
+        provider: this.name,
+        cost,
+        metadata: {
+          duration,
+          width,
+          height,
+          keyColor,
+          foregroundRatio,
+          format: 'png'
+        }
+      };
+
+    } catch (error) {
+      this.log('error', 'Local background removal failed', { sku, error: error.message });
+
+      return {
+        success: false,
+        error: error.message,
+        provider: this.name,
+        cost: 0
+      };
+    }
+  }
+
+  /**
+   * Load image bytes from http(s) or file:// URL
+   */
+  async downloadImage(url, signal) {
+    if (url.startsWith('file://')) {
+      return fs.promises.readFile(fileURLToPath(url), { signal });
+    }
+
+    const response = await fetch(url, { timeout: 30000, signal });
+
+    if (!response.ok) {
+      throw new Error(`Failed to download image: ${response.status} ${response.statusText}`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+
+    if (buffer.length === 0) {
+      throw new Error('Downloaded image is empty');
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Runs locally: no API key, but the thresholds must make sense
+   */
+  validateConfig() {
+    const { keyColor, tolerance, lumaWeight, morphRadius, feather, minForeground, maxForeground } = this.segment;
+
+    if (keyColor) parseKeyColor(keyColor);
+
+    if (!(tolerance > 0) || !(lumaWeight >= 0 && lumaWeight <= 1) || !(morphRadius >= 0) || !(feather >= 0)) {
+      throw new Error(`${this.name}: invalid thresholds (tolerance > 0, luma weight 0-1, morph radius and feather >= 0)`);
+    }
+
+    if (!(minForeground >= 0 && minForeground < maxForeground && maxForeground <= 1)) {
+      throw new Error(`${this.name}: invalid foreground range (0 <= min < max <= 1)`);
+    }
+  }
+}
+
+export default LocalSegmentProvider;
@@ -0,0 +1,93 @@
+/**
+ * Mock Background Generation Provider
+ *
+ * Offline replacement for FreepikBackgroundProvider. Renders a themed gradient
+ * seeded from sku/sha256/theme/variant, so each variant differs but reruns match.
+ */
+
+import { MockProvider } from './base.js';
+import { renderGradientBackground } from './imaging.js';
+import { seedFrom } from '../../utils/imaging.js';
+import { getStorage } from '../../storage/index.js';
+
+export class MockBackgroundProvider extends MockProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      name: 'MockBackground'
+    });
+  }
+
+  /**
+   * Generate themed background image
+   * Same signature and result shape as FreepikBackgroundProvider.generateBackground()
+   */
+  async generateBackground({
+    theme = 'default',
+    sku,
+    sha256,
+    dimensions = { width: 1024, height: 1024 },
+    customPrompt = null,
+    themePrompt = null,
+    variant = 1,
+    signal
+  }) {
+    const startTime = Date.now();
+    this.log('info', 'Starting mock background generation', { sku, theme, variant });
+
+    try {
+      await this.simulate('generateBackground', { sku, signal });
+
+      const width = dimensions?.width || 1024;
+      const height = dimensions?.height || 1024;
+      const seed = seedFrom(sku, sha256, theme, customPrompt || '', variant);
+
+      const backgroundBuffer = await renderGradientBackground({ theme, seed, width, height });
+
+      const storage = getStorage();
+      const s3Key = storage.getBackgroundKey(sku, sha256, theme, variant);
+
+      await storage.uploadBuffer(s3Key, backgroundBuffer, 'image/jpeg');
+      const s3Url = await storage.getPresignedGetUrl(s3Key, 3600);
+
+      const duration = Date.now() - startTime;
+      const cost = this.calculateCost('generateBackground');
+
+      this.log('info', 'Mock background generation complete', {
+        sku,
+        s3Key,
+        duration: `${duration}ms`
+      });
+
+      return {
+        success: true,
+        s3Key,
+        s3Url,
+        provider: this.name,
+        cost,
+        metadata: {
+          duration,
+          theme,
+          prompt: customPrompt || themePrompt || this.getThemePrompt(theme),
+          negativePrompt: this.getNegativePrompt(theme),
+          seed,
+          width,
+          height,
+          format: 'jpeg'
+        }
+      };
+
+    } catch (error) {
+      this.log('error', 'Mock background generation failed', { sku, error: error.message });
+
+      return {
+        success: false,
+        error: error.message,
+        provider: this.name,
+        cost: 0
+      };
+    }
+  }
+}
+
+export default MockBackgroundProvider;
@@ -0,0 +1,142 @@
+/**
+ * Mock Provider Base
+ *
+ * Shared behaviour for the offline mock provider family (AI_PROVIDER=mock):
+ * simulated latency, cost accounting and failure injection, plus image loading
+ * that works against local storage URLs and file:// paths.
+ *
+ * Environment:
+ * - MOCK_PROVIDER_LATENCY_MS     Delay added to every operation (default: 0)
+ * - MOCK_PROVIDER_COST_USD       Flat cost per operation; overrides the 'mock' rows of the pricing table
+ * - MOCK_PROVIDER_FAILURE_RATE   Probability (0-1) that an operation fails (default: 0)
+ * - MOCK_PROVIDER_FAIL_OPERATIONS Comma-separated operations that always fail
+ *                                (removeBackground, generateBackground, editBackground,
+ *                                 enhanceLighting, compositeImage)
+ * - MOCK_PROVIDER_FAIL_SKUS      Comma-separated SKUs whose operations always fail
+ * - MOCK_PROVIDER_FAILURE_STATUS HTTP status reported by injected failures (default: 503,
+ *                                transient; use a 4xx to simulate a permanent error)
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+import { BaseProvider } from '../base.js';
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read mock behaviour from config, falling back to environment variables
+ */
+export function getMockConfig(config = {}) {
+  const flatCost = config.costUsd ?? process.env.MOCK_PROVIDER_COST_USD;
+
+  return {
+    latencyMs: parseInt(config.latencyMs ?? process.env.MOCK_PROVIDER_LATENCY_MS ?? '0', 10),
+    costUsd: flatCost !== undefined && flatCost !== '' ? parseFloat(flatCost) : null,
+    failureRate: parseFloat(config.failureRate ?? process.env.MOCK_PROVIDER_FAILURE_RATE ?? '0'),
+    failOperations: config.failOperations || parseList(process.env.MOCK_PROVIDER_FAIL_OPERATIONS),
+    failSkus: config.failSkus || parseList(process.env.MOCK_PROVIDER_FAIL_SKUS),
+    failureStatus: parseInt(config.failureStatus ?? process.env.MOCK_PROVIDER_FAILURE_STATUS ?? '503', 10)
+  };
+}
+
+export class MockProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({ provider: 'mock', ...config });
+    this.mock = getMockConfig(config);
+  }
+
+  /**
+   * Simulate provider round-trip: wait, then decide whether to inject a failure
+   * Throws when the operation should fail so callers handle it like a real API error,
+   * or when `signal` fires (job cancelled) during the simulated latency
+   */
+  async simulate(operation, { sku, signal } = {}) {
+    if (this.mock.latencyMs > 0) {
+      await this.sleep(this.mock.latencyMs, signal);
+    }
+
+    signal?.throwIfAborted();
+
+    if (this.mock.failOperations.includes(operation)) {
+      throw this.injectedFailure(`failure injected for operation: ${operation}`);
+    }
+
+    if (sku && this.mock.failSkus.includes(sku)) {
+      throw this.injectedFailure(`failure injected for SKU: ${sku}`);
+    }
+
+    if (this.mock.failureRate > 0 && Math.random() < this.mock.failureRate) {
+      throw this.injectedFailure(`random failure (rate ${this.mock.failureRate}) for operation: ${operation}`);
+    }
+  }
+
+  /**
+   * Build an injected failure shaped like a real provider API error,
+   * so error classification (transient vs permanent) sees the HTTP status
+   */
+  injectedFailure(detail) {
+    const error = new Error(`Mock API error (${this.mock.failureStatus}): ${detail}`);
+    error.status = this.mock.failureStatus;
+    return error;
+  }
+
+  /**
+   * Cost for a mock operation
+   * The 'mock' pricing rows mirror the real providers so budgets and dashboards
+   * behave realistically in offline runs.
+   */
+  calculateCost(operation, options) {
+    if (this.mock.costUsd !== null) {
+      return this.mock.costUsd;
+    }
+    return super.calculateCost(operation, options);
+  }
+
+  /**
+   * Load image bytes from http(s) or file:// URL
+   */
+  async downloadImage(url, signal) {
+    if (!url) {
+      throw new Error('Image URL is required');
+    }
+
+    if (url.startsWith('file://')) {
+      return fs.promises.readFile(fileURLToPath(url), { signal });
+    }
+
+    const response = await fetch(url, { timeout: 30000, signal });
+
+    if (!response.ok) {
+      throw new Error(`Failed to download image: ${response.status} ${response.statusText}`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+
+    if (buffer.length === 0) {
+      throw new Error('Downloaded image is empty');
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Load an object from storage via a short-lived presigned URL
+   */
+  async downloadFromStorage(storage, key, signal) {
+    const url = await storage.getPresignedGetUrl(key, 300);
+    return this.downloadImage(url, signal);
+  }
+
+  /**
+   * Mock providers need no credentials
+   */
+  validateConfig() {}
+}
+
+export default MockProvider;
@@ -0,0 +1,127 @@
+/**
+ * Mock AI Compositor
+ *
+ * Offline replacement for FreepikCompositeProvider / NanoBananaCompositeProvider.
+ * Places the cutout onto the background with sharp; enhanceLighting mirrors
+ * NanoBananaCompositeProvider for the combined Sharp + AI lighting flow.
+ */
+
+import { MockProvider } from './base.js';
+import { placeOnBackground, relight } from './imaging.js';
+import { getStorage } from '../../storage/index.js';
+
+export class MockCompositeProvider extends MockProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      name: 'MockComposite'
+    });
+  }
+
+  /**
+   * Composite cutout onto background
+   * Same signature and result shape as the AI compositors
+   */
+  async compositeImage({
+    cutoutS3Key,
+    backgroundS3Key,
+    sku,
+    sha256,
+    theme = 'default',
+    variant = 1,
+    options = {},
+    signal
+  }) {
+    const startTime = Date.now();
+    this.log('info', 'Starting mock composite', { sku, cutoutS3Key, backgroundS3Key });
+
+    try {
+      await this.simulate('compositeImage', { sku, signal });
+
+      const storage = getStorage();
+      const [cutoutBuffer, backgroundBuffer] = await Promise.all([
+        this.downloadFromStorage(storage, cutoutS3Key, signal),
+        this.downloadFromStorage(storage, backgroundS3Key, signal)
+      ]);
+
+      const compositeBuffer = await placeOnBackground(cutoutBuffer, backgroundBuffer);
+
+      const aspect = options.aspect || '1x1';
+      const compositeS3Key = storage.getCompositeKey(sku, sha256, theme, aspect, variant, 'mock');
+      await storage.uploadBuffer(compositeS3Key, compositeBuffer, 'image/jpeg');
+      const compositeS3Url = await storage.getPresignedGetUrl(compositeS3Key, 3600);
+
+      const duration = Date.now() - startTime;
+
+      return {
+        success: true,
+        s3Key: compositeS3Key,
+        s3Url: compositeS3Url,
+        metadata: {
+          duration,
+          size: compositeBuffer.length,
+          provider: 'mock'
+        },
+        cost: this.calculateCost('compositeImage')
+      };
+
+    } catch (error) {
+      this.log('error', 'Mock composite failed', { sku, error: error.message });
+
+      return {
+        success: false,
+        error: error.message,
+        metadata: {
+          duration: Date.now() - startTime
+        }
+      };
+    }
+  }
+
+  /**
+   * Enhance lighting of a Sharp composite
+   */
+  async enhanceLighting({ compositeS3Key, sku, sha256, theme = 'default', variant = 1, signal }) {
+    const startTime = Date.now();
+
+    try {
+      await this.simulate('enhanceLighting', { sku, signal });
+
+      const storage = getStorage();
+      const compositeBuffer = await this.downloadFromStorage(storage, compositeS3Key, signal);
+      const enhancedBuffer = await relight(compositeBuffer);
+
+      const enhancedS3Key = storage.getCompositeKey(sku, sha256, theme, '1x1', variant, 'mock-enhanced');
+      await storage.uploadBuffer(enhancedS3Key, enhancedBuffer, 'image/jpeg');
+      const s3Url = await storage.getPresignedGetUrl(enhancedS3Key, 3600);
+
+      return {
+        success: true,
+        s3Key: enhancedS3Key,
+        s3Url,
+        metadata: {
+          duration: Date.now() - startTime,
+          provider: 'mock',
+          prompt: this.getCompositePrompt(theme),
+          sharpCompositeS3Key: compositeS3Key,
+          combinedFlow: true
+        },
+        cost: this.calculateCost('enhanceLighting')
+      };
+
+    } catch (error) {
+      this.log('error', 'Mock lighting enhancement failed', { sku, error: error.message });
+
+      return {
+        success: false,
+        error: error.message,
+        metadata: {
+          duration: Date.now() - startTime
+        },
+        cost: 0
+      };
+    }
+  }
+}
+
+export default MockCompositeProvider;
@@ -0,0 +1,169 @@
+/**
+ * Mock Provider Imaging Helpers
+ *
+ * Deterministic sharp-based stand-ins for the AI operations:
+ * - Border flood-fill cutout (removes a uniform studio background)
+ * - Themed gradient backgrounds
+ * - Product placement and a subtle "relight" pass
+ *
+ * Same inputs always produce the same pixels, so pipeline runs are reproducible.
+ */
+
+import sharp from 'sharp';
+import { floodFillFromBorder } from '../../utils/imaging.js';
+
+/**
+ * Gradient palettes per theme: [top, bottom, highlight]
+ */
+export const THEME_PALETTES = {
+  default: ['#f5f5f4', '#d6d3d1', '#ffffff'],
+  kitchen: ['#e7e0d4', '#a08c74', '#fff7ea'],
+  outdoors: ['#cfe3c1', '#6b8f5a', '#fffbe6'],
+  minimal: ['#fafafa', '#e5e5e5', '#ffffff'],
+  luxury: ['#3b3024', '#0f0c08', '#d4b483'],
+  christmas: ['#7f1d1d', '#1f3d2b', '#fde68a'],
+  halloween: ['#3b1d4a', '#120a16', '#f97316']
+};
+
+/**
+ * Remove a uniform background by flood-filling from the image border
+ *
+ * Background colour is estimated from the four corners; every border-connected
+ * pixel within `tolerance` (euclidean RGB distance) becomes transparent.
+ *
+ * @param {Buffer} imageBuffer - Source image (any format sharp reads)
+ * @param {Object} options
+ * @param {number} options.tolerance - Colour distance treated as background (default: 48)
+ * @returns {Promise<{cutout: Buffer, mask: Buffer, width: number, height: number, removedRatio: number}>}
+ */
+export async function floodFillCutout(imageBuffer, { tolerance = 48 } = {}) {
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  const pixelCount = width * height;
+
+  // Average the corner pixels to estimate the background colour
+  const corners = [0, width - 1, (height - 1) * width, pixelCount - 1];
+  const bg = [0, 1, 2].map(c =>
+    corners.reduce((sum, p) => sum + data[p * 4 + c], 0) / corners.length
+  );
+  const maxDistSq = tolerance * tolerance;
+
+  const isBackground = (p) => {
+    const dr = data[p * 4] - bg[0];
+    const dg = data[p * 4 + 1] - bg[1];
+    const db = data[p * 4 + 2] - bg[2];
+    return dr * dr + dg * dg + db * db <= maxDistSq;
+  };
+
+  // Every border-connected pixel close to the background colour
+  const { filled: visited, count: removed } = floodFillFromBorder(width, height, isBackground);
+
+  const alpha = Buffer.alloc(pixelCount);
+  for (let p = 0; p < pixelCount; p++) {
+    alpha[p] = visited[p] ? 0 : 255;
+  }
+
+  // Soften the edge slightly so composites don't look jagged
+  const softAlpha = await sharp(alpha, { raw: { width, height, channels: 1 } })
+    .blur(0.8)
+    .extractChannel(0) // blur() promotes single-channel input to RGB
+    .raw()
+    .toBuffer();
+
+  for (let p = 0; p < pixelCount; p++) {
+    data[p * 4 + 3] = softAlpha[p];
+  }
+
+  const [cutout, mask] = await Promise.all([
+    sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer(),
+    sharp(softAlpha, { raw: { width, height, channels: 1 } }).png().toBuffer()
+  ]);
+
+  return {
+    cutout,
+    mask,
+    width,
+    height,
+    removedRatio: removed / pixelCount
+  };
+}
+
+/**
+ * Render a themed vertical gradient with a soft highlight
+ *
+ * @param {Object} params
+ * @param {string} params.theme - Theme name (falls back to default palette)
+ * @param {number} params.seed - Seed from seedFrom() (utils/imaging.js); varies highlight position/tint
+ * @param {number} params.width - Output width
+ * @param {number} params.height - Output height
+ * @returns {Promise<Buffer>} JPEG buffer
+ */
+export async function renderGradientBackground({ theme, seed, width = 1024, height = 1024 }) {
+  const [top, bottom, highlight] = THEME_PALETTES[theme] || THEME_PALETTES.default;
+
+  const cx = 30 + (seed % 41);               // 30-70%
+  const cy = 20 + ((seed >>> 8) % 21);       // 20-40%
+  const strength = 0.35 + ((seed >>> 16) % 30) / 100;
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <defs>
+      <linearGradient id="base" x1="0" y1="0" x2="0" y2="1">
+        <stop offset="0" stop-color="${top}"/>
+        <stop offset="1" stop-color="${bottom}"/>
+      </linearGradient>
+      <radialGradient id="glow" cx="${cx}%" cy="${cy}%" r="60%">
+        <stop offset="0" stop-color="${highlight}" stop-opacity="${strength.toFixed(2)}"/>
+        <stop offset="1" stop-color="${highlight}" stop-opacity="0"/>
+      </radialGradient>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#base)"/>
+    <rect width="100%" height="100%" fill="url(#glow)"/>
+  </svg>`;
+
+  return sharp(Buffer.from(svg)).jpeg({ quality: 90 }).toBuffer();
+}
+
+/**
+ * Place a transparent cutout onto a background, centred and scaled to fit
+ *
+ * @param {Buffer} cutoutBuffer - PNG with alpha
+ * @param {Buffer} backgroundBuffer - Background image
+ * @param {Object} options
+ * @param {number} options.size - Square output size (default: 1024)
+ * @param {number} options.scale - Fraction of the canvas the product may occupy (default: 0.8)
+ * @returns {Promise<Buffer>} JPEG buffer
+ */
+export async function placeOnBackground(cutoutBuffer, backgroundBuffer, { size = 1024, scale = 0.8 } = {}) {
+  const productSize = Math.round(size * scale);
+
+  const [background, product] = await Promise.all([
+    sharp(backgroundBuffer).resize(size, size, { fit: 'cover' }).toBuffer(),
+    sharp(cutoutBuffer)
+      .resize(productSize, productSize, { fit: 'inside', withoutEnlargement: false })
+      .png()
+      .toBuffer()
+  ]);
+
+  return sharp(background)
+    .composite([{ input: product, gravity: 'center' }])
+    .jpeg({ quality: 92 })
+    .toBuffer();
+}
+
+/**
+ * Subtle brightness/contrast lift standing in for AI lighting enhancement
+ *
+ * @param {Buffer} imageBuffer - Composite image
+ * @returns {Promise<Buffer>} JPEG buffer
+ */
+export async function relight(imageBuffer) {
+  return sharp(imageBuffer)
+    .modulate({ brightness: 1.04, saturation: 1.06 })
+    .linear(1.05, -4)
+    .jpeg({ quality: 92 })
+    .toBuffer();
+}
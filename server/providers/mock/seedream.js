@@ -0,0 +1,134 @@
+/**
+ * Mock Seedream Edit Provider
+ *
+ * Offline replacement for FreepikSeedreamProvider:
+ * - editBackground: flood-fill cutout placed on a template or gradient background
+ * - enhanceLighting: subtle brightness/contrast pass over a Sharp composite
+ */
+
+import { MockProvider } from './base.js';
+import { floodFillCutout, placeOnBackground, relight, renderGradientBackground } from './imaging.js';
+import { seedFrom } from '../../utils/imaging.js';
+import { getStorage } from '../../storage/index.js';
+
+export class MockSeedreamProvider extends MockProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      name: 'MockSeedream'
+    });
+  }
+
+  /**
+   * Replace image background while preserving product
+   * Uses templateS3Key as the background when provided, otherwise a themed gradient
+   */
+  async editBackground({ imageUrl, templateS3Key = null, theme = 'default', sku, sha256, customPrompt = null, themePrompt = null, variant = 1, signal }) {
+    const startTime = Date.now();
+    this.log('info', 'Starting mock Seedream edit', { sku, theme, variant, template: !!templateS3Key });
+
+    try {
+      await this.simulate('editBackground', { sku, signal });
+
+      const storage = getStorage();
+      const imageBuffer = await this.downloadImage(imageUrl, signal);
+
+      const [{ cutout }, backgroundBuffer] = await Promise.all([
+        floodFillCutout(imageBuffer),
+        templateS3Key
+          ? this.downloadFromStorage(storage, templateS3Key, signal)
+          : renderGradientBackground({ theme, seed: seedFrom(sku, sha256, theme, customPrompt || '', variant) })
+      ]);
+
+      const editedBuffer = await placeOnBackground(cutout, backgroundBuffer);
+
+      const s3Key = storage.getCompositeKey(sku, sha256, theme, '1x1', variant, 'seedream');
+      await storage.uploadBuffer(s3Key, editedBuffer, 'image/jpeg');
+      const s3Url = await storage.getPresignedGetUrl(s3Key, 3600);
+
+      const duration = Date.now() - startTime;
+      const cost = this.calculateCost('editBackground');
+
+      this.log('info', 'Mock Seedream edit complete', { sku, s3Key, duration: `${duration}ms` });
+
+      return {
+        success: true,
+        s3Key,
+        s3Url,
+        provider: this.name,
+        cost,
+        metadata: {
+          duration,
+          theme,
+          prompt: customPrompt || themePrompt || this.getThemePrompt(theme),
+          templateS3Key,
+          workflow: 'seedream_edit',
+          format: 'jpeg'
+        }
+      };
+
+    } catch (error) {
+      this.log('error', 'Mock Seedream edit failed', { sku, error: error.message });
+
+      return {
+        success: false,
+        error: error.message,
+        provider: this.name,
+        cost: 0
+      };
+    }
+  }
+
+  /**
+   * Enhance lighting of a Sharp composite (combined Sharp + Seedream flow)
+   */
+  async enhanceLighting({ compositeS3Key, sku, sha256, theme = 'default', variant = 1, signal }) {
+    const startTime = Date.now();
+    this.log('info', 'Starting mock lighting enhancement', { sku, compositeS3Key, variant });
+
+    try {
+      await this.simulate('enhanceLighting', { sku, signal });
+
+      const storage = getStorage();
+      const compositeBuffer = await this.downloadFromStorage(storage, compositeS3Key, signal);
+      const enhancedBuffer = await relight(compositeBuffer);
+
+      const enhancedS3Key = storage.getCompositeKey(sku, sha256, theme, '1x1', variant, 'seedream-enhanced');
+      await storage.uploadBuffer(enhancedS3Key, enhancedBuffer, 'image/jpeg');
+      const s3Url = await storage.getPresignedGetUrl(enhancedS3Key, 3600);
+
+      const duration = Date.now() - startTime;
+      const cost = this.calculateCost('enhanceLighting');
+
+      this.log('info', 'Mock lighting enhancement complete', { sku, s3Key: enhancedS3Key, duration: `${duration}ms` });
+
+      return {
+        success: true,
+        s3Key: enhancedS3Key,
+        s3Url,
+        provider: this.name,
+        cost,
+        metadata: {
+          duration,
+          theme,
+          workflow: 'sharp_seedream_lighting',
+          prompt: this.getCompositePrompt(theme),
+          sharpCompositeS3Key: compositeS3Key,
+          combinedFlow: true
+        }
+      };
+
+    } catch (error) {
+      this.log('error', 'Mock lighting enhancement failed', { sku, error: error.message });
+
+      return {
+        success: false,
+        error: error.message,
+        provider: this.name,
+        cost: 0
+      };
+    }
+  }
+}
+
+export default MockSeedreamProvider;
@@ -0,0 +1,99 @@
+/**
+ * Mock Background Removal Provider
+ *
+ * Offline replacement for FreepikSegmentProvider. Removes uniform studio
+ * backgrounds with a deterministic border flood-fill instead of calling an API.
+ */
+
+import { MockProvider } from './base.js';
+import { floodFillCutout } from './imaging.js';
+import { getStorage } from '../../storage/index.js';
+
+export class MockSegmentProvider extends MockProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      name: 'MockSegment'
+    });
+
+    this.tolerance = parseInt(process.env.MOCK_SEGMENT_TOLERANCE || '48', 10);
+  }
+
+  /**
+   * Remove background from product image (Flow v2)
+   * Returns BOTH cutout (alpha PNG) AND mask, same shape as FreepikSegmentProvider
+   */
+  async removeBackground({ imageUrl, sku, sha256, signal }) {
+    const startTime = Date.now();
+    this.log('info', 'Starting mock background removal', { sku, sha256 });
+
+    try {
+      await this.simulate('removeBackground', { sku, signal });
+
+      const imageBuffer = await this.downloadImage(imageUrl, signal);
+      const { cutout, mask, width, height, removedRatio } = await floodFillCutout(imageBuffer, {
+        tolerance: this.tolerance
+      });
+
+      const storage = getStorage();
+      const cutoutS3Key = storage.getCutoutKey(sku, sha256);
+      const maskS3Key = storage.getMaskKey(sku, sha256);
+
+      await Promise.all([
+        storage.uploadBuffer(cutoutS3Key, cutout, 'image/png'),
+        storage.uploadBuffer(maskS3Key, mask, 'image/png')
+      ]);
+
+      const [cutoutS3Url, maskS3Url] = await Promise.all([
+        storage.getPresignedGetUrl(cutoutS3Key, 3600),
+        storage.getPresignedGetUrl(maskS3Key, 3600)
+      ]);
+
+      const duration = Date.now() - startTime;
+      const cost = this.calculateCost('removeBackground');
+
+      this.log('info', 'Mock background removal complete', {
+        sku,
+        cutoutKey: cutoutS3Key,
+        removed: `${(removedRatio * 100).toFixed(1)}%`,
+        duration: `${duration}ms`
+      });
+
+      return {
+        success: true,
+        cutout: {
+          s3Key: cutoutS3Key,
+          s3Url: cutoutS3Url
+        },
+        mask: {
+          s3Key: maskS3Key,
+          s3Url: maskS3Url
+        },
+        // Legacy compatibility (Flow v1)
+        s3Key: maskS3Key,
+        s3Url: maskS3Url,
+        provider: this.name,
+        cost,
+        metadata: {
+          duration,
+          width,
+          height,
+          removedRatio,
+          format: 'png'
+        }
+      };
+
+    } catch (error) {
+      this.log('error', 'Mock background removal failed', { sku, error: error.message });
+
+      return {
+        success: false,
+        error: error.message,
+        provider: this.name,
+        cost: 0
+      };
+    }
+  }
+}
+
+export default MockSegmentProvider;
@@ -13,9 +13,13 @@
  * - Fast processing via OpenRouter's reliable infrastructure
  */
 
+import { setTimeout as wait } from 'timers/promises';
 import fetch from 'node-fetch';
 import sharp from 'sharp';
 import { getStorage } from '../../storage/index.js';
+import { governedFetch } from '../../utils/request-governor.js';
+import { getPrice } from '../pricing.js';
+import { getThemePrompts } from '../themes.js';
 
 export class NanoBananaCompositeProvider {
   constructor({ apiKey }) {
@@ -39,6 +43,7 @@ export class NanoBananaCompositeProvider {
    * @param {string} params.theme - Theme name
    * @param {number} params.variant - Variant number
    * @param {Object} params.options - Additional options
+   * @param {AbortSignal} params.signal - Aborts the API request and downloads when the job is cancelled
    * @returns {Promise<Object>} Composite result with S3 key and metadata
    */
   async compositeImage({
@@ -48,7 +53,8 @@ export class NanoBananaCompositeProvider {
     sha256,
     theme = 'default',
     variant = 1,
-    options = {}
+    options = {},
+    signal
   }) {
     const startTime = Date.now();
 
@@ -65,8 +71,8 @@ export class NanoBananaCompositeProvider {
       // Step 1: Download cutout and background from S3
       console.log('[NanoBananaPro] Downloading images from S3...');
       const [cutoutBuffer, backgroundBuffer] = await Promise.all([
-        this.downloadFromS3(storage, cutoutS3Key),
-        this.downloadFromS3(storage, backgroundS3Key)
+        this.downloadFromS3(storage, cutoutS3Key, signal),
+        this.downloadFromS3(storage, backgroundS3Key, signal)
       ]);
 
       console.log('[NanoBananaPro] Downloaded:', {
@@ -119,7 +125,8 @@ export class NanoBananaCompositeProvider {
         cutoutBase64,
         backgroundBase64,
         prompt,
-        isSimpleBackground
+        isSimpleBackground,
+        signal
       });
 
       if (!result.success) {
@@ -143,13 +150,14 @@ export class NanoBananaCompositeProvider {
       const compositeS3Url = await storage.getPresignedGetUrl(compositeS3Key, 3600);
 
       const duration = Date.now() - startTime;
+      const cost = getPrice('nanobanana', 'compositeImage'); // Nano Banana Pro cost per generation
 
       console.log('[NanoBananaPro] Composite complete:', {
         sku,
         theme,
         s3Key: compositeS3Key,
         duration: `${duration}ms`,
-        cost: '$0.0300' // Nano Banana Pro cost per generation
+        cost: `$${cost.toFixed(4)}`
       });
 
       return {
@@ -162,7 +170,7 @@ export class NanoBananaCompositeProvider {
           provider: 'nanobanana-pro',
           model: 'gemini-3-pro-image-preview'
         },
-        cost: 0.03 // $0.03 per Nano Banana Pro generation
+        cost
       };
 
     } catch (error) {
@@ -188,7 +196,7 @@ export class NanoBananaCompositeProvider {
   /**
    * Submit composite request to OpenRouter (Gemini 2.5 Flash Image) with retry logic
    */
-  async submitCompositeRequest({ cutoutBase64, backgroundBase64, prompt, isSimpleBackground = false }) {
+  async submitCompositeRequest({ cutoutBase64, backgroundBase64, prompt, isSimpleBackground = false, signal }) {
     const maxRetries = 3;
     const initialDelay = 2000; // 2 seconds
     const backoffMultiplier = 2;
@@ -230,7 +238,7 @@ export class NanoBananaCompositeProvider {
 
         console.log(`[NanoBanana/OpenRouter] Submit attempt ${attempt}/${maxRetries}`);
 
-        const response = await fetch(this.apiUrl, {
+        const response = await governedFetch('nanobanana', this.apiUrl, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -239,7 +247,8 @@ export class NanoBananaCompositeProvider {
             'X-Title': 'Product Photo Capture'
           },
           body: JSON.stringify(payload),
-          timeout: 120000 // 120 second timeout for image generation
+          timeout: 120000, // 120 second timeout for image generation
+          signal
         });
 
         if (!response.ok) {
@@ -250,7 +259,7 @@ export class NanoBananaCompositeProvider {
           if ([502, 503, 504].includes(response.status) && attempt < maxRetries) {
             const delay = initialDelay * Math.pow(backoffMultiplier, attempt - 1);
             console.warn(`[NanoBanana/OpenRouter] Temporary error ${response.status}, retrying in ${delay}ms...`);
-            await this.sleep(delay);
+            await this.sleep(delay, signal);
             continue; // Retry
           }
 
@@ -316,8 +325,8 @@ export class NanoBananaCompositeProvider {
       } catch (error) {
         console.error(`[NanoBanana/OpenRouter] Submit attempt ${attempt}/${maxRetries} failed:`, error.message);
 
-        // If this is the last attempt, return the error
-        if (attempt >= maxRetries) {
+        // If this is the last attempt (or the job was cancelled), return the error
+        if (attempt >= maxRetries || signal?.aborted) {
           return {
             success: false,
             error: error.message
@@ -327,7 +336,7 @@ export class NanoBananaCompositeProvider {
         // Otherwise, wait and retry
         const delay = initialDelay * Math.pow(backoffMultiplier, attempt - 1);
         console.log(`[NanoBanana/OpenRouter] Retrying in ${delay}ms...`);
-        await this.sleep(delay);
+        await this.sleep(delay, signal);
       }
     }
 
@@ -341,10 +350,10 @@ export class NanoBananaCompositeProvider {
   /**
    * Download file from S3 to buffer
    */
-  async downloadFromS3(storage, s3Key) {
+  async downloadFromS3(storage, s3Key, signal) {
     try {
       const url = await storage.getPresignedGetUrl(s3Key, 300); // 5 minutes
-      const response = await fetch(url);
+      const response = await fetch(url, { signal });
 
       if (!response.ok) {
         throw new Error(`Failed to download ${s3Key}: ${response.status} ${response.statusText}`);
@@ -456,6 +465,7 @@ export class NanoBananaCompositeProvider {
    * @param {string} params.sha256 - Image hash
    * @param {string} params.theme - Theme name
    * @param {number} params.variant - Variant number
+   * @param {AbortSignal} params.signal - Aborts the API request and download when the job is cancelled
    * @returns {Promise<Object>} Enhanced composite result
    */
   async enhanceLighting({
@@ -463,7 +473,8 @@ export class NanoBananaCompositeProvider {
     sku,
     sha256,
     theme = 'default',
-    variant = 1
+    variant = 1,
+    signal
   }) {
     const startTime = Date.now();
 
@@ -480,7 +491,7 @@ export class NanoBananaCompositeProvider {
       // Step 1: Download Sharp composite from S3
       console.log('[NanoBananaPro] Downloading Sharp composite from S3');
       const compositeUrl = await storage.getPresignedGetUrl(compositeS3Key, 300);
-      const compositeBuffer = await this.downloadFromS3(storage, compositeS3Key);
+      const compositeBuffer = await this.downloadFromS3(storage, compositeS3Key, signal);
 
       console.log('[NanoBananaPro] Sharp composite downloaded', {
         size: `${(compositeBuffer.length / 1024).toFixed(2)}KB`
@@ -496,8 +507,8 @@ export class NanoBananaCompositeProvider {
       // Step 3: Convert to base64
       const compositeBase64 = resizedComposite.toString('base64');
 
-      // Step 4: Build lighting enhancement prompt
-      const prompt = this.getLightingPrompt(theme);
+      // Step 4: Lighting enhancement prompt (the theme's composite prompt)
+      const prompt = getThemePrompts(theme).composite;
 
       console.log('[NanoBananaPro] Using lighting enhancement prompt', {
         prompt: prompt.substring(0, 100) + '...'
@@ -506,7 +517,8 @@ export class NanoBananaCompositeProvider {
       // Step 5: Submit to Nano Banana for lighting enhancement
       const result = await this.submitLightingRequest({
         compositeBase64,
-        prompt
+        prompt,
+        signal
       });
 
       if (!result.success) {
@@ -544,13 +556,14 @@ export class NanoBananaCompositeProvider {
       const s3Url = await storage.getPresignedGetUrl(enhancedS3Key, 3600);
 
       const duration = Date.now() - startTime;
+      const cost = getPrice('nanobanana', 'enhanceLighting');
 
       console.log('[NanoBananaPro] Lighting enhancement complete:', {
         sku,
         theme,
         s3Key: enhancedS3Key,
         duration: `${duration}ms`,
-        cost: '$0.0300'
+        cost: `$${cost.toFixed(4)}`
       });
 
       return {
@@ -558,7 +571,7 @@ export class NanoBananaCompositeProvider {
         s3Key: enhancedS3Key,
         s3Url,
         provider: 'NanoBanana',
-        cost: 0.03,
+        cost,
         metadata: {
           duration,
           theme,
@@ -589,7 +602,7 @@ export class NanoBananaCompositeProvider {
   /**
    * Submit lighting enhancement request to Nano Banana
    */
-  async submitLightingRequest({ compositeBase64, prompt }) {
+  async submitLightingRequest({ compositeBase64, prompt, signal }) {
     const maxRetries = 3;
     const initialDelay = 2000;
     const backoffMultiplier = 2;
@@ -623,7 +636,7 @@ export class NanoBananaCompositeProvider {
 
         console.log(`[NanoBanana/OpenRouter] Lighting enhancement attempt ${attempt}/${maxRetries}`);
 
-        const response = await fetch(this.apiUrl, {
+        const response = await governedFetch('nanobanana', this.apiUrl, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -632,7 +645,8 @@ export class NanoBananaCompositeProvider {
             'X-Title': 'Product Photo Capture'
           },
           body: JSON.stringify(payload),
-          timeout: 120000
+          timeout: 120000,
+          signal
         });
 
         if (!response.ok) {
@@ -642,7 +656,7 @@ export class NanoBananaCompositeProvider {
           if ([502, 503, 504].includes(response.status) && attempt < maxRetries) {
             const delay = initialDelay * Math.pow(backoffMultiplier, attempt - 1);
             console.warn(`[NanoBanana/OpenRouter] Temporary error ${response.status}, retrying in ${delay}ms...`);
-            await this.sleep(delay);
+            await this.sleep(delay, signal);
             continue;
           }
 
@@ -702,7 +716,7 @@ export class NanoBananaCompositeProvider {
       } catch (error) {
         console.error(`[NanoBanana/OpenRouter] Attempt ${attempt}/${maxRetries} failed:`, error.message);
 
-        if (attempt >= maxRetries) {
+        if (attempt >= maxRetries || signal?.aborted) {
           return {
             success: false,
             error: error.message
@@ -711,7 +725,7 @@ export class NanoBananaCompositeProvider {
 
         const delay = initialDelay * Math.pow(backoffMultiplier, attempt - 1);
         console.log(`[NanoBanana/OpenRouter] Retrying in ${delay}ms...`);
-        await this.sleep(delay);
+        await this.sleep(delay, signal);
       }
     }
 
@@ -721,35 +735,12 @@ export class NanoBananaCompositeProvider {
     };
   }
 
-  /**
-   * Get lighting enhancement prompts (more subtle than full composite)
-   * Following Nano Banana Pro (Gemini 3 Pro) best practices:
-   * - Conversational, detailed language
-   * - Explicit preservation cues ("keep bottle unchanged")
-   * - Specific lighting details (color temp, direction, style)
-   * - Reference "provided image" to avoid regeneration
-   */
-  getLightingPrompt(theme) {
-    const prompts = {
-      default: 'Using the provided image of the bottle, adjust only the lighting to simulate soft studio illumination with gentle top and front softbox light and subtle shadows. Keep the bottle and its label exactly as in the original image - preserve the label text, logo, colors, and shape pixel-accurately. Only change the lighting: add even white balance with diffuse shadows to create professional e-commerce quality depth and realism.',
-
-      kitchen: 'Using the provided image of the bottle on a wooden surface, adjust only the lighting to mimic warm indoor ambient light at approximately 3000K color temperature (soft yellow lamp light from the side, gentle warm shadows as if a kitchen window provides natural light). Keep the bottle, its label text, and logo completely unchanged and preserve all typography pixel-accurately. Only adjust the scene lighting to match the warm kitchen atmosphere with soft amber glow and diffuse shadows.',
-
-      outdoors: 'Using the provided image of the bottle, adjust only the lighting to simulate bright outdoor daylight with clear blue sky and strong sunlight. Add crisp directional shadows as if from midday sun at approximately 5500K color temperature, with natural outdoor brightness and atmospheric depth. Keep the bottle, logo, and label text exactly as in the original - preserve the product design and typography without any changes. Only change the lighting to match sunny day conditions with warm golden-hour backlight if late afternoon.',
-
-      minimal: 'Using the provided image of the bottle on a clean white seamless background, adjust only the lighting to a bright studio setup with softbox from above providing even illumination and very subtle shadows on the backdrop. Keep the bottle shape, label text, colors, and all design elements identical to the original image. Only change the background lighting to create a clean minimalist aesthetic with subtle studio lighting and soft gradients, maintaining the product completely unchanged.',
-
-      luxury: 'Using the provided image of the bottle, adjust only the lighting to create dramatic premium illumination with elegant shadow play - add a low-angle key light creating upscale atmosphere with rich contrast and sophisticated depth. Keep the bottle and its label completely unchanged, preserving all text legibility, font, logo, and colors exactly. Only adjust the scene lighting to simulate high-end product photography with warm accent lighting at approximately 3200K and dramatic shadows for an elegant, upscale feel.'
-    };
-
-    return prompts[theme] || prompts.default;
-  }
-
   /**
    * Sleep helper
+   * Rejects with an AbortError as soon as `signal` fires
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return wait(ms, undefined, { signal });
   }
 }
 
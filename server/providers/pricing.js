@@ -0,0 +1,154 @@
+/**
+ * Provider Pricing
+ *
+ * Per-call prices (provider_pricing table) by provider, operation and
+ * optionally resolution, versioned by effective date. Providers call
+ * getPrice() when they report a result's `cost`; a price change is a new
+ * version added from Settings, so nothing needs a deploy and costs recorded
+ * before the change keep the price that applied at the time.
+ *
+ * A version for a specific resolution wins over the '*' (any resolution) version.
+ */
+
+import db from '../db.js';
+
+// Resolution value matching any resolution
+export const ANY_RESOLUTION = '*';
+
+/**
+ * Operations that have a price (provider methods, same names as the call ledger)
+ */
+export const PRICED_OPERATIONS = [
+  'removeBackground',
+  'generateBackground',
+  'editBackground',
+  'enhanceLighting',
+  'compositeImage',
+  'upscaleImage'
+];
+
+// Missing prices already warned about, so a missing row doesn't flood the logs
+const warnedMissing = new Set();
+
+/**
+ * Look up the price of a provider call
+ * @param {string} provider - Provider name (freepik, nanobanana, replicate, mock)
+ * @param {string} operation - Provider method (removeBackground, generateBackground, ...)
+ * @param {object} options
+ * @param {string} options.resolution - Output resolution ('2k', '4k'), if the price depends on it
+ * @param {Date} options.at - Time of the call (default: now)
+ * @returns {number} Price in USD, 0 if no version is in effect
+ */
+export function getPrice(provider, operation, { resolution = null, at = new Date() } = {}) {
+  try {
+    const row = db.prepare(`
+      SELECT price_usd FROM provider_pricing
+      WHERE provider = ? AND operation = ?
+        AND resolution IN (?, '${ANY_RESOLUTION}')
+        AND effective_from <= ?
+      ORDER BY resolution = '${ANY_RESOLUTION}', effective_from DESC
+      LIMIT 1
+    `).get(provider, operation, resolution || ANY_RESOLUTION, at.toISOString());
+
+    if (row) {
+      return row.price_usd;
+    }
+
+    const key = `${provider}:${operation}:${resolution || ANY_RESOLUTION}`;
+    if (!warnedMissing.has(key)) {
+      warnedMissing.add(key);
+      console.warn(`[Pricing] ⚠️  No price for ${provider} ${operation}${resolution ? ` (${resolution})` : ''}, reporting $0`);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`[Pricing] ❌ Failed to look up ${provider} ${operation} price:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * List every price version, newest first within each provider/operation/resolution
+ * @param {Date} now - Reference time for the `status` of each version (default: now)
+ * @returns {object[]} Versions with `status`:
+ *   - 'active': In effect now
+ *   - 'scheduled': Takes effect in the future
+ *   - 'superseded': Replaced by a later version
+ */
+export function listPrices(now = new Date()) {
+  const rows = db.prepare(`
+    SELECT * FROM provider_pricing
+    ORDER BY provider, operation, resolution, effective_from DESC
+  `).all();
+
+  const nowIso = now.toISOString();
+  const active = new Set();
+
+  return rows.map(row => {
+    const key = `${row.provider}:${row.operation}:${row.resolution}`;
+    let status = 'superseded';
+
+    if (row.effective_from > nowIso) {
+      status = 'scheduled';
+    } else if (!active.has(key)) {
+      // Rows are newest first, so the first one already in effect is the active one
+      active.add(key);
+      status = 'active';
+    }
+
+    return { ...row, status };
+  });
+}
+
+/**
+ * Add a price version
+ * @param {object} version
+ * @param {string} version.provider - Provider name
+ * @param {string} version.operation - Provider method
+ * @param {string} version.resolution - Resolution, or '*' for any (default)
+ * @param {number} version.priceUsd - Price per call in USD
+ * @param {string} version.effectiveFrom - ISO timestamp the price applies from (default: now)
+ * @param {string} version.note - Optional note (source, invoice, ...)
+ * @returns {object} Created row
+ * @throws {Error} If a version for the same provider, operation, resolution and effective date already exists (UNIQUE constraint)
+ */
+export function addPrice({ provider, operation, resolution = ANY_RESOLUTION, priceUsd, effectiveFrom, note = null }) {
+  const now = new Date().toISOString();
+
+  const result = db.prepare(`
+    INSERT INTO provider_pricing (provider, operation, resolution, price_usd, effective_from, note, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(provider, operation, resolution, priceUsd, effectiveFrom || now, note, now);
+
+  console.log(`[Pricing] ${provider} ${operation} (${resolution}) = $${priceUsd} from ${effectiveFrom || now}`);
+  warnedMissing.clear();
+
+  return db.prepare('SELECT * FROM provider_pricing WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Get a price version by ID
+ * @returns {object|undefined} Row
+ */
+export function getPriceVersion(id) {
+  return db.prepare('SELECT * FROM provider_pricing WHERE id = ?').get(id);
+}
+
+/**
+ * Delete a price version
+ * Only versions that haven't taken effect yet should be deleted; past versions
+ * are what historical costs were reported with.
+ * @returns {boolean} True if a row was deleted
+ */
+export function deletePrice(id) {
+  return db.prepare('DELETE FROM provider_pricing WHERE id = ?').run(id).changes > 0;
+}
+
+export default {
+  ANY_RESOLUTION,
+  PRICED_OPERATIONS,
+  getPrice,
+  listPrices,
+  addPrice,
+  getPriceVersion,
+  deletePrice
+};
@@ -0,0 +1,238 @@
+/**
+ * Procedural Studio Backdrops
+ *
+ * Renders the plain studio backgrounds a product shoot would use, without an
+ * image model. Layers, bottom to top:
+ *
+ * 1. Base: a linear gradient, a radial gradient, a seamless sweep (wall curving
+ *    into the floor with no visible edge) or a floor plane meeting the wall at
+ *    a horizon line
+ * 2. Soft highlight / pool of light where the product stands
+ * 3. Vignette darkening the corners
+ * 4. Luminance noise, so large gradients don't band once saved as JPEG
+ *
+ * Colors come from a palette of [wall, floor, highlight]; the same seed (see
+ * seedFrom() in utils/imaging.js) always renders the same pixels.
+ */
+
+import sharp from 'sharp';
+
+/**
+ * Backdrop styles (see renderBackdrop())
+ */
+export const BACKDROP_STYLES = ['sweep', 'floor', 'radial', 'gradient'];
+
+/**
+ * Palette when neither the prompt, PROCEDURAL_PALETTE nor the theme names colors:
+ * neutral studio grey [wall, floor, highlight]
+ */
+export const DEFAULT_PALETTE = ['#ecebe8', '#d9d6d0', '#ffffff'];
+
+// Largest edge rendered, whatever the requested dimensions
+const MAX_EDGE = 4096;
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @returns {function(): number} Returns values in [0, 1)
+ */
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Find #rrggbb colors in text (e.g. a template prompt listing brand colors)
+ * @returns {string[]} Lowercase colors, in order
+ */
+export function parseColors(text) {
+  return (text?.match(/#[0-9a-f]{6}\b/gi) || []).map(color => color.toLowerCase());
+}
+
+/**
+ * Find a backdrop style named in text ("radial", "floor", ...)
+ * @returns {string|null} First style mentioned, or null
+ */
+export function parseStyle(text) {
+  const match = text?.toLowerCase().match(new RegExp(`\\b(${BACKDROP_STYLES.join('|')})\\b`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Build a [wall, floor, highlight] palette from one to three colors
+ * One color is the wall, with a darker floor; a missing highlight is a light tint of the wall.
+ */
+export function toPalette(colors) {
+  const [wall, floor = mix(wall, '#000000', 0.18), highlight = mix(wall, '#ffffff', 0.6)] = colors;
+  return [wall, floor, highlight];
+}
+
+/**
+ * Output size for dimensions and/or an aspect ratio
+ * The aspect ratio ('16:9', '4/3', or Freepik's 'widescreen_16_9') wins over the
+ * dimensions' shape; the long edge comes from the dimensions (default: 1024).
+ *
+ * @returns {{width: number, height: number}}
+ */
+export function resolveBackdropSize({ dimensions, aspectRatio } = {}) {
+  const longEdge = Math.min(Math.max(dimensions?.width || 0, dimensions?.height || 0) || 1024, MAX_EDGE);
+  const ratioMatch = aspectRatio?.match(/(\d+(?:\.\d+)?)\D+(\d+(?:\.\d+)?)$/);
+
+  let ratio = ratioMatch ? parseFloat(ratioMatch[1]) / parseFloat(ratioMatch[2]) : null;
+  if (!ratio && dimensions?.width && dimensions?.height) {
+    ratio = dimensions.width / dimensions.height;
+  }
+  ratio = ratio || 1;
+
+  return ratio >= 1
+    ? { width: longEdge, height: Math.max(1, Math.round(longEdge / ratio)) }
+    : { width: Math.max(1, Math.round(longEdge * ratio)), height: longEdge };
+}
+
+/**
+ * Blend two #rrggbb colors
+ * @param {number} amount - Share of `to` (0-1)
+ */
+function mix(from, to, amount) {
+  const channels = [from, to].map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+  return `#${channels[0]
+    .map((channel, i) => Math.round(channel + (channels[1][i] - channel) * amount).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
+
+/**
+ * Base layer SVG for a style
+ * `horizon` is the wall/floor boundary as a share of the height.
+ */
+function baseLayer(style, [wall, floor, highlight], { horizon, cx, angle }) {
+  const h = horizon.toFixed(3);
+
+  switch (style) {
+    case 'radial':
+      return `<radialGradient id="base" cx="${cx}%" cy="42%" r="75%">
+          <stop offset="0" stop-color="${mix(wall, highlight, 0.5)}"/>
+          <stop offset="0.55" stop-color="${wall}"/>
+          <stop offset="1" stop-color="${floor}"/>
+        </radialGradient>`;
+
+    case 'sweep':
+      // Wall darkens slightly upward, brightens where the paper curves, then
+      // falls off toward the camera; no hard line anywhere
+      return `<linearGradient id="base" x1="0" y1="0" x2="0" y2="1">
+          <stop offset="0" stop-color="${mix(wall, '#000000', 0.1)}"/>
+          <stop offset="${(horizon - 0.2).toFixed(3)}" stop-color="${wall}"/>
+          <stop offset="${h}" stop-color="${mix(wall, highlight, 0.35)}"/>
+          <stop offset="${(horizon + 0.12).toFixed(3)}" stop-color="${mix(floor, highlight, 0.2)}"/>
+          <stop offset="1" stop-color="${mix(floor, '#000000', 0.1)}"/>
+        </linearGradient>`;
+
+    case 'floor':
+      // Hard stops at the horizon: wall above, floor plane below
+      return `<linearGradient id="base" x1="0" y1="0" x2="0" y2="1">
+          <stop offset="0" stop-color="${mix(wall, '#000000', 0.08)}"/>
+          <stop offset="${h}" stop-color="${mix(wall, highlight, 0.15)}"/>
+          <stop offset="${h}" stop-color="${mix(floor, highlight, 0.25)}"/>
+          <stop offset="1" stop-color="${mix(floor, '#000000', 0.2)}"/>
+        </linearGradient>`;
+
+    default: {
+      // gradient: wall to floor, tilted a little
+      const rad = angle * Math.PI / 180;
+      const dx = Math.sin(rad) / 2;
+      const dy = Math.cos(rad) / 2;
+      return `<linearGradient id="base" x1="${(0.5 - dx).toFixed(3)}" y1="${(0.5 - dy).toFixed(3)}" x2="${(0.5 + dx).toFixed(3)}" y2="${(0.5 + dy).toFixed(3)}">
+          <stop offset="0" stop-color="${wall}"/>
+          <stop offset="1" stop-color="${floor}"/>
+        </linearGradient>`;
+    }
+  }
+}
+
+/**
+ * Render a studio backdrop
+ *
+ * @param {Object} params
+ * @param {string} params.style - One of BACKDROP_STYLES
+ * @param {string[]} params.palette - [wall, floor, highlight] as #rrggbb
+ * @param {number} params.width - Output width
+ * @param {number} params.height - Output height
+ * @param {number} params.seed - Seed from seedFrom() (utils/imaging.js); varies horizon, light position and grain
+ * @param {number} params.vignette - Corner darkening, 0-1 (default: 0.35)
+ * @param {number} params.noise - Grain amplitude in 8-bit levels (default: 4, 0 = none)
+ * @returns {Promise<Buffer>} JPEG buffer
+ */
+export async function renderBackdrop({ style, palette, width, height, seed, vignette = 0.35, noise = 4 }) {
+  const rand = random(seed);
+  const [wall, floor, highlight] = palette;
+
+  const horizon = 0.58 + rand() * 0.1;       // 58-68% down
+  const cx = Math.round(42 + rand() * 16);   // 42-58%
+  const angle = Math.round(rand() * 30 - 15); // -15..15 degrees
+  const glow = 0.3 + rand() * 0.25;
+  const hasFloor = style === 'sweep' || style === 'floor';
+
+  // Flat pool of light on the floor for sweep/floor, a soft glow behind the product otherwise
+  const glowX = width * cx / 100;
+  const glowY = height * (hasFloor ? horizon + 0.1 : 0.35 + rand() * 0.1);
+  const [glowRx, glowRy] = hasFloor ? [width * 0.45, height * 0.12] : [width * 0.6, height * 0.6];
+  const horizonY = Math.round(height * horizon);
+  const lineWidth = Math.max(1, Math.round(height / 800));
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <defs>
+      ${baseLayer(style, palette, { horizon, cx, angle })}
+      <radialGradient id="glow">
+        <stop offset="0" stop-color="${highlight}" stop-opacity="${glow.toFixed(2)}"/>
+        <stop offset="1" stop-color="${highlight}" stop-opacity="0"/>
+      </radialGradient>
+      <linearGradient id="contact" x1="0" y1="0" x2="0" y2="1">
+        <stop offset="0" stop-color="#000000" stop-opacity="0.18"/>
+        <stop offset="1" stop-color="#000000" stop-opacity="0"/>
+      </linearGradient>
+      <radialGradient id="vignette" cx="50%" cy="50%" r="75%">
+        <stop offset="0.55" stop-color="#000000" stop-opacity="0"/>
+        <stop offset="1" stop-color="#000000" stop-opacity="${vignette.toFixed(2)}"/>
+      </radialGradient>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#base)"/>
+    <ellipse cx="${Math.round(glowX)}" cy="${Math.round(glowY)}" rx="${Math.round(glowRx)}" ry="${Math.round(glowRy)}" fill="url(#glow)"/>
+    ${style === 'floor' ? `
+    <rect y="${horizonY}" width="100%" height="${Math.round(height * 0.03)}" fill="url(#contact)"/>
+    <rect y="${horizonY - Math.floor(lineWidth / 2)}" width="100%" height="${lineWidth}" fill="${mix(wall, floor, 0.5)}" fill-opacity="0.6"/>` : ''}
+    ${vignette > 0 ? '<rect width="100%" height="100%" fill="url(#vignette)"/>' : ''}
+  </svg>`;
+
+  const { data, info } = await sharp(Buffer.from(svg))
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  if (noise > 0) {
+    const { channels } = info;
+    for (let i = 0; i < data.length; i += channels) {
+      const grain = Math.round((rand() - 0.5) * 2 * noise); // Same offset on every channel: luminance grain, no color speckle
+      for (let c = 0; c < 3; c++) {
+        data[i + c] = Math.min(255, Math.max(0, data[i + c] + grain));
+      }
+    }
+  }
+
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .jpeg({ quality: 92 })
+    .toBuffer();
+}
+
+export default {
+  BACKDROP_STYLES,
+  DEFAULT_PALETTE,
+  parseColors,
+  parseStyle,
+  toPalette,
+  resolveBackdropSize,
+  renderBackdrop
+};
@@ -0,0 +1,190 @@
+/**
+ * Procedural Background Provider
+ *
+ * Renders studio backdrops with sharp instead of calling Freepik Mystic (see
+ * backdrop.js): no network, no API key and no cost. Use it for background
+ * templates (pick "Procedural" when creating one), as the primary
+ * (BACKGROUND_PROVIDER=procedural), or as a background fallback in Settings.
+ *
+ * The prompt picks the look: a style named in it ("sweep", "floor", "radial",
+ * "gradient") and #rrggbb colors in it (wall, floor, highlight) win; otherwise
+ * variants cycle through the styles, and the palette is PROCEDURAL_PALETTE,
+ * then #rrggbb colors in the theme's background prompt (Themes page), then a
+ * neutral studio grey.
+ *
+ * Environment:
+ * - PROCEDURAL_STYLE     Style when the prompt names none (default: auto, by variant)
+ * - PROCEDURAL_PALETTE   Brand colors when the prompt has none, e.g. "#1e3a8a,#0b1530" (default: theme prompt colors)
+ * - PROCEDURAL_VIGNETTE  Corner darkening, 0-1 (default: 0.35)
+ * - PROCEDURAL_NOISE     Grain amplitude in 8-bit levels, 0-32 (default: 4)
+ */
+
+import { BaseProvider, parseNumberSetting } from '../base.js';
+import {
+  BACKDROP_STYLES,
+  DEFAULT_PALETTE,
+  parseColors,
+  parseStyle,
+  renderBackdrop,
+  resolveBackdropSize,
+  toPalette
+} from './backdrop.js';
+import { seedFrom } from '../../utils/imaging.js';
+import { getStorage } from '../../storage/index.js';
+
+/**
+ * Read backdrop settings from config, falling back to environment variables
+ */
+export function getProceduralConfig(config = {}) {
+  const env = process.env;
+
+  return {
+    style: config.style ?? (env.PROCEDURAL_STYLE || 'auto'),
+    palette: config.palette ?? parseColors(env.PROCEDURAL_PALETTE),
+    vignette: parseNumberSetting(config.vignette ?? env.PROCEDURAL_VIGNETTE, 0.35),
+    noise: parseNumberSetting(config.noise ?? env.PROCEDURAL_NOISE, 4)
+  };
+}
+
+export class ProceduralBackgroundProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      name: 'ProceduralBackground',
+      provider: 'procedural'
+    });
+
+    this.backdrop = getProceduralConfig(config);
+    this.validateConfig();
+  }
+
+  /**
+   * Generate themed background image
+   * Same signature and result shape as FreepikBackgroundProvider.generateBackground()
+   */
+  async generateBackground({
+    theme = 'default',
+    sku,
+    sha256,
+    dimensions,
+    aspectRatio,
+    customPrompt = null,
+    themePrompt = null,
+    variant = 1,
+    signal
+  }) {
+    const startTime = Date.now();
+    this.log('info', 'Starting procedural background generation', { sku, theme, variant });
+
+    try {
+      signal?.throwIfAborted();
+
+      const { style, palette } = this.resolveLook({ theme, customPrompt, themePrompt, variant });
+      const { width, height } = resolveBackdropSize({ dimensions, aspectRatio });
+      const seed = seedFrom(sku, sha256, theme, customPrompt || '', variant);
+
+      const backgroundBuffer = await renderBackdrop({
+        style,
+        palette,
+        width,
+        height,
+        seed,
+        vignette: this.backdrop.vignette,
+        noise: this.backdrop.noise
+      });
+      signal?.throwIfAborted();
+
+      const storage = getStorage();
+      const s3Key = storage.getBackgroundKey(sku, sha256, theme, variant);
+
+      await storage.uploadBuffer(s3Key, backgroundBuffer, 'image/jpeg');
+      const s3Url = await storage.getPresignedGetUrl(s3Key, 3600);
+
+      const duration = Date.now() - startTime;
+      const cost = this.calculateCost('generateBackground');
+
+      this.log('info', 'Procedural background generation complete', {
+        sku,
+        s3Key,
+        style,
+        size: `${width}x${height}`,
+        duration: `${duration}ms`
+      });
+
+      return {
+        success: true,
+        s3Key,
+        s3Url,
+        provider: this.name,
+        cost,
+        metadata: {
+          duration,
+          theme,
+          style,
+          palette,
+          seed,
+          width,
+          height,
+          format: 'jpeg',
+          size: backgroundBuffer.length
+        }
+      };
+
+    } catch (error) {
+      this.log('error', 'Procedural background generation failed', { sku, error: error.message });
+
+      return {
+        success: false,
+        error: error.message,
+        provider: this.name,
+        cost: 0
+      };
+    }
+  }
+
+  /**
+   * Pick the style and palette for a call
+   * The prompt's style and colors win, then the configured ones, then the
+   * variant's place in the style cycle and the colors in the theme's prompt.
+   */
+  resolveLook({ theme, customPrompt, themePrompt, variant }) {
+    const promptColors = parseColors(customPrompt);
+    const themeColors = promptColors.length > 0 || this.backdrop.palette.length > 0
+      ? []
+      : parseColors(themePrompt || this.getThemePrompt(theme));
+    const configuredStyle = this.backdrop.style !== 'auto' ? this.backdrop.style : null;
+
+    const style = parseStyle(customPrompt)
+      || configuredStyle
+      || BACKDROP_STYLES[(Math.max(variant, 1) - 1) % BACKDROP_STYLES.length];
+
+    const palette = promptColors.length > 0
+      ? toPalette(promptColors)
+      : this.backdrop.palette.length > 0
+        ? toPalette(this.backdrop.palette)
+        : themeColors.length > 0 ? toPalette(themeColors) : DEFAULT_PALETTE;
+
+    return { style, palette };
+  }
+
+  /**
+   * Runs locally: no API key, but the settings must make sense
+   */
+  validateConfig() {
+    const { style, palette, vignette, noise } = this.backdrop;
+
+    if (process.env.PROCEDURAL_PALETTE && palette.length === 0) {
+      throw new Error(`${this.name}: PROCEDURAL_PALETTE has no #rrggbb colors`);
+    }
+
+    if (style !== 'auto' && !BACKDROP_STYLES.includes(style)) {
+      throw new Error(`${this.name}: unknown style '${style}' (use auto, ${BACKDROP_STYLES.join(', ')})`);
+    }
+
+    if (!(vignette >= 0 && vignette <= 1) || !(noise >= 0 && noise <= 32)) {
+      throw new Error(`${this.name}: invalid settings (vignette 0-1, noise 0-32)`);
+    }
+  }
+}
+
+export default ProceduralBackgroundProvider;
@@ -0,0 +1,133 @@
+/**
+ * Item-Aware Prompt Templates
+ *
+ * Background prompts (custom prompts and theme prompts) can reference the
+ * item being photographed. Values come from the items row matching the job's
+ * SKU; an item that isn't in the catalog renders every placeholder empty.
+ *
+ *   {{brand}}                       Value (empty if missing)
+ *   {{#year}}...{{/year}}           Rendered when the field has a value
+ *   {{^year}}...{{/year}}           Rendered when it doesn't
+ *   {{#category=Wine|Rosé}}...{{/category}}   Rendered when the field matches (case-insensitive)
+ *   {{^category=Wine}}...{{/category}}        Rendered when it doesn't
+ *
+ * Sections can nest, except inside a section on the same field. Whitespace
+ * and commas left behind by empty values are tidied up.
+ */
+
+import db from '../db.js';
+
+/**
+ * Placeholders a prompt can use (items columns, plus the job's SKU)
+ */
+export const PROMPT_VARIABLES = ['sku', 'name', 'brand', 'category', 'subcategory', 'year', 'size', 'abv'];
+
+const SECTION_PATTERN = /\{\{([#^])\s*(\w+)\s*(?:=([^}]*))?\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const TAG_PATTERN = /\{\{([#^/]?)\s*(\w*)[^}]*\}\}/g;
+
+/**
+ * Check whether a section applies
+ * @param {string} value - Field value ('' if missing)
+ * @param {string} options - `A|B` after `=`, or undefined for a presence check
+ */
+function sectionMatches(value, options) {
+  if (options === undefined) {
+    return value !== '';
+  }
+
+  const normalized = value.toLowerCase();
+  return options.split('|').some(option => option.trim().toLowerCase() === normalized);
+}
+
+/**
+ * Collapse the whitespace and punctuation empty values leave behind
+ * ("Aged  , oak" → "Aged, oak")
+ */
+function tidyPrompt(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.;:])/g, '$1')
+    .replace(/,(\s*,)+/g, ',')
+    .replace(/^[\s,]+|[\s,]+$/g, '');
+}
+
+/**
+ * Render a prompt template
+ * Unknown placeholders and stray section tags are dropped, so they never
+ * reach a provider (getPromptTemplateErrors() reports them when saving).
+ *
+ * @param {string} template - Prompt with placeholders
+ * @param {object} variables - Values by PROMPT_VARIABLES name (see getItemPromptVariables())
+ * @returns {string} Rendered prompt
+ */
+export function renderPromptTemplate(template, variables = {}) {
+  const valueOf = name => {
+    const value = PROMPT_VARIABLES.includes(name) ? variables[name] : null;
+    return value === null || value === undefined ? '' : String(value).trim();
+  };
+
+  const render = text => text
+    .replace(SECTION_PATTERN, (match, type, name, options, body) =>
+      (type === '#') === sectionMatches(valueOf(name), options) ? render(body) : '')
+    .replace(VARIABLE_PATTERN, (match, name) => valueOf(name))
+    .replace(TAG_PATTERN, '');
+
+  return tidyPrompt(render(template));
+}
+
+/**
+ * Check a prompt template before it's saved
+ * @param {string} template - Prompt with placeholders
+ * @returns {string[]} Problems (unknown placeholders, unclosed or unmatched sections); empty if valid
+ */
+export function getPromptTemplateErrors(template) {
+  const errors = [];
+  const open = [];
+
+  for (const [tag, type, name] of template.matchAll(TAG_PATTERN)) {
+    if (!PROMPT_VARIABLES.includes(name)) {
+      errors.push(`Unknown placeholder '${tag}' (use ${PROMPT_VARIABLES.map(variable => `{{${variable}}}`).join(', ')})`);
+    } else if (type === '#' || type === '^') {
+      open.push(name);
+    } else if (type === '/') {
+      if (open.at(-1) === name) {
+        open.pop();
+      } else {
+        errors.push(`Unexpected '${tag}'`);
+      }
+    }
+  }
+
+  for (const name of open) {
+    errors.push(`Section '${name}' is not closed with {{/${name}}}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Get the catalog item for a SKU
+ * @returns {object|undefined} Items row
+ */
+export function getPromptItem(sku) {
+  return db.prepare('SELECT * FROM items WHERE sku = ? ORDER BY discontinued, name LIMIT 1').get(sku);
+}
+
+/**
+ * Placeholder values for a SKU
+ * @param {string} sku - Job SKU
+ * @param {object} item - Items row (default: looked up by SKU)
+ * @returns {object} Values by PROMPT_VARIABLES name (null when the item or field is missing)
+ */
+export function getItemPromptVariables(sku, item = getPromptItem(sku)) {
+  return Object.fromEntries(PROMPT_VARIABLES.map(name => [name, name === 'sku' ? sku : item?.[name] ?? null]));
+}
+
+export default {
+  PROMPT_VARIABLES,
+  renderPromptTemplate,
+  getPromptTemplateErrors,
+  getPromptItem,
+  getItemPromptVariables
+};
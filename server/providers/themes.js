@@ -0,0 +1,209 @@
+/**
+ * Theme Prompt Library
+ *
+ * Themes (themes table) hold the prompts every provider uses for a job's
+ * theme: the background prompt (background generation, Seedream edits), the
+ * composite prompt (lighting pass on composites) and an optional negative
+ * prompt, plus an optional default background template and active window.
+ *
+ * Jobs are only created with a theme that exists and is active (see
+ * getThemeError()). Jobs retried after their theme was deleted fall back to
+ * the default theme, which can't be deleted.
+ */
+
+import db from '../db.js';
+import { renderPromptTemplate } from './prompt-template.js';
+
+// Theme every other theme falls back to
+export const DEFAULT_THEME_KEY = 'default';
+
+/**
+ * Theme for jobs that don't name one (DEFAULT_THEME, or 'default')
+ * @returns {string} Theme key
+ */
+export function getJobDefaultTheme() {
+  return process.env.DEFAULT_THEME || DEFAULT_THEME_KEY;
+}
+
+/**
+ * Check whether a theme's active window includes a time
+ * @param {object} theme - Theme row
+ * @param {Date} at - Time to check (default: now)
+ * @returns {boolean} True if active (no window counts as always active)
+ */
+export function isThemeActive(theme, at = new Date()) {
+  const iso = at.toISOString();
+  return (!theme.active_from || theme.active_from <= iso) && (!theme.active_until || iso < theme.active_until);
+}
+
+/**
+ * List themes, default first
+ * @param {object} options
+ * @param {boolean} options.activeOnly - Only themes active now (default: false)
+ * @returns {object[]} Theme rows with `active`
+ */
+export function listThemes({ activeOnly = false } = {}) {
+  const now = new Date();
+
+  return db.prepare(`
+    SELECT * FROM themes
+    ORDER BY key = ? DESC, name
+  `).all(DEFAULT_THEME_KEY)
+    .map(theme => ({ ...theme, active: isThemeActive(theme, now) }))
+    .filter(theme => !activeOnly || theme.active);
+}
+
+/**
+ * Get a theme by key
+ * @returns {object|undefined} Theme row
+ */
+export function getTheme(key) {
+  return db.prepare('SELECT * FROM themes WHERE key = ?').get(key);
+}
+
+/**
+ * Check that a theme can be used for a new job
+ * @param {string} key - Theme key
+ * @param {Date} at - Time of job creation (default: now)
+ * @returns {string|null} Why the theme can't be used, or null if it can
+ */
+export function getThemeError(key, at = new Date()) {
+  const theme = getTheme(key);
+
+  if (!theme) {
+    return `Unknown theme '${key}'`;
+  }
+
+  if (!isThemeActive(theme, at)) {
+    const window = [theme.active_from && `from ${theme.active_from}`, theme.active_until && `until ${theme.active_until}`]
+      .filter(Boolean)
+      .join(' ');
+    return `Theme '${key}' is not active (active ${window})`;
+  }
+
+  return null;
+}
+
+/**
+ * Get the prompts for a theme, rendered for an item (see prompt-template.js)
+ * Unknown themes (e.g. deleted after their jobs were queued) use the default
+ * theme; a theme without a composite prompt uses the default theme's.
+ *
+ * @param {string} key - Theme key
+ * @param {object} variables - Placeholder values (default: none, placeholders render empty)
+ * @returns {{background: string, composite: string|null, negative: string|null}} Prompts
+ * @throws {Error} If the default theme is missing (migration 018 not applied)
+ */
+export function getThemePrompts(key, variables = {}) {
+  const fallback = getTheme(DEFAULT_THEME_KEY);
+  if (!fallback) {
+    throw new Error(`Default theme '${DEFAULT_THEME_KEY}' is missing from the themes table`);
+  }
+
+  let theme = key === DEFAULT_THEME_KEY ? fallback : getTheme(key);
+  if (!theme) {
+    console.warn(`[Themes] ⚠️  Unknown theme '${key}', using '${DEFAULT_THEME_KEY}' prompts`);
+    theme = fallback;
+  }
+
+  const render = template => template && renderPromptTemplate(template, variables);
+
+  return {
+    background: render(theme.background_prompt),
+    composite: render(theme.composite_prompt || fallback.composite_prompt),
+    negative: render(theme.negative_prompt)
+  };
+}
+
+/**
+ * Create a theme
+ * @param {object} theme
+ * @param {string} theme.key - Theme key (jobs.theme / ?theme=)
+ * @param {string} theme.name - Display name
+ * @param {string} theme.backgroundPrompt - Background generation / Seedream edit prompt
+ * @param {string} theme.compositePrompt - Composite lighting prompt (null = the default theme's)
+ * @param {string} theme.negativePrompt - Optional negative prompt
+ * @param {string} theme.defaultTemplateId - Background template for jobs that don't pick one
+ * @param {string} theme.activeFrom - ISO timestamp the theme is available from (null = always)
+ * @param {string} theme.activeUntil - ISO timestamp the theme is available until (null = no end)
+ * @returns {object} Created row
+ * @throws {Error} If the key is taken (PRIMARY KEY constraint)
+ */
+export function createTheme({
+  key,
+  name,
+  backgroundPrompt,
+  compositePrompt = null,
+  negativePrompt = null,
+  defaultTemplateId = null,
+  activeFrom = null,
+  activeUntil = null
+}) {
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    INSERT INTO themes (
+      key, name, background_prompt, composite_prompt, negative_prompt,
+      default_template_id, active_from, active_until, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(key, name, backgroundPrompt, compositePrompt, negativePrompt, defaultTemplateId, activeFrom, activeUntil, now, now);
+
+  console.log(`[Themes] ✅ Created theme '${key}'`);
+  return getTheme(key);
+}
+
+// Update fields and their columns
+const THEME_COLUMNS = {
+  name: 'name',
+  backgroundPrompt: 'background_prompt',
+  compositePrompt: 'composite_prompt',
+  negativePrompt: 'negative_prompt',
+  defaultTemplateId: 'default_template_id',
+  activeFrom: 'active_from',
+  activeUntil: 'active_until'
+};
+
+/**
+ * Update a theme
+ * @param {string} key - Theme key
+ * @param {object} fields - Fields to change (see createTheme()); fields left out are kept
+ * @returns {object|null} Updated row, or null if the theme doesn't exist
+ */
+export function updateTheme(key, fields) {
+  const changes = Object.entries(THEME_COLUMNS).filter(([field]) => fields[field] !== undefined);
+
+  const { changes: updated } = db.prepare(`
+    UPDATE themes
+    SET ${changes.map(([, column]) => `${column} = ?, `).join('')}updated_at = ?
+    WHERE key = ?
+  `).run(...changes.map(([field]) => fields[field]), new Date().toISOString(), key);
+
+  if (updated === 0) {
+    return null;
+  }
+
+  console.log(`[Themes] Updated theme '${key}' (${changes.map(([field]) => field).join(', ') || 'no changes'})`);
+  return getTheme(key);
+}
+
+/**
+ * Delete a theme
+ * Jobs keep the key in jobs.theme; a retried one runs with the default theme's prompts.
+ * @returns {boolean} True if a row was deleted
+ */
+export function deleteTheme(key) {
+  return db.prepare('DELETE FROM themes WHERE key = ?').run(key).changes > 0;
+}
+
+export default {
+  DEFAULT_THEME_KEY,
+  getJobDefaultTheme,
+  isThemeActive,
+  listThemes,
+  getTheme,
+  getThemeError,
+  getThemePrompts,
+  createTheme,
+  updateTheme,
+  deleteTheme
+};
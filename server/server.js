@@ -9,6 +9,7 @@ import { nanoid } from 'nanoid';
 import db from './db.js';
 import tjmsClient from './tjms-client.js';
 import jobRoutes from './jobs/routes.js';
+import storageRoutes from './storage/routes.js';
 import { captureRawBody } from './jobs/webhook-verify.js';
 import { startProcessor, stopProcessor } from './workflows/processor.js';
 
@@ -83,6 +84,9 @@ if (!fs.existsSync(tempDir)) {
 
 app.use('/uploads', express.static(uploadDir));
 
+// Signed object URLs for local filesystem storage (STORAGE_TYPE=local)
+app.use('/storage', storageRoutes);
+
 const upload = multer({ 
   dest: uploadDir,
   limits: { fileSize: 10 * 1024 * 1024 }
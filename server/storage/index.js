@@ -4,13 +4,14 @@
  */
 
 import getS3Storage from './s3.js';
+import getLocalStorage from './local.js';
 
 /**
- * Get storage client (currently only S3 supported)
- * Future: Add local filesystem fallback for development
+ * Get storage client
+ * STORAGE_TYPE=s3 (default) uses AWS S3, STORAGE_TYPE=local uses the filesystem
  *
  * @param {object} config - Storage configuration
- * @returns {S3Storage} Storage client instance
+ * @returns {S3Storage|LocalStorage} Storage client instance
  */
 export function getStorage(config = {}) {
   const storageType = config.type || process.env.STORAGE_TYPE || 's3';
@@ -20,8 +21,7 @@ export function getStorage(config = {}) {
       return getS3Storage(config);
 
     case 'local':
-      // TODO: Implement local filesystem storage for development
-      throw new Error('Local storage not yet implemented. Use S3.');
+      return getLocalStorage(config);
 
     default:
       throw new Error(`Unknown storage type: ${storageType}`);
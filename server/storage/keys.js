@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+
+/**
+ * Storage Key Helpers
+ * Deterministic object key layout shared by every storage backend
+ * (S3 and local filesystem), so jobs and manifests stay portable.
+ */
+export class StorageKeys {
+  /**
+   * Generate deterministic storage key for original image
+   * Pattern: originals/{sku}/{sha256}.jpg
+   */
+  getOriginalKey(sku, sha256) {
+    return `originals/${sku}/${sha256}.jpg`;
+  }
+
+  /**
+   * Generate deterministic storage key for mask
+   * Pattern: masks/{sku}/{sha256}.png
+   */
+  getMaskKey(sku, sha256) {
+    return `masks/${sku}/${sha256}.png`;
+  }
+
+  /**
+   * Generate deterministic storage key for cutout (Flow v2)
+   * Pattern: cutouts/{sku}/{sha256}.png
+   */
+  getCutoutKey(sku, sha256) {
+    return `cutouts/${sku}/${sha256}.png`;
+  }
+
+  /**
+   * Generate deterministic storage key for background
+   * Pattern: backgrounds/{theme}/{sku}/{sha256}_{variant}.jpg
+   */
+  getBackgroundKey(sku, sha256, theme = 'default', variant = 1) {
+    return `backgrounds/${theme}/${sku}/${sha256}_${variant}.jpg`;
+  }
+
+  /**
+   * Generate deterministic storage key for composite
+   * Pattern: composites/{theme}/{sku}/{sha256}_{aspect}_{variant}_{type}.jpg
+   * aspect: 1x1, 4x5
+   * type: master, shopify
+   */
+  getCompositeKey(sku, sha256, theme = 'default', aspect = '1x1', variant = 1, type = 'master') {
+    return `composites/${theme}/${sku}/${sha256}_${aspect}_${variant}_${type}.jpg`;
+  }
+
+  /**
+   * Generate deterministic storage key for thumbnail
+   * Pattern: thumbs/{sku}/{sha256}_400.jpg
+   */
+  getThumbnailKey(sku, sha256) {
+    return `thumbs/${sku}/${sha256}_400.jpg`;
+  }
+
+  /**
+   * Generate deterministic storage key for derivative (Flow v2)
+   * Pattern: derivatives/{theme}/{sku}/{sha256}/{variant}_{size}.{ext}
+   * Examples:
+   *   derivatives/default/VWS200433868/abc123.../1_hero.jpg
+   *   derivatives/default/VWS200433868/abc123.../1_pdp.webp
+   *   derivatives/default/VWS200433868/abc123.../1_thumb.avif
+   */
+  getDerivativeKey(sku, sha256, theme = 'default', variant = 1, size = 'hero', ext = 'jpg') {
+    return `derivatives/${theme}/${sku}/${sha256}/${variant}_${size}.${ext}`;
+  }
+
+  /**
+   * Generate deterministic storage key for manifest (Flow v2)
+   * Pattern: manifests/{sku}/{sha256}-{theme}.json
+   */
+  getManifestKey(sku, sha256, theme = 'default') {
+    return `manifests/${sku}/${sha256}-${theme}.json`;
+  }
+
+  /**
+   * Generate deterministic storage key for enhanced/upscaled image
+   * Pattern: enhanced/{inputKey}_x{scale}.{ext}
+   * Example: enhanced/originals/SKU123/abc123.jpg_x4.jpg
+   */
+  getEnhancedKey(inputS3Key, scale = 4) {
+    // Extract extension from input key
+    const ext = inputS3Key.split('.').pop();
+    return `enhanced/${inputS3Key}_x${scale}.${ext}`;
+  }
+
+  /**
+   * Calculate SHA256 hash of a file buffer
+   * Used for generating deterministic keys
+   * @param {Buffer} buffer - File buffer
+   * @returns {string} SHA256 hex string
+   */
+  static sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+}
+
+export default StorageKeys;
@@ -0,0 +1,261 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { StorageKeys } from './keys.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Local Filesystem Storage Client
+ * Drop-in replacement for S3Storage in development and tests.
+ *
+ * Objects are written under LOCAL_STORAGE_DIR (default: server/local-storage) using the
+ * same key layout as S3. The directory must not be exposed via express.static.
+ * "Presigned" URLs are HMAC-signed, expiring links served by the /storage route
+ * (see storage/routes.js), so anything that fetches a presigned URL keeps working.
+ */
+class LocalStorage extends StorageKeys {
+  constructor(config = {}) {
+    super();
+    this.rootDir = path.resolve(
+      config.rootDir || process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'local-storage')
+    );
+    this.publicBase = (config.publicBase || process.env.LOCAL_STORAGE_PUBLIC_BASE ||
+      `http://localhost:${process.env.PORT || 4000}`).replace(/\/+$/, '');
+    this.presignedUrlExpiry = config.presignedUrlExpiry ||
+      parseInt(process.env.S3_PRESIGNED_URL_EXPIRY || '3600', 10);
+    this.secret = config.secret || process.env.LOCAL_STORAGE_SECRET;
+
+    if (!this.secret) {
+      // Server and worker must agree on the secret, so fall back to a fixed dev value
+      this.secret = 'local-storage-dev-secret';
+      console.warn('[LocalStorage] ⚠️  LOCAL_STORAGE_SECRET not set - using insecure development secret');
+    }
+
+    fs.mkdirSync(this.rootDir, { recursive: true });
+
+    console.log(`[LocalStorage] Initialized: root=${this.rootDir}, publicBase=${this.publicBase}`);
+  }
+
+  /**
+   * Resolve an object key to an absolute file path inside rootDir
+   * Rejects keys that would escape the storage root (e.g. "../")
+   * @param {string} key - Object key
+   * @returns {string} Absolute file path
+   */
+  resolvePath(key) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Storage key is required');
+    }
+
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Compute URL signature for a key/method/expiry triple
+   * @param {string} method - HTTP method the URL is valid for (GET or PUT)
+   * @param {string} key - Object key
+   * @param {number} expires - Expiry as unix timestamp (seconds)
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  sign(method, key, expires) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${method}\n${key}\n${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Verify a signed URL's parameters
+   * @param {string} method - HTTP method of the incoming request
+   * @param {string} key - Object key
+   * @param {string|number} expires - Expiry from query string
+   * @param {string} signature - Signature from query string
+   * @returns {{valid: boolean, reason?: string}} Verification result
+   */
+  verifySignature(method, key, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+
+    if (!expiresAt || !signature) {
+      return { valid: false, reason: 'Missing signature' };
+    }
+
+    if (expiresAt < Math.floor(Date.now() / 1000)) {
+      return { valid: false, reason: 'URL expired' };
+    }
+
+    const expected = this.sign(method, key, expiresAt);
+
+    try {
+      const valid = crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+      return valid ? { valid: true } : { valid: false, reason: 'Invalid signature' };
+    } catch (error) {
+      // Lengths don't match
+      return { valid: false, reason: 'Invalid signature' };
+    }
+  }
+
+  /**
+   * Build a signed URL for the /storage route
+   * @param {string} method - HTTP method (GET or PUT)
+   * @param {string} key - Object key
+   * @param {number} expiresIn - URL expiry in seconds
+   * @returns {string} Signed URL
+   */
+  buildSignedUrl(method, key, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    const params = new URLSearchParams({
+      expires: String(expires),
+      signature: this.sign(method, key, expires)
+    });
+
+    return `${this.publicBase}/storage/${encodedKey}?${params.toString()}`;
+  }
+
+  /**
+   * Generate presigned PUT URL (for uploading)
+   * @param {string} key - Object key
+   * @param {string} contentType - MIME type (e.g., 'image/jpeg')
+   * @param {number} expiresIn - URL expiry in seconds (default: 3600)
+   * @returns {Promise<string>} Signed URL
+   */
+  async getPresignedPutUrl(key, contentType = 'image/jpeg', expiresIn = null) {
+    this.resolvePath(key);
+    const url = this.buildSignedUrl('PUT', key, expiresIn || this.presignedUrlExpiry);
+
+    console.log(`[LocalStorage] Generated presigned PUT URL: ${key} (expires in ${expiresIn || this.presignedUrlExpiry}s)`);
+    return url;
+  }
+
+  /**
+   * Generate presigned GET URL (for downloading)
+   * @param {string} key - Object key
+   * @param {number} expiresIn - URL expiry in seconds (default: 3600)
+   * @returns {Promise<string>} Signed URL
+   */
+  async getPresignedGetUrl(key, expiresIn = null) {
+    this.resolvePath(key);
+    const url = this.buildSignedUrl('GET', key, expiresIn || this.presignedUrlExpiry);
+
+    console.log(`[LocalStorage] Generated presigned GET URL: ${key} (expires in ${expiresIn || this.presignedUrlExpiry}s)`);
+    return url;
+  }
+
+  /**
+   * Write file from buffer or stream
+   * @param {string} key - Object key
+   * @param {Buffer|string|Stream} body - File content
+   * @param {string} contentType - MIME type (served back based on file extension)
+   * @returns {Promise<object>} Upload result
+   */
+  async upload(key, body, contentType = 'image/jpeg') {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (body && typeof body.pipe === 'function') {
+      await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(filePath);
+        body.on('error', reject);
+        out.on('error', reject);
+        out.on('finish', resolve);
+        body.pipe(out);
+      });
+    } else {
+      await fs.promises.writeFile(filePath, body);
+    }
+
+    console.log(`[LocalStorage] Uploaded: ${key}`);
+    return { key, path: filePath, contentType };
+  }
+
+  /**
+   * Alias for upload() for consistency with provider interface
+   */
+  async uploadBuffer(key, buffer, contentType = 'image/jpeg') {
+    return this.upload(key, buffer, contentType);
+  }
+
+  /**
+   * Read object contents
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>} File contents
+   */
+  async read(key) {
+    return fs.promises.readFile(this.resolvePath(key));
+  }
+
+  /**
+   * Check whether an object exists
+   * @param {string} key - Object key
+   * @returns {boolean} True if the file exists
+   */
+  exists(key) {
+    try {
+      return fs.statSync(this.resolvePath(key)).isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Delete object (no-op if it does not exist, matching S3 semantics)
+   * @param {string} key - Object key
+   * @returns {Promise<object>} Delete result
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+    console.log(`[LocalStorage] Deleted: ${key}`);
+    return { key };
+  }
+
+  /**
+   * Get unsigned URL for an object
+   * The /storage route rejects unsigned requests, so this is only useful for logging
+   * @param {string} key - Object key
+   * @returns {string} URL
+   */
+  getPublicUrl(key) {
+    return `${this.publicBase}/storage/${key}`;
+  }
+
+  /**
+   * Test storage by writing, reading back and deleting a file
+   * @returns {Promise<boolean>} True if storage is writable
+   */
+  async testConnection() {
+    try {
+      const testKey = 'test/connection-test.txt';
+      await this.upload(testKey, 'Connection test successful!', 'text/plain');
+      await this.read(testKey);
+      console.log('[LocalStorage] ✅ Connection test successful');
+
+      // Clean up test file
+      await this.delete(testKey);
+      return true;
+    } catch (error) {
+      console.error('[LocalStorage] ❌ Connection test failed:', error.message);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+let instance = null;
+
+export function getLocalStorage(config = {}) {
+  if (!instance) {
+    instance = new LocalStorage(config);
+  }
+  return instance;
+}
+
+export default getLocalStorage;
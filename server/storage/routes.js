@@ -0,0 +1,74 @@
+/**
+ * Local Storage Routes
+ *
+ * Serves signed GET/PUT URLs issued by LocalStorage (STORAGE_TYPE=local).
+ * Mounted at /storage so URLs look like /storage/{key}?expires=...&signature=...
+ */
+
+import express from 'express';
+import { getStorage } from './index.js';
+
+const router = express.Router();
+
+// Maximum object size accepted via signed PUT
+const MAX_UPLOAD_SIZE = '50mb';
+
+/**
+ * Resolve local storage and verify the request signature
+ * Sends the error response itself and returns null on failure
+ */
+function authorize(req, res) {
+  if ((process.env.STORAGE_TYPE || 's3') !== 'local') {
+    res.status(404).json({ error: 'Local storage is not enabled' });
+    return null;
+  }
+
+  const storage = getStorage();
+  const key = req.params[0];
+  const { expires, signature } = req.query;
+
+  const check = storage.verifySignature(req.method === 'HEAD' ? 'GET' : req.method, key, expires, signature);
+  if (!check.valid) {
+    res.status(403).json({ error: 'Access denied', details: check.reason });
+    return null;
+  }
+
+  return { storage, key };
+}
+
+// GET /storage/* - Download object via signed URL
+router.get('/*', (req, res) => {
+  const auth = authorize(req, res);
+  if (!auth) return;
+
+  try {
+    const filePath = auth.storage.resolvePath(auth.key);
+
+    if (!auth.storage.exists(auth.key)) {
+      return res.status(404).json({ error: 'Object not found', key: auth.key });
+    }
+
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('[LocalStorage] Error serving object:', error);
+    res.status(400).json({ error: 'Failed to serve object', details: error.message });
+  }
+});
+
+// PUT /storage/* - Upload object via signed URL
+router.put('/*', express.raw({ type: () => true, limit: MAX_UPLOAD_SIZE }), async (req, res) => {
+  const auth = authorize(req, res);
+  if (!auth) return;
+
+  try {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    await auth.storage.upload(auth.key, body, req.get('content-type'));
+
+    res.status(200).json({ success: true, key: auth.key, size: body.length });
+  } catch (error) {
+    console.error('[LocalStorage] Error storing object:', error);
+    res.status(500).json({ error: 'Failed to store object', details: error.message });
+  }
+});
+
+export default router;
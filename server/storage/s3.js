@@ -1,13 +1,14 @@
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
-import crypto from 'crypto';
+import { StorageKeys } from './keys.js';
 
 /**
  * S3 Storage Client
  * Handles all S3 operations with presigned URL support
  */
-class S3Storage {
+class S3Storage extends StorageKeys {
   constructor(config = {}) {
+    super();
     this.bucket = config.bucket || process.env.S3_BUCKET;
     this.region = config.region || process.env.AWS_REGION || 'us-east-1';
 
@@ -35,87 +36,6 @@ class S3Storage {
     console.log(`[S3Storage] Initialized: bucket=${this.bucket}, region=${this.region}`);
   }
 
-  /**
-   * Generate deterministic S3 key for original image
-   * Pattern: originals/{sku}/{sha256}.jpg
-   */
-  getOriginalKey(sku, sha256) {
-    return `originals/${sku}/${sha256}.jpg`;
-  }
-
-  /**
-   * Generate deterministic S3 key for mask
-   * Pattern: masks/{sku}/{sha256}.png
-   */
-  getMaskKey(sku, sha256) {
-    return `masks/${sku}/${sha256}.png`;
-  }
-
-  /**
-   * Generate deterministic S3 key for cutout (Flow v2)
-   * Pattern: cutouts/{sku}/{sha256}.png
-   */
-  getCutoutKey(sku, sha256) {
-    return `cutouts/${sku}/${sha256}.png`;
-  }
-
-  /**
-   * Generate deterministic S3 key for background
-   * Pattern: backgrounds/{theme}/{sku}/{sha256}_{variant}.jpg
-   */
-  getBackgroundKey(sku, sha256, theme = 'default', variant = 1) {
-    return `backgrounds/${theme}/${sku}/${sha256}_${variant}.jpg`;
-  }
-
-  /**
-   * Generate deterministic S3 key for composite
-   * Pattern: composites/{theme}/{sku}/{sha256}_{aspect}_{variant}_{type}.jpg
-   * aspect: 1x1, 4x5
-   * type: master, shopify
-   */
-  getCompositeKey(sku, sha256, theme = 'default', aspect = '1x1', variant = 1, type = 'master') {
-    return `composites/${theme}/${sku}/${sha256}_${aspect}_${variant}_${type}.jpg`;
-  }
-
-  /**
-   * Generate deterministic S3 key for thumbnail
-   * Pattern: thumbs/{sku}/{sha256}_400.jpg
-   */
-  getThumbnailKey(sku, sha256) {
-    return `thumbs/${sku}/${sha256}_400.jpg`;
-  }
-
-  /**
-   * Generate deterministic S3 key for derivative (Flow v2)
-   * Pattern: derivatives/{theme}/{sku}/{sha256}/{variant}_{size}.{ext}
-   * Examples:
-   *   derivatives/default/VWS200433868/abc123.../1_hero.jpg
-   *   derivatives/default/VWS200433868/abc123.../1_pdp.webp
-   *   derivatives/default/VWS200433868/abc123.../1_thumb.avif
-   */
-  getDerivativeKey(sku, sha256, theme = 'default', variant = 1, size = 'hero', ext = 'jpg') {
-    return `derivatives/${theme}/${sku}/${sha256}/${variant}_${size}.${ext}`;
-  }
-
-  /**
-   * Generate deterministic S3 key for manifest (Flow v2)
-   * Pattern: manifests/{sku}/{sha256}-{theme}.json
-   */
-  getManifestKey(sku, sha256, theme = 'default') {
-    return `manifests/${sku}/${sha256}-${theme}.json`;
-  }
-
-  /**
-   * Generate deterministic S3 key for enhanced/upscaled image
-   * Pattern: enhanced/{inputKey}_x{scale}.{ext}
-   * Example: enhanced/originals/SKU123/abc123.jpg_x4.jpg
-   */
-  getEnhancedKey(inputS3Key, scale = 4) {
-    // Extract extension from input key
-    const ext = inputS3Key.split('.').pop();
-    return `enhanced/${inputS3Key}_x${scale}.${ext}`;
-  }
-
   /**
    * Generate presigned PUT URL (for uploading)
    * @param {string} key - S3 object key
@@ -185,6 +105,23 @@ class S3Storage {
     return this.upload(key, buffer, contentType);
   }
 
+  /**
+   * Check whether an object exists
+   * @param {string} key - S3 object key
+   * @returns {Promise<boolean>} True if the object exists
+   */
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Delete object from S3
    * @param {string} key - S3 object key
@@ -211,16 +148,6 @@ class S3Storage {
     return `${this.publicBase}/${key}`;
   }
 
-  /**
-   * Calculate SHA256 hash of a file buffer
-   * Used for generating deterministic keys
-   * @param {Buffer} buffer - File buffer
-   * @returns {string} SHA256 hex string
-   */
-  static sha256(buffer) {
-    return crypto.createHash('sha256').update(buffer).digest('hex');
-  }
-
   /**
    * Test S3 connection by attempting to list bucket
    * @returns {Promise<boolean>} True if connection successful
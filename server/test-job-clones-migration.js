@@ -0,0 +1,105 @@
+/**
+ * Test Job Clones Migration
+ *
+ * Checks that migration 014 (which rebuilds the jobs table) keeps every job
+ * and its event timeline. Runs on a scratch copy of the database (DB_PATH, or
+ * db.sqlite) that hasn't reached 014 yet: migrations up to 013 are applied,
+ * an event is added, then 014 runs the way runMigrations() runs it.
+ *
+ * Usage: node test-job-clones-migration.js
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const sourcePath = process.env.DB_PATH || path.join(__dirname, 'db.sqlite');
+const scratchPath = path.join(os.tmpdir(), `job-clones-migration-${Date.now()}.sqlite`);
+const migrationsDir = path.join(__dirname, 'migrations');
+
+/**
+ * Apply one migration file like runMigrations() does (in a transaction)
+ */
+function applyMigration(db, file) {
+  const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf-8');
+
+  db.exec('BEGIN TRANSACTION');
+  try {
+    db.exec(sql);
+    db.prepare(`
+      INSERT OR REPLACE INTO metadata (key, value, updated_at)
+      VALUES ('migration_version', ?, CURRENT_TIMESTAMP)
+    `).run(String(parseInt(file, 10)));
+    db.exec('COMMIT');
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+function count(db, table) {
+  return db.prepare(`SELECT COUNT(*) AS c FROM ${table}`).get().c;
+}
+
+function testJobClonesMigration() {
+  console.log('========================================');
+  console.log('JOB CLONES MIGRATION TEST');
+  console.log('========================================\n');
+
+  fs.copyFileSync(sourcePath, scratchPath);
+  const db = new Database(scratchPath);
+
+  try {
+    const version = parseInt(db.prepare("SELECT value FROM metadata WHERE key = 'migration_version'").get()?.value || '0', 10);
+    if (version >= 14) {
+      console.log(`Database is already at migration ${version}; use one from before 014.`);
+      process.exit(1);
+    }
+
+    console.log(`Foreign keys: ${db.pragma('foreign_keys', { simple: true }) ? 'on' : 'off'}`);
+
+    const files = fs.readdirSync(migrationsDir).filter(f => f.endsWith('.sql')).sort();
+    for (const file of files) {
+      const number = parseInt(file, 10);
+      if (number > version && number <= 13) {
+        applyMigration(db, file);
+        console.log(`Applied ${file}`);
+      }
+    }
+
+    const job = db.prepare('SELECT id FROM jobs LIMIT 1').get();
+    if (!job) {
+      console.log('No jobs to test with.');
+      process.exit(1);
+    }
+
+    db.prepare(`
+      INSERT INTO job_events (job_id, type, message, actor, created_at)
+      VALUES (?, 'step', 'Migration test event', 'system', ?)
+    `).run(job.id, new Date().toISOString());
+
+    const before = { jobs: count(db, 'jobs'), events: count(db, 'job_events') };
+    applyMigration(db, '014-job-clones.sql');
+    const after = { jobs: count(db, 'jobs'), events: count(db, 'job_events') };
+
+    console.log(`\nBefore 014: ${before.jobs} jobs, ${before.events} events`);
+    console.log(`After 014:  ${after.jobs} jobs, ${after.events} events`);
+
+    if (after.jobs !== before.jobs || after.events !== before.events) {
+      console.log('\n❌ Migration 014 lost rows');
+      process.exit(1);
+    }
+
+    console.log('\n✅ Jobs and their events survived migration 014');
+  } finally {
+    db.close();
+    fs.rmSync(scratchPath, { force: true });
+  }
+}
+
+testJobClonesMigration();
@@ -0,0 +1,68 @@
+/**
+ * Imaging Utilities
+ *
+ * Helpers shared by the sharp-based providers (mock, local segmentation and
+ * procedural backgrounds).
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Derive a stable numeric seed from arbitrary parts
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function seedFrom(...parts) {
+  const hash = crypto.createHash('sha256').update(parts.join('|')).digest();
+  return hash.readUInt32BE(0);
+}
+
+/**
+ * Flood-fill the backdrop of a raw image from its border
+ *
+ * Breadth-first fill seeded from every border pixel, spreading to the four
+ * neighbours of each pixel the predicate accepts.
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {function(number): boolean} isBackdrop - Whether pixel index p (y * width + x) looks like backdrop
+ * @returns {{filled: Uint8Array, count: number}} filled[p] is 1 for backdrop pixels reached from the border
+ */
+export function floodFillFromBorder(width, height, isBackdrop) {
+  const pixelCount = width * height;
+  const filled = new Uint8Array(pixelCount);
+  const queue = new Int32Array(pixelCount);
+  let head = 0;
+  let tail = 0;
+
+  const push = p => {
+    if (!filled[p] && isBackdrop(p)) {
+      filled[p] = 1;
+      queue[tail++] = p;
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    push(x);
+    push((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    push(y * width);
+    push(y * width + width - 1);
+  }
+
+  while (head < tail) {
+    const p = queue[head++];
+    const x = p % width;
+    if (x > 0) push(p - 1);
+    if (x < width - 1) push(p + 1);
+    if (p >= width) push(p - width);
+    if (p < pixelCount - width) push(p + width);
+  }
+
+  return { filled, count: tail };
+}
+
+export default {
+  seedFrom,
+  floodFillFromBorder
+};
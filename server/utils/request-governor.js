@@ -0,0 +1,333 @@
+/**
+ * Request Governor
+ *
+ * Shared rate limiter and circuit breaker for outbound API calls, one governor
+ * per provider (freepik, nanobanana, shopify). Every governed request:
+ * - waits for a concurrency slot and its requests-per-second spacing
+ * - is rejected right away with a CircuitOpenError while the provider's circuit is open
+ * - reports its outcome: network errors and 5xx responses count towards opening
+ *   the circuit, 429 responses pause the governor for the Retry-After period
+ *
+ * After `PROVIDER_CIRCUIT_RESET_MS` an open circuit goes half-open and lets a
+ * single trial request through; success closes it, failure opens it again.
+ * State is per process (the API server and each worker keep their own).
+ */
+
+import { setTimeout as wait } from 'timers/promises';
+import fetch from 'node-fetch';
+
+/**
+ * Circuit breaker states
+ */
+export const CircuitState = {
+  CLOSED: 'closed',       // Requests flow normally
+  OPEN: 'open',           // Requests fail fast until the reset timeout
+  HALF_OPEN: 'half_open'  // One trial request decides whether to close or reopen
+};
+
+// Per-provider limits, overridable with <PROVIDER>_MAX_CONCURRENT / <PROVIDER>_RPS
+const DEFAULT_LIMITS = {
+  freepik: { maxConcurrent: 4, requestsPerSecond: 5 },
+  nanobanana: { maxConcurrent: 2, requestsPerSecond: 1 }, // OpenRouter
+  shopify: { maxConcurrent: 2, requestsPerSecond: 2 }     // Admin REST API leaky bucket
+};
+const FALLBACK_LIMITS = { maxConcurrent: 4, requestsPerSecond: 5 };
+
+const CIRCUIT_CONFIG = {
+  failureThreshold: parseInt(process.env.PROVIDER_CIRCUIT_FAILURE_THRESHOLD || '5', 10), // Consecutive failures before opening
+  resetTimeout: parseInt(process.env.PROVIDER_CIRCUIT_RESET_MS || '30000', 10),          // Open → half-open after 30s
+  defaultRetryAfter: 1000 // Pause after a 429 without a Retry-After header
+};
+
+/**
+ * Thrown instead of sending a request while a provider's circuit is open
+ * The message contains "circuit open" so the job error classifier treats it as transient.
+ */
+export class CircuitOpenError extends Error {
+  constructor(name, circuit) {
+    super(`${name} circuit open after ${circuit.consecutiveFailures} consecutive failures (last: ${circuit.lastError}), retry after ${circuit.retryAt}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.status = 503;
+    this.retryAt = circuit.retryAt;
+  }
+}
+
+/**
+ * Read a limit from the environment, e.g. FREEPIK_RPS
+ */
+function envLimit(name, suffix, fallback) {
+  const value = parseFloat(process.env[`${name.toUpperCase()}_${suffix}`]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(header) {
+  if (!header) return CIRCUIT_CONFIG.defaultRetryAfter;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? CIRCUIT_CONFIG.defaultRetryAfter : Math.max(date - Date.now(), 0);
+}
+
+export class RequestGovernor {
+  constructor(name) {
+    const limits = DEFAULT_LIMITS[name] || FALLBACK_LIMITS;
+
+    this.name = name;
+    this.maxConcurrent = envLimit(name, 'MAX_CONCURRENT', limits.maxConcurrent);
+    this.requestsPerSecond = envLimit(name, 'RPS', limits.requestsPerSecond);
+    this.minInterval = 1000 / this.requestsPerSecond;
+
+    this.active = 0;
+    this.waiters = new Set(); // Resolvers waiting for a concurrency slot, in arrival order
+    this.nextSlotAt = 0;      // Earliest start time of the next request (RPS spacing)
+    this.pausedUntil = 0;     // Set by 429 responses
+
+    this.circuit = {
+      state: CircuitState.CLOSED,
+      consecutiveFailures: 0,
+      openedAt: null,
+      retryAt: null,
+      lastError: null,
+      trialInFlight: false
+    };
+
+    this.totals = { requests: 0, failures: 0, rejected: 0, rateLimited: 0 };
+  }
+
+  /**
+   * Fetch through the governor
+   * Same signature as node-fetch; `options.signal` also cancels the wait for a slot.
+   * @throws {CircuitOpenError} If the circuit is open
+   */
+  async fetch(url, options = {}) {
+    const { signal } = options;
+
+    const isTrial = await this.acquire(signal);
+    this.totals.requests++;
+
+    try {
+      const response = await fetch(url, options);
+
+      if (response.status === 429) {
+        this.pause(parseRetryAfter(response.headers.get('retry-after')));
+      }
+
+      if (response.status >= 500) {
+        this.recordFailure(`HTTP ${response.status}`);
+      } else {
+        // 4xx are the caller's problem, not an outage
+        this.recordSuccess();
+      }
+
+      return response;
+    } catch (error) {
+      // A cancelled job says nothing about the provider's health
+      if (!signal?.aborted) {
+        this.recordFailure(error.message);
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.circuit.trialInFlight = false;
+      }
+      this.release();
+    }
+  }
+
+  /**
+   * Wait for a concurrency slot and the RPS spacing
+   * @returns {Promise<boolean>} True if this request is the half-open trial
+   */
+  async acquire(signal) {
+    const isTrial = this.checkCircuit();
+
+    try {
+      for (;;) {
+        signal?.throwIfAborted();
+
+        if (this.active >= this.maxConcurrent) {
+          await this.waitForSlot(signal);
+          continue;
+        }
+
+        const now = Date.now();
+        const delay = Math.max(this.nextSlotAt - now, this.pausedUntil - now);
+
+        if (delay > 0) {
+          await wait(delay, undefined, { signal });
+          continue;
+        }
+
+        this.active++;
+        this.nextSlotAt = now + this.minInterval;
+        return isTrial;
+      }
+    } catch (error) {
+      // Cancelled while queued: hand the trial to the next request
+      if (isTrial) {
+        this.circuit.trialInFlight = false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Let the next waiting request have the slot
+   */
+  release() {
+    this.active--;
+
+    const [next] = this.waiters;
+    if (next) {
+      this.waiters.delete(next);
+      next();
+    }
+  }
+
+  waitForSlot(signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waiters.delete(waiter);
+        reject(signal.reason);
+      };
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+
+      this.waiters.add(waiter);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Fail fast while the circuit is open; move to half-open once the reset timeout passed
+   * @returns {boolean} True if the caller gets the half-open trial request
+   */
+  checkCircuit() {
+    const { circuit } = this;
+
+    if (circuit.state === CircuitState.OPEN && Date.now() >= Date.parse(circuit.retryAt)) {
+      circuit.state = CircuitState.HALF_OPEN;
+      console.log(`[RequestGovernor] ${this.name} circuit half-open, sending a trial request`);
+    }
+
+    if (circuit.state === CircuitState.CLOSED) {
+      return false;
+    }
+
+    if (circuit.state === CircuitState.HALF_OPEN && !circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      return true;
+    }
+
+    this.totals.rejected++;
+    throw new CircuitOpenError(this.name, circuit);
+  }
+
+  recordSuccess() {
+    const { circuit } = this;
+
+    if (circuit.state !== CircuitState.CLOSED) {
+      console.log(`[RequestGovernor] ✅ ${this.name} circuit closed`);
+    }
+
+    circuit.state = CircuitState.CLOSED;
+    circuit.consecutiveFailures = 0;
+    circuit.openedAt = null;
+    circuit.retryAt = null;
+  }
+
+  recordFailure(message) {
+    const { circuit } = this;
+
+    this.totals.failures++;
+    circuit.consecutiveFailures++;
+    circuit.lastError = message;
+
+    if (circuit.state === CircuitState.HALF_OPEN || circuit.consecutiveFailures >= CIRCUIT_CONFIG.failureThreshold) {
+      const now = Date.now();
+      circuit.state = CircuitState.OPEN;
+      circuit.openedAt = new Date(now).toISOString();
+      circuit.retryAt = new Date(now + CIRCUIT_CONFIG.resetTimeout).toISOString();
+      console.warn(`[RequestGovernor] ⚠️  ${this.name} circuit open after ${circuit.consecutiveFailures} consecutive failures (${message}), retry after ${circuit.retryAt}`);
+    }
+  }
+
+  /**
+   * Hold back every request to this provider (429 Too Many Requests)
+   */
+  pause(ms) {
+    this.totals.rateLimited++;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    console.warn(`[RequestGovernor] ⚠️  ${this.name} rate limited, pausing requests for ${ms}ms`);
+  }
+
+  getState() {
+    const { trialInFlight, ...circuit } = this.circuit;
+
+    return {
+      maxConcurrent: this.maxConcurrent,
+      requestsPerSecond: this.requestsPerSecond,
+      active: this.active,
+      queued: this.waiters.size,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      circuit: { ...circuit, failureThreshold: CIRCUIT_CONFIG.failureThreshold },
+      totals: { ...this.totals }
+    };
+  }
+}
+
+// Governors by provider name, created on first use
+const governors = new Map();
+
+/**
+ * Get the governor for a provider
+ * Creates singleton on first call
+ */
+export function getGovernor(name) {
+  if (!governors.has(name)) {
+    governors.set(name, new RequestGovernor(name));
+  }
+  return governors.get(name);
+}
+
+/**
+ * Fetch through a provider's governor
+ * @param {string} name - Provider name (freepik, nanobanana, shopify)
+ */
+export function governedFetch(name, url, options) {
+  return getGovernor(name).fetch(url, options);
+}
+
+/**
+ * Get limits, circuit state and totals for every governor
+ * @returns {Object<string, object>} States by provider name
+ */
+export function getGovernorStates() {
+  const names = new Set([...Object.keys(DEFAULT_LIMITS), ...governors.keys()]);
+  return Object.fromEntries([...names].map(name => [name, getGovernor(name).getState()]));
+}
+
+/**
+ * Reset governors (useful for testing)
+ */
+export function resetGovernors() {
+  governors.clear();
+}
+
+export default {
+  CircuitState,
+  CircuitOpenError,
+  RequestGovernor,
+  getGovernor,
+  governedFetch,
+  getGovernorStates,
+  resetGovernors
+};
@@ -300,12 +300,14 @@ async function downloadFromS3(storage, s3Key) {
 
 /**
  * Batch generate derivatives for multiple composites
+ * Optional onProgress({ variant, current, total, success }) fires after each composite
  */
 export async function batchGenerateDerivatives({
   compositeS3Keys,
   sku,
   sha256,
-  theme = 'default'
+  theme = 'default',
+  onProgress = null
 }) {
   console.log('[Derivatives] Starting batch generation:', {
     sku,
@@ -329,6 +331,10 @@ export async function batchGenerateDerivatives({
       variant,
       ...result
     });
+
+    if (onProgress) {
+      onProgress({ variant, current: i + 1, total: compositeS3Keys.length, success: result.success });
+    }
   }
 
   const successCount = results.filter(r => r.success).length;
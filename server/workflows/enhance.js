@@ -10,6 +10,8 @@ import sharp from 'sharp';
 import { getStorage } from '../storage/index.js';
 import { ReplicateUpscaleProvider } from '../providers/replicate/upscale.js';
 import { ClarityUpscaleProvider } from '../providers/replicate/clarity.js';
+import { trackProviderCall } from '../jobs/provider-ledger.js';
+import { getPrice } from '../providers/pricing.js';
 
 /**
  * Enhance (upscale) image using AI
@@ -25,6 +27,7 @@ import { ClarityUpscaleProvider } from '../providers/replicate/clarity.js';
 export async function enhanceImage({ inputS3Key, scale = 4, faceEnhance = false, model = 'clarity', db }) {
   const startTime = Date.now();
   const enhancementId = nanoid();
+  const cost = getPrice('replicate', 'upscaleImage'); // Flat price per upscale, whichever model
 
   console.log('[Enhance] Starting image enhancement', {
     enhancementId,
@@ -44,7 +47,7 @@ export async function enhanceImage({ inputS3Key, scale = 4, faceEnhance = false,
     db.prepare(`
       INSERT INTO enhancements (id, input_s3_key, scale_factor, status, cost)
       VALUES (?, ?, ?, 'processing', ?)
-    `).run(enhancementId, inputS3Key, scale, 0.024);
+    `).run(enhancementId, inputS3Key, scale, cost);
 
     const storage = getStorage();
 
@@ -109,6 +112,8 @@ export async function enhanceImage({ inputS3Key, scale = 4, faceEnhance = false,
     }
 
     let result;
+    // Replicate results carry no cost; the ledger uses the flat upscale price
+    const ledgerContext = { provider: 'replicate', operation: 'upscaleImage', enhancementId, costUsd: cost };
 
     if (model === 'clarity') {
       // Use Clarity Upscaler (better for text-heavy images)
@@ -117,13 +122,13 @@ export async function enhanceImage({ inputS3Key, scale = 4, faceEnhance = false,
       });
 
       console.log('[Enhance] Submitting to Clarity Upscaler...');
-      result = await clarityProvider.upscaleImage({
+      result = await trackProviderCall(ledgerContext, () => clarityProvider.upscaleImage({
         imageUrl: processingUrl,
         scale,
         sharpen: 0,
         creativity: 0.35,
         resemblance: 0.6
-      });
+      }));
     } else {
       // Use Real-ESRGAN (faster but worse with text)
       const replicateProvider = new ReplicateUpscaleProvider({
@@ -131,11 +136,11 @@ export async function enhanceImage({ inputS3Key, scale = 4, faceEnhance = false,
       });
 
       console.log('[Enhance] Submitting to Real-ESRGAN...');
-      result = await replicateProvider.upscaleImage({
+      result = await trackProviderCall(ledgerContext, () => replicateProvider.upscaleImage({
         imageUrl: processingUrl,
         scale,
         face_enhance: faceEnhance
-      });
+      }));
     }
 
     if (!result.success) {
@@ -181,7 +186,7 @@ export async function enhanceImage({ inputS3Key, scale = 4, faceEnhance = false,
       resizedForProcessing,
       provider: 'replicate',
       model: model,
-      cost: 0.024
+      cost
     };
 
     // Step 11: Update enhancement record with success
@@ -189,18 +194,18 @@ export async function enhanceImage({ inputS3Key, scale = 4, faceEnhance = false,
       UPDATE enhancements
       SET output_s3_key = ?,
           status = 'completed',
-          cost = 0.024,
+          cost = ?,
           metadata = ?,
           updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
-    `).run(outputS3Key, JSON.stringify(metadata), enhancementId);
+    `).run(outputS3Key, cost, JSON.stringify(metadata), enhancementId);
 
     console.log('[Enhance] Enhancement complete:', {
       enhancementId,
       duration: `${duration}ms`,
       inputSize: `${inputMetadata.width}x${inputMetadata.height}`,
       outputSize: `${upscaledMetadata.width}x${upscaledMetadata.height}`,
-      cost: '$0.024'
+      cost: `$${cost.toFixed(3)}`
     });
 
     return {
@@ -4,11 +4,13 @@
  * Generates a comprehensive manifest JSON file for each job containing:
  * - All S3 keys and URLs for original, cutout, mask, backgrounds, composites, derivatives
  * - Timing metrics for each pipeline step
- * - Cost breakdown (Freepik API costs)
+ * - Cost breakdown (provider calls recorded in the ledger for the job)
  * - Metadata (dimensions, file sizes, quality settings)
  */
 
 import { getStorage } from '../storage/index.js';
+import { getJobOutputHash } from '../jobs/manager.js';
+import { listProviderCalls } from '../jobs/provider-ledger.js';
 
 /**
  * Build manifest for a completed job
@@ -29,11 +31,18 @@ export async function buildManifest(job, pipelineData = {}) {
   try {
     const storage = getStorage();
 
+    // Costs as reported by the providers at call time (see providers/pricing.js)
+    const { calls: providerCalls, totalCostUsd } = listProviderCalls({ jobId: job.id, limit: 1000 });
+    const costOf = (...operations) => providerCalls
+      .filter(call => operations.includes(call.operation))
+      .reduce((sum, call) => sum + call.cost_usd, 0);
+
     // Step 1: Build manifest structure
     const manifest = {
       // Metadata
       version: '2.0',
       jobId: job.id,
+      parentJobId: job.parent_job_id || null,
       sku: job.sku,
       theme: job.theme,
       imgSha256: job.img_sha256,
@@ -83,11 +92,12 @@ export async function buildManifest(job, pipelineData = {}) {
           : null
       },
 
-      // Cost breakdown (Freepik credits)
+      // Cost breakdown (USD)
       costs: {
-        segmentation: 0.02, // $0.02 per segmentation
-        backgroundGeneration: 0.02 * (job.s3_bg_keys ? JSON.parse(job.s3_bg_keys).length : 0), // $0.02 per background
-        total: 0.02 + (0.02 * (job.s3_bg_keys ? JSON.parse(job.s3_bg_keys).length : 0))
+        segmentation: costOf('removeBackground'),
+        backgroundGeneration: costOf('generateBackground', 'editBackground'),
+        compositing: costOf('compositeImage', 'enhanceLighting'),
+        total: totalCostUsd
       },
 
       // Provider metadata
@@ -102,7 +112,7 @@ export async function buildManifest(job, pipelineData = {}) {
     };
 
     // Step 2: Upload manifest to S3
-    const manifestS3Key = storage.getManifestKey(job.sku, job.img_sha256, job.theme);
+    const manifestS3Key = storage.getManifestKey(job.sku, getJobOutputHash(job), job.theme);
     const manifestJSON = JSON.stringify(manifest, null, 2);
 
     await storage.uploadBuffer(manifestS3Key, Buffer.from(manifestJSON), 'application/json');
@@ -10,40 +10,197 @@
  * - Cost tracking (Freepik API)
  * - Retry logic with exponential backoff
  * - Error handling and logging
+ * - Stuck-job watchdog (see watchdog.js)
+ * - Cancellation: in-flight provider calls are aborted via AbortSignal
  * - Graceful shutdown
  */
 
-import { getJob, listJobs, failJob } from '../jobs/manager.js';
-import { JobStatus, ErrorCode } from '../jobs/state-machine.js';
-import { getSegmentProvider, getBackgroundProvider, getSeedreamProvider } from '../providers/index.js';
+import os from 'os';
+import { getJob, getJobOutputHash, claimPendingJobs, renewJobLease, releaseJobLease, failJobWithRetry } from '../jobs/manager.js';
+import { JobStatus, ErrorCode, isTerminalStatus } from '../jobs/state-machine.js';
+import { JobEventType, JobEventActor, recordJobEvent } from '../jobs/events.js';
+import { publishJobProgress } from '../jobs/stream.js';
+import { ProviderCapability, getSeedreamProvider, getProviderChain, callWithFailover } from '../providers/index.js';
 import { compositeImage } from './composite.js';
-import { FreepikCompositeProvider } from '../providers/freepik/composite.js';
-import { NanoBananaCompositeProvider } from '../providers/nanobanana/composite.js';
 import { generateDerivatives, batchGenerateDerivatives } from './derivatives.js';
 import { buildManifest } from './manifest.js';
-import { getBackgroundPrompt, getWorkflowPreference, getActiveBackgroundTemplate, getCompositorPreference, getSharpWorkflowPreference, getSharpSettings } from '../jobs/routes.js';
-import { getTemplateWithAssets } from './template-generator.js';
+import { runWatchdog } from './watchdog.js';
+import { resolveJobPipelineConfig, resolveJobTemplate, getPipelineTemplate, getPipelineTemplateAssets } from '../jobs/pipeline-config.js';
+import { getThemePrompts } from '../providers/themes.js';
+import { renderPromptTemplate, getItemPromptVariables } from '../providers/prompt-template.js';
 import { findProductBySKU, uploadProductImages } from '../integrations/shopify.js';
-import getS3Storage from '../storage/s3.js';
+import { getStorage } from '../storage/index.js';
+import { getGovernorStates } from '../utils/request-governor.js';
+import { trackProviderCall, getBudgetStatus } from '../jobs/provider-ledger.js';
+import { cachedProviderCall } from '../jobs/provider-cache.js';
 import db from '../db.js';
 
 /**
- * Get compositor instance based on configuration
- * Priority: Sharp Workflow + Flux Kontext > Sharp Workflow > Compositor Preference > Environment Variable
+ * Pipeline step each workflow re-enters at for a job in a given status
+ * Retried jobs are reset to the status of their last completed step (see getResumeStatus)
  */
-function getCompositor() {
-  // Check if Sharp Workflow is enabled
-  const sharpWorkflowEnabled = getSharpWorkflowPreference();
-  const compositorPreference = getCompositorPreference();
+const CUTOUT_COMPOSITE_RESUME_STEPS = {
+  [JobStatus.NEW]: 1,
+  [JobStatus.BG_REMOVED]: 2,
+  [JobStatus.BACKGROUND_READY]: 3,
+  [JobStatus.COMPOSITED]: 4,
+  [JobStatus.DERIVATIVES]: 5
+};
+
+const SEEDREAM_RESUME_STEPS = {
+  [JobStatus.NEW]: 1,
+  [JobStatus.BG_REMOVED]: 2,
+  [JobStatus.BACKGROUND_READY]: 2, // Seedream edits from the cutout; backgrounds are unused
+  [JobStatus.COMPOSITED]: 3,
+  [JobStatus.DERIVATIVES]: 4
+};
+
+// Provider method behind each capability, as recorded in the provider call ledger
+const CAPABILITY_OPERATIONS = {
+  [ProviderCapability.SEGMENTATION]: 'removeBackground',
+  [ProviderCapability.BACKGROUND]: 'generateBackground',
+  [ProviderCapability.COMPOSITE]: 'compositeImage',
+  [ProviderCapability.LIGHTING]: 'enhanceLighting'
+};
+
+/**
+ * Rebuild manifest derivative entries from stored derivative keys
+ * Key pattern: derivatives/{theme}/{sku}/{sha256}/{variant}_{size}.{ext}
+ */
+function derivativesFromKeys(keys) {
+  return keys.map(s3Key => {
+    const match = s3Key.match(/\/\d+_([^/]+)\.(\w+)$/);
+    return { size: match?.[1], format: match?.[2], s3Key };
+  });
+}
+
+/**
+ * Record a processor step or provider call in the job event log
+ */
+function recordProcessorEvent(jobId, event) {
+  recordJobEvent(jobId, { actor: JobEventActor.PROCESSOR, ...event });
+}
+
+/**
+ * Format a step duration for the timing breakdown (null = skipped on resume)
+ */
+function formatStepDuration(ms) {
+  return ms === null ? 'skipped' : `${ms}ms`;
+}
+
+/**
+ * Call a provider capability through the job's failover chain
+ * Providers that failed before the one that served the call are logged as
+ * failover events on the job timeline. Calls with a `cache` descriptor go
+ * through the provider result cache (skipped when the job has bypassCache).
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} step - Pipeline step, for the event log
+ * @param {string} capability - ProviderCapability
+ * @param {object} pipelineConfig - Job's pipeline config snapshot (compositor, providerFallbacks)
+ * @param {function} operation - Called with each provider instance (see callWithFailover())
+ * @param {AbortSignal} signal - Job cancellation signal
+ * @param {object} cache - Optional cache key fields: inputHash, prompt, params (see cachedProviderCall())
+ */
+async function callProvider(jobId, step, capability, pipelineConfig, operation, signal, cache = null) {
+  const result = await callWithFailover(
+    capability,
+    getProviderChain(capability, pipelineConfig),
+    (provider, providerName) => {
+      const context = { provider: providerName, operation: CAPABILITY_OPERATIONS[capability], jobId };
+
+      return cache
+        ? cachedProviderCall(context, { ...cache, bypass: pipelineConfig.bypassCache }, () => operation(provider))
+        : trackProviderCall(context, () => operation(provider));
+    },
+    { signal }
+  );
+
+  for (const failover of result.failovers) {
+    recordProcessorEvent(jobId, {
+      type: JobEventType.FAILOVER,
+      step,
+      provider: failover.provider,
+      message: failover.next
+        ? `${failover.provider} failed, failing over to ${failover.next}: ${failover.error}`
+        : `${failover.provider} failed (end of chain): ${failover.error}`,
+      metadata: { capability, chain: result.chain, next: failover.next }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Save which providers served a step in jobs.provider_metadata
+ * Merged per step, so resumed runs keep the entries of earlier steps.
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} step - Pipeline step (segmentation, backgrounds, compositing)
+ * @param {object[]} results - Results of the step's provider calls
+ * @param {string} defaultProvider - Name for calls that didn't go through a chain (e.g. sharp)
+ */
+function recordStepProviders(jobId, step, results, defaultProvider = null) {
+  const job = getJob(jobId);
+  const metadata = job?.provider_metadata ? JSON.parse(job.provider_metadata) : {};
+  const chained = results.find(result => result.chain);
+  const providers = results.length > 0
+    ? results.map(result => result.servedBy || defaultProvider)
+    : [defaultProvider];
+
+  metadata[step] = {
+    capability: chained?.capability || null,
+    chain: chained?.chain || null,
+    providers: [...new Set(providers.filter(Boolean))],
+    failovers: results.flatMap(result => result.failovers || [])
+      .map(({ provider, error }) => ({ provider, error }))
+  };
+
+  // AI compositor that produced the composites (shown as a badge on the job page)
+  if (step === 'compositing' && chained) {
+    metadata.compositor = chained.servedBy;
+  }
+
+  db.prepare('UPDATE jobs SET provider_metadata = ? WHERE id = ?')
+    .run(JSON.stringify(metadata), jobId);
+}
+
+/**
+ * Render the job's background prompt for its catalog item and store it on the job
+ * The custom prompt from the pipeline config wins over the theme's background
+ * prompt; both are templates (see providers/prompt-template.js).
+ * @returns {{prompt: string, customPrompt: string|null, themePrompt: string|null}}
+ *   The rendered prompt, and the provider argument it goes in
+ */
+function resolveJobPrompt(job, pipelineConfig) {
+  const variables = getItemPromptVariables(job.sku);
+  const customPrompt = pipelineConfig.backgroundPrompt
+    ? renderPromptTemplate(pipelineConfig.backgroundPrompt, variables) || null
+    : null;
+  const themePrompt = customPrompt ? null : getThemePrompts(job.theme, variables).background;
+  const prompt = customPrompt || themePrompt;
+
+  db.prepare('UPDATE jobs SET resolved_prompt = ? WHERE id = ?').run(prompt, job.id);
+  return { prompt, customPrompt, themePrompt };
+}
+
+/**
+ * Get compositor instance based on the job's pipeline config
+ * Priority: Sharp Workflow + AI lighting > Sharp Workflow > Compositor Preference
+ * AI compositing and lighting go through the job's composite/lighting failover chains.
+ * @param {object} pipelineConfig - Job's pipeline config snapshot
+ * @param {string} jobId - Job ID, for failover events
+ */
+function getCompositor(pipelineConfig, jobId) {
+  const sharpWorkflowEnabled = pipelineConfig.sharpWorkflow;
+  const compositorPreference = pipelineConfig.compositor;
+  const sharpSettings = pipelineConfig.sharpSettings;
 
   // COMBINED FLOW: Sharp Workflow + Freepik Seedream = Sharp composite + Seedream lighting
   if (sharpWorkflowEnabled && compositorPreference === 'freepik') {
     console.log('[Processor] 🎯 COMBINED FLOW: Sharp Workflow + Freepik Seedream');
     console.log('[Processor] → Sharp composite (pixel-perfect) + Seedream lighting enhancement');
 
-    const sharpSettings = getSharpSettings();
-    const seedreamProvider = getSeedreamProvider();
-
     // Return a wrapper that combines Sharp + Seedream
     return {
       compositeImage: async (params) => {
@@ -75,13 +232,17 @@ function getCompositor() {
         console.log('[Processor] Step 2/2: Seedream lighting enhancement...');
 
         // Step 2: Seedream lighting enhancement (uses Sharp composite as input)
-        const seedreamResult = await seedreamProvider.enhanceLighting({
-          compositeS3Key: sharpResult.s3Key,
-          sku: params.sku,
-          sha256: params.sha256,
-          theme: params.theme,
-          variant: params.variant
-        });
+        const seedreamResult = await callProvider(jobId, 'compositing', ProviderCapability.LIGHTING, pipelineConfig,
+          provider => provider.enhanceLighting({
+            compositeS3Key: sharpResult.s3Key,
+            sku: params.sku,
+            sha256: params.sha256,
+            theme: params.theme,
+            variant: params.variant,
+            signal: params.signal
+          }),
+          params.signal
+        );
 
         // Return combined result
         return {
@@ -96,7 +257,11 @@ function getCompositor() {
             sharpDuration: sharpResult.metadata?.duration,
             seedreamDuration: seedreamResult.metadata?.duration
           },
-          cost: seedreamResult.cost // $0.08 for Seedream Edit
+          cost: seedreamResult.cost, // $0.08 for Seedream Edit
+          servedBy: seedreamResult.servedBy,
+          capability: seedreamResult.capability,
+          chain: seedreamResult.chain,
+          failovers: seedreamResult.failovers
         };
       }
     };
@@ -107,11 +272,6 @@ function getCompositor() {
     console.log('[Processor] 🎯 COMBINED FLOW: Sharp Workflow + Nano Banana');
     console.log('[Processor] → Sharp composite (pixel-perfect) + Nano Banana lighting enhancement');
 
-    const sharpSettings = getSharpSettings();
-    const nanoBananaProvider = new NanoBananaCompositeProvider({
-      apiKey: process.env.NANOBANANA_API_KEY
-    });
-
     // Return a wrapper that combines Sharp + Nano Banana
     return {
       compositeImage: async (params) => {
@@ -143,13 +303,17 @@ function getCompositor() {
         console.log('[Processor] Step 2/2: Nano Banana lighting enhancement...');
 
         // Step 2: Nano Banana lighting enhancement (uses Sharp composite as input)
-        const nanoBananaResult = await nanoBananaProvider.enhanceLighting({
-          compositeS3Key: sharpResult.s3Key,
-          sku: params.sku,
-          sha256: params.sha256,
-          theme: params.theme,
-          variant: params.variant
-        });
+        const nanoBananaResult = await callProvider(jobId, 'compositing', ProviderCapability.LIGHTING, pipelineConfig,
+          provider => provider.enhanceLighting({
+            compositeS3Key: sharpResult.s3Key,
+            sku: params.sku,
+            sha256: params.sha256,
+            theme: params.theme,
+            variant: params.variant,
+            signal: params.signal
+          }),
+          params.signal
+        );
 
         // Return combined result
         return {
@@ -164,7 +328,11 @@ function getCompositor() {
             sharpDuration: sharpResult.metadata?.duration,
             nanobananaDuration: nanoBananaResult.metadata?.duration
           },
-          cost: nanoBananaResult.cost // $0.03 for Nano Banana
+          cost: nanoBananaResult.cost, // $0.03 for Nano Banana
+          servedBy: nanoBananaResult.servedBy,
+          capability: nanoBananaResult.capability,
+          chain: nanoBananaResult.chain,
+          failovers: nanoBananaResult.failovers
         };
       }
     };
@@ -178,13 +346,10 @@ function getCompositor() {
 
     console.log(`[Processor] 🎯 ${reason} - using Sharp compositor (pixel-perfect, no AI)`);
 
-    // Get saved Sharp settings
-    const sharpSettings = getSharpSettings();
-
     // Return a wrapper that adapts the Sharp workflow to the compositor interface
     return {
       compositeImage: async (params) => {
-        // Merge saved settings with passed options (passed options take priority)
+        // Merge job's Sharp settings with passed options (passed options take priority)
         const mergedOptions = {
           ...sharpSettings,
           ...params.options
@@ -250,15 +415,19 @@ function getCompositor() {
 
   if (compositor === 'nanobanana') {
     console.log('[Processor] Using Nano Banana compositor (AI with better text preservation)');
-    return new NanoBananaCompositeProvider({
-      apiKey: process.env.NANOBANANA_API_KEY
-    });
+  } else {
+    console.log('[Processor] Using Freepik Seedream compositor (AI generative)');
   }
 
-  console.log('[Processor] Using Freepik Seedream compositor (AI generative)');
-  return new FreepikCompositeProvider({
-    apiKey: process.env.FREEPIK_API_KEY
-  });
+  const chainConfig = { ...pipelineConfig, compositor: compositor === 'nanobanana' ? 'nanobanana' : 'freepik' };
+
+  return {
+    name: chainConfig.compositor,
+    compositeImage: (params) => callProvider(jobId, 'compositing', ProviderCapability.COMPOSITE, chainConfig,
+      provider => provider.compositeImage(params),
+      params.signal
+    )
+  };
 }
 
 /**
@@ -268,7 +437,12 @@ const CONFIG = {
   pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10), // 5 seconds
   concurrency: parseInt(process.env.JOB_CONCURRENCY || '1', 10), // Process 1 job at a time
   maxRetries: parseInt(process.env.JOB_MAX_RETRIES || '3', 10),
-  retryDelay: parseInt(process.env.JOB_RETRY_DELAY_MS || '60000', 10), // 1 minute
+  retryDelay: parseInt(process.env.JOB_RETRY_DELAY_MS || '60000', 10), // 1 minute before the first automatic retry, doubled per attempt
+  autoRetry: process.env.JOB_AUTO_RETRY !== 'false', // Retry transient failures (provider 5xx, timeouts, S3 errors)
+  workerId: process.env.WORKER_ID || `${os.hostname()}-${process.pid}`,
+  leaseMs: parseInt(process.env.JOB_LEASE_MS || '120000', 10), // 2 minutes
+  heartbeatInterval: parseInt(process.env.JOB_LEASE_HEARTBEAT_MS || '30000', 10), // 30 seconds
+  watchdogInterval: parseInt(process.env.WATCHDOG_INTERVAL_MS || '60000', 10), // 1 minute
 };
 
 /**
@@ -276,7 +450,9 @@ const CONFIG = {
  */
 let isRunning = false;
 let pollTimer = null;
-let currentJobs = new Set(); // Track jobs being processed
+let watchdogTimer = null;
+let currentJobs = new Map(); // Jobs being processed: jobId -> AbortController
+let budgetPause = null; // Exceeded budget message while new jobs are held back
 
 /**
  * Start the job processor
@@ -291,11 +467,17 @@ export function startProcessor() {
   console.log('[Processor] Starting job processor (Flow v2)', {
     pollInterval: `${CONFIG.pollInterval}ms`,
     concurrency: CONFIG.concurrency,
-    maxRetries: CONFIG.maxRetries
+    maxRetries: CONFIG.maxRetries,
+    autoRetry: CONFIG.autoRetry,
+    workerId: CONFIG.workerId,
+    leaseMs: CONFIG.leaseMs
   });
 
   // Start polling loop
   pollForJobs();
+
+  // Periodically recover jobs that stalled mid-pipeline
+  watchdogTimer = setInterval(checkStuckJobs, CONFIG.watchdogInterval);
 }
 
 /**
@@ -315,6 +497,11 @@ export function stopProcessor() {
     pollTimer = null;
   }
 
+  if (watchdogTimer) {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+  }
+
   console.log('[Processor] Stopped');
 }
 
@@ -325,11 +512,15 @@ async function pollForJobs() {
   if (!isRunning) return;
 
   try {
-    // Get jobs that need processing (NEW status in Flow v2)
-    const jobs = listJobs({
-      status: JobStatus.NEW,
-      limit: CONFIG.concurrency - currentJobs.size
-    });
+    // Stop jobs cancelled since the last tick (possibly through another process)
+    abortCancelledJobs();
+
+    // Lease jobs that need processing (NEW, retried, or abandoned by a crashed worker)
+    // in one transaction so other processors sharing the database can't pick them too.
+    // None are claimed while a spend budget is exceeded; in-flight jobs still finish.
+    const jobs = isPausedForBudget()
+      ? []
+      : claimPendingJobs(CONFIG.workerId, CONFIG.concurrency - currentJobs.size, CONFIG.leaseMs);
 
     if (jobs.length > 0) {
       console.log(`[Processor] Found ${jobs.length} job(s) to process`);
@@ -340,14 +531,18 @@ async function pollForJobs() {
           continue;
         }
 
-        currentJobs.add(job.id);
+        const controller = new AbortController();
+        currentJobs.set(job.id, controller);
+        const stopHeartbeat = startLeaseHeartbeat(job.id);
 
         // Process job asynchronously
-        processJob(job.id)
+        processJob(job.id, controller.signal)
           .catch(error => {
             console.error('[Processor] Unexpected error:', error);
           })
           .finally(() => {
+            stopHeartbeat();
+            releaseJobLease(job.id, CONFIG.workerId);
             currentJobs.delete(job.id);
           });
       }
@@ -363,11 +558,164 @@ async function pollForJobs() {
   }
 }
 
+/**
+ * Check the daily/monthly budgets, logging when the processor pauses or resumes
+ * @returns {boolean} True if new jobs must not be claimed
+ */
+function isPausedForBudget() {
+  const { exceeded, message } = getBudgetStatus();
+
+  if (exceeded && !budgetPause) {
+    console.warn(`[Processor] ⚠️  Pausing: ${message}`);
+  } else if (!exceeded && budgetPause) {
+    console.log('[Processor] ✅ Budget available again, resuming');
+  }
+
+  budgetPause = exceeded ? message : null;
+  return exceeded;
+}
+
+/**
+ * Watchdog tick: resume or fail jobs stuck past their status budget
+ */
+function checkStuckJobs() {
+  try {
+    runWatchdog({ maxRetries: CONFIG.maxRetries });
+  } catch (error) {
+    console.error('[Processor] Watchdog error:', error);
+  }
+}
+
+/**
+ * Keep this worker's lease on a job alive while it is processed
+ * Runs on a timer, so the lease is renewed during long provider polls too.
+ * @returns {Function} Stops the heartbeat
+ */
+function startLeaseHeartbeat(jobId) {
+  const timer = setInterval(() => {
+    try {
+      if (!renewJobLease(jobId, CONFIG.workerId, CONFIG.leaseMs)) {
+        console.warn(`[Processor] [${jobId}] ⚠️  Lease lost to another worker - stopping heartbeat`);
+        clearInterval(timer);
+      }
+    } catch (error) {
+      console.error(`[Processor] [${jobId}] Lease heartbeat error:`, error.message);
+    }
+  }, CONFIG.heartbeatInterval);
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Abort a job this processor is working on
+ * Provider calls receive the job's AbortSignal, so polling loops, downloads and
+ * retry sleeps stop right away instead of running (and billing) to completion.
+ * @param {string} jobId - Job ID
+ * @returns {boolean} True if an in-flight job was aborted
+ */
+export function abortJob(jobId) {
+  const controller = currentJobs.get(jobId);
+  if (!controller || controller.signal.aborted) {
+    return false;
+  }
+
+  console.log(`[Processor] [${jobId}] ⏹️  Aborting in-flight provider calls`);
+  controller.abort(new Error(`Job ${jobId} was cancelled`));
+  return true;
+}
+
+/**
+ * Abort in-flight jobs whose status was set to CANCELLED
+ * Covers cancellations made through another process sharing the database.
+ */
+function abortCancelledJobs() {
+  if (currentJobs.size === 0) return;
+
+  const jobIds = Array.from(currentJobs.keys());
+  const cancelled = db.prepare(`
+    SELECT id FROM jobs
+    WHERE status = ? AND id IN (${jobIds.map(() => '?').join(', ')})
+  `).all(JobStatus.CANCELLED, ...jobIds);
+
+  for (const { id } of cancelled) {
+    abortJob(id);
+  }
+}
+
+/**
+ * Check whether a job was cancelled while this processor was working on it
+ */
+function isJobCancelled(jobId) {
+  if (currentJobs.get(jobId)?.signal.aborted) {
+    return true;
+  }
+
+  const row = db.prepare('SELECT status FROM jobs WHERE id = ?').get(jobId);
+  return row?.status === JobStatus.CANCELLED;
+}
+
+/**
+ * Throw if the job was cancelled or this worker no longer holds its lease
+ * Checked at every step boundary (and before each status write) so a cancelled
+ * job is never advanced and a reclaimed job is never advanced by two workers.
+ */
+function assertJobActive(jobId) {
+  const row = db.prepare('SELECT status, lease_owner FROM jobs WHERE id = ?').get(jobId);
+
+  if (row?.status === JobStatus.CANCELLED || currentJobs.get(jobId)?.signal.aborted) {
+    abortJob(jobId);
+    const error = new Error(`Job ${jobId} was cancelled`);
+    error.jobCancelled = true;
+    throw error;
+  }
+
+  if (row?.lease_owner !== CONFIG.workerId) {
+    const error = new Error(`Lease on job ${jobId} is now held by ${row?.lease_owner || 'no worker'}`);
+    error.leaseLost = true;
+    throw error;
+  }
+}
+
+/**
+ * Fail a job after a pipeline error (transient errors are retried automatically)
+ * Skipped when this worker lost the lease (the job now belongs to another worker)
+ * or when the job was cancelled (provider errors are just the aborted calls).
+ */
+function handlePipelineError(jobId, error, label) {
+  if (error.leaseLost) {
+    console.warn(`[Processor] [${jobId}] ⚠️  Abandoning job: ${error.message}`);
+    return;
+  }
+
+  if (error.jobCancelled || isJobCancelled(jobId)) {
+    console.log(`[Processor] [${jobId}] ⏹️  Stopped: job was cancelled`);
+    return;
+  }
+
+  console.error(`[Processor] [${jobId}] ${label} error:`, error);
+
+  // Transient errors are requeued with backoff; exhausted ones are dead-lettered
+  const result = failJobWithRetry(jobId, error, {
+    maxRetries: CONFIG.maxRetries,
+    retryDelayMs: CONFIG.retryDelay,
+    autoRetry: CONFIG.autoRetry,
+    actor: JobEventActor.PROCESSOR
+  });
+
+  if (result.retryAt) {
+    console.log(`[Processor] [${jobId}] ♻️  ${result.errorCode} is transient - retrying from ${result.resumeFrom} at ${result.retryAt}`);
+  }
+}
+
 /**
  * Process a single job through the complete Flow v2 pipeline
+ * @param {string} jobId - Job ID
+ * @param {AbortSignal} signal - Fires when the job is cancelled; passed to every provider call
  */
-async function processJob(jobId) {
+async function processJob(jobId, signal) {
   console.log(`[Processor] [${jobId}] Starting Flow v2 pipeline`);
+  // Claim time: the seasonal template schedule is resolved for this moment in Step 2 (see resolveJobTemplate())
+  const claimedAt = new Date();
 
   const db = (await import('../db.js')).default;
 
@@ -378,8 +726,8 @@ async function processJob(jobId) {
       return;
     }
 
-    // Skip if job is already done or failed
-    if (job.status === JobStatus.DONE || job.status === JobStatus.FAILED) {
+    // Skip if job is already done, failed or cancelled
+    if (isTerminalStatus(job.status)) {
       console.log(`[Processor] [${jobId}] Already in terminal state: ${job.status}`);
       return;
     }
@@ -387,7 +735,14 @@ async function processJob(jobId) {
     // ========================================
     // WORKFLOW SELECTION
     // ========================================
-    const workflowType = getWorkflowPreference();
+    // Settings snapshot taken when the job was created (plus per-job overrides)
+    const pipelineConfig = resolveJobPipelineConfig(job);
+
+    // Resumed jobs keep the workflow that produced their stored artifacts
+    const isResume = job.status !== JobStatus.NEW;
+    // Clones are created at BG_REMOVED with the workflow from their own config
+    const isFirstCloneRun = Boolean(job.parent_job_id) && !job.attempt && job.status === JobStatus.BG_REMOVED;
+    const workflowType = isResume && job.workflow_type ? job.workflow_type : pipelineConfig.workflow;
     console.log(`[Processor] [${jobId}] Using workflow: ${workflowType}`);
 
     // Store workflow type in job record
@@ -395,18 +750,26 @@ async function processJob(jobId) {
       UPDATE jobs SET workflow_type = ? WHERE id = ?
     `).run(workflowType, jobId);
 
+    recordProcessorEvent(jobId, {
+      type: JobEventType.STEP,
+      step: 'pipeline',
+      fromStatus: job.status,
+      message: isResume && !isFirstCloneRun
+        ? `Resumed ${workflowType} workflow from ${job.status} (attempt ${job.attempt})`
+        : `Started ${workflowType} workflow${isFirstCloneRun ? ` from the cutout of job ${job.parent_job_id}` : ''}`
+    });
+
     // ========================================
     // BRANCH: WORKFLOW A vs WORKFLOW B
     // ========================================
     if (workflowType === 'seedream_edit') {
-      await processSeedreamWorkflow(jobId, job, db);
+      await processSeedreamWorkflow(jobId, job, db, pipelineConfig, signal, claimedAt);
     } else {
-      await processCutoutCompositeWorkflow(jobId, job, db);
+      await processCutoutCompositeWorkflow(jobId, job, db, pipelineConfig, signal, claimedAt);
     }
 
   } catch (error) {
-    console.error(`[Processor] [${jobId}] Pipeline error:`, error);
-    failJob(jobId, ErrorCode.UNKNOWN, error.message, error.stack);
+    handlePipelineError(jobId, error, 'Pipeline');
   }
 }
 
@@ -414,282 +777,410 @@ async function processJob(jobId) {
  * WORKFLOW A: Cutout + Composite (Current - 7 steps)
  * Precise control with background removal, generation, and compositing
  */
-async function processCutoutCompositeWorkflow(jobId, job, db) {
+async function processCutoutCompositeWorkflow(jobId, job, db, pipelineConfig, signal, claimedAt) {
   console.log(`[Processor] [${jobId}] 🎯 WORKFLOW A: Cutout + Composite`);
 
   try {
     // Flow v2 7-Step Pipeline
     // ===================================================
 
-    // Step 1: Download original image from 3JMS + Background Removal
-    const step1Start = Date.now();
-    console.log(`[Processor] [${jobId}] Step 1/7: Download + Background Removal`);
-
-    const segmentProvider = getSegmentProvider();
-    const segmentResult = await segmentProvider.removeBackground({
-      imageUrl: job.source_url,
-      sku: job.sku,
-      sha256: job.img_sha256
-    });
-
-    if (!segmentResult.success) {
-      throw new Error(`Background removal failed: ${segmentResult.error}`);
+    // Retried jobs re-enter at their first missing artifact, skipping paid steps
+    const resumeStep = CUTOUT_COMPOSITE_RESUME_STEPS[job.status] || 1;
+    if (resumeStep > 1) {
+      console.log(`[Processor] [${jobId}] ♻️  Resuming from ${job.status} at step ${resumeStep}/7 (attempt ${job.attempt})`);
     }
 
-    const step1Duration = Date.now() - step1Start;
+    const pipelineStart = Date.now();
+    let step1Duration = null;
+    let step2Duration = null;
+    let step3Duration = null;
+    let step4Duration = null;
+    let derivatives;
+
+    if (resumeStep <= 1) {
+      // Step 1: Download original image from 3JMS + Background Removal
+      const step1Start = Date.now();
+      console.log(`[Processor] [${jobId}] Step 1/7: Download + Background Removal`);
+      assertJobActive(jobId);
+
+      const segmentResult = await callProvider(jobId, 'segmentation', ProviderCapability.SEGMENTATION, pipelineConfig,
+        provider => provider.removeBackground({
+          imageUrl: job.source_url,
+          sku: job.sku,
+          sha256: job.img_sha256,
+          signal
+        }),
+        signal,
+        { inputHash: job.img_sha256 }
+      );
+
+      if (!segmentResult.success) {
+        throw new Error(`Background removal failed: ${segmentResult.error}`);
+      }
 
-    console.log(`[Processor] [${jobId}] ✅ Step 1 complete (${step1Duration}ms):`, {
-      cutout: segmentResult.cutout.s3Key,
-      mask: segmentResult.mask.s3Key,
-      cost: `$${segmentResult.cost.toFixed(4)}`
-    });
+      step1Duration = Date.now() - step1Start;
 
-    // Update job: NEW → BG_REMOVED
-    db.prepare(`
-      UPDATE jobs
-      SET status = ?,
-          s3_cutout_key = ?,
-          s3_mask_key = ?,
-          segmentation_ms = ?,
-          cost_usd = cost_usd + ?,
-          updated_at = datetime('now')
-      WHERE id = ?
-    `).run(
-      JobStatus.BG_REMOVED,
-      segmentResult.cutout.s3Key,
-      segmentResult.mask.s3Key,
-      step1Duration,
-      segmentResult.cost,
-      jobId
-    );
+      console.log(`[Processor] [${jobId}] ✅ Step 1 complete (${step1Duration}ms):`, {
+        cutout: segmentResult.cutout.s3Key,
+        mask: segmentResult.mask.s3Key,
+        cost: `$${segmentResult.cost.toFixed(4)}`
+      });
 
-    // Step 2: Background Generation (AI-generated backgrounds or template)
-    const step2Start = Date.now();
-    console.log(`[Processor] [${jobId}] Step 2/7: Background Generation`);
+      // Update job: NEW → BG_REMOVED
+      assertJobActive(jobId);
+      db.prepare(`
+        UPDATE jobs
+        SET status = ?,
+            s3_cutout_key = ?,
+            s3_mask_key = ?,
+            segmentation_ms = ?,
+            cost_usd = cost_usd + ?,
+            updated_at = datetime('now')
+        WHERE id = ?
+      `).run(
+        JobStatus.BG_REMOVED,
+        segmentResult.cutout.s3Key,
+        segmentResult.mask.s3Key,
+        step1Duration,
+        segmentResult.cost,
+        jobId
+      );
+
+      recordProcessorEvent(jobId, {
+        type: JobEventType.PROVIDER_CALL,
+        step: 'segmentation',
+        provider: segmentResult.servedBy,
+        costUsd: segmentResult.cost,
+        durationMs: step1Duration,
+        message: segmentResult.cached ? 'Background removal (cached)' : 'Background removal',
+        metadata: { cutout: segmentResult.cutout.s3Key, mask: segmentResult.mask.s3Key, cached: Boolean(segmentResult.cached) }
+      });
+      recordStepProviders(jobId, 'segmentation', [segmentResult]);
+      recordProcessorEvent(jobId, {
+        type: JobEventType.STEP,
+        step: 'segmentation',
+        fromStatus: JobStatus.NEW,
+        toStatus: JobStatus.BG_REMOVED,
+        costUsd: segmentResult.cost,
+        durationMs: step1Duration
+      });
+    }
 
-    const backgrounds = [];
+    if (resumeStep <= 2) {
+      // Step 2: Background Generation (AI-generated backgrounds or template)
+      const step2Start = Date.now();
+      console.log(`[Processor] [${jobId}] Step 2/7: Background Generation`);
+      assertJobActive(jobId);
 
-    // Check if Sharp workflow is enabled (requires template)
-    const sharpWorkflowEnabled = getSharpWorkflowPreference();
+      const backgrounds = [];
+      const backgroundResults = [];
+      let backgroundsCost = 0;
 
-    // Check if there's an active background template
-    const activeTemplate = getActiveBackgroundTemplate();
+      // Check if Sharp workflow is enabled (requires template)
+      const sharpWorkflowEnabled = pipelineConfig.sharpWorkflow;
 
-    if (sharpWorkflowEnabled && !activeTemplate) {
-      // Sharp workflow requires a template to be selected
-      throw new Error('Sharp Workflow is enabled but no background template is selected. Please select a template in the Templates tab or disable Sharp Workflow.');
-    }
+      // Theme template, seasonal schedule and routing rules are applied now, not when the job was queued
+      pipelineConfig = resolveJobTemplate(job, pipelineConfig, { at: claimedAt });
 
-    if (activeTemplate || sharpWorkflowEnabled) {
-      // Use pre-generated backgrounds from active template
-      console.log(`[Processor] [${jobId}] Using active template: "${activeTemplate.name}" (${activeTemplate.id})${sharpWorkflowEnabled ? ' [Sharp Workflow]' : ''}`);
+      // Check if the job has a background template
+      const activeTemplate = getPipelineTemplate(pipelineConfig);
 
-      const templateData = getTemplateWithAssets(activeTemplate.id, db, true); // onlySelected = true
-      if (!templateData || !templateData.assets || templateData.assets.length === 0) {
-        throw new Error(`Active template "${activeTemplate.name}" has no selected background variants`);
+      if (sharpWorkflowEnabled && !activeTemplate) {
+        // Sharp workflow requires a template to be selected
+        throw new Error('Sharp Workflow is enabled but no background template is selected. Please select a template in the Templates tab (or pass templateId when creating the job) or disable Sharp Workflow.');
       }
 
-      // Use template's background S3 keys (only selected variants)
-      backgrounds.push(...templateData.assets.map(asset => asset.s3_key));
-
-      // Update job to track which template was used
-      db.prepare('UPDATE jobs SET background_template_id = ? WHERE id = ?')
-        .run(activeTemplate.id, jobId);
-
-      console.log(`[Processor] [${jobId}] Using ${backgrounds.length} selected backgrounds from template (no generation cost)`);
+      if (activeTemplate || sharpWorkflowEnabled) {
+        // Use pre-generated backgrounds from active template
+        const { templateRule: rule, templateSchedule: schedule } = pipelineConfig;
+        const templateSource = schedule ? `scheduled template "${schedule.name}"` : rule ? `template from rule "${rule.name}"` : 'active template';
+        console.log(`[Processor] [${jobId}] Using ${templateSource}: "${activeTemplate.name}" (${activeTemplate.id})${sharpWorkflowEnabled ? ' [Sharp Workflow]' : ''}`);
 
-    } else {
-      // No active template and Sharp workflow not enabled - generate new backgrounds per job
-      console.log(`[Processor] [${jobId}] No active template - generating new backgrounds`);
+        // Selected variants, or the routing rule's subset
+        const templateAssets = getPipelineTemplateAssets(pipelineConfig);
+        if (templateAssets.length === 0) {
+          throw new Error(`Active template "${activeTemplate.name}" has no ${pipelineConfig.templateVariants ? `variants ${pipelineConfig.templateVariants.join(', ')}` : 'selected background variants'}`);
+        }
 
-      // Get user's custom background theme prompt
-      const customPrompt = getBackgroundPrompt();
+        backgrounds.push(...templateAssets.map(asset => asset.s3_key));
 
-      // Generate 2 AI backgrounds using Freepik Mystic API
-      const backgroundProvider = getBackgroundProvider();
+        // Update job to track which template was used
+        db.prepare('UPDATE jobs SET background_template_id = ? WHERE id = ?')
+          .run(activeTemplate.id, jobId);
 
-      if (customPrompt) {
-        console.log(`[Processor] [${jobId}] Using custom background prompt: "${customPrompt}"`);
-      }
+        console.log(`[Processor] [${jobId}] Using ${backgrounds.length} selected backgrounds from template (no generation cost)`);
 
-      for (let i = 1; i <= 2; i++) {
-        console.log(`[Processor] [${jobId}] Generating background ${i}/2 with Freepik Mystic...`);
+      } else {
+        // No active template and Sharp workflow not enabled - generate new backgrounds per job
+        console.log(`[Processor] [${jobId}] No active template - generating new backgrounds`);
+
+        // Custom or theme prompt, rendered for the item
+        const { prompt, customPrompt, themePrompt } = resolveJobPrompt(job, pipelineConfig);
+        console.log(`[Processor] [${jobId}] Using ${customPrompt ? 'custom' : `'${job.theme}' theme`} background prompt: "${prompt}"`);
+
+        // Generate 2 AI backgrounds (Freepik Mystic, or the next provider in the background chain)
+
+        for (let i = 1; i <= 2; i++) {
+          console.log(`[Processor] [${jobId}] Generating background ${i}/2...`);
+
+          const bgResult = await callProvider(jobId, 'backgrounds', ProviderCapability.BACKGROUND, pipelineConfig,
+            provider => provider.generateBackground({
+              theme: job.theme,
+              sku: job.sku,
+              sha256: getJobOutputHash(job),
+              dimensions: { width: 1024, height: 1024 },
+              aspectRatio: 'square_1_1',
+              customPrompt,
+              themePrompt,
+              variant: i,
+              signal
+            }),
+            signal,
+            {
+              inputHash: job.img_sha256, // Clones reuse their source's backgrounds
+              prompt, // Editing a prompt, or the item's catalog data, misses the cache
+              params: { variant: i, width: 1024, height: 1024, aspectRatio: 'square_1_1' }
+            }
+          );
 
-        const bgResult = await backgroundProvider.generateBackground({
-          theme: job.theme,
-          sku: job.sku,
-          sha256: job.img_sha256,
-          dimensions: { width: 1024, height: 1024 },
-          aspectRatio: 'square_1_1',
-          customPrompt,
-          variant: i
-        });
+          if (!bgResult.success) {
+            throw new Error(`Background generation ${i} failed: ${bgResult.error}`);
+          }
 
-        if (!bgResult.success) {
-          throw new Error(`Background generation ${i} failed: ${bgResult.error}`);
-        }
+          backgrounds.push(bgResult.s3Key);
+          backgroundResults.push(bgResult);
+          backgroundsCost += bgResult.cost || 0;
 
-        backgrounds.push(bgResult.s3Key);
+          // Track cost incrementally
+          if (bgResult.cost > 0) {
+            db.prepare('UPDATE jobs SET cost_usd = cost_usd + ? WHERE id = ?')
+              .run(bgResult.cost, jobId);
+            console.log(`[Processor] [${jobId}] Background ${i} cost: $${bgResult.cost.toFixed(4)}`);
+          }
 
-        // Track cost incrementally
-        if (bgResult.cost > 0) {
-          db.prepare('UPDATE jobs SET cost_usd = cost_usd + ? WHERE id = ?')
-            .run(bgResult.cost, jobId);
-          console.log(`[Processor] [${jobId}] Background ${i} cost: $${bgResult.cost.toFixed(4)}`);
+          recordProcessorEvent(jobId, {
+            type: JobEventType.PROVIDER_CALL,
+            step: 'backgrounds',
+            provider: bgResult.servedBy,
+            costUsd: bgResult.cost,
+            durationMs: bgResult.metadata?.duration,
+            message: bgResult.cached ? `Background ${i}/2 (cached)` : `Background ${i}/2`,
+            metadata: { s3Key: bgResult.s3Key, cached: Boolean(bgResult.cached) }
+          });
+          publishJobProgress(jobId, { step: 'backgrounds', current: i, total: 2 });
         }
       }
-    }
 
-    const step2Duration = Date.now() - step2Start;
+      step2Duration = Date.now() - step2Start;
 
-    console.log(`[Processor] [${jobId}] ✅ Step 2 complete (${step2Duration}ms):`, {
-      backgrounds: backgrounds.length
-    });
+      console.log(`[Processor] [${jobId}] ✅ Step 2 complete (${step2Duration}ms):`, {
+        backgrounds: backgrounds.length
+      });
 
-    // Update job: BG_REMOVED → BACKGROUND_READY
-    db.prepare(`
-      UPDATE jobs
-      SET status = ?,
-          s3_bg_keys = ?,
-          backgrounds_ms = ?,
-          updated_at = datetime('now')
-      WHERE id = ?
-    `).run(
-      JobStatus.BACKGROUND_READY,
-      JSON.stringify(backgrounds),
-      step2Duration,
-      jobId
-    );
+      // Update job: BG_REMOVED → BACKGROUND_READY
+      assertJobActive(jobId);
+      db.prepare(`
+        UPDATE jobs
+        SET status = ?,
+            s3_bg_keys = ?,
+            backgrounds_ms = ?,
+            updated_at = datetime('now')
+        WHERE id = ?
+      `).run(
+        JobStatus.BACKGROUND_READY,
+        JSON.stringify(backgrounds),
+        step2Duration,
+        jobId
+      );
+
+      recordStepProviders(jobId, 'backgrounds', backgroundResults, activeTemplate ? 'template' : null);
+      recordProcessorEvent(jobId, {
+        type: JobEventType.STEP,
+        step: 'backgrounds',
+        fromStatus: JobStatus.BG_REMOVED,
+        toStatus: JobStatus.BACKGROUND_READY,
+        costUsd: backgroundsCost,
+        durationMs: step2Duration,
+        message: activeTemplate
+          ? `Using ${backgrounds.length} backgrounds from template "${activeTemplate.name}"`
+          : `Generated ${backgrounds.length} backgrounds`
+      });
+    }
 
-    // Step 3: AI-Powered Compositing
-    const step3Start = Date.now();
-    const compositorName = process.env.AI_COMPOSITOR || 'freepik';
-    console.log(`[Processor] [${jobId}] Step 3/7: AI-Powered Compositing (${compositorName})`);
+    if (resumeStep <= 3) {
+      // Step 3: AI-Powered Compositing
+      const step3Start = Date.now();
+      const compositorName = pipelineConfig.sharpWorkflow
+        ? `sharp + ${pipelineConfig.compositor}`
+        : pipelineConfig.compositor;
+      console.log(`[Processor] [${jobId}] Step 3/7: AI-Powered Compositing (${compositorName})`);
+      assertJobActive(jobId);
 
-    job = getJob(jobId); // Refresh job data
+      job = getJob(jobId); // Refresh job data
 
-    const cutoutS3Key = job.s3_cutout_key;
-    const bgS3Keys = JSON.parse(job.s3_bg_keys);
+      const cutoutS3Key = job.s3_cutout_key;
+      const bgS3Keys = JSON.parse(job.s3_bg_keys);
 
-    if (!cutoutS3Key) {
-      throw new Error('No cutout available');
-    }
+      if (!cutoutS3Key) {
+        throw new Error('No cutout available');
+      }
 
-    if (bgS3Keys.length === 0) {
-      throw new Error('No backgrounds available');
-    }
+      if (bgS3Keys.length === 0) {
+        throw new Error('No backgrounds available');
+      }
 
-    // Initialize AI Compositor (Freepik Seedream or Nano Banana)
-    const aiCompositor = getCompositor();
+      // Initialize AI Compositor (Freepik Seedream or Nano Banana)
+      const aiCompositor = getCompositor(pipelineConfig, jobId);
 
-    // AI composite each background
-    const composites = [];
-    let totalCompositeCost = 0;
+      // AI composite each background
+      const composites = [];
+      const compositeResults = [];
+      let totalCompositeCost = 0;
 
-    for (let i = 0; i < bgS3Keys.length; i++) {
-      const result = await aiCompositor.compositeImage({
-        cutoutS3Key: cutoutS3Key,
-        backgroundS3Key: bgS3Keys[i],
-        sku: job.sku,
-        sha256: job.img_sha256,
-        theme: job.theme,
-        variant: i + 1,
-        options: {
-          aspect: '1x1',
-          type: 'master'
+      for (let i = 0; i < bgS3Keys.length; i++) {
+        const result = await aiCompositor.compositeImage({
+          cutoutS3Key: cutoutS3Key,
+          backgroundS3Key: bgS3Keys[i],
+          sku: job.sku,
+          sha256: getJobOutputHash(job),
+          theme: job.theme,
+          variant: i + 1,
+          options: {
+            aspect: '1x1',
+            type: 'master'
+          },
+          signal
+        });
+
+        if (!result.success) {
+          throw new Error(`AI Compositing failed: ${result.error}`);
         }
-      });
 
-      if (!result.success) {
-        throw new Error(`AI Compositing failed: ${result.error}`);
-      }
+        composites.push(result.s3Key);
+        compositeResults.push(result);
+        totalCompositeCost += result.cost || 0;
 
-      composites.push(result.s3Key);
-      totalCompositeCost += result.cost || 0;
+        // Track cost incrementally
+        if (result.cost > 0) {
+          db.prepare('UPDATE jobs SET cost_usd = cost_usd + ? WHERE id = ?')
+            .run(result.cost, jobId);
+          console.log(`[Processor] [${jobId}] AI Composite ${i + 1} cost: $${result.cost.toFixed(4)}`);
+        }
 
-      // Track cost incrementally
-      if (result.cost > 0) {
-        db.prepare('UPDATE jobs SET cost_usd = cost_usd + ? WHERE id = ?')
-          .run(result.cost, jobId);
-        console.log(`[Processor] [${jobId}] AI Composite ${i + 1} cost: $${result.cost.toFixed(4)}`);
+        recordProcessorEvent(jobId, {
+          type: JobEventType.PROVIDER_CALL,
+          step: 'compositing',
+          provider: result.servedBy || result.metadata?.provider || aiCompositor.name || compositorName,
+          costUsd: result.cost,
+          durationMs: result.metadata?.duration,
+          message: `Composite ${i + 1}/${bgS3Keys.length}`,
+          metadata: { s3Key: result.s3Key }
+        });
+        publishJobProgress(jobId, { step: 'compositing', current: i + 1, total: bgS3Keys.length });
       }
-    }
 
-    const step3Duration = Date.now() - step3Start;
+      step3Duration = Date.now() - step3Start;
 
-    console.log(`[Processor] [${jobId}] ✅ Step 3 complete (${step3Duration}ms):`, {
-      composites: composites.length
-    });
+      console.log(`[Processor] [${jobId}] ✅ Step 3 complete (${step3Duration}ms):`, {
+        composites: composites.length
+      });
 
-    // Update job: BACKGROUND_READY → COMPOSITED
-    db.prepare(`
-      UPDATE jobs
-      SET status = ?,
-          s3_composite_keys = ?,
-          compositing_ms = ?,
-          updated_at = datetime('now')
-      WHERE id = ?
-    `).run(
-      JobStatus.COMPOSITED,
-      JSON.stringify(composites),
-      step3Duration,
-      jobId
-    );
+      // Update job: BACKGROUND_READY → COMPOSITED
+      assertJobActive(jobId);
+      db.prepare(`
+        UPDATE jobs
+        SET status = ?,
+            s3_composite_keys = ?,
+            compositing_ms = ?,
+            updated_at = datetime('now')
+        WHERE id = ?
+      `).run(
+        JobStatus.COMPOSITED,
+        JSON.stringify(composites),
+        step3Duration,
+        jobId
+      );
+
+      recordStepProviders(jobId, 'compositing', compositeResults, 'sharp');
+      recordProcessorEvent(jobId, {
+        type: JobEventType.STEP,
+        step: 'compositing',
+        fromStatus: JobStatus.BACKGROUND_READY,
+        toStatus: JobStatus.COMPOSITED,
+        costUsd: totalCompositeCost,
+        durationMs: step3Duration
+      });
+    }
 
-    // Step 4: Derivatives Generation (multi-size, multi-format)
-    const step4Start = Date.now();
-    console.log(`[Processor] [${jobId}] Step 4/7: Generating derivatives (9 files per composite)`);
+    if (resumeStep <= 4) {
+      // Step 4: Derivatives Generation (multi-size, multi-format)
+      const step4Start = Date.now();
+      console.log(`[Processor] [${jobId}] Step 4/7: Generating derivatives (9 files per composite)`);
+      assertJobActive(jobId);
 
-    job = getJob(jobId); // Refresh job data
+      job = getJob(jobId); // Refresh job data
 
-    const compositeS3Keys = JSON.parse(job.s3_composite_keys);
+      const compositeS3Keys = JSON.parse(job.s3_composite_keys);
 
-    const derivativesResult = await batchGenerateDerivatives({
-      compositeS3Keys,
-      sku: job.sku,
-      sha256: job.img_sha256,
-      theme: job.theme
-    });
+      const derivativesResult = await batchGenerateDerivatives({
+        compositeS3Keys,
+        sku: job.sku,
+        sha256: getJobOutputHash(job),
+        theme: job.theme,
+        onProgress: ({ current, total }) => publishJobProgress(jobId, { step: 'derivatives', current, total })
+      });
 
-    if (!derivativesResult.success) {
-      throw new Error('Derivatives generation failed');
-    }
+      if (!derivativesResult.success) {
+        throw new Error('Derivatives generation failed');
+      }
 
-    // Flatten all derivative S3 keys
-    const allDerivativeKeys = derivativesResult.results
-      .flatMap(r => r.derivatives || [])
-      .map(d => d.s3Key);
+      // Flatten all derivatives and their S3 keys
+      derivatives = derivativesResult.results.flatMap(r => r.derivatives || []);
+      const allDerivativeKeys = derivatives.map(d => d.s3Key);
 
-    const step4Duration = Date.now() - step4Start;
+      step4Duration = Date.now() - step4Start;
 
-    console.log(`[Processor] [${jobId}] ✅ Step 4 complete (${step4Duration}ms):`, {
-      totalDerivatives: allDerivativeKeys.length
-    });
+      console.log(`[Processor] [${jobId}] ✅ Step 4 complete (${step4Duration}ms):`, {
+        totalDerivatives: allDerivativeKeys.length
+      });
 
-    // Update job: COMPOSITED → DERIVATIVES
-    db.prepare(`
-      UPDATE jobs
-      SET status = ?,
-          s3_derivative_keys = ?,
-          derivatives_ms = ?,
-          updated_at = datetime('now')
-      WHERE id = ?
-    `).run(
-      JobStatus.DERIVATIVES,
-      JSON.stringify(allDerivativeKeys),
-      step4Duration,
-      jobId
-    );
+      // Update job: COMPOSITED → DERIVATIVES
+      assertJobActive(jobId);
+      db.prepare(`
+        UPDATE jobs
+        SET status = ?,
+            s3_derivative_keys = ?,
+            derivatives_ms = ?,
+            updated_at = datetime('now')
+        WHERE id = ?
+      `).run(
+        JobStatus.DERIVATIVES,
+        JSON.stringify(allDerivativeKeys),
+        step4Duration,
+        jobId
+      );
+
+      recordProcessorEvent(jobId, {
+        type: JobEventType.STEP,
+        step: 'derivatives',
+        fromStatus: JobStatus.COMPOSITED,
+        toStatus: JobStatus.DERIVATIVES,
+        durationMs: step4Duration,
+        message: `Generated ${allDerivativeKeys.length} derivatives`
+      });
+    } else {
+      // Derivatives already stored - rebuild the manifest list from their keys
+      derivatives = derivativesFromKeys(JSON.parse(job.s3_derivative_keys));
+    }
 
     // Step 5: Manifest Generation
     const step5Start = Date.now();
     console.log(`[Processor] [${jobId}] Step 5/7: Building manifest`);
+    assertJobActive(jobId);
 
     job = getJob(jobId); // Refresh job data
 
-    const manifestResult = await buildManifest(job, {
-      derivatives: derivativesResult.results.flatMap(r => r.derivatives || [])
-    });
+    const manifestResult = await buildManifest(job, { derivatives });
 
     if (!manifestResult.success) {
       throw new Error(`Manifest generation failed: ${manifestResult.error}`);
@@ -714,9 +1205,17 @@ async function processCutoutCompositeWorkflow(jobId, job, db) {
       jobId
     );
 
+    recordProcessorEvent(jobId, {
+      type: JobEventType.STEP,
+      step: 'manifest',
+      durationMs: step5Duration,
+      metadata: { s3Key: manifestResult.s3Key }
+    });
+
     // Step 6: Shopify Push
     const step6Start = Date.now();
     console.log(`[Processor] [${jobId}] Step 6/7: Shopify Push`);
+    assertJobActive(jobId);
 
     try {
       // Check if Shopify is configured
@@ -735,9 +1234,9 @@ async function processCutoutCompositeWorkflow(jobId, job, db) {
 
           if (compositeKeys.length > 0) {
             // Generate presigned URLs
-            const s3 = getS3Storage();
+            const s3 = getStorage();
             const imageUrls = await Promise.all(
-              compositeKeys.map(key => s3.getPresignedUrl(key, 3600)) // 1 hour expiry
+              compositeKeys.map(key => s3.getPresignedGetUrl(key, 3600)) // 1 hour expiry
             );
 
             // Upload images to Shopify
@@ -764,6 +1263,14 @@ async function processCutoutCompositeWorkflow(jobId, job, db) {
               `).run(product.productId, JSON.stringify(mediaIds), jobId);
 
               console.log(`[Processor] [${jobId}] ✅ Pushed ${mediaIds.length} images to Shopify`);
+
+              recordProcessorEvent(jobId, {
+                type: JobEventType.PROVIDER_CALL,
+                step: 'shopify_push',
+                provider: 'shopify',
+                message: `Pushed ${mediaIds.length} images to product ${product.productId}`,
+                metadata: { productId: product.productId, mediaIds }
+              });
             } else {
               console.warn(`[Processor] [${jobId}] Failed to upload any images to Shopify`);
             }
@@ -774,13 +1281,28 @@ async function processCutoutCompositeWorkflow(jobId, job, db) {
       }
     } catch (error) {
       console.error(`[Processor] [${jobId}] Shopify push error (non-fatal):`, error.message);
+
+      recordProcessorEvent(jobId, {
+        type: JobEventType.ERROR,
+        step: 'shopify_push',
+        provider: 'shopify',
+        errorCode: ErrorCode.SHOPIFY_UPLOAD_FAILED,
+        message: `Shopify push failed (non-fatal): ${error.message}`
+      });
       // Don't fail the job if Shopify push fails - continue to DONE status
     }
 
     const step6Duration = Date.now() - step6Start;
 
+    recordProcessorEvent(jobId, {
+      type: JobEventType.STEP,
+      step: 'shopify_push',
+      durationMs: step6Duration
+    });
+
     // Step 7: Mark as DONE
     console.log(`[Processor] [${jobId}] Step 7/7: Completing job`);
+    assertJobActive(jobId);
 
     db.prepare(`
       UPDATE jobs
@@ -790,22 +1312,29 @@ async function processCutoutCompositeWorkflow(jobId, job, db) {
       WHERE id = ?
     `).run(JobStatus.DONE, jobId);
 
-    const totalDuration = Date.now() - step1Start;
+    const totalDuration = Date.now() - pipelineStart;
+
+    recordProcessorEvent(jobId, {
+      type: JobEventType.STEP,
+      step: 'complete',
+      fromStatus: JobStatus.DERIVATIVES,
+      toStatus: JobStatus.DONE,
+      durationMs: totalDuration
+    });
 
     console.log(`[Processor] [${jobId}] ✅ Flow v2 pipeline complete (${totalDuration}ms)`);
     console.log(`[Processor] [${jobId}] Timing breakdown:`, {
-      download_bg_removal: `${step1Duration}ms`,
-      background_gen: `${step2Duration}ms`,
-      compositing: `${step3Duration}ms`,
-      derivatives: `${step4Duration}ms`,
+      download_bg_removal: formatStepDuration(step1Duration),
+      background_gen: formatStepDuration(step2Duration),
+      compositing: formatStepDuration(step3Duration),
+      derivatives: formatStepDuration(step4Duration),
       manifest: `${step5Duration}ms`,
       shopify_push: `${step6Duration}ms`,
       total: `${totalDuration}ms`
     });
 
   } catch (error) {
-    console.error(`[Processor] [${jobId}] Cutout+Composite workflow error:`, error);
-    failJob(jobId, ErrorCode.UNKNOWN, error.message, error.stack);
+    handlePipelineError(jobId, error, 'Cutout+Composite workflow');
   }
 }
 
@@ -813,221 +1342,319 @@ async function processCutoutCompositeWorkflow(jobId, job, db) {
  * WORKFLOW B: Seedream 4 Edit (New - 5 steps)
  * Fast single-step AI background replacement
  */
-async function processSeedreamWorkflow(jobId, job, db) {
+async function processSeedreamWorkflow(jobId, job, db, pipelineConfig, signal, claimedAt) {
   console.log(`[Processor] [${jobId}] ⚡ WORKFLOW B: Seedream 4 Edit (Single-Step)`);
 
   const startTime = Date.now();
 
   try {
-    // Step 1: Download original + Background Removal (for cutout backup)
-    const step1Start = Date.now();
-    console.log(`[Processor] [${jobId}] Step 1/5: Download + Background Removal`);
-
-    const segmentProvider = getSegmentProvider();
-    const segmentResult = await segmentProvider.removeBackground({
-      imageUrl: job.source_url,
-      sku: job.sku,
-      sha256: job.img_sha256
-    });
-
-    if (!segmentResult.success) {
-      throw new Error(`Background removal failed: ${segmentResult.error}`);
+    // Retried jobs re-enter at their first missing artifact, skipping paid steps
+    const resumeStep = SEEDREAM_RESUME_STEPS[job.status] || 1;
+    if (resumeStep > 1) {
+      console.log(`[Processor] [${jobId}] ♻️  Resuming from ${job.status} at step ${resumeStep}/5 (attempt ${job.attempt})`);
     }
 
-    const step1Duration = Date.now() - step1Start;
-
-    console.log(`[Processor] [${jobId}] ✅ Step 1 complete (${step1Duration}ms)`);
+    let step1Duration = null;
+    let step2Duration = null;
+    let step3Duration = null;
+    let cutoutUrl = null;
+    let derivatives;
 
-    db.prepare(`
-      UPDATE jobs
-      SET s3_cutout_key = ?,
-          s3_mask_key = ?,
-          segmentation_ms = ?,
-          cost_usd = cost_usd + ?,
-          updated_at = datetime('now')
-      WHERE id = ?
-    `).run(
-      segmentResult.cutout.s3Key,
-      segmentResult.mask.s3Key,
-      step1Duration,
-      segmentResult.cost,
-      jobId
-    );
-
-    // Step 2: Seedream 4 Edit - Single-step background replacement
-    const step2Start = Date.now();
-    console.log(`[Processor] [${jobId}] Step 2/5: Seedream 4 Edit (AI Background Replacement)`);
-
-    // Check for active background template
-    const activeTemplate = getActiveBackgroundTemplate();
-    let templateAssets = null;
-
-    if (activeTemplate) {
-      console.log(`[Processor] [${jobId}] Active template detected: "${activeTemplate.name}" (${activeTemplate.id})`);
-      const template = getTemplateWithAssets(activeTemplate.id, db);
-
-      if (template && template.assets && template.assets.length > 0) {
-        templateAssets = template.assets;
-        console.log(`[Processor] [${jobId}] Using template "${template.name}" with ${templateAssets.length} variants`);
+    if (resumeStep <= 1) {
+      // Step 1: Download original + Background Removal (for cutout backup)
+      const step1Start = Date.now();
+      console.log(`[Processor] [${jobId}] Step 1/5: Download + Background Removal`);
+      assertJobActive(jobId);
 
-        // Store template ID in job for tracking
-        db.prepare('UPDATE jobs SET background_template_id = ? WHERE id = ?')
-          .run(activeTemplate.id, jobId);
-      } else {
-        console.warn(`[Processor] [${jobId}] Template ${activeTemplate.id} has no assets, falling back to prompt`);
+      const segmentResult = await callProvider(jobId, 'segmentation', ProviderCapability.SEGMENTATION, pipelineConfig,
+        provider => provider.removeBackground({
+          imageUrl: job.source_url,
+          sku: job.sku,
+          sha256: job.img_sha256,
+          signal
+        }),
+        signal,
+        { inputHash: job.img_sha256 }
+      );
+
+      if (!segmentResult.success) {
+        throw new Error(`Background removal failed: ${segmentResult.error}`);
       }
-    }
-
-    const seedreamProvider = getSeedreamProvider();
-    const composites = [];
 
-    if (templateAssets && templateAssets.length > 0) {
-      // TEMPLATE MODE: Use template backgrounds with Seedream Edit
-      console.log(`[Processor] [${jobId}] Template Mode: Using ${Math.min(2, templateAssets.length)} template backgrounds`);
+      step1Duration = Date.now() - step1Start;
+
+      cutoutUrl = segmentResult.cutout.s3Url;
+
+      console.log(`[Processor] [${jobId}] ✅ Step 1 complete (${step1Duration}ms)`);
+
+      db.prepare(`
+        UPDATE jobs
+        SET s3_cutout_key = ?,
+            s3_mask_key = ?,
+            segmentation_ms = ?,
+            cost_usd = cost_usd + ?,
+            updated_at = datetime('now')
+        WHERE id = ?
+      `).run(
+        segmentResult.cutout.s3Key,
+        segmentResult.mask.s3Key,
+        step1Duration,
+        segmentResult.cost,
+        jobId
+      );
+
+      recordProcessorEvent(jobId, {
+        type: JobEventType.PROVIDER_CALL,
+        step: 'segmentation',
+        provider: segmentResult.servedBy,
+        costUsd: segmentResult.cost,
+        durationMs: step1Duration,
+        message: segmentResult.cached ? 'Background removal (cached)' : 'Background removal',
+        metadata: { cutout: segmentResult.cutout.s3Key, mask: segmentResult.mask.s3Key, cached: Boolean(segmentResult.cached) }
+      });
+      recordStepProviders(jobId, 'segmentation', [segmentResult]);
+      recordProcessorEvent(jobId, {
+        type: JobEventType.STEP,
+        step: 'segmentation',
+        costUsd: segmentResult.cost,
+        durationMs: step1Duration
+      });
+    }
 
-      const templatesToUse = templateAssets.slice(0, 2); // Use first 2 template variants
+    if (resumeStep <= 2) {
+      // Step 2: Seedream 4 Edit - Single-step background replacement
+      const step2Start = Date.now();
+      console.log(`[Processor] [${jobId}] Step 2/5: Seedream 4 Edit (AI Background Replacement)`);
+      assertJobActive(jobId);
 
-      for (let i = 0; i < templatesToUse.length; i++) {
-        const templateAsset = templatesToUse[i];
-        console.log(`[Processor] [${jobId}] Compositing cutout with template variant ${templateAsset.variant}...`);
+      // Theme template, seasonal schedule and routing rules are applied now, not when the job was queued
+      pipelineConfig = resolveJobTemplate(job, pipelineConfig, { at: claimedAt });
 
-        // Use Seedream to composite cutout with template background
-        const editResult = await seedreamProvider.editBackground({
-          imageUrl: segmentResult.cutout.s3Url, // Use cutout instead of original
-          templateS3Key: templateAsset.s3_key,   // Pass template S3 key
-          theme: job.theme,
-          sku: job.sku,
-          sha256: job.img_sha256,
-          customPrompt: null, // Template provides the background
-          variant: i + 1
-        });
+      // Check for the job's background template
+      const activeTemplate = getPipelineTemplate(pipelineConfig);
+      let templateAssets = null;
 
-        if (!editResult.success) {
-          throw new Error(`Seedream template edit ${i + 1} failed: ${editResult.error}`);
-        }
+      if (activeTemplate) {
+        console.log(`[Processor] [${jobId}] Active template detected: "${activeTemplate.name}" (${activeTemplate.id})`);
+        const assets = getPipelineTemplateAssets(pipelineConfig, { onlySelected: false });
 
-        composites.push(editResult.s3Key);
+        if (assets.length > 0) {
+          templateAssets = assets;
+          console.log(`[Processor] [${jobId}] Using template "${activeTemplate.name}" with ${templateAssets.length} variants`);
 
-        if (editResult.cost > 0) {
-          db.prepare('UPDATE jobs SET cost_usd = cost_usd + ? WHERE id = ?')
-            .run(editResult.cost, jobId);
-          console.log(`[Processor] [${jobId}] Seedream template edit ${i + 1} cost: $${editResult.cost.toFixed(4)}`);
+          // Store template ID in job for tracking
+          db.prepare('UPDATE jobs SET background_template_id = ? WHERE id = ?')
+            .run(activeTemplate.id, jobId);
+        } else {
+          console.warn(`[Processor] [${jobId}] Template ${activeTemplate.id} has no assets, falling back to prompt`);
         }
       }
 
-      // Update template usage count
-      db.prepare('UPDATE background_templates SET used_count = used_count + 1 WHERE id = ?')
-        .run(activeTemplate.id);
+      const seedreamProvider = getSeedreamProvider();
+      const editLedgerContext = { provider: process.env.AI_PROVIDER || 'freepik', operation: 'editBackground', jobId };
+      const composites = [];
+      let editCost = 0;
+
+      if (templateAssets && templateAssets.length > 0) {
+        // TEMPLATE MODE: Use template backgrounds with Seedream Edit
+        console.log(`[Processor] [${jobId}] Template Mode: Using ${Math.min(2, templateAssets.length)} template backgrounds`);
+
+        const templatesToUse = templateAssets.slice(0, 2); // Use first 2 template variants
+
+        // Resumed jobs skip segmentation, so sign the stored cutout instead
+        cutoutUrl = cutoutUrl || await getStorage().getPresignedGetUrl(job.s3_cutout_key, 3600);
+
+        for (let i = 0; i < templatesToUse.length; i++) {
+          const templateAsset = templatesToUse[i];
+          console.log(`[Processor] [${jobId}] Compositing cutout with template variant ${templateAsset.variant}...`);
+
+          // Use Seedream to composite cutout with template background
+          const editResult = await trackProviderCall(editLedgerContext, () => seedreamProvider.editBackground({
+            imageUrl: cutoutUrl, // Use cutout instead of original
+            templateS3Key: templateAsset.s3_key,   // Pass template S3 key
+            theme: job.theme,
+            sku: job.sku,
+            sha256: getJobOutputHash(job),
+            customPrompt: null, // Template provides the background
+            variant: i + 1,
+            signal
+          }));
+
+          if (!editResult.success) {
+            throw new Error(`Seedream template edit ${i + 1} failed: ${editResult.error}`);
+          }
 
-    } else {
-      // PROMPT MODE: Generate themed backgrounds with Seedream Edit
-      console.log(`[Processor] [${jobId}] Prompt Mode: Generating themed backgrounds`);
+          composites.push(editResult.s3Key);
+          editCost += editResult.cost || 0;
 
-      const customPrompt = getBackgroundPrompt();
+          if (editResult.cost > 0) {
+            db.prepare('UPDATE jobs SET cost_usd = cost_usd + ? WHERE id = ?')
+              .run(editResult.cost, jobId);
+            console.log(`[Processor] [${jobId}] Seedream template edit ${i + 1} cost: $${editResult.cost.toFixed(4)}`);
+          }
 
-      if (customPrompt) {
-        console.log(`[Processor] [${jobId}] Using custom prompt: "${customPrompt}"`);
-      }
+          recordProcessorEvent(jobId, {
+            type: JobEventType.PROVIDER_CALL,
+            step: 'seedream_edit',
+            provider: seedreamProvider.name,
+            costUsd: editResult.cost,
+            durationMs: editResult.metadata?.duration,
+            message: `Seedream edit ${composites.length}/2`,
+            metadata: { s3Key: editResult.s3Key, templateS3Key: editResult.metadata?.templateS3Key || null }
+          });
+          publishJobProgress(jobId, { step: 'seedream_edit', current: i + 1, total: templatesToUse.length });
+        }
 
-      // Generate 2 variants using Seedream
-      for (let i = 1; i <= 2; i++) {
-        console.log(`[Processor] [${jobId}] Generating Seedream edit ${i}/2...`);
+        // Update template usage count
+        db.prepare('UPDATE background_templates SET used_count = used_count + 1 WHERE id = ?')
+          .run(activeTemplate.id);
 
-        const editResult = await seedreamProvider.editBackground({
-          imageUrl: job.source_url,
-          theme: job.theme,
-          sku: job.sku,
-          sha256: job.img_sha256,
-          customPrompt,
-          variant: i
-        });
+      } else {
+        // PROMPT MODE: Generate themed backgrounds with Seedream Edit
+        console.log(`[Processor] [${jobId}] Prompt Mode: Generating themed backgrounds`);
+
+        const { prompt, customPrompt, themePrompt } = resolveJobPrompt(job, pipelineConfig);
+        console.log(`[Processor] [${jobId}] Using ${customPrompt ? 'custom' : `'${job.theme}' theme`} prompt: "${prompt}"`);
+
+        // Generate 2 variants using Seedream
+        for (let i = 1; i <= 2; i++) {
+          console.log(`[Processor] [${jobId}] Generating Seedream edit ${i}/2...`);
+
+          const editResult = await trackProviderCall(editLedgerContext, () => seedreamProvider.editBackground({
+            imageUrl: job.source_url,
+            theme: job.theme,
+            sku: job.sku,
+            sha256: getJobOutputHash(job),
+            customPrompt,
+            themePrompt,
+            variant: i,
+            signal
+          }));
+
+          if (!editResult.success) {
+            throw new Error(`Seedream edit ${i} failed: ${editResult.error}`);
+          }
 
-        if (!editResult.success) {
-          throw new Error(`Seedream edit ${i} failed: ${editResult.error}`);
-        }
+          composites.push(editResult.s3Key);
+          editCost += editResult.cost || 0;
 
-        composites.push(editResult.s3Key);
+          if (editResult.cost > 0) {
+            db.prepare('UPDATE jobs SET cost_usd = cost_usd + ? WHERE id = ?')
+              .run(editResult.cost, jobId);
+            console.log(`[Processor] [${jobId}] Seedream edit ${i} cost: $${editResult.cost.toFixed(4)}`);
+          }
 
-        if (editResult.cost > 0) {
-          db.prepare('UPDATE jobs SET cost_usd = cost_usd + ? WHERE id = ?')
-            .run(editResult.cost, jobId);
-          console.log(`[Processor] [${jobId}] Seedream edit ${i} cost: $${editResult.cost.toFixed(4)}`);
+          recordProcessorEvent(jobId, {
+            type: JobEventType.PROVIDER_CALL,
+            step: 'seedream_edit',
+            provider: seedreamProvider.name,
+            costUsd: editResult.cost,
+            durationMs: editResult.metadata?.duration,
+            message: `Seedream edit ${composites.length}/2`,
+            metadata: { s3Key: editResult.s3Key, templateS3Key: editResult.metadata?.templateS3Key || null }
+          });
+          publishJobProgress(jobId, { step: 'seedream_edit', current: i, total: 2 });
         }
       }
-    }
 
-    const step2Duration = Date.now() - step2Start;
+      step2Duration = Date.now() - step2Start;
 
-    console.log(`[Processor] [${jobId}] ✅ Step 2 complete (${step2Duration}ms):`, {
-      composites: composites.length
-    });
+      console.log(`[Processor] [${jobId}] ✅ Step 2 complete (${step2Duration}ms):`, {
+        composites: composites.length
+      });
 
-    // Update job: SKIP compositing step, go straight to COMPOSITED status
-    db.prepare(`
-      UPDATE jobs
-      SET status = ?,
-          s3_composite_keys = ?,
-          compositing_ms = ?,
-          updated_at = datetime('now')
-      WHERE id = ?
-    `).run(
-      JobStatus.COMPOSITED,
-      JSON.stringify(composites),
-      step2Duration,
-      jobId
-    );
+      // Update job: SKIP compositing step, go straight to COMPOSITED status
+      assertJobActive(jobId);
+      db.prepare(`
+        UPDATE jobs
+        SET status = ?,
+            s3_composite_keys = ?,
+            compositing_ms = ?,
+            updated_at = datetime('now')
+        WHERE id = ?
+      `).run(
+        JobStatus.COMPOSITED,
+        JSON.stringify(composites),
+        step2Duration,
+        jobId
+      );
+
+      recordProcessorEvent(jobId, {
+        type: JobEventType.STEP,
+        step: 'seedream_edit',
+        fromStatus: job.status,
+        toStatus: JobStatus.COMPOSITED,
+        costUsd: editCost,
+        durationMs: step2Duration
+      });
+    }
 
-    // Step 3: Derivatives Generation
-    const step3Start = Date.now();
-    console.log(`[Processor] [${jobId}] Step 3/5: Generating derivatives`);
+    if (resumeStep <= 3) {
+      // Step 3: Derivatives Generation
+      const step3Start = Date.now();
+      console.log(`[Processor] [${jobId}] Step 3/5: Generating derivatives`);
+      assertJobActive(jobId);
 
-    job = getJob(jobId);
-    const compositeS3Keys = JSON.parse(job.s3_composite_keys);
+      job = getJob(jobId);
+      const compositeS3Keys = JSON.parse(job.s3_composite_keys);
 
-    const derivativesResult = await batchGenerateDerivatives({
-      compositeS3Keys,
-      sku: job.sku,
-      sha256: job.img_sha256,
-      theme: job.theme
-    });
+      const derivativesResult = await batchGenerateDerivatives({
+        compositeS3Keys,
+        sku: job.sku,
+        sha256: getJobOutputHash(job),
+        theme: job.theme,
+        onProgress: ({ current, total }) => publishJobProgress(jobId, { step: 'derivatives', current, total })
+      });
 
-    if (!derivativesResult.success) {
-      throw new Error('Derivatives generation failed');
-    }
+      if (!derivativesResult.success) {
+        throw new Error('Derivatives generation failed');
+      }
 
-    const allDerivativeKeys = derivativesResult.results
-      .flatMap(r => r.derivatives || [])
-      .map(d => d.s3Key);
+      derivatives = derivativesResult.results.flatMap(r => r.derivatives || []);
+      const allDerivativeKeys = derivatives.map(d => d.s3Key);
 
-    const step3Duration = Date.now() - step3Start;
+      step3Duration = Date.now() - step3Start;
 
-    console.log(`[Processor] [${jobId}] ✅ Step 3 complete (${step3Duration}ms):`, {
-      totalDerivatives: allDerivativeKeys.length
-    });
+      console.log(`[Processor] [${jobId}] ✅ Step 3 complete (${step3Duration}ms):`, {
+        totalDerivatives: allDerivativeKeys.length
+      });
 
-    db.prepare(`
-      UPDATE jobs
-      SET status = ?,
-          s3_derivative_keys = ?,
-          derivatives_ms = ?,
-          updated_at = datetime('now')
-      WHERE id = ?
-    `).run(
-      JobStatus.DERIVATIVES,
-      JSON.stringify(allDerivativeKeys),
-      step3Duration,
-      jobId
-    );
+      assertJobActive(jobId);
+      db.prepare(`
+        UPDATE jobs
+        SET status = ?,
+            s3_derivative_keys = ?,
+            derivatives_ms = ?,
+            updated_at = datetime('now')
+        WHERE id = ?
+      `).run(
+        JobStatus.DERIVATIVES,
+        JSON.stringify(allDerivativeKeys),
+        step3Duration,
+        jobId
+      );
+
+      recordProcessorEvent(jobId, {
+        type: JobEventType.STEP,
+        step: 'derivatives',
+        fromStatus: JobStatus.COMPOSITED,
+        toStatus: JobStatus.DERIVATIVES,
+        durationMs: step3Duration,
+        message: `Generated ${allDerivativeKeys.length} derivatives`
+      });
+    } else {
+      // Derivatives already stored - rebuild the manifest list from their keys
+      derivatives = derivativesFromKeys(JSON.parse(job.s3_derivative_keys));
+    }
 
     // Step 4: Manifest Generation
     const step4Start = Date.now();
     console.log(`[Processor] [${jobId}] Step 4/5: Building manifest`);
+    assertJobActive(jobId);
 
     job = getJob(jobId);
 
-    const manifestResult = await buildManifest(job, {
-      derivatives: derivativesResult.results.flatMap(r => r.derivatives || [])
-    });
+    const manifestResult = await buildManifest(job, { derivatives });
 
     if (!manifestResult.success) {
       throw new Error(`Manifest generation failed: ${manifestResult.error}`);
@@ -1051,8 +1678,16 @@ async function processSeedreamWorkflow(jobId, job, db) {
       jobId
     );
 
+    recordProcessorEvent(jobId, {
+      type: JobEventType.STEP,
+      step: 'manifest',
+      durationMs: step4Duration,
+      metadata: { s3Key: manifestResult.s3Key }
+    });
+
     // Step 5: Mark as DONE (skip Shopify for now)
     console.log(`[Processor] [${jobId}] Step 5/5: Completing job`);
+    assertJobActive(jobId);
 
     db.prepare(`
       UPDATE jobs
@@ -1064,18 +1699,25 @@ async function processSeedreamWorkflow(jobId, job, db) {
 
     const totalDuration = Date.now() - startTime;
 
+    recordProcessorEvent(jobId, {
+      type: JobEventType.STEP,
+      step: 'complete',
+      fromStatus: JobStatus.DERIVATIVES,
+      toStatus: JobStatus.DONE,
+      durationMs: totalDuration
+    });
+
     console.log(`[Processor] [${jobId}] ✅ Seedream workflow complete (${totalDuration}ms)`);
     console.log(`[Processor] [${jobId}] Timing breakdown:`, {
-      segmentation: `${step1Duration}ms`,
-      seedream_edit: `${step2Duration}ms`,
-      derivatives: `${step3Duration}ms`,
+      segmentation: formatStepDuration(step1Duration),
+      seedream_edit: formatStepDuration(step2Duration),
+      derivatives: formatStepDuration(step3Duration),
       manifest: `${step4Duration}ms`,
       total: `${totalDuration}ms`
     });
 
   } catch (error) {
-    console.error(`[Processor] [${jobId}] Seedream workflow error:`, error);
-    failJob(jobId, ErrorCode.UNKNOWN, error.message, error.stack);
+    handlePipelineError(jobId, error, 'Seedream workflow');
   }
 }
 
@@ -1086,7 +1728,9 @@ export function getProcessorStatus() {
   return {
     isRunning,
     config: CONFIG,
-    currentJobs: Array.from(currentJobs),
+    currentJobs: Array.from(currentJobs.keys()),
+    budgetPause, // Why new jobs are held back, null if within budget
+    governors: getGovernorStates(), // Provider rate limits and circuit breakers
     version: '2.0'
   };
 }
@@ -1099,6 +1743,9 @@ export function getProcessorConfig() {
     pollInterval: CONFIG.pollInterval,
     concurrency: CONFIG.concurrency,
     maxRetries: CONFIG.maxRetries,
+    retryDelay: CONFIG.retryDelay,
+    autoRetry: CONFIG.autoRetry,
+    workerId: CONFIG.workerId,
     version: '2.0'
   };
 }
@@ -1107,5 +1754,6 @@ export default {
   startProcessor,
   stopProcessor,
   getProcessorStatus,
-  getProcessorConfig
+  getProcessorConfig,
+  abortJob
 };
@@ -1,13 +1,16 @@
 /**
  * Background Template Generator
  *
- * Generates reusable background templates using Freepik Mystic API
+ * Generates reusable background templates using Freepik Mystic API, or another
+ * background provider such as procedural (rendered studio backdrops, no API call)
  * Creates multiple variants per template for user selection
  */
 
 import crypto from 'crypto';
-import { FreepikBackgroundProvider } from '../providers/freepik/background.js';
+import { ProviderCapability, getPrimaryProvider, getProvider } from '../providers/index.js';
 import { getStorage } from '../storage/index.js';
+import { trackProviderCall } from '../jobs/provider-ledger.js';
+import { renderPromptTemplate } from '../providers/prompt-template.js';
 
 /**
  * Generate background template with multiple variants
@@ -18,6 +21,7 @@ import { getStorage } from '../storage/index.js';
  * @param {string} params.theme - Theme preset (kitchen, outdoors, minimal, luxury, custom)
  * @param {string} params.customPrompt - Custom prompt (if theme is 'custom')
  * @param {number} params.variantCount - Number of variants to generate (default: 3)
+ * @param {string} params.providerName - Background provider (default: BACKGROUND_PROVIDER, or AI_PROVIDER)
  * @param {Object} params.db - Database connection
  * @returns {Promise<Object>} Result with templateId, variants
  */
@@ -27,16 +31,19 @@ export async function generateBackgroundTemplate({
   theme = 'default',
   customPrompt = null,
   variantCount = 3,
+  providerName = null,
   db
 }) {
   const startTime = Date.now();
   const finalTemplateId = templateId || generateTemplateId();
+  const backgroundProvider = providerName || getPrimaryProvider(ProviderCapability.BACKGROUND);
 
   console.log('[TemplateGenerator] Starting template generation', {
     templateId: finalTemplateId,
     name,
     theme,
     variantCount,
+    provider: backgroundProvider,
     customPrompt: !!customPrompt
   });
 
@@ -44,13 +51,14 @@ export async function generateBackgroundTemplate({
     // Step 1: Create template record with 'generating' status (only if not already created)
     if (!templateId) {
       db.prepare(`
-        INSERT INTO background_templates (id, name, theme, prompt, status, created_at)
-        VALUES (?, ?, ?, ?, 'generating', datetime('now'))
+        INSERT INTO background_templates (id, name, theme, prompt, provider, status, created_at)
+        VALUES (?, ?, ?, ?, ?, 'generating', datetime('now'))
       `).run(
         finalTemplateId,
         name,
         theme,
-        customPrompt || `Theme: ${theme}`
+        customPrompt || `Theme: ${theme}`,
+        providerName
       );
 
       console.log('[TemplateGenerator] Template record created:', finalTemplateId);
@@ -58,10 +66,8 @@ export async function generateBackgroundTemplate({
       console.log('[TemplateGenerator] Using existing template record:', finalTemplateId);
     }
 
-    // Step 2: Initialize Freepik Background provider
-    const provider = new FreepikBackgroundProvider({
-      apiKey: process.env.FREEPIK_API_KEY
-    });
+    // Step 2: Initialize background provider
+    const provider = getProvider(ProviderCapability.BACKGROUND, backgroundProvider);
 
     // Step 3: Generate variants in parallel
     const variantPromises = [];
@@ -69,6 +75,7 @@ export async function generateBackgroundTemplate({
       variantPromises.push(
         generateTemplateVariant({
           provider,
+          providerName: backgroundProvider,
           templateId: finalTemplateId,
           variant,
           theme,
@@ -161,6 +168,7 @@ export async function generateBackgroundTemplate({
  */
 async function generateTemplateVariant({
   provider,
+  providerName,
   templateId,
   variant,
   theme,
@@ -170,16 +178,17 @@ async function generateTemplateVariant({
   console.log('[TemplateGenerator] Generating variant', { templateId, variant, theme });
 
   try {
-    // Generate background using Freepik Mystic API
-    const result = await provider.generateBackground({
+    // Generate background (Freepik Mystic API, or rendered locally by the procedural provider)
+    const ledgerContext = { provider: providerName, operation: 'generateBackground', templateId };
+    const result = await trackProviderCall(ledgerContext, () => provider.generateBackground({
       theme,
-      customPrompt,
+      customPrompt: customPrompt && renderPromptTemplate(customPrompt), // Templates serve every SKU, so item placeholders render empty
       sku: `TEMPLATE_${templateId}`,
       sha256: templateId,
       dimensions: { width: 2048, height: 2048 },
       aspectRatio: 'square_1_1',
       variant
-    });
+    }));
 
     if (!result.success) {
       throw new Error(result.error || 'Background generation failed');
@@ -274,10 +283,9 @@ export async function regenerateTemplateVariants({
 
     const startVariant = (maxVariantResult?.max_variant || 0) + 1;
 
-    // Initialize provider
-    const provider = new FreepikBackgroundProvider({
-      apiKey: process.env.FREEPIK_API_KEY
-    });
+    // Initialize provider (the one the template was created with)
+    const providerName = template.provider || getPrimaryProvider(ProviderCapability.BACKGROUND);
+    const provider = getProvider(ProviderCapability.BACKGROUND, providerName);
 
     // Generate new variants
     const variantPromises = [];
@@ -286,6 +294,7 @@ export async function regenerateTemplateVariants({
       variantPromises.push(
         generateTemplateVariant({
           provider,
+          providerName,
           templateId,
           variant,
           theme: template.theme,
@@ -0,0 +1,239 @@
+/**
+ * Stuck Job Watchdog
+ *
+ * Finds jobs with no recorded progress (job_events) for longer than their status'
+ * budget (estimateRemainingTime() x WATCHDOG_BUDGET_MULTIPLIER) and recovers them:
+ *
+ * - resume: mid-pipeline job with no live lease - requeued so the processor
+ *           picks it up again from its current status
+ * - fail:   job held by a hung worker past JOB_TIMEOUT_MIN, or one that can't be
+ *           resumed (SHOPIFY_PUSH, retries used up) - failed with ErrorCode.TIMEOUT
+ *           so it can be retried from its stored artifacts
+ * - flag:   reported only (NEW jobs waiting for a processor, workers still inside
+ *           the hard timeout, legacy Flow v1 statuses)
+ *
+ * Runs on an interval inside the processor and backs GET /api/processor/stuck.
+ */
+
+import { listActiveJobs, failJob, incrementJobAttempt, releaseJobLease } from '../jobs/manager.js';
+import { JobStatus, ErrorCode, estimateRemainingTime } from '../jobs/state-machine.js';
+import { JobEventType, JobEventActor, recordJobEvent } from '../jobs/events.js';
+
+/**
+ * Watchdog configuration
+ */
+const WATCHDOG_CONFIG = {
+  budgetMultiplier: parseFloat(process.env.WATCHDOG_BUDGET_MULTIPLIER || '3'),
+  hardTimeoutMs: parseInt(process.env.JOB_TIMEOUT_MIN || '10', 10) * 60 * 1000
+};
+
+/**
+ * Recovery actions
+ */
+export const StuckAction = {
+  RESUME: 'resume',
+  FAIL: 'fail',
+  FLAG: 'flag'
+};
+
+// Statuses the processor can re-enter mid-pipeline (see *_RESUME_STEPS in processor.js)
+const RESUMABLE_STATUSES = [
+  JobStatus.BG_REMOVED,
+  JobStatus.BACKGROUND_READY,
+  JobStatus.COMPOSITED,
+  JobStatus.DERIVATIVES
+];
+
+// Flow v1 statuses with no processor path - left for manual cleanup
+const LEGACY_STATUSES = [
+  JobStatus.QUEUED,
+  JobStatus.SEGMENTING,
+  JobStatus.BG_GENERATING,
+  JobStatus.COMPOSITING
+];
+
+/**
+ * Parse a jobs timestamp
+ * Rows are written both as ISO strings and as SQLite CURRENT_TIMESTAMP (UTC, no zone)
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  const iso = value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Decide how to recover a stuck job
+ * @returns {{action: string, reason: string}}
+ */
+function classifyStuckJob(job, { hasLiveLease, idleMs, maxRetries }) {
+  if (LEGACY_STATUSES.includes(job.status)) {
+    return { action: StuckAction.FLAG, reason: 'Legacy Flow v1 status - no automatic recovery' };
+  }
+
+  if (hasLiveLease) {
+    if (idleMs > WATCHDOG_CONFIG.hardTimeoutMs) {
+      return { action: StuckAction.FAIL, reason: `Worker ${job.lease_owner} made no progress within JOB_TIMEOUT_MIN` };
+    }
+    return { action: StuckAction.FLAG, reason: `Still held by ${job.lease_owner}` };
+  }
+
+  if (job.status === JobStatus.NEW) {
+    return { action: StuckAction.FLAG, reason: 'Waiting for a processor to claim it' };
+  }
+
+  if (!RESUMABLE_STATUSES.includes(job.status)) {
+    return { action: StuckAction.FAIL, reason: `No worker holds it and ${job.status} can't be resumed` };
+  }
+
+  if ((job.attempt || 0) >= maxRetries) {
+    return { action: StuckAction.FAIL, reason: `No worker holds it and retries are exhausted (attempt ${job.attempt})` };
+  }
+
+  return { action: StuckAction.RESUME, reason: 'No worker holds it' };
+}
+
+/**
+ * Find jobs stuck in a non-terminal status longer than their budget
+ * @param {object} options
+ * @param {number} options.maxRetries - Retry limit; exhausted jobs are failed instead of resumed (default: 3)
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {object[]} Stuck job reports, longest idle first
+ */
+export function findStuckJobs({ maxRetries = 3, now = new Date() } = {}) {
+  const nowMs = now.getTime();
+  const nowISO = now.toISOString();
+
+  return listActiveJobs()
+    .map(job => {
+      // Jobs created before the event log existed fall back to updated_at;
+      // scheduled jobs only start idling once their not_before time passes
+      const lastActivity = Math.max(
+        parseTimestamp(job.last_event_at) ?? parseTimestamp(job.updated_at) ?? 0,
+        parseTimestamp(job.not_before) ?? 0
+      );
+      const idleMs = lastActivity === 0 ? 0 : nowMs - lastActivity;
+      const budgetMs = estimateRemainingTime(job.status) * 1000 * WATCHDOG_CONFIG.budgetMultiplier;
+
+      if (idleMs <= budgetMs) {
+        return null;
+      }
+
+      const hasLiveLease = Boolean(job.lease_owner) && job.lease_expires_at >= nowISO;
+      const { action, reason } = classifyStuckJob(job, { hasLiveLease, idleMs, maxRetries });
+
+      return {
+        jobId: job.id,
+        sku: job.sku,
+        theme: job.theme,
+        status: job.status,
+        attempt: job.attempt || 0,
+        leaseOwner: hasLiveLease ? job.lease_owner : null,
+        lastActivityAt: job.last_event_at || job.updated_at,
+        idleSeconds: Math.round(idleMs / 1000),
+        budgetSeconds: Math.round(budgetMs / 1000),
+        action,
+        reason
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.idleSeconds - a.idleSeconds);
+}
+
+/**
+ * Apply the recommended action to a stuck job
+ * @param {object} report - Entry from findStuckJobs()
+ * @param {string} actor - Who triggered the recovery (default: system)
+ * @returns {{jobId: string, action: string, success: boolean, error?: string}}
+ */
+export function recoverStuckJob(report, actor = JobEventActor.SYSTEM) {
+  const { jobId, status, action, reason, idleSeconds } = report;
+  const message = `Stuck in ${status} for ${idleSeconds}s (budget ${report.budgetSeconds}s): ${reason}`;
+
+  if (action === StuckAction.FLAG) {
+    return { jobId, action, success: true };
+  }
+
+  if (action === StuckAction.RESUME) {
+    const result = incrementJobAttempt(jobId);
+
+    if (result.success) {
+      console.log(`[Watchdog] ♻️  Requeued job ${jobId} from ${status}`);
+      recordJobEvent(jobId, {
+        type: JobEventType.WATCHDOG,
+        fromStatus: status,
+        message: `Requeued - ${message}`,
+        actor,
+        metadata: { action, idleSeconds, budgetSeconds: report.budgetSeconds }
+      });
+    }
+
+    return { jobId, action, success: result.success, error: result.error };
+  }
+
+  // Drop the lease first so a hung worker abandons the job at its next step
+  if (report.leaseOwner) {
+    releaseJobLease(jobId, report.leaseOwner);
+  }
+
+  const result = failJob(jobId, ErrorCode.TIMEOUT, message, null, actor);
+
+  if (result.success) {
+    console.warn(`[Watchdog] ⚠️  Failed job ${jobId} after ${idleSeconds}s in ${status}`);
+    recordJobEvent(jobId, {
+      type: JobEventType.WATCHDOG,
+      fromStatus: status,
+      toStatus: JobStatus.FAILED,
+      message: `Timed out - ${message}`,
+      actor,
+      metadata: { action, idleSeconds, budgetSeconds: report.budgetSeconds, leaseOwner: report.leaseOwner }
+    });
+  }
+
+  return { jobId, action, success: result.success, error: result.error };
+}
+
+/**
+ * Find stuck jobs and recover them
+ * @param {object} options
+ * @param {number} options.maxRetries - Retry limit (default: 3)
+ * @param {string[]} options.jobIds - Only recover these jobs (default: all stuck jobs)
+ * @param {string} options.actor - Who triggered the run (default: system)
+ * @returns {{stuck: object[], results: object[]}} Report and per-job results
+ */
+export function runWatchdog({ maxRetries = 3, jobIds = null, actor = JobEventActor.SYSTEM } = {}) {
+  const stuck = findStuckJobs({ maxRetries });
+  const targets = jobIds ? stuck.filter(report => jobIds.includes(report.jobId)) : stuck;
+
+  const results = targets.map(report => {
+    try {
+      return recoverStuckJob(report, actor);
+    } catch (error) {
+      console.error(`[Watchdog] ❌ Failed to recover job ${report.jobId}:`, error.message);
+      return { jobId: report.jobId, action: report.action, success: false, error: error.message };
+    }
+  });
+
+  const flagged = results.filter(r => r.action === StuckAction.FLAG).length;
+  if (results.length > flagged) {
+    console.log(`[Watchdog] Recovered ${results.length - flagged} stuck job(s), ${flagged} flagged`);
+  }
+
+  return { stuck, results };
+}
+
+/**
+ * Get watchdog configuration
+ */
+export function getWatchdogConfig() {
+  return { ...WATCHDOG_CONFIG };
+}
+
+export default {
+  StuckAction,
+  findStuckJobs,
+  recoverStuckJob,
+  runWatchdog,
+  getWatchdogConfig
+};